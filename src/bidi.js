@@ -10,24 +10,54 @@ import arabicSentenceCheck from './features/arab/contextCheck/arabicSentence.js'
 import arabicPresentationForms from './features/arab/arabicPresentationForms.js'
 import arabicRequiredLigatures from './features/arab/arabicRequiredLigatures.js'
 import latinWordCheck from './features/latn/contextCheck/latinWord.js'
+import hebrewWordCheck from './features/hebr/contextCheck/hebrewWord.js'
+import hebrewPresentationForms from './features/hebr/hebrewPresentationForms.js'
+import hebrewRequiredFeatures from './features/hebr/hebrewRequiredFeatures.js'
 import latinLigature from './features/latn/latinLigatures.js'
+import requiredVariationAlternates from './features/requiredVariationAlternates.js'
+import featureSettings from './features/featureSettings.js'
+import { getEmbeddingLevels, getVisualOrder, getMirroredChar } from './bidiAlgorithm.js'
+import { getScriptTag } from './char.js'
 
 /** @typedef {import('./font.js').default} Font */
 
 /**
- * Reverse arabic sentence layout
- * TODO: check base dir before applying adjustments - priority low
+ * Resolve the embedding levels of the tokens with the Unicode Bidirectional Algorithm
  */
-function reverseArabicSentences () {
-  const ranges = this.tokenizer.getContextRanges('arabicSentence')
-  ranges.forEach(range => {
-    const rangeTokens = this.tokenizer.getRangeTokens(range)
-    this.tokenizer.replaceRange(
-      range.startIndex,
-      range.endOffset,
-      rangeTokens.reverse()
-    )
+function resolveEmbeddingLevels () {
+  const chars = this.tokenizer.tokens.map(token => token.char)
+  const { levels, paragraphs } = getEmbeddingLevels(chars, this.baseDir)
+  this.levels = levels
+  this.paragraphs = paragraphs
+}
+
+/**
+ * Replace the chars that have a mirrored char, like brackets, with the glyph
+ * of their mirrored char at the right-to-left levels (rule L4)
+ */
+function applyMirroring () {
+  if (!this.query) return
+  const font = this.query.font
+  this.tokenizer.tokens.forEach((token, index) => {
+    if (this.levels[index] % 2 === 0) return
+    const mirroredChar = getMirroredChar(token.char)
+    const glyphIndex = mirroredChar && font.charToGlyphIndex(mirroredChar)
+    if (glyphIndex) token.setState('mirrored', glyphIndex)
+  })
+}
+
+/**
+ * Reorder the tokens of each paragraph from logical to visual order (rule L2)
+ */
+function reorderTokens () {
+  const tokens = this.tokenizer.tokens
+  this.visualOrder = []
+  this.paragraphs.forEach(({ start, end }) => {
+    getVisualOrder(this.levels.slice(start, end)).forEach(index => this.visualOrder.push(start + index))
   })
+  if (tokens.length) {
+    this.tokenizer.replaceRange(0, tokens.length, this.visualOrder.map(index => tokens[index]))
+  }
 }
 
 /**
@@ -70,6 +100,44 @@ function applyArabicRequireLigatures () {
   })
 }
 
+/**
+ * Compose the Hebrew letters and points to their presentation forms,
+ * if the font doesn't position the points with mark attachment
+ */
+function applyHebrewPresentationForms () {
+  if (!this.query) return
+  const gpos = this.query.font.tables.gpos
+  if (gpos && gpos.features.some(feature => feature.tag === 'mark')) return
+  checkGlyphIndexStatus.call(this)
+  const ranges = this.tokenizer.getContextRanges('hebrewWord')
+  ranges.forEach(range => {
+    hebrewPresentationForms.call(this, range)
+  })
+}
+
+/**
+ * Apply the required hebrew features
+ */
+function applyHebrewRequiredFeatures () {
+  const script = 'hebr'
+  if (!this.featuresTags.hasOwnProperty(script)) return
+  if (!this.featuresTags[script].length) return
+  checkGlyphIndexStatus.call(this)
+  const ranges = this.tokenizer.getContextRanges('hebrewWord')
+  ranges.forEach(range => {
+    hebrewRequiredFeatures.call(this, range)
+  })
+}
+
+/**
+ * Apply the required variation alternates of variable fonts
+ */
+function applyRequiredVariationAlternates () {
+  if (!this.query) return
+  checkGlyphIndexStatus.call(this)
+  requiredVariationAlternates.call(this)
+}
+
 /**
  * Apply required arabic ligatures
  */
@@ -85,10 +153,20 @@ function applyLatinLigatures () {
   })
 }
 
+/**
+ * Apply the feature settings to all the scripts
+ */
+function applyFeatureSettings () {
+  if (!this.query || !this.featureSettings || !this.query.font.tables.gsub) return
+  checkGlyphIndexStatus.call(this)
+  featureSettings.call(this)
+}
+
 class Bidi {
   /**
    * Create Bidi. features
-   * @param {string} baseDir text base direction. value either 'ltr' or 'rtl'
+   * @param {string} baseDir text base direction. value either 'ltr', 'rtl', or 'auto'
+   * to use the direction of the first strong char of each paragraph
    */
   constructor (baseDir = 'ltr') {
     this.baseDir = baseDir
@@ -124,14 +202,15 @@ class Bidi {
    * Apply GSUB features
    * @param {Font} font Opentype font instance
    * @param {Array} features A list of features tags
+   * @param {Object} [variation] The location in the design space of a variable font, like `{ wght: 700 }`
    */
-  applyFeatures (font, features) {
+  applyFeatures (font, features, variation) {
     if (!font) {
       throw new Error(
         'No valid font was provided to apply features'
       )
     }
-    if (!this.query) { this.query = new FeatureQuery(font) }
+    if (!this.query) { this.query = new FeatureQuery(font, variation) }
     for (let f = 0; f < features.length; f++) {
       const feature = features[f]
       if (!this.query.supports({ script: feature.script })) continue
@@ -139,6 +218,16 @@ class Bidi {
     }
   }
 
+  /**
+   * Set the features applied to the text of all the scripts, after the features
+   * applied by the shapers of the scripts (like the Arabic presentation forms)
+   * @param {Object[]} settings A list of { tag, value, start, end } feature settings,
+   * where the range from start to end is a range of string offsets of the text
+   */
+  setFeatureSettings (settings) {
+    this.featureSettings = settings
+  }
+
   /**
    * Register a state modifier
    * @param {string} modifierId State modifier id
@@ -161,16 +250,23 @@ class Bidi {
    * Apply features to registered contexts
    */
   applyFeaturesToContexts () {
+    applyMirroring.call(this)
+    if (this.checkContextReady('hebrewWord')) {
+      applyHebrewPresentationForms.call(this)
+    }
+    applyRequiredVariationAlternates.call(this)
     if (this.checkContextReady('arabicWord')) {
       applyArabicPresentationForms.call(this)
       applyArabicRequireLigatures.call(this)
     }
+    if (this.checkContextReady('hebrewWord')) {
+      applyHebrewRequiredFeatures.call(this)
+    }
     if (this.checkContextReady('latinWord')) {
       applyLatinLigatures.call(this)
     }
-    if (this.checkContextReady('arabicSentence')) {
-      reverseArabicSentences.call(this)
-    }
+    applyFeatureSettings.call(this)
+    reorderTokens.call(this)
   }
 
   /**
@@ -181,6 +277,7 @@ class Bidi {
     if (!this.text || this.text !== text) {
       this.setText(text)
       this.#tokenizeText()
+      resolveEmbeddingLevels.call(this)
       this.applyFeaturesToContexts()
     }
   }
@@ -193,6 +290,7 @@ class Bidi {
     this.#registerContextChecker('latinWord')
     this.#registerContextChecker('arabicWord')
     this.#registerContextChecker('arabicSentence')
+    this.#registerContextChecker('hebrewWord')
     return this.tokenizer.tokenize(this.text)
   }
 
@@ -232,17 +330,97 @@ class Bidi {
     }
     return indexes
   }
+
+  /**
+   * Get the glyph indexes of the text, grouped in runs of the same embedding level.
+   * The runs are in visual order, and the glyphs of a run are in logical order,
+   * which is the order in which positioning lookups are applied.
+   * @param {string} text An input text
+   * @return {Object[]} a list of { indexes, offsets, level, rtl, script } runs, where the offsets are
+   * the string offsets of the chars of the glyphs, and the script is the script tag of the first char
+   * of the run that has a script, or null
+   */
+  getTextGlyphRuns (text) {
+    this.processText(text)
+    // The string offsets of the chars, in logical order.
+    const offsets = [0]
+    Array.from(this.text).forEach((char, i) => offsets.push(offsets[i] + char.length))
+    const runs = []
+    let run
+    this.tokenizer.tokens.forEach((token, i) => {
+      if (token.state.deleted) return
+      const level = this.levels[this.visualOrder[i]]
+      if (!run || run.level !== level) {
+        run = { indexes: [], offsets: [], level, rtl: level % 2 === 1, script: null }
+        runs.push(run)
+      }
+      run.script = run.script || getScriptTag(token.char)
+      const index = token.activeState.value
+      run.indexes.push(Array.isArray(index) ? index[0] : index)
+      run.offsets.push(offsets[this.visualOrder[i]])
+    })
+    // The glyphs of the right-to-left runs were reversed to visual order, restore the logical order.
+    runs.forEach(run => {
+      if (run.rtl) {
+        run.indexes.reverse()
+        run.offsets.reverse()
+      }
+    })
+    return runs
+  }
+
+  /**
+   * Get the resolved embedding levels of the chars of the text, in logical order.
+   * Even levels are left-to-right and odd levels are right-to-left.
+   * @param {string} text An input text
+   * @return {number[]} the level of each char (code point) of the text
+   */
+  getLevels (text) {
+    this.processText(text)
+    return this.levels.slice()
+  }
+
+  /**
+   * Get the runs of chars of the same embedding level, in visual order
+   * @param {string} text An input text
+   * @return {Object[]} a list of { start, end, level, rtl } runs, where the range from start to end
+   * is a range of string offsets of the text, and the text of a run is in logical order
+   */
+  getVisualRuns (text) {
+    this.processText(text)
+    // The string offsets of the chars, in logical order.
+    const offsets = [0]
+    Array.from(this.text).forEach((char, i) => offsets.push(offsets[i] + char.length))
+    const runs = []
+    let run
+    this.visualOrder.forEach(index => {
+      const level = this.levels[index]
+      if (run && run.level === level && Math.abs(index - run.last) === 1) {
+        run.last = index
+      } else {
+        run = { first: index, last: index, level }
+        runs.push(run)
+      }
+    })
+    return runs.map(({ first, last, level }) => ({
+      start: offsets[Math.min(first, last)],
+      end: offsets[Math.max(first, last) + 1],
+      level,
+      rtl: level % 2 === 1
+    }))
+  }
 }
 
 /**
  * Store essential context checks:
- * arabic word check for applying gsub features
+ * arabic and hebrew word checks for applying gsub features
  * arabic sentence check for adjusting arabic layout
  */
 Bidi.prototype.contextChecks = ({
   latinWordCheck,
   arabicWordCheck,
-  arabicSentenceCheck
+  arabicSentenceCheck,
+  hebrewWordCheck
 })
 
 export default Bidi
@@ -0,0 +1,686 @@
+/**
+ * The Unicode Bidirectional Algorithm (UAX #9, https://www.unicode.org/reports/tr9/):
+ * resolve the embedding levels of the chars of a text, and reorder a line of text from
+ * logical to visual order. The algorithm works on the chars (code points) of the text.
+ */
+
+// The maximum explicit embedding level (BD2).
+const maxDepth = 125
+
+// The Bidi_Class of the code points, as [start, end, class] ranges. The classes of the later
+// ranges replace the classes of the earlier ones, and the code points of no range are L.
+const bidiClassRanges = [
+  // The blocks of right-to-left scripts.
+  [0x0590, 0x05FF, 'R'], [0x0600, 0x07BF, 'AL'], [0x07C0, 0x085F, 'R'], [0x0860, 0x08FF, 'AL'],
+  [0xFB1D, 0xFB4F, 'R'], [0xFB50, 0xFDCF, 'AL'], [0xFDF0, 0xFDFF, 'AL'], [0xFE70, 0xFEFF, 'AL'],
+  [0x10800, 0x10FFF, 'R'], [0x10D00, 0x10D3F, 'AL'], [0x10F30, 0x10F6F, 'AL'], [0x1E800, 0x1EFFF, 'R'],
+  [0x1EC70, 0x1ECBF, 'AL'], [0x1ED00, 0x1ED4F, 'AL'], [0x1EE00, 0x1EEFF, 'AL'],
+  // Basic Latin and Latin-1 Supplement.
+  [0x0000, 0x0008, 'BN'], [0x0009, 0x0009, 'S'], [0x000A, 0x000A, 'B'], [0x000B, 0x000B, 'S'],
+  [0x000C, 0x000C, 'WS'], [0x000D, 0x000D, 'B'], [0x000E, 0x001B, 'BN'], [0x001C, 0x001E, 'B'],
+  [0x001F, 0x001F, 'S'], [0x0020, 0x0020, 'WS'], [0x0021, 0x0022, 'ON'], [0x0023, 0x0025, 'ET'],
+  [0x0026, 0x002A, 'ON'], [0x002B, 0x002B, 'ES'], [0x002C, 0x002C, 'CS'], [0x002D, 0x002D, 'ES'],
+  [0x002E, 0x002F, 'CS'], [0x0030, 0x0039, 'EN'], [0x003A, 0x003A, 'CS'], [0x003B, 0x0040, 'ON'],
+  [0x005B, 0x0060, 'ON'], [0x007B, 0x007E, 'ON'], [0x007F, 0x0084, 'BN'], [0x0085, 0x0085, 'B'],
+  [0x0086, 0x009F, 'BN'], [0x00A0, 0x00A0, 'CS'], [0x00A1, 0x00A1, 'ON'], [0x00A2, 0x00A5, 'ET'],
+  [0x00A6, 0x00A9, 'ON'], [0x00AB, 0x00AC, 'ON'], [0x00AD, 0x00AD, 'BN'], [0x00AE, 0x00AF, 'ON'],
+  [0x00B0, 0x00B1, 'ET'], [0x00B2, 0x00B3, 'EN'], [0x00B4, 0x00B4, 'ON'], [0x00B6, 0x00B8, 'ON'],
+  [0x00B9, 0x00B9, 'EN'], [0x00BB, 0x00BF, 'ON'], [0x00D7, 0x00D7, 'ON'], [0x00F7, 0x00F7, 'ON'],
+  // Spacing modifiers, combining marks, Greek, Cyrillic and Armenian.
+  [0x02B9, 0x02BA, 'ON'], [0x02C2, 0x02CF, 'ON'], [0x02D2, 0x02DF, 'ON'], [0x02E5, 0x02ED, 'ON'],
+  [0x02EF, 0x02FF, 'ON'], [0x0300, 0x036F, 'NSM'], [0x0374, 0x0375, 'ON'], [0x037E, 0x037E, 'ON'],
+  [0x0384, 0x0385, 'ON'], [0x0387, 0x0387, 'ON'], [0x03F6, 0x03F6, 'ON'], [0x0483, 0x0489, 'NSM'],
+  [0x058A, 0x058A, 'ON'], [0x058D, 0x058E, 'ON'],
+  // Hebrew.
+  [0x0591, 0x05BD, 'NSM'], [0x05BF, 0x05BF, 'NSM'], [0x05C1, 0x05C2, 'NSM'], [0x05C4, 0x05C5, 'NSM'],
+  [0x05C7, 0x05C7, 'NSM'],
+  // Arabic, Syriac, Thaana, NKo, Samaritan and Mandaic.
+  [0x0600, 0x0605, 'AN'], [0x0606, 0x0607, 'ON'], [0x0609, 0x060A, 'ET'], [0x060C, 0x060C, 'CS'],
+  [0x060E, 0x060F, 'ON'], [0x0610, 0x061A, 'NSM'], [0x064B, 0x065F, 'NSM'], [0x0660, 0x0669, 'AN'],
+  [0x066A, 0x066A, 'ET'], [0x066B, 0x066C, 'AN'], [0x0670, 0x0670, 'NSM'], [0x06D6, 0x06DC, 'NSM'],
+  [0x06DD, 0x06DD, 'AN'], [0x06DE, 0x06DE, 'ON'], [0x06DF, 0x06E4, 'NSM'], [0x06E7, 0x06E8, 'NSM'],
+  [0x06E9, 0x06E9, 'ON'], [0x06EA, 0x06ED, 'NSM'], [0x06F0, 0x06F9, 'EN'], [0x070F, 0x070F, 'AL'],
+  [0x0711, 0x0711, 'NSM'], [0x0730, 0x074A, 'NSM'], [0x07A6, 0x07B0, 'NSM'], [0x07EB, 0x07F3, 'NSM'],
+  [0x07F6, 0x07F9, 'ON'], [0x07FD, 0x07FD, 'NSM'], [0x0816, 0x0819, 'NSM'], [0x081B, 0x0823, 'NSM'],
+  [0x0825, 0x0827, 'NSM'], [0x0829, 0x082D, 'NSM'], [0x0859, 0x085B, 'NSM'], [0x0890, 0x0891, 'AN'],
+  [0x0898, 0x089F, 'NSM'], [0x08CA, 0x08E1, 'NSM'], [0x08E2, 0x08E2, 'AN'], [0x08E3, 0x08FF, 'NSM'],
+  // Indic scripts.
+  [0x0900, 0x0902, 'NSM'], [0x093A, 0x093A, 'NSM'], [0x093C, 0x093C, 'NSM'], [0x0941, 0x0948, 'NSM'],
+  [0x094D, 0x094D, 'NSM'], [0x0951, 0x0957, 'NSM'], [0x0962, 0x0963, 'NSM'], [0x0981, 0x0981, 'NSM'],
+  [0x09BC, 0x09BC, 'NSM'], [0x09C1, 0x09C4, 'NSM'], [0x09CD, 0x09CD, 'NSM'], [0x09E2, 0x09E3, 'NSM'],
+  [0x09F2, 0x09F3, 'ET'], [0x09FB, 0x09FB, 'ET'], [0x09FE, 0x09FE, 'NSM'], [0x0A01, 0x0A02, 'NSM'],
+  [0x0A3C, 0x0A3C, 'NSM'], [0x0A41, 0x0A42, 'NSM'], [0x0A47, 0x0A48, 'NSM'], [0x0A4B, 0x0A4D, 'NSM'],
+  [0x0A51, 0x0A51, 'NSM'], [0x0A70, 0x0A71, 'NSM'], [0x0A75, 0x0A75, 'NSM'], [0x0A81, 0x0A82, 'NSM'],
+  [0x0ABC, 0x0ABC, 'NSM'], [0x0AC1, 0x0AC5, 'NSM'], [0x0AC7, 0x0AC8, 'NSM'], [0x0ACD, 0x0ACD, 'NSM'],
+  [0x0AE2, 0x0AE3, 'NSM'], [0x0AF1, 0x0AF1, 'ET'], [0x0AFA, 0x0AFF, 'NSM'], [0x0B01, 0x0B01, 'NSM'],
+  [0x0B3C, 0x0B3C, 'NSM'], [0x0B3F, 0x0B3F, 'NSM'], [0x0B41, 0x0B44, 'NSM'], [0x0B4D, 0x0B4D, 'NSM'],
+  [0x0B55, 0x0B56, 'NSM'], [0x0B62, 0x0B63, 'NSM'], [0x0B82, 0x0B82, 'NSM'], [0x0BC0, 0x0BC0, 'NSM'],
+  [0x0BCD, 0x0BCD, 'NSM'], [0x0BF3, 0x0BF8, 'ON'], [0x0BF9, 0x0BF9, 'ET'], [0x0BFA, 0x0BFA, 'ON'],
+  [0x0C00, 0x0C00, 'NSM'], [0x0C04, 0x0C04, 'NSM'], [0x0C3C, 0x0C3C, 'NSM'], [0x0C3E, 0x0C40, 'NSM'],
+  [0x0C46, 0x0C48, 'NSM'], [0x0C4A, 0x0C4D, 'NSM'], [0x0C55, 0x0C56, 'NSM'], [0x0C62, 0x0C63, 'NSM'],
+  [0x0C78, 0x0C7E, 'ON'], [0x0C81, 0x0C81, 'NSM'], [0x0CBC, 0x0CBC, 'NSM'], [0x0CCC, 0x0CCD, 'NSM'],
+  [0x0CE2, 0x0CE3, 'NSM'], [0x0D00, 0x0D01, 'NSM'], [0x0D3B, 0x0D3C, 'NSM'], [0x0D41, 0x0D44, 'NSM'],
+  [0x0D4D, 0x0D4D, 'NSM'], [0x0D62, 0x0D63, 'NSM'], [0x0D81, 0x0D81, 'NSM'], [0x0DCA, 0x0DCA, 'NSM'],
+  [0x0DD2, 0x0DD4, 'NSM'], [0x0DD6, 0x0DD6, 'NSM'],
+  // Thai, Lao, Tibetan, Myanmar and the other scripts of Asia.
+  [0x0E31, 0x0E31, 'NSM'], [0x0E34, 0x0E3A, 'NSM'], [0x0E3F, 0x0E3F, 'ET'], [0x0E47, 0x0E4E, 'NSM'],
+  [0x0EB1, 0x0EB1, 'NSM'], [0x0EB4, 0x0EBC, 'NSM'], [0x0EC8, 0x0ECE, 'NSM'], [0x0F18, 0x0F19, 'NSM'],
+  [0x0F35, 0x0F35, 'NSM'], [0x0F37, 0x0F37, 'NSM'], [0x0F39, 0x0F39, 'NSM'], [0x0F3A, 0x0F3D, 'ON'],
+  [0x0F71, 0x0F7E, 'NSM'], [0x0F80, 0x0F84, 'NSM'], [0x0F86, 0x0F87, 'NSM'], [0x0F8D, 0x0FBC, 'NSM'],
+  [0x0FC6, 0x0FC6, 'NSM'], [0x102D, 0x1030, 'NSM'], [0x1032, 0x1037, 'NSM'], [0x1039, 0x103A, 'NSM'],
+  [0x103D, 0x103E, 'NSM'], [0x1058, 0x1059, 'NSM'], [0x105E, 0x1060, 'NSM'], [0x1071, 0x1074, 'NSM'],
+  [0x1082, 0x1082, 'NSM'], [0x1085, 0x1086, 'NSM'], [0x108D, 0x108D, 'NSM'], [0x109D, 0x109D, 'NSM'],
+  [0x135D, 0x135F, 'NSM'], [0x1390, 0x1399, 'ON'], [0x1400, 0x1400, 'ON'], [0x1680, 0x1680, 'WS'],
+  [0x169B, 0x169C, 'ON'], [0x1712, 0x1714, 'NSM'], [0x1732, 0x1733, 'NSM'], [0x1752, 0x1753, 'NSM'],
+  [0x1772, 0x1773, 'NSM'], [0x17B4, 0x17B5, 'NSM'], [0x17B7, 0x17BD, 'NSM'], [0x17C6, 0x17C6, 'NSM'],
+  [0x17C9, 0x17D3, 'NSM'], [0x17DB, 0x17DB, 'ET'], [0x17DD, 0x17DD, 'NSM'], [0x17F0, 0x17F9, 'ON'],
+  [0x1800, 0x180A, 'ON'], [0x180B, 0x180D, 'NSM'], [0x180E, 0x180E, 'BN'], [0x180F, 0x180F, 'NSM'],
+  [0x1885, 0x1886, 'NSM'], [0x18A9, 0x18A9, 'NSM'], [0x1920, 0x1922, 'NSM'], [0x1927, 0x1928, 'NSM'],
+  [0x1932, 0x1932, 'NSM'], [0x1939, 0x193B, 'NSM'], [0x1940, 0x1940, 'ON'], [0x1944, 0x1945, 'ON'],
+  [0x19DE, 0x19FF, 'ON'], [0x1A17, 0x1A18, 'NSM'], [0x1A1B, 0x1A1B, 'NSM'], [0x1A56, 0x1A56, 'NSM'],
+  [0x1A58, 0x1A5E, 'NSM'], [0x1A60, 0x1A60, 'NSM'], [0x1A62, 0x1A62, 'NSM'], [0x1A65, 0x1A6C, 'NSM'],
+  [0x1A73, 0x1A7C, 'NSM'], [0x1A7F, 0x1A7F, 'NSM'], [0x1AB0, 0x1ACE, 'NSM'], [0x1B00, 0x1B03, 'NSM'],
+  [0x1B34, 0x1B34, 'NSM'], [0x1B36, 0x1B3A, 'NSM'], [0x1B3C, 0x1B3C, 'NSM'], [0x1B42, 0x1B42, 'NSM'],
+  [0x1B6B, 0x1B73, 'NSM'], [0x1B80, 0x1B81, 'NSM'], [0x1BA2, 0x1BA5, 'NSM'], [0x1BA8, 0x1BA9, 'NSM'],
+  [0x1BAB, 0x1BAD, 'NSM'], [0x1BE6, 0x1BE6, 'NSM'], [0x1BE8, 0x1BE9, 'NSM'], [0x1BED, 0x1BED, 'NSM'],
+  [0x1BEF, 0x1BF1, 'NSM'], [0x1C2C, 0x1C33, 'NSM'], [0x1C36, 0x1C37, 'NSM'], [0x1CD0, 0x1CD2, 'NSM'],
+  [0x1CD4, 0x1CE0, 'NSM'], [0x1CE2, 0x1CE8, 'NSM'], [0x1CED, 0x1CED, 'NSM'], [0x1CF4, 0x1CF4, 'NSM'],
+  [0x1CF8, 0x1CF9, 'NSM'], [0x1DC0, 0x1DFF, 'NSM'], [0x1FBD, 0x1FBD, 'ON'], [0x1FBF, 0x1FC1, 'ON'],
+  [0x1FCD, 0x1FCF, 'ON'], [0x1FDD, 0x1FDF, 'ON'], [0x1FED, 0x1FEF, 'ON'], [0x1FFD, 0x1FFE, 'ON'],
+  // General punctuation, the explicit formatting chars, and symbols.
+  [0x2000, 0x200A, 'WS'], [0x200B, 0x200D, 'BN'], [0x200E, 0x200E, 'L'], [0x200F, 0x200F, 'R'],
+  [0x2010, 0x2027, 'ON'], [0x2028, 0x2028, 'WS'], [0x2029, 0x2029, 'B'], [0x202A, 0x202A, 'LRE'],
+  [0x202B, 0x202B, 'RLE'], [0x202C, 0x202C, 'PDF'], [0x202D, 0x202D, 'LRO'], [0x202E, 0x202E, 'RLO'],
+  [0x202F, 0x202F, 'CS'], [0x2030, 0x2034, 'ET'], [0x2035, 0x2043, 'ON'], [0x2044, 0x2044, 'CS'],
+  [0x2045, 0x205E, 'ON'], [0x205F, 0x205F, 'WS'], [0x2060, 0x2064, 'BN'], [0x2066, 0x2066, 'LRI'],
+  [0x2067, 0x2067, 'RLI'], [0x2068, 0x2068, 'FSI'], [0x2069, 0x2069, 'PDI'], [0x206A, 0x206F, 'BN'],
+  [0x2070, 0x2070, 'EN'], [0x2074, 0x2079, 'EN'], [0x207A, 0x207B, 'ES'], [0x207C, 0x207E, 'ON'],
+  [0x2080, 0x2089, 'EN'], [0x208A, 0x208B, 'ES'], [0x208C, 0x208E, 'ON'], [0x20A0, 0x20CF, 'ET'],
+  [0x20D0, 0x20F0, 'NSM'], [0x2100, 0x2101, 'ON'], [0x2103, 0x2106, 'ON'], [0x2108, 0x2109, 'ON'],
+  [0x2114, 0x2114, 'ON'], [0x2116, 0x2118, 'ON'], [0x211E, 0x2123, 'ON'], [0x2125, 0x2125, 'ON'],
+  [0x2127, 0x2127, 'ON'], [0x2129, 0x2129, 'ON'], [0x212E, 0x212E, 'ET'], [0x213A, 0x213B, 'ON'],
+  [0x2140, 0x2144, 'ON'], [0x214A, 0x214D, 'ON'], [0x2150, 0x215F, 'ON'], [0x2189, 0x218B, 'ON'],
+  [0x2190, 0x2211, 'ON'], [0x2212, 0x2212, 'ES'], [0x2213, 0x2213, 'ET'], [0x2214, 0x2335, 'ON'],
+  [0x237B, 0x2394, 'ON'], [0x2396, 0x2429, 'ON'], [0x2440, 0x244A, 'ON'], [0x2460, 0x2487, 'ON'],
+  [0x2488, 0x249B, 'EN'], [0x24EA, 0x26AB, 'ON'], [0x26AD, 0x27FF, 'ON'], [0x2900, 0x2B73, 'ON'],
+  [0x2B76, 0x2B95, 'ON'], [0x2B97, 0x2BFF, 'ON'], [0x2CE5, 0x2CEA, 'ON'], [0x2CEF, 0x2CF1, 'NSM'],
+  [0x2CF9, 0x2CFF, 'ON'], [0x2D7F, 0x2D7F, 'NSM'], [0x2DE0, 0x2DFF, 'NSM'], [0x2E00, 0x2E5D, 'ON'],
+  // CJK symbols and punctuation.
+  [0x2E80, 0x2E99, 'ON'], [0x2E9B, 0x2EF3, 'ON'], [0x2F00, 0x2FD5, 'ON'], [0x2FF0, 0x2FFF, 'ON'],
+  [0x3000, 0x3000, 'WS'], [0x3001, 0x3004, 'ON'], [0x3008, 0x3020, 'ON'], [0x302A, 0x302D, 'NSM'],
+  [0x3030, 0x3030, 'ON'], [0x3036, 0x3037, 'ON'], [0x303D, 0x303F, 'ON'], [0x3099, 0x309A, 'NSM'],
+  [0x309B, 0x309C, 'ON'], [0x30A0, 0x30A0, 'ON'], [0x30FB, 0x30FB, 'ON'], [0x31C0, 0x31E5, 'ON'],
+  [0x321D, 0x321E, 'ON'], [0x3250, 0x325F, 'ON'], [0x327C, 0x327E, 'ON'], [0x32B1, 0x32BF, 'ON'],
+  [0x32CC, 0x32CF, 'ON'], [0x3377, 0x337A, 'ON'], [0x33DE, 0x33DF, 'ON'], [0x33FF, 0x33FF, 'ON'],
+  [0x4DC0, 0x4DFF, 'ON'], [0xA490, 0xA4C6, 'ON'], [0xA60D, 0xA60F, 'ON'], [0xA66F, 0xA672, 'NSM'],
+  [0xA673, 0xA673, 'ON'], [0xA674, 0xA67D, 'NSM'], [0xA67E, 0xA67F, 'ON'], [0xA69E, 0xA69F, 'NSM'],
+  [0xA6F0, 0xA6F1, 'NSM'], [0xA700, 0xA721, 'ON'], [0xA788, 0xA788, 'ON'], [0xA802, 0xA802, 'NSM'],
+  [0xA806, 0xA806, 'NSM'], [0xA80B, 0xA80B, 'NSM'], [0xA825, 0xA826, 'NSM'], [0xA828, 0xA82B, 'ON'],
+  [0xA82C, 0xA82C, 'NSM'], [0xA838, 0xA839, 'ET'], [0xA874, 0xA877, 'ON'], [0xA8C4, 0xA8C5, 'NSM'],
+  [0xA8E0, 0xA8F1, 'NSM'], [0xA8FF, 0xA8FF, 'NSM'], [0xA926, 0xA92D, 'NSM'], [0xA947, 0xA951, 'NSM'],
+  [0xA980, 0xA982, 'NSM'], [0xA9B3, 0xA9B3, 'NSM'], [0xA9B6, 0xA9B9, 'NSM'], [0xA9BC, 0xA9BD, 'NSM'],
+  [0xA9E5, 0xA9E5, 'NSM'], [0xAA29, 0xAA2E, 'NSM'], [0xAA31, 0xAA32, 'NSM'], [0xAA35, 0xAA36, 'NSM'],
+  [0xAA43, 0xAA43, 'NSM'], [0xAA4C, 0xAA4C, 'NSM'], [0xAA7C, 0xAA7C, 'NSM'], [0xAAB0, 0xAAB0, 'NSM'],
+  [0xAAB2, 0xAAB4, 'NSM'], [0xAAB7, 0xAAB8, 'NSM'], [0xAABE, 0xAABF, 'NSM'], [0xAAC1, 0xAAC1, 'NSM'],
+  [0xAAEC, 0xAAED, 'NSM'], [0xAAF6, 0xAAF6, 'NSM'], [0xABE5, 0xABE5, 'NSM'], [0xABE8, 0xABE8, 'NSM'],
+  [0xABED, 0xABED, 'NSM'],
+  // Presentation forms, variation selectors, and half width and full width forms.
+  [0xFB1E, 0xFB1E, 'NSM'], [0xFB29, 0xFB29, 'ES'], [0xFD3E, 0xFD4F, 'ON'], [0xFDCF, 0xFDCF, 'ON'],
+  [0xFDFD, 0xFDFF, 'ON'], [0xFE00, 0xFE0F, 'NSM'], [0xFE10, 0xFE19, 'ON'], [0xFE20, 0xFE2F, 'NSM'],
+  [0xFE30, 0xFE4F, 'ON'], [0xFE50, 0xFE50, 'CS'], [0xFE51, 0xFE51, 'ON'], [0xFE52, 0xFE52, 'CS'],
+  [0xFE54, 0xFE54, 'ON'], [0xFE55, 0xFE55, 'CS'], [0xFE56, 0xFE5E, 'ON'], [0xFE5F, 0xFE5F, 'ET'],
+  [0xFE60, 0xFE61, 'ON'], [0xFE62, 0xFE63, 'ES'], [0xFE64, 0xFE66, 'ON'], [0xFE68, 0xFE68, 'ON'],
+  [0xFE69, 0xFE6A, 'ET'], [0xFE6B, 0xFE6B, 'ON'], [0xFEFF, 0xFEFF, 'BN'], [0xFF01, 0xFF02, 'ON'],
+  [0xFF03, 0xFF05, 'ET'], [0xFF06, 0xFF0A, 'ON'], [0xFF0B, 0xFF0B, 'ES'], [0xFF0C, 0xFF0C, 'CS'],
+  [0xFF0D, 0xFF0D, 'ES'], [0xFF0E, 0xFF0F, 'CS'], [0xFF10, 0xFF19, 'EN'], [0xFF1A, 0xFF1A, 'CS'],
+  [0xFF1B, 0xFF20, 'ON'], [0xFF3B, 0xFF40, 'ON'], [0xFF5B, 0xFF65, 'ON'], [0xFFE0, 0xFFE1, 'ET'],
+  [0xFFE2, 0xFFE4, 'ON'], [0xFFE5, 0xFFE6, 'ET'], [0xFFE8, 0xFFEE, 'ON'], [0xFFF0, 0xFFF8, 'BN'],
+  [0xFFF9, 0xFFFD, 'ON'], [0xFFFE, 0xFFFF, 'BN'],
+  // Supplementary planes.
+  [0x10101, 0x10101, 'ON'], [0x10140, 0x1018C, 'ON'], [0x10190, 0x1019C, 'ON'], [0x101A0, 0x101A0, 'ON'],
+  [0x101FD, 0x101FD, 'NSM'], [0x102E0, 0x102E0, 'NSM'], [0x102E1, 0x102FB, 'EN'], [0x10376, 0x1037A, 'NSM'],
+  [0x10A01, 0x10A03, 'NSM'], [0x10A05, 0x10A06, 'NSM'], [0x10A0C, 0x10A0F, 'NSM'], [0x10A38, 0x10A3A, 'NSM'],
+  [0x10A3F, 0x10A3F, 'NSM'], [0x10AE5, 0x10AE6, 'NSM'], [0x10B39, 0x10B3F, 'ON'], [0x10D24, 0x10D27, 'NSM'],
+  [0x10D30, 0x10D39, 'AN'], [0x10E60, 0x10E7E, 'AN'], [0x10EAB, 0x10EAC, 'NSM'], [0x10F46, 0x10F50, 'NSM'],
+  [0x1D167, 0x1D169, 'NSM'], [0x1D173, 0x1D17A, 'BN'], [0x1D17B, 0x1D182, 'NSM'], [0x1D185, 0x1D18B, 'NSM'],
+  [0x1D1AA, 0x1D1AD, 'NSM'], [0x1D200, 0x1D241, 'ON'], [0x1D242, 0x1D244, 'NSM'], [0x1D245, 0x1D245, 'ON'],
+  [0x1D300, 0x1D356, 'ON'], [0x1D6DB, 0x1D6DB, 'ON'], [0x1D715, 0x1D715, 'ON'], [0x1D74F, 0x1D74F, 'ON'],
+  [0x1D789, 0x1D789, 'ON'], [0x1D7C3, 0x1D7C3, 'ON'], [0x1D7CE, 0x1D7FF, 'EN'], [0x1E8D0, 0x1E8D6, 'NSM'],
+  [0x1E944, 0x1E94A, 'NSM'], [0x1EEF0, 0x1EEF1, 'ON'], [0x1F000, 0x1F0FF, 'ON'], [0x1F100, 0x1F10A, 'EN'],
+  [0x1F10B, 0x1F10F, 'ON'], [0x1F12F, 0x1F12F, 'ON'], [0x1F16A, 0x1F16F, 'ON'], [0x1F1AD, 0x1F1AD, 'ON'],
+  [0x1F260, 0x1F265, 'ON'], [0x1F300, 0x1FAFF, 'ON'], [0x1FB00, 0x1FBCA, 'ON'], [0x1FBF0, 0x1FBF9, 'EN'],
+  [0xE0000, 0xE0FFF, 'BN'], [0xE0100, 0xE01EF, 'NSM']
+]
+
+// The ranges without overlaps, built on first use.
+let bidiClassTable
+
+function getBidiClassTable () {
+  if (bidiClassTable) return bidiClassTable
+  const bounds = []
+  bidiClassRanges.forEach(([start, end]) => bounds.push(start, end + 1))
+  const sorted = Array.from(new Set(bounds)).sort((a, b) => a - b)
+  bidiClassTable = []
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const start = sorted[i]
+    let bidiClass = 'L'
+    for (let r = bidiClassRanges.length - 1; r >= 0; r--) {
+      const range = bidiClassRanges[r]
+      if (range[0] <= start && start <= range[1]) {
+        bidiClass = range[2]
+        break
+      }
+    }
+    const last = bidiClassTable[bidiClassTable.length - 1]
+    if (last && last[2] === bidiClass && last[1] === start - 1) {
+      last[1] = sorted[i + 1] - 1
+    } else if (bidiClass !== 'L') {
+      bidiClassTable.push([start, sorted[i + 1] - 1, bidiClass])
+    }
+  }
+  return bidiClassTable
+}
+
+/**
+ * Get the bidirectional class of a char, like 'L', 'R', 'AL', 'EN' or 'ON'
+ * @param {string} c a single char
+ * @return {string}
+ */
+function getBidiClass (c) {
+  const codePoint = c.codePointAt(0)
+  const table = getBidiClassTable()
+  let low = 0
+  let high = table.length - 1
+  while (low <= high) {
+    const mid = (low + high) >> 1
+    const range = table[mid]
+    if (codePoint < range[0]) {
+      high = mid - 1
+    } else if (codePoint > range[1]) {
+      low = mid + 1
+    } else {
+      return range[2]
+    }
+  }
+  return 'L'
+}
+
+// The paired brackets (Bidi_Paired_Bracket), as [opening, closing] code points.
+const bracketPairs = [[0x0028, 0x0029], [0x005B, 0x005D], [0x007B, 0x007D], [0xFF3B, 0xFF3D], [0xFF5B, 0xFF5D]]
+const consecutiveBracketPairs = [
+  [0x0F3A, 0x0F3D], [0x169B, 0x169C], [0x2045, 0x2046], [0x207D, 0x207E], [0x208D, 0x208E], [0x2308, 0x230B],
+  [0x2329, 0x232A], [0x2768, 0x2775], [0x27C5, 0x27C6], [0x27E6, 0x27EF], [0x2983, 0x2998], [0x29D8, 0x29DB],
+  [0x29FC, 0x29FD], [0x2E22, 0x2E29], [0x2E55, 0x2E5C], [0x3008, 0x3011], [0x3014, 0x301B], [0xFE59, 0xFE5E],
+  [0xFF08, 0xFF09], [0xFF5F, 0xFF60], [0xFF62, 0xFF63]
+]
+consecutiveBracketPairs.forEach(([start, end]) => {
+  for (let c = start; c < end; c += 2) bracketPairs.push([c, c + 1])
+})
+
+// The chars that are mirrored in right-to-left text (Bidi_Mirroring_Glyph), both ways.
+const mirroredChars = {}
+bracketPairs.concat([
+  [0x003C, 0x003E], [0x00AB, 0x00BB], [0x2039, 0x203A], [0x2208, 0x220B], [0x2209, 0x220C], [0x220A, 0x220D],
+  [0x2264, 0x2265], [0x226A, 0x226B], [0x2282, 0x2283], [0x2286, 0x2287], [0x22D6, 0x22D7]
+]).forEach(([a, b]) => {
+  mirroredChars[a] = b
+  mirroredChars[b] = a
+})
+
+/**
+ * Get the mirrored char of a char, that replaces it at the right-to-left levels (rule L4)
+ * @param {string} c a single char
+ * @return {string|undefined}
+ */
+function getMirroredChar (c) {
+  const mirrored = mirroredChars[c.codePointAt(0)]
+  return mirrored !== undefined ? String.fromCodePoint(mirrored) : undefined
+}
+
+// The opening bracket of a bracket pair, or -1 for a closing bracket, by code point.
+function getBracketType (codePoint) {
+  // U+2329 and U+232A are canonically equivalent to U+3008 and U+3009.
+  if (codePoint === 0x2329 || codePoint === 0x232A) codePoint += 0x3008 - 0x2329
+  for (let i = 0; i < bracketPairs.length; i++) {
+    if (bracketPairs[i][0] === codePoint) return { opening: true, pair: codePoint }
+    if (bracketPairs[i][1] === codePoint) return { opening: false, pair: bracketPairs[i][0] }
+  }
+  return null
+}
+
+const isIsolateInitiator = type => type === 'LRI' || type === 'RLI' || type === 'FSI'
+const isRemovedByX9 = type => ['LRE', 'RLE', 'LRO', 'RLO', 'PDF', 'BN'].indexOf(type) !== -1
+const isNeutralOrIsolate = type => ['B', 'S', 'WS', 'ON', 'LRI', 'RLI', 'FSI', 'PDI'].indexOf(type) !== -1
+// The direction of a strong type for the neutral rules, where numbers are right-to-left.
+const getStrongDirection = type => type === 'L' ? 'L' : (type === 'R' || type === 'AL' || type === 'EN' || type === 'AN') ? 'R' : null
+
+/**
+ * Get the level of the first strong char of a text, 0 for L and 1 for R or AL (rules P2 and P3),
+ * skipping the chars between isolate initiators and their matching PDI
+ * @param {string[]} types the bidirectional classes of the chars
+ * @param {number} start
+ * @param {number} end
+ * @return {number|null}
+ */
+function getFirstStrongLevel (types, start, end) {
+  let isolates = 0
+  for (let i = start; i < end; i++) {
+    const type = types[i]
+    if (isIsolateInitiator(type)) {
+      isolates++
+    } else if (type === 'PDI') {
+      if (isolates > 0) isolates--
+    } else if (isolates === 0 && type === 'L') {
+      return 0
+    } else if (isolates === 0 && (type === 'R' || type === 'AL')) {
+      return 1
+    }
+  }
+  return null
+}
+
+/**
+ * Find the matching PDI of the isolate initiators (BD9)
+ * @param {string[]} types
+ * @return {number[]} the index of the matching PDI of each isolate initiator, or -1
+ */
+function getMatchingPDIs (types) {
+  const matchingPDIs = new Array(types.length).fill(-1)
+  const initiators = []
+  types.forEach((type, i) => {
+    if (isIsolateInitiator(type)) {
+      initiators.push(i)
+    } else if (type === 'PDI' && initiators.length) {
+      matchingPDIs[initiators.pop()] = i
+    }
+  })
+  return matchingPDIs
+}
+
+/**
+ * Resolve the explicit levels and directions (rules X1 to X8)
+ * @param {string[]} types the bidirectional classes of the chars, overridden in place
+ * @param {number} paragraphLevel
+ * @return {number[]} levels
+ */
+function resolveExplicitLevels (types, paragraphLevel) {
+  const levels = new Array(types.length)
+  const stack = [{ level: paragraphLevel, override: null, isolate: false }]
+  let overflowIsolates = 0
+  let overflowEmbeddings = 0
+  let validIsolates = 0
+  const originalTypes = types.slice()
+  const matchingPDIs = getMatchingPDIs(originalTypes)
+  originalTypes.forEach((type, i) => {
+    let top = stack[stack.length - 1]
+    switch (type) {
+      case 'RLE':
+      case 'LRE':
+      case 'RLO':
+      case 'LRO': {
+        const level = type[0] === 'R' ? (top.level + 1) | 1 : (top.level + 2) & ~1
+        if (level <= maxDepth && overflowIsolates === 0 && overflowEmbeddings === 0) {
+          stack.push({ level, override: type[2] === 'O' ? type[0] : null, isolate: false })
+        } else if (overflowIsolates === 0) {
+          overflowEmbeddings++
+        }
+        levels[i] = top.level
+        break
+      }
+      case 'RLI':
+      case 'LRI':
+      case 'FSI': {
+        levels[i] = top.level
+        if (top.override) types[i] = top.override
+        // The direction of a first strong isolate is the direction of the text up to its matching PDI.
+        const end = matchingPDIs[i] !== -1 ? matchingPDIs[i] : types.length
+        const rtl = type === 'RLI' || (type === 'FSI' && getFirstStrongLevel(originalTypes, i + 1, end) === 1)
+        const level = rtl ? (top.level + 1) | 1 : (top.level + 2) & ~1
+        if (level <= maxDepth && overflowIsolates === 0 && overflowEmbeddings === 0) {
+          validIsolates++
+          stack.push({ level, override: null, isolate: true })
+        } else {
+          overflowIsolates++
+        }
+        break
+      }
+      case 'PDI':
+        if (overflowIsolates > 0) {
+          overflowIsolates--
+        } else if (validIsolates > 0) {
+          overflowEmbeddings = 0
+          while (!stack[stack.length - 1].isolate) stack.pop()
+          stack.pop()
+          validIsolates--
+        }
+        top = stack[stack.length - 1]
+        levels[i] = top.level
+        if (top.override) types[i] = top.override
+        break
+      case 'PDF':
+        if (overflowIsolates > 0) {
+          // The PDF is within an overflow isolate.
+        } else if (overflowEmbeddings > 0) {
+          overflowEmbeddings--
+        } else if (!top.isolate && stack.length >= 2) {
+          stack.pop()
+        }
+        levels[i] = top.level
+        break
+      case 'B':
+        levels[i] = paragraphLevel
+        break
+      case 'BN':
+        levels[i] = top.level
+        break
+      default:
+        levels[i] = top.level
+        if (top.override) types[i] = top.override
+    }
+  })
+  return levels
+}
+
+/**
+ * Get the isolating run sequences of a paragraph (rule X10), as lists of char indexes,
+ * leaving out the chars removed by rule X9
+ * @param {string[]} originalTypes
+ * @param {number[]} levels
+ * @return {number[][]}
+ */
+function getIsolatingRunSequences (originalTypes, levels) {
+  const matchingPDIs = getMatchingPDIs(originalTypes)
+  const matchedPDIs = new Set(matchingPDIs.filter(i => i !== -1))
+  const runs = []
+  let run = null
+  originalTypes.forEach((type, i) => {
+    if (isRemovedByX9(type)) return
+    if (!run || levels[i] !== levels[run[0]]) {
+      run = []
+      runs.push(run)
+    }
+    run.push(i)
+  })
+
+  const runStartingAt = {}
+  runs.forEach(run => { runStartingAt[run[0]] = run })
+  const sequences = []
+  runs.forEach(run => {
+    if (matchedPDIs.has(run[0])) return
+    let sequence = run
+    let last = run[run.length - 1]
+    while (isIsolateInitiator(originalTypes[last]) && matchingPDIs[last] !== -1 && runStartingAt[matchingPDIs[last]]) {
+      const next = runStartingAt[matchingPDIs[last]]
+      sequence = sequence.concat(next)
+      last = next[next.length - 1]
+    }
+    sequences.push(sequence)
+  })
+  return sequences
+}
+
+/**
+ * Resolve the weak types of an isolating run sequence (rules W1 to W7)
+ * @param {string[]} types the types of the chars of the sequence, resolved in place
+ * @param {string} sos the type of the start of the sequence
+ */
+function resolveWeakTypes (types, sos) {
+  // W1: the non spacing marks take the type of the previous char.
+  types.forEach((type, i) => {
+    if (type !== 'NSM') return
+    const previous = i > 0 ? types[i - 1] : sos
+    types[i] = isIsolateInitiator(previous) || previous === 'PDI' ? 'ON' : previous
+  })
+
+  // W2 and W3: the European numbers after Arabic letters are Arabic numbers, and Arabic letters are R.
+  let lastStrong = sos
+  types.forEach((type, i) => {
+    if (type === 'L' || type === 'R' || type === 'AL') {
+      lastStrong = type
+    } else if (type === 'EN' && lastStrong === 'AL') {
+      types[i] = 'AN'
+    }
+  })
+  types.forEach((type, i) => {
+    if (type === 'AL') types[i] = 'R'
+  })
+
+  // W4: a single separator between two numbers of the same type.
+  for (let i = 1; i < types.length - 1; i++) {
+    const previous = types[i - 1]
+    const next = types[i + 1]
+    if (types[i] === 'ES' && previous === 'EN' && next === 'EN') {
+      types[i] = 'EN'
+    } else if (types[i] === 'CS' && previous === next && (previous === 'EN' || previous === 'AN')) {
+      types[i] = previous
+    }
+  }
+
+  // W5: the terminators next to European numbers.
+  for (let i = 0; i < types.length; i++) {
+    if (types[i] !== 'ET') continue
+    let end = i
+    while (end < types.length && types[end] === 'ET') end++
+    if ((i > 0 && types[i - 1] === 'EN') || (end < types.length && types[end] === 'EN')) {
+      for (let j = i; j < end; j++) types[j] = 'EN'
+    }
+    i = end - 1
+  }
+
+  // W6 and W7: the other separators and terminators are neutral, and the European numbers after L are L.
+  lastStrong = sos
+  types.forEach((type, i) => {
+    if (type === 'ES' || type === 'ET' || type === 'CS') {
+      types[i] = 'ON'
+    } else if (type === 'L' || type === 'R') {
+      lastStrong = type
+    } else if (type === 'EN' && lastStrong === 'L') {
+      types[i] = 'L'
+    }
+  })
+}
+
+/**
+ * Resolve the paired brackets of an isolating run sequence (rule N0)
+ * @param {string[]} types the types of the chars of the sequence, resolved in place
+ * @param {number[]} codePoints the code points of the chars of the sequence
+ * @param {string[]} originalTypes the original types of the chars of the sequence
+ * @param {string} sos the type of the start of the sequence
+ * @param {string} direction the embedding direction of the sequence, 'L' or 'R'
+ */
+function resolvePairedBrackets (types, codePoints, originalTypes, sos, direction) {
+  // BD16: find the bracket pairs, with a stack of 63 opening brackets.
+  const pairs = []
+  const openings = []
+  for (let i = 0; i < types.length; i++) {
+    if (types[i] !== 'ON') continue
+    const bracket = getBracketType(codePoints[i])
+    if (!bracket) continue
+    if (bracket.opening) {
+      if (openings.length === 63) break
+      openings.push({ index: i, pair: bracket.pair })
+    } else {
+      for (let j = openings.length - 1; j >= 0; j--) {
+        if (openings[j].pair === bracket.pair) {
+          pairs.push([openings[j].index, i])
+          openings.length = j
+          break
+        }
+      }
+    }
+  }
+  pairs.sort((a, b) => a[0] - b[0])
+
+  pairs.forEach(([opening, closing]) => {
+    let hasDirection = false
+    let hasOpposite = false
+    for (let i = opening + 1; i < closing; i++) {
+      const strong = getStrongDirection(types[i])
+      if (strong === direction) hasDirection = true
+      else if (strong) hasOpposite = true
+    }
+    let resolved = null
+    if (hasDirection) {
+      resolved = direction
+    } else if (hasOpposite) {
+      let context = getStrongDirection(sos)
+      for (let i = opening - 1; i >= 0; i--) {
+        const strong = getStrongDirection(types[i])
+        if (strong) {
+          context = strong
+          break
+        }
+      }
+      resolved = context !== direction ? context : direction
+    }
+    if (!resolved) return
+    [opening, closing].forEach(index => {
+      types[index] = resolved
+      // The non spacing marks after a bracket take its new type.
+      for (let i = index + 1; i < types.length && originalTypes[i] === 'NSM'; i++) {
+        types[i] = resolved
+      }
+    })
+  })
+}
+
+/**
+ * Resolve the neutral and isolate formatting types of an isolating run sequence (rules N1 and N2)
+ * @param {string[]} types the types of the chars of the sequence, resolved in place
+ * @param {string} sos the type of the start of the sequence
+ * @param {string} eos the type of the end of the sequence
+ * @param {string} direction the embedding direction of the sequence, 'L' or 'R'
+ */
+function resolveNeutralTypes (types, sos, eos, direction) {
+  for (let i = 0; i < types.length; i++) {
+    if (!isNeutralOrIsolate(types[i])) continue
+    let end = i
+    while (end < types.length && isNeutralOrIsolate(types[end])) end++
+    const before = i > 0 ? getStrongDirection(types[i - 1]) : sos
+    const after = end < types.length ? getStrongDirection(types[end]) : eos
+    const resolved = before === after ? before : direction
+    for (let j = i; j < end; j++) types[j] = resolved
+    i = end - 1
+  }
+}
+
+/**
+ * Resolve the levels of the chars of a paragraph
+ * @param {string[]} originalTypes the bidirectional classes of the chars
+ * @param {number[]} codePoints the code points of the chars
+ * @param {number} paragraphLevel
+ * @return {number[]} levels
+ */
+function resolveParagraphLevels (originalTypes, codePoints, paragraphLevel) {
+  const types = originalTypes.slice()
+  const levels = resolveExplicitLevels(types, paragraphLevel)
+  const toType = level => level % 2 ? 'R' : 'L'
+
+  getIsolatingRunSequences(originalTypes, levels).forEach(sequence => {
+    const first = sequence[0]
+    const last = sequence[sequence.length - 1]
+    const level = levels[first]
+    // The start and end of the sequence have the direction of the higher level of the sequence
+    // and of the chars before and after it, leaving out the chars removed by rule X9.
+    let previous = first - 1
+    while (previous >= 0 && isRemovedByX9(originalTypes[previous])) previous--
+    let next = last + 1
+    while (next < types.length && isRemovedByX9(originalTypes[next])) next++
+    const previousLevel = previous >= 0 ? levels[previous] : paragraphLevel
+    const nextLevel = next < types.length && !isIsolateInitiator(originalTypes[last]) ? levels[next] : paragraphLevel
+    const sos = toType(Math.max(level, previousLevel))
+    const eos = toType(Math.max(level, nextLevel))
+
+    const sequenceTypes = sequence.map(i => types[i])
+    resolveWeakTypes(sequenceTypes, sos)
+    resolvePairedBrackets(sequenceTypes, sequence.map(i => codePoints[i]), sequence.map(i => originalTypes[i]), sos, toType(level))
+    resolveNeutralTypes(sequenceTypes, sos, eos, toType(level))
+
+    // I1 and I2: the implicit levels.
+    sequence.forEach((index, i) => {
+      const type = sequenceTypes[i]
+      if (level % 2 === 0) {
+        if (type === 'R') levels[index] += 1
+        else if (type === 'AN' || type === 'EN') levels[index] += 2
+      } else if (type === 'L' || type === 'AN' || type === 'EN') {
+        levels[index] += 1
+      }
+    })
+  })
+
+  // The chars removed by rule X9 take the level of the char before them.
+  originalTypes.forEach((type, i) => {
+    if (isRemovedByX9(type)) levels[i] = i > 0 ? levels[i - 1] : paragraphLevel
+  })
+
+  // L1: the separators, and the whitespace before them and at the end of the line, are at the paragraph level.
+  let trailing = true
+  for (let i = originalTypes.length - 1; i >= 0; i--) {
+    const type = originalTypes[i]
+    if (type === 'B' || type === 'S') {
+      levels[i] = paragraphLevel
+      trailing = true
+    } else if (trailing && (type === 'WS' || isIsolateInitiator(type) || type === 'PDI' || isRemovedByX9(type))) {
+      levels[i] = paragraphLevel
+    } else {
+      trailing = false
+    }
+  }
+  return levels
+}
+
+/**
+ * Resolve the embedding levels of the chars of a text. The text is split into paragraphs at the
+ * paragraph separators, and each paragraph is a line, whose trailing whitespace is at the paragraph level.
+ * @param {string[]} chars the chars of the text, like `Array.from(text)`
+ * @param {string} [baseDir='ltr'] the base direction of the paragraphs, 'ltr', 'rtl', or 'auto'
+ * to use the direction of the first strong char of each paragraph
+ * @return {Object} { levels, paragraphs }, with the level of each char and the { start, end, level } paragraphs
+ */
+function getEmbeddingLevels (chars, baseDir = 'ltr') {
+  const types = chars.map(getBidiClass)
+  const codePoints = chars.map(c => c.codePointAt(0))
+  const levels = []
+  const paragraphs = []
+  let start = 0
+  for (let i = 0; i < chars.length; i++) {
+    if (types[i] !== 'B' && i < chars.length - 1) continue
+    const end = i + 1
+    let level = baseDir === 'rtl' ? 1 : 0
+    if (baseDir === 'auto') {
+      level = getFirstStrongLevel(types, start, end) || 0
+    }
+    paragraphs.push({ start, end, level })
+    resolveParagraphLevels(types.slice(start, end), codePoints.slice(start, end), level)
+      .forEach(paragraphLevel => levels.push(paragraphLevel))
+    start = end
+  }
+  return { levels, paragraphs }
+}
+
+/**
+ * Get the visual order of the chars of a line from their levels (rule L2): from the highest level
+ * to the lowest odd level, the sequences of chars at that level or higher are reversed
+ * @param {number[]} levels the levels of the chars of the line
+ * @return {number[]} the indexes of the chars, in visual order
+ */
+function getVisualOrder (levels) {
+  const order = levels.map((level, i) => i)
+  if (!levels.length) return order
+  const highest = levels.reduce((max, level) => Math.max(max, level), 0)
+  const lowest = levels.reduce((min, level) => Math.min(min, level), highest)
+  const lowestOdd = lowest % 2 ? lowest : lowest + 1
+  for (let level = highest; level >= lowestOdd; level--) {
+    for (let i = 0; i < order.length; i++) {
+      if (levels[order[i]] < level) continue
+      let end = i
+      while (end < order.length && levels[order[end]] >= level) end++
+      const reversed = order.slice(i, end).reverse()
+      order.splice(i, end - i, ...reversed)
+      i = end - 1
+    }
+  }
+  return order
+}
+
+export { getBidiClass, getMirroredChar, getEmbeddingLevels, getVisualOrder }
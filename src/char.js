@@ -26,6 +26,22 @@ export function isTashkeelArabicChar (char) {
   return /[\u0600-\u0605\u060C-\u060E\u0610-\u061B\u061E\u064B-\u065F\u0670\u06D6-\u06DC\u06DF-\u06E4\u06E7\u06E8\u06EA-\u06ED]/.test(char)
 }
 
+/**
+ * Check if a char is Hebrew
+ * @param {string} c a single char
+ */
+export function isHebrewChar (c) {
+  return /[\u0591-\u05F4\uFB1D-\uFB4F]/.test(c)
+}
+
+/**
+ * Check if a char is a Hebrew point or cantillation mark
+ * @param {string} c a single char
+ */
+export function isHebrewMark (c) {
+  return /[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7\uFB1E]/.test(c)
+}
+
 /**
  * Check if a char is Latin
  * @param {string} c a single char
@@ -41,3 +57,41 @@ export function isLatinChar (c) {
 export function isWhiteSpace (c) {
   return /\s/.test(c)
 }
+
+/**
+ * Check if a char is a variation selector
+ * @param {string} c a single char
+ */
+export function isVariationSelector (c) {
+  return /[\uFE00-\uFE0F]|\uDB40[\uDD00-\uDDEF]/.test(c)
+}
+
+// The Unicode blocks of some scripts, by OpenType script tag.
+// See https://docs.microsoft.com/en-us/typography/opentype/spec/scripttags
+const scriptBlocks = [
+  ['latn', /[A-Za-z\u00AA\u00BA\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u024F\u1E00-\u1EFF\uFB00-\uFB06]/],
+  ['grek', /[\u0370-\u03FF\u1F00-\u1FFF]/],
+  ['cyrl', /[\u0400-\u052F]/],
+  ['armn', /[\u0531-\u058F]/],
+  ['hebr', /[\u0591-\u05FF\uFB1D-\uFB4F]/],
+  ['arab', /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/],
+  ['thai', /[\u0E00-\u0E7F]/],
+  ['geor', /[\u10A0-\u10FF]/],
+  ['hani', /[\u3400-\u4DBF\u4E00-\u9FFF]/],
+  ['kana', /[\u3040-\u30FF]/],
+  ['hang', /[\u1100-\u11FF\uAC00-\uD7AF]/]
+]
+
+/**
+ * Get the OpenType script tag of a char, or null for the chars shared by
+ * several scripts, like spaces, digits, punctuation and combining marks
+ * @param {string} c a single char
+ */
+export function getScriptTag (c) {
+  // Combining diacritical marks take the script of their base.
+  if (/[\u0300-\u036F]/.test(c)) return null
+  for (let i = 0; i < scriptBlocks.length; i++) {
+    if (scriptBlocks[i][1].test(c)) return scriptBlocks[i][0]
+  }
+  return null
+}
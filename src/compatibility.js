@@ -0,0 +1,292 @@
+// Check that the outlines of the glyphs of several fonts, like the masters of a family, can be interpolated:
+// they need the same contours, with the same number and types of points, the same start points and the same directions.
+// When the contours are only ordered differently, start on another point or turn the other way, a fix is suggested.
+
+import check from './check.js'
+
+// Get the contours of a path as lists of { x, y, type } points, where the type is 'on' for the end points
+// of the commands, and 'quad' or 'cubic' for their control points. The closing point of a contour that
+// ends at its start point is left out, like in TrueType outlines.
+function getPathContours (path) {
+  const contours = []
+  let contour = []
+  const closeContour = () => {
+    const first = contour[0]
+    const last = contour[contour.length - 1]
+    if (contour.length > 1 && last.type === 'on' && last.x === first.x && last.y === first.y) {
+      contour.pop()
+    }
+
+    if (contour.length > 0) {
+      contours.push(contour)
+    }
+
+    contour = []
+  }
+
+  path.commands.forEach(cmd => {
+    if (cmd.type === 'M') {
+      closeContour()
+      contour.push({ x: cmd.x, y: cmd.y, type: 'on' })
+    } else if (cmd.type === 'L') {
+      contour.push({ x: cmd.x, y: cmd.y, type: 'on' })
+    } else if (cmd.type === 'Q') {
+      contour.push({ x: cmd.x1, y: cmd.y1, type: 'quad' }, { x: cmd.x, y: cmd.y, type: 'on' })
+    } else if (cmd.type === 'C') {
+      contour.push({ x: cmd.x1, y: cmd.y1, type: 'cubic' }, { x: cmd.x2, y: cmd.y2, type: 'cubic' }, { x: cmd.x, y: cmd.y, type: 'on' })
+    } else if (cmd.type === 'Z') {
+      closeContour()
+    }
+  })
+  closeContour()
+  return contours
+}
+
+// Get the TrueType contours of a glyph as lists of { x, y, type } points, where the type is 'on' or 'off'.
+function getPointContours (glyph) {
+  return glyph.getContours().map(contour => contour.map(pt => ({ x: pt.x, y: pt.y, type: pt.onCurve ? 'on' : 'off' })))
+}
+
+function getCenter (contour) {
+  const x = contour.reduce((sum, pt) => sum + pt.x, 0) / contour.length
+  const y = contour.reduce((sum, pt) => sum + pt.y, 0) / contour.length
+  return { x, y }
+}
+
+// The signed area of the polygon of the points: positive for counter-clockwise contours.
+function getArea (contour) {
+  let area = 0
+  for (let i = 0; i < contour.length; i += 1) {
+    const a = contour[i]
+    const b = contour[(i + 1) % contour.length]
+    area += a.x * b.y - b.x * a.y
+  }
+
+  return area / 2
+}
+
+// Reverse a contour, keeping its start point.
+function reverseContour (contour) {
+  return [contour[0]].concat(contour.slice(1).reverse())
+}
+
+// The cost of matching the points of two contours, from their centers, when the other contour starts at a point.
+function getRotationCost (contour, other, start) {
+  const center = getCenter(contour)
+  const otherCenter = getCenter(other)
+  let cost = 0
+  for (let i = 0; i < contour.length; i += 1) {
+    const pt = other[(i + start) % other.length]
+    const dx = (pt.x - otherCenter.x) - (contour[i].x - center.x)
+    const dy = (pt.y - otherCenter.y) - (contour[i].y - center.y)
+    cost += dx * dx + dy * dy
+  }
+
+  return cost
+}
+
+function hasSameTypes (contour, other, start) {
+  return contour.every((pt, i) => pt.type === other[(i + start) % other.length].type)
+}
+
+// Find the contours of the other glyph that match the contours of the glyph: the contours with the same
+// number and types of points, with the nearest centers relative to the outlines.
+function getContourOrder (contours, otherContours) {
+  const signature = contour => contour.map(pt => pt.type).sort().join()
+  const box = list => {
+    const points = [].concat(...list)
+    const xs = points.map(pt => pt.x)
+    const ys = points.map(pt => pt.y)
+    return { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs) || 1, height: Math.max(...ys) - Math.min(...ys) || 1 }
+  }
+
+  const bounds = box(contours)
+  const otherBounds = box(otherContours)
+  const costs = []
+  contours.forEach((contour, i) => {
+    const center = getCenter(contour)
+    otherContours.forEach((other, j) => {
+      if (other.length !== contour.length || signature(other) !== signature(contour)) return
+      const otherCenter = getCenter(other)
+      const dx = (otherCenter.x - otherBounds.x) / otherBounds.width - (center.x - bounds.x) / bounds.width
+      const dy = (otherCenter.y - otherBounds.y) / otherBounds.height - (center.y - bounds.y) / bounds.height
+      costs.push({ i, j, cost: dx * dx + dy * dy + (i === j ? 0 : 1e-9) })
+    })
+  })
+
+  const order = new Array(contours.length).fill(-1)
+  const used = new Array(otherContours.length).fill(false)
+  costs.sort((a, b) => a.cost - b.cost).forEach(({ i, j }) => {
+    if (order[i] === -1 && !used[j]) {
+      order[i] = j
+      used[j] = true
+    }
+  })
+
+  return order.every(j => j !== -1) ? order : undefined
+}
+
+function getLabel (glyph, index) {
+  return glyph.name !== undefined ? '"' + glyph.name + '"' : String(index)
+}
+
+// Compare the contours of a glyph of a font to the contours of the reference glyph.
+function checkContours (contours, otherContours, font, label, tolerance, problems) {
+  const problem = (type, details, message) => problems.push(Object.assign({ type, font }, details, {
+    message: 'Glyph ' + label + ' of font ' + font + ': ' + message
+  }))
+
+  if (otherContours.length !== contours.length) {
+    problem('contourCount', { expected: contours.length, actual: otherContours.length },
+      'it has ' + otherContours.length + ' contours instead of ' + contours.length + '.')
+    return
+  }
+
+  const identity = contours.map((contour, i) => i)
+  const order = getContourOrder(contours, otherContours)
+  const contourOrder = order || identity
+  if (order && order.some((j, i) => j !== i)) {
+    problem('contourOrder', { expected: identity, actual: order }, 'the contours are in another order, ' + order.join(', ') + '.')
+  }
+
+  const suggestion = { font, contourOrder, startPoints: [], reversed: [] }
+  let fixable = true
+  contours.forEach((contour, i) => {
+    let other = otherContours[contourOrder[i]]
+    if (other.length !== contour.length) {
+      problem('pointCount', { contour: i, expected: contour.length, actual: other.length },
+        'contour ' + i + ' has ' + other.length + ' points instead of ' + contour.length + '.')
+      fixable = false
+      return
+    }
+
+    const reversed = Math.sign(getArea(other)) !== Math.sign(getArea(contour)) && getArea(other) !== 0 && getArea(contour) !== 0
+    if (reversed) {
+      problem('direction', { contour: i }, 'contour ' + i + ' has the other direction.')
+      other = reverseContour(other)
+    }
+
+    // The start point is the rotation of the points with the same types and the nearest points.
+    let best
+    let bestCost = Infinity
+    for (let start = 0; start < other.length; start += 1) {
+      if (!hasSameTypes(contour, other, start)) continue
+      const cost = getRotationCost(contour, other, start)
+      if (cost < bestCost) {
+        best = start
+        bestCost = cost
+      }
+    }
+
+    if (best === undefined) {
+      const index = contour.findIndex((pt, j) => pt.type !== other[j].type)
+      problem('commandType', { contour: i, point: index, expected: contour[index].type, actual: other[index].type },
+        'point ' + index + ' of contour ' + i + ' is ' + other[index].type + ' instead of ' + contour[index].type + '.')
+      fixable = false
+      return
+    }
+
+    const sameTypes = hasSameTypes(contour, other, 0)
+    // The types of the points only match from another start point, or its points are much nearer.
+    if (best !== 0 && (!sameTypes || bestCost < getRotationCost(contour, other, 0) * tolerance)) {
+      // The index of the start point in the contour before it is reversed.
+      const start = reversed ? (other.length - best) % other.length : best
+      problem('startPoint', { contour: i, expected: 0, actual: start }, 'contour ' + i + ' should start at point ' + start + '.')
+      suggestion.startPoints.push(start)
+    } else {
+      suggestion.startPoints.push(0)
+    }
+
+    suggestion.reversed.push(reversed)
+  })
+
+  return fixable ? suggestion : undefined
+}
+
+/**
+ * Check that the glyphs of several fonts can be interpolated, and report the glyphs that can't.
+ * The glyphs are compared to the glyphs of the first font, by name (or by index, if the glyphs have no names).
+ * The contours are compared with their TrueType points if all the glyphs have them, or else with the commands
+ * of their paths. The problems of each glyph are, by font:
+ * - `missing`: the font has no such glyph,
+ * - `components`: the composite glyphs have other components,
+ * - `contourCount` and `pointCount`: the glyphs have another number of contours, or a contour another number of points,
+ * - `commandType`: a point has another type, like a line instead of a curve (`on`, `off`, `quad` or `cubic` points),
+ * - `contourOrder`, `startPoint` and `direction`: the contours are in another order, start at another point or are reversed.
+ * When the contours only have the last kind of problems, the glyph has a suggestion for each font, with the `contourOrder`
+ * (the indexes of the contours that match the contours of the first font), the index of the point each contour should
+ * start at (before it is reversed) and whether the contours should be `reversed`.
+ * @param {Font[]} fonts
+ * @param {Object} [options]
+ * @param {string[]} [options.glyphNames] - the names of the glyphs to check, all of them by default
+ * @param {string} [options.outlines] - `'points'` or `'path'` to choose how contours are compared
+ * @param {number} [options.tolerance=0.95] - a start point is only suggested if its points are closer by this ratio
+ * @return {Object} `{ compatible, glyphs }`, where `glyphs` lists the `{ name, index, problems, suggestions }` of the
+ * glyphs that are not compatible
+ */
+function checkCompatibility (fonts, options = {}) {
+  check.argument(fonts && fonts.length > 0, 'There are no fonts to compare.')
+  const tolerance = options.tolerance !== undefined ? options.tolerance : 0.95
+  const getGlyphs = font => {
+    const glyphs = []
+    for (let i = 0; i < font.glyphs.length; i += 1) {
+      glyphs.push(font.glyphs.get(i))
+    }
+
+    return glyphs
+  }
+
+  const glyphLists = fonts.map(getGlyphs)
+  const byName = glyphLists.every(glyphs => glyphs.every(glyph => glyph.name !== undefined && glyph.name !== null))
+  const find = (glyphs, glyph, index) => byName ? glyphs.find(other => other.name === glyph.name) : glyphs[index]
+
+  const results = []
+  glyphLists[0].forEach((glyph, index) => {
+    if (options.glyphNames && options.glyphNames.indexOf(glyph.name) === -1) return
+    const label = getLabel(glyph, index)
+    const problems = []
+    const suggestions = []
+    const others = fonts.map((font, f) => f === 0 ? glyph : find(glyphLists[f], glyph, index))
+    others.forEach((other, f) => {
+      if (!other) {
+        problems.push({ type: 'missing', font: f, message: 'Glyph ' + label + ' is missing from font ' + f + '.' })
+      }
+    })
+
+    // The paths load the TrueType points.
+    const glyphs = others.filter(other => other)
+    glyphs.forEach(other => other.path)
+    const usePoints = options.outlines === 'points' ||
+      (options.outlines !== 'path' && glyphs.every(other => other.points && other.points.length > 0))
+    if (usePoints && glyphs.every(other => other.isComposite)) {
+      const components = glyph => glyph.components.map(component => component.glyphIndex).join()
+      others.forEach((other, f) => {
+        if (other && components(other) !== components(glyph)) {
+          problems.push({ type: 'components', font: f, message: 'Glyph ' + label + ' of font ' + f + ': it has other components.' })
+        }
+      })
+    } else {
+      const getContours = glyph => usePoints ? getPointContours(glyph) : getPathContours(glyph.path)
+      const contours = getContours(glyph)
+      others.forEach((other, f) => {
+        if (!other || f === 0) return
+        const fontProblems = []
+        const suggestion = checkContours(contours, getContours(other), f, label, tolerance, fontProblems)
+        if (fontProblems.length > 0) {
+          fontProblems.forEach(problem => problems.push(problem))
+          if (suggestion) {
+            suggestions.push(suggestion)
+          }
+        }
+      })
+    }
+
+    if (problems.length > 0) {
+      results.push({ name: glyph.name, index, problems, suggestions })
+    }
+  })
+
+  return { compatible: results.length === 0, glyphs: results }
+}
+
+export { checkCompatibility, getPathContours }
@@ -0,0 +1,583 @@
+// The Designspace object reads and writes designspace documents, which describe the axes, masters (sources),
+// instances and rules of a family, and interpolates the glyphs of the masters at any location.
+// https://fonttools.readthedocs.io/en/latest/designspaceLib/xml.html
+
+import check from './check.js'
+import Font from './font.js'
+import Glyph from './glyph.js'
+import Path from './path.js'
+import VariationModel from './variationModel.js'
+
+const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' }
+
+function decodeEntities (text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10))
+    }
+
+    return entities[entity] !== undefined ? entities[entity] : match
+  })
+}
+
+function escapeXML (text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+// Parse an XML document into a tree of { name, attributes, children, text, start, end } elements.
+// This is enough for designspace documents: there are no namespaces, and DTDs are skipped.
+function parseXML (xml) {
+  const root = { name: '', attributes: {}, children: [], text: '' }
+  const stack = [root]
+  const tokens = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g
+  let position = 0
+  let match
+  while ((match = tokens.exec(xml))) {
+    const element = stack[stack.length - 1]
+    const text = xml.slice(position, match.index)
+    check.argument(text.indexOf('<') === -1, 'Invalid XML at offset ' + (position + text.indexOf('<')) + '.')
+    element.text += decodeEntities(text)
+    position = tokens.lastIndex
+    if (match[1] !== undefined) {
+      element.text += match[1]
+    } else if (match[2] !== undefined) {
+      check.argument(stack.length > 1 && match[2] === element.name, 'Unexpected XML closing tag </' + match[2] + '>.')
+      element.end = tokens.lastIndex
+      stack.pop()
+    } else if (match[3] !== undefined) {
+      const child = { name: match[3], attributes: {}, children: [], text: '', start: match.index, end: tokens.lastIndex }
+      const attributes = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+      let attribute
+      while ((attribute = attributes.exec(match[4]))) {
+        child.attributes[attribute[1]] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3])
+      }
+
+      element.children.push(child)
+      if (!match[5]) {
+        stack.push(child)
+      }
+    }
+  }
+
+  check.argument(xml.slice(position).indexOf('<') === -1, 'Invalid XML at offset ' + position + '.')
+  check.argument(stack.length === 1, 'Unclosed XML element <' + stack[stack.length - 1].name + '>.')
+  return root
+}
+
+function getChildren (element, name) {
+  return element ? element.children.filter(child => child.name === name) : []
+}
+
+function getChild (element, name) {
+  return getChildren(element, name)[0]
+}
+
+function parseNumber (value) {
+  return value === undefined ? undefined : parseFloat(value)
+}
+
+function parseBoolean (value) {
+  return value === '1' || value === 'true'
+}
+
+// Get the translations of a name from its `labelname` elements, with an optional English name.
+function parseLabelNames (element, englishName) {
+  const names = {}
+  if (englishName !== undefined) {
+    names.en = englishName
+  }
+
+  getChildren(element, 'labelname').forEach(labelName => {
+    names[labelName.attributes['xml:lang']] = labelName.text.trim()
+  })
+  return names
+}
+
+// Parse an axis label, as a `STAT` axis value.
+function parseAxisLabel (label) {
+  const attributes = label.attributes
+  const value = { name: parseLabelNames(label, attributes.name) }
+  if (attributes.userminimum !== undefined || attributes.usermaximum !== undefined) {
+    value.format = 2
+    value.nominalValue = parseNumber(attributes.uservalue)
+    value.rangeMinValue = attributes.userminimum !== undefined ? parseNumber(attributes.userminimum) : -0x8000
+    value.rangeMaxValue = attributes.usermaximum !== undefined ? parseNumber(attributes.usermaximum) : 0x7FFF
+  } else {
+    value.value = parseNumber(attributes.uservalue)
+    if (attributes.linkeduservalue !== undefined) {
+      value.format = 3
+      value.linkedValue = parseNumber(attributes.linkeduservalue)
+    }
+  }
+
+  value.flags = (parseBoolean(attributes.oldersibling) ? 1 : 0) | (parseBoolean(attributes.elidable) ? 2 : 0)
+  return value
+}
+
+function parseAxis (element) {
+  const attributes = element.attributes
+  const axis = { tag: attributes.tag, name: attributes.name }
+  if (attributes.values !== undefined) {
+    // Discrete axes have a list of values instead of a range.
+    axis.discreteValues = attributes.values.trim().split(/\s+/).map(parseFloat)
+    axis.minValue = Math.min(...axis.discreteValues)
+    axis.maxValue = Math.max(...axis.discreteValues)
+  } else {
+    axis.minValue = parseNumber(attributes.minimum)
+    axis.maxValue = parseNumber(attributes.maximum)
+  }
+
+  axis.defaultValue = parseNumber(attributes.default)
+  check.argument(axis.tag && axis.name && !isNaN(axis.minValue) && !isNaN(axis.maxValue) && !isNaN(axis.defaultValue),
+    'Designspace axes need a tag, a name, and minimum, maximum and default values.')
+  if (parseBoolean(attributes.hidden)) {
+    axis.hidden = true
+  }
+
+  const labelNames = parseLabelNames(element)
+  if (Object.keys(labelNames).length > 0) {
+    axis.labelNames = labelNames
+  }
+
+  const maps = getChildren(element, 'map')
+  if (maps.length > 0) {
+    axis.map = maps.map(map => [parseNumber(map.attributes.input), parseNumber(map.attributes.output)])
+  }
+
+  const labels = getChildren(getChild(element, 'labels'), 'label')
+  if (labels.length > 0) {
+    axis.values = labels.map(parseAxisLabel)
+  }
+
+  return axis
+}
+
+class Designspace {
+  /**
+   * @param {Object} [options] - the `axes`, `sources`, `instances` and `rules` of the design space
+   */
+  constructor (options = {}) {
+    this.formatVersion = options.formatVersion || '5.0'
+    this.axes = options.axes || []
+    this.sources = options.sources || []
+    this.instances = options.instances || []
+    this.rules = options.rules || []
+    this.rulesProcessingLast = !!options.rulesProcessingLast
+    // The `lib` element is kept as XML.
+    this.lib = options.lib
+  }
+
+  /**
+   * Get the axis with the given name or tag.
+   * @param {string} name
+   * @return {Object}
+   */
+  getAxis (name) {
+    return this.axes.find(axis => axis.name === name) || this.axes.find(axis => axis.tag === name)
+  }
+
+  /**
+   * Map a location from user coordinates (the coordinates of the axis limits, like in the `fvar` table)
+   * to design coordinates (the coordinates of the sources), with the `map` of the axes.
+   * @param {Object} location - user coordinates, by axis tag
+   * @return {Object} design coordinates, by axis tag
+   */
+  mapToDesign (location) {
+    const designLocation = {}
+    for (const tag in location) {
+      const axis = this.getAxis(tag)
+      designLocation[tag] = axis ? VariationModel.mapValue(axis.map, location[tag]) : location[tag]
+    }
+
+    return designLocation
+  }
+
+  /**
+   * Map a location from design coordinates to user coordinates.
+   * @param {Object} location - design coordinates, by axis tag
+   * @return {Object} user coordinates, by axis tag
+   */
+  mapToUser (location) {
+    const userLocation = {}
+    for (const tag in location) {
+      const axis = this.getAxis(tag)
+      const map = axis && axis.map && axis.map.map(([user, design]) => [design, user])
+      userLocation[tag] = VariationModel.mapValue(map, location[tag])
+    }
+
+    return userLocation
+  }
+
+  /**
+   * Get the default location of the design space, in design coordinates.
+   * @return {Object}
+   */
+  getDefaultLocation () {
+    const location = {}
+    this.axes.forEach(axis => {
+      location[axis.tag] = VariationModel.mapValue(axis.map, axis.defaultValue)
+    })
+    return location
+  }
+
+  /**
+   * Link the sources to their fonts, which are set as the `font` of the sources.
+   * Then the sources can be interpolated, or used as the masters of `buildVariableFont`.
+   * @param {Function|Object} fonts - a function that returns the font of a source, or the fonts by file name or source name
+   */
+  linkSources (fonts) {
+    this.sources.forEach((source, i) => {
+      const font = typeof fonts === 'function' ? fonts(source, i) : (fonts[source.fileName] || fonts[source.name])
+      check.argument(font instanceof Font, 'There is no font for the source ' + (source.name || source.fileName || i) + '.')
+      source.font = font
+    })
+  }
+
+  /**
+   * Get the glyph substitutions of the rules at a location. A rule applies if one of its condition sets matches.
+   * @param {Object} location - design coordinates, by axis tag
+   * @return {Object} the names of the substituted glyphs, by glyph name
+   */
+  getRuleSubstitutions (location) {
+    const fullLocation = Object.assign(this.getDefaultLocation(), location)
+    const substitutions = {}
+    this.rules.forEach(rule => {
+      const matches = rule.conditionSets.some(conditions => conditions.every(condition => {
+        const value = fullLocation[condition.axis]
+        return (condition.minimum === undefined || value >= condition.minimum) &&
+          (condition.maximum === undefined || value <= condition.maximum)
+      }))
+      if (matches) {
+        rule.substitutions.forEach(([name, substitute]) => {
+          substitutions[name] = substitute
+        })
+      }
+    })
+    return substitutions
+  }
+
+  /**
+   * Interpolate a glyph of the sources at a location. The paths of the sources must have the same
+   * commands; sources that don't have the glyph, like sparse layers, are left out.
+   * @param {string} name - the name of the glyph
+   * @param {Object} [location] - design coordinates, by axis tag. Axes that are left out are at their default value.
+   * @return {Glyph} the interpolated glyph, or undefined if the default source doesn't have it
+   */
+  interpolateGlyph (name, location) {
+    return this.interpolateGlyphs([name], location)[0]
+  }
+
+  /**
+   * Interpolate glyphs of the sources at a location.
+   * @param {string[]} names - the names of the glyphs
+   * @param {Object} [location] - design coordinates, by axis tag
+   * @return {Glyph[]}
+   * @private
+   */
+  interpolateGlyphs (names, location) {
+    const sources = this.sources
+    sources.forEach((source, i) => {
+      check.argument(source.font, 'The source ' + (source.name || source.fileName || i) + ' is not linked to a font.')
+    })
+
+    const glyphsByName = sources.map(source => {
+      const glyphs = {}
+      for (let i = 0; i < source.font.glyphs.length; i += 1) {
+        const glyph = source.font.glyphs.get(i)
+        if (glyph.name !== undefined && !glyphs[glyph.name]) {
+          glyphs[glyph.name] = glyph
+        }
+      }
+      return glyphs
+    })
+
+    const normalized = VariationModel.normalizeLocation(this.axes, location)
+    const models = {}
+    return names.map(name => {
+      // The sources that have the glyph share a model, cached by the list of sources.
+      const glyphSources = sources.map((source, i) => i).filter(i => glyphsByName[i][name])
+      if (glyphSources.length === 0) return
+      const key = glyphSources.join()
+      if (!models[key]) {
+        const locations = glyphSources.map(i => VariationModel.normalizeLocation(this.axes, sources[i].location))
+        if (!locations.some(coordinates => coordinates.every(value => value === 0))) {
+          models[key] = null
+        } else {
+          const model = new VariationModel(locations)
+          models[key] = { model, weights: model.getMasterWeights(normalized) }
+        }
+      }
+
+      if (!models[key]) return
+      const { model, weights } = models[key]
+      const glyphs = glyphSources.map(i => glyphsByName[i][name])
+      const defaultGlyph = glyphs[model.order[0]]
+      const interpolate = values => values.reduce((sum, value, i) => sum + value * weights[i], 0)
+      const glyph = new Glyph({
+        name,
+        unicode: defaultGlyph.unicode,
+        advanceWidth: interpolate(glyphs.map(glyph => glyph.advanceWidth || 0)),
+        path: this.interpolatePath(glyphs.map(glyph => glyph.path), interpolate,
+          i => 'Glyph "' + name + '" of source ' + (sources[glyphSources[i]].name || glyphSources[i]))
+      })
+      glyph.unicodes = defaultGlyph.unicodes.slice()
+      return glyph
+    })
+  }
+
+  /**
+   * Interpolate compatible paths with the same commands.
+   * @param {Path[]} paths
+   * @param {Function} interpolate - interpolates the values of a coordinate in the paths
+   * @param {Function} getLabel - the label of a path in error messages
+   * @return {Path}
+   * @private
+   */
+  interpolatePath (paths, interpolate, getLabel) {
+    const path = new Path()
+    const commands = paths[0].commands
+    paths.forEach((other, i) => {
+      check.argument(other.commands.length === commands.length, getLabel(i) + ' is not compatible: it has ' +
+        other.commands.length + ' path commands instead of ' + commands.length + '.')
+      other.commands.forEach((command, j) => {
+        check.argument(command.type === commands[j].type, getLabel(i) + ' is not compatible: path command ' + j +
+          ' is ' + command.type + ' instead of ' + commands[j].type + '.')
+      })
+    })
+
+    path.commands = commands.map((command, j) => {
+      const interpolated = { type: command.type }
+      ;['x1', 'y1', 'x2', 'y2', 'x', 'y'].forEach(key => {
+        if (command[key] !== undefined) {
+          interpolated[key] = interpolate(paths.map(other => other.commands[j][key]))
+        }
+      })
+      return interpolated
+    })
+    return path
+  }
+
+  /**
+   * Interpolate a font at a location of the design space, or at an instance, in memory.
+   * The glyphs and vertical metrics are interpolated from the sources, and the glyphs substituted
+   * by the rules at that location get the outlines of their substitutes.
+   * @param {Object} instance - an instance of the design space, or a location in design coordinates
+   * @return {Font}
+   */
+  interpolateFont (instance) {
+    const location = instance.location || instance
+    const defaultSource = this.sources.find(source => !source.layerName &&
+      VariationModel.normalizeLocation(this.axes, source.location).every(value => value === 0))
+    check.argument(defaultSource && defaultSource.font, 'There is no source font at the default location.')
+
+    // The vertical metrics are interpolated from the full sources, without sparse layers.
+    const sources = this.sources.filter(source => !source.layerName)
+    const model = new VariationModel(sources.map(source => VariationModel.normalizeLocation(this.axes, source.location)))
+    const weights = model.getMasterWeights(VariationModel.normalizeLocation(this.axes, location))
+    const interpolate = key => Math.round(sources.reduce((sum, source, i) => sum + source.font[key] * weights[i], 0))
+
+    const defaultFont = defaultSource.font
+    const names = []
+    for (let i = 0; i < defaultFont.glyphs.length; i += 1) {
+      names.push(defaultFont.glyphs.get(i).name)
+    }
+
+    const substitutions = this.getRuleSubstitutions(location)
+    const glyphs = this.interpolateGlyphs(names.map(name => substitutions[name] || name), location)
+    return new Font({
+      familyName: instance.familyName || defaultFont.getEnglishName('fontFamily'),
+      styleName: instance.styleName || 'Instance',
+      postScriptName: instance.postScriptFontName,
+      unitsPerEm: defaultFont.unitsPerEm,
+      ascender: interpolate('ascender'),
+      descender: Math.min(0, interpolate('descender')),
+      glyphs: glyphs.map((glyph, i) => {
+        const original = defaultFont.glyphs.get(i)
+        if (!glyph) {
+          glyph = new Glyph({ name: names[i], advanceWidth: original.advanceWidth, path: new Path() })
+        }
+
+        glyph.name = names[i]
+        glyph.unicode = original.unicode
+        glyph.unicodes = original.unicodes.slice()
+        return glyph
+      })
+    })
+  }
+
+  /**
+   * Write the designspace document as XML, in format 5.0.
+   * @return {string}
+   */
+  toXML () {
+    const lines = ['<?xml version=\'1.0\' encoding=\'UTF-8\'?>', '<designspace format="' + escapeXML(this.formatVersion) + '">']
+    const write = (indent, name, attributes, children, text) => {
+      const pad = '  '.repeat(indent)
+      let tag = '<' + name
+      for (const key in attributes) {
+        if (attributes[key] !== undefined) {
+          tag += ' ' + key + '="' + escapeXML(attributes[key]) + '"'
+        }
+      }
+
+      if (text !== undefined) {
+        lines.push(pad + tag + '>' + escapeXML(text) + '</' + name + '>')
+      } else if (children && children.length > 0) {
+        lines.push(pad + tag + '>')
+        children.forEach(child => write(indent + 1, ...child))
+        lines.push(pad + '</' + name + '>')
+      } else {
+        lines.push(pad + tag + '/>')
+      }
+    }
+
+    const labelNames = (names, skipEnglish) => Object.keys(names || {})
+      .filter(lang => !skipEnglish || lang !== 'en')
+      .map(lang => ['labelname', { 'xml:lang': lang }, [], names[lang]])
+    const location = coordinates => ['location', {}, Object.keys(coordinates || {}).map(tag => {
+      const axis = this.getAxis(tag)
+      return ['dimension', { name: axis ? axis.name : tag, xvalue: coordinates[tag] }]
+    })]
+
+    write(1, 'axes', {}, this.axes.map(axis => ['axis', {
+      tag: axis.tag,
+      name: axis.name,
+      minimum: axis.discreteValues ? undefined : axis.minValue,
+      maximum: axis.discreteValues ? undefined : axis.maxValue,
+      values: axis.discreteValues ? axis.discreteValues.join(' ') : undefined,
+      default: axis.defaultValue,
+      hidden: axis.hidden ? '1' : undefined
+    }, labelNames(axis.labelNames).concat(
+      (axis.map || []).map(([input, output]) => ['map', { input, output }]),
+      axis.values ? [['labels', {}, axis.values.map(value => {
+        const name = typeof value.name === 'string' ? { en: value.name } : value.name
+        return ['label', {
+          uservalue: value.format === 2 ? value.nominalValue : value.value,
+          userminimum: value.format === 2 ? value.rangeMinValue : undefined,
+          usermaximum: value.format === 2 ? value.rangeMaxValue : undefined,
+          linkeduservalue: value.linkedValue,
+          name: name.en,
+          elidable: value.flags & 2 ? 'true' : undefined,
+          oldersibling: value.flags & 1 ? 'true' : undefined
+        }, labelNames(name, true)]
+      })]] : []
+    )]))
+
+    if (this.rules.length > 0) {
+      write(1, 'rules', { processing: this.rulesProcessingLast ? 'last' : undefined }, this.rules.map(rule => ['rule', { name: rule.name },
+        rule.conditionSets.map(conditions => ['conditionset', {}, conditions.map(condition => ['condition', {
+          name: this.getAxis(condition.axis) ? this.getAxis(condition.axis).name : condition.axis,
+          minimum: condition.minimum,
+          maximum: condition.maximum
+        }])]).concat(rule.substitutions.map(([name, substitute]) => ['sub', { name, with: substitute }]))
+      ]))
+    }
+
+    write(1, 'sources', {}, this.sources.map(source => ['source', {
+      filename: source.fileName,
+      name: source.name,
+      familyname: source.familyName,
+      stylename: source.styleName,
+      layer: source.layerName
+    }, [location(source.location)]]))
+
+    if (this.instances.length > 0) {
+      write(1, 'instances', {}, this.instances.map(instance => ['instance', {
+        name: instance.name,
+        familyname: instance.familyName,
+        stylename: instance.styleName,
+        filename: instance.fileName,
+        postscriptfontname: instance.postScriptFontName,
+        stylemapfamilyname: instance.styleMapFamilyName,
+        stylemapstylename: instance.styleMapStyleName
+      }, [location(instance.location)]]))
+    }
+
+    if (this.lib) {
+      lines.push('  ' + this.lib)
+    }
+
+    lines.push('</designspace>')
+    return lines.join('\n') + '\n'
+  }
+}
+
+/**
+ * Parse a designspace document. The sources have their location in design coordinates by axis tag,
+ * and can then be linked to fonts with `linkSources`.
+ * @param {string} xml
+ * @return {Designspace}
+ */
+function parseDesignspace (xml) {
+  const document = getChild(parseXML(xml), 'designspace')
+  check.argument(document, 'The document is not a designspace document.')
+  const axes = getChildren(getChild(document, 'axes'), 'axis').map(parseAxis)
+  const getTag = name => {
+    const axis = axes.find(axis => axis.name === name)
+    check.argument(axis, 'The designspace has no axis named ' + name + '.')
+    return axis.tag
+  }
+
+  const designspace = new Designspace({ formatVersion: document.attributes.format, axes })
+  const parseLocation = element => {
+    const location = {}
+    getChildren(getChild(element, 'location'), 'dimension').forEach(dimension => {
+      const tag = getTag(dimension.attributes.name)
+      // Dimensions can also be given in user coordinates.
+      location[tag] = dimension.attributes.xvalue !== undefined
+        ? parseNumber(dimension.attributes.xvalue)
+        : designspace.mapToDesign({ [tag]: parseNumber(dimension.attributes.uservalue) })[tag]
+    })
+    return location
+  }
+
+  designspace.sources = getChildren(getChild(document, 'sources'), 'source').map(source => ({
+    name: source.attributes.name,
+    fileName: source.attributes.filename,
+    familyName: source.attributes.familyname,
+    styleName: source.attributes.stylename,
+    layerName: source.attributes.layer,
+    location: parseLocation(source)
+  }))
+
+  designspace.instances = getChildren(getChild(document, 'instances'), 'instance').map(instance => ({
+    name: instance.attributes.name,
+    familyName: instance.attributes.familyname,
+    styleName: instance.attributes.stylename,
+    fileName: instance.attributes.filename,
+    postScriptFontName: instance.attributes.postscriptfontname,
+    styleMapFamilyName: instance.attributes.stylemapfamilyname,
+    styleMapStyleName: instance.attributes.stylemapstylename,
+    location: parseLocation(instance)
+  }))
+
+  const rules = getChild(document, 'rules')
+  designspace.rulesProcessingLast = !!rules && rules.attributes.processing === 'last'
+  designspace.rules = getChildren(rules, 'rule').map(rule => {
+    const parseConditions = element => getChildren(element, 'condition').map(condition => ({
+      axis: getTag(condition.attributes.name),
+      minimum: parseNumber(condition.attributes.minimum),
+      maximum: parseNumber(condition.attributes.maximum)
+    }))
+    // Conditions outside of a condition set are an older form of a single condition set.
+    const conditionSets = getChildren(rule, 'conditionset').map(parseConditions)
+    if (getChildren(rule, 'condition').length > 0) {
+      conditionSets.push(parseConditions(rule))
+    }
+
+    return {
+      name: rule.attributes.name,
+      conditionSets,
+      substitutions: getChildren(rule, 'sub').map(sub => [sub.attributes.name, sub.attributes.with])
+    }
+  })
+
+  const lib = getChild(document, 'lib')
+  if (lib) {
+    designspace.lib = xml.slice(lib.start, lib.end)
+  }
+
+  return designspace
+}
+
+export { Designspace, parseDesignspace }
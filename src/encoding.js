@@ -163,11 +163,22 @@ class CmapEncoding {
   }
 
   /**
-   * @param  {string} c - the character
+   * A character followed by a variation selector is mapped with the
+   * Unicode Variation Sequences of the cmap table, if the font has one for it.
+   * @param  {string} c - the character, optionally followed by a variation selector
    * @return {number} The glyph index.
    */
   charToGlyphIndex (c) {
-    return this.cmap.glyphIndexMap[c.codePointAt(0)] || 0
+    const code = c.codePointAt(0)
+    const variationSelectors = this.cmap.variationSelectors
+    const length = code > 0xFFFF ? 2 : 1
+    if (variationSelectors && c.length > length) {
+      const selector = variationSelectors[c.codePointAt(length)]
+      if (selector && selector.nonDefaultUVS[code] !== undefined) {
+        return selector.nonDefaultUVS[code]
+      }
+    }
+    return this.cmap.glyphIndexMap[code] || 0
   }
 }
 
@@ -21,15 +21,19 @@ function singleSubstitutionFormat2 (action, tokens, index) {
 }
 
 /**
- * Apply chaining context substitution format 3
+ * Apply context and chaining context substitutions, of any format
  * @param {Array} substitutions substitutions
  * @param {any} tokens a list of tokens
  * @param {number} index token index
  */
-function chainingSubstitutionFormat3 (action, tokens, index) {
+function contextSubstitution (action, tokens, index) {
   action.substitution.forEach((subst, offset) => {
     const token = tokens[index + offset]
-    token.setState(action.tag, subst)
+    if (subst === null) {
+      token.setState('deleted', true)
+    } else {
+      token.setState(action.tag, subst)
+    }
   })
 }
 
@@ -55,8 +59,15 @@ function ligatureSubstitutionFormat1 (action, tokens, index) {
 const SUBSTITUTIONS = {
   11: singleSubstitutionFormat1,
   12: singleSubstitutionFormat2,
-  63: chainingSubstitutionFormat3,
-  41: ligatureSubstitutionFormat1
+  31: singleSubstitutionFormat1,
+  51: contextSubstitution,
+  52: contextSubstitution,
+  53: contextSubstitution,
+  61: contextSubstitution,
+  62: contextSubstitution,
+  63: contextSubstitution,
+  41: ligatureSubstitutionFormat1,
+  81: singleSubstitutionFormat1
 }
 
 /**
@@ -3,14 +3,16 @@
  */
 
 import { ContextParams } from '../tokenizer.js'
-import { isTashkeelArabicChar } from '../char.js'
 
 /**
  * Create feature query instance
  * @param {Font} font opentype font instance
+ * @param {Object} [variation] location in the design space of a variable font,
+ * where the FeatureVariations table can replace the feature tables
  */
-function FeatureQuery (font) {
+function FeatureQuery (font, variation) {
   this.font = font
+  this.variation = variation
   this.features = {}
 }
 
@@ -79,88 +81,180 @@ function singleSubstitutionFormat2 (glyphIndex, subtable) {
   return subtable.substitute[substituteIndex]
 }
 
+// Maximum nesting of contextual lookups, to protect against lookups that call each other.
+const maxContextDepth = 16
+
 /**
- * Lookup a list of coverage tables
- * @param {any} coverageList a list of coverage tables
- * @param {ContextParams} contextParams context params to lookup
+ * Get the glyph index of a context item, the first glyph of a decomposed glyph
+ * @param {number|number[]} value context item
  */
-function lookupCoverageList (coverageList, contextParams) {
-  const lookupList = []
-  for (let i = 0; i < coverageList.length; i++) {
-    const coverage = coverageList[i]
-    let glyphIndex = contextParams.current
-    glyphIndex = Array.isArray(glyphIndex) ? glyphIndex[0] : glyphIndex
-    const lookupIndex = lookupCoverage(glyphIndex, coverage)
-    if (lookupIndex !== -1) {
-      lookupList.push(lookupIndex)
-    }
+function getGlyph (value) {
+  return Array.isArray(value) ? value[0] : value
+}
+
+/**
+ * Get the lookup type and subtable of a lookup, unwrapping
+ * the subtables of extension substitutions (7)
+ * @param {any} lookupTable lookup table
+ * @param {any} subtable subtable
+ */
+function unwrapExtension (lookupTable, subtable) {
+  if (lookupTable.lookupType === 7) {
+    return { lookupType: subtable.lookupType, subtable: subtable.extension }
   }
-  if (lookupList.length !== coverageList.length) return -1
-  return lookupList
+  return { lookupType: lookupTable.lookupType, subtable }
 }
 
 /**
- * Handle chaining context substitution - format 3
- * @param {ContextParams} contextParams context params to lookup
+ * Get the index of the next glyph in the given direction,
+ * that is neither deleted (null) nor skipped by the lookup flags
+ * @param {any} lookupTable lookup table
+ * @param {Array} glyphs a list of glyph indexes
+ * @param {number} index index to start from
+ * @param {number} direction 1 or -1
+ * @return {number} -1 if not found
  */
-function chainingSubstitutionFormat3 (contextParams, subtable) {
-  const lookupsCount = (
-    subtable.inputCoverage.length +
-        subtable.lookaheadCoverage.length +
-        subtable.backtrackCoverage.length
-  )
-  if (contextParams.context.length < lookupsCount) return []
-  // INPUT LOOKUP //
-  const inputLookups = lookupCoverageList(
-    subtable.inputCoverage, contextParams
-  )
-  if (inputLookups === -1) return []
-  // LOOKAHEAD LOOKUP //
-  const lookaheadOffset = subtable.inputCoverage.length - 1
-  if (contextParams.lookahead.length < subtable.lookaheadCoverage.length) return []
-  const lookaheadContext = contextParams.lookahead.slice(lookaheadOffset)
-  while (lookaheadContext.length && isTashkeelArabicChar(lookaheadContext[0].char)) {
-    lookaheadContext.shift()
+function getNextGlyphIndex (lookupTable, glyphs, index, direction) {
+  for (let i = index + direction; i >= 0 && i < glyphs.length; i += direction) {
+    if (glyphs[i] === null) continue
+    if (!this.font.substitution.isIgnoredGlyph(lookupTable, getGlyph(glyphs[i]))) return i
   }
-  const lookaheadParams = new ContextParams(lookaheadContext, 0)
-  const lookaheadLookups = lookupCoverageList(
-    subtable.lookaheadCoverage, lookaheadParams
-  )
-  // BACKTRACK LOOKUP //
-  const backtrackContext = [].concat(contextParams.backtrack)
-  backtrackContext.reverse()
-  while (backtrackContext.length && isTashkeelArabicChar(backtrackContext[0].char)) {
-    backtrackContext.shift()
+  return -1
+}
+
+/**
+ * Match the glyphs before (direction -1) or after (direction 1) a glyph against a list of values
+ * @param {any} lookupTable lookup table
+ * @param {Array} glyphs a list of glyph indexes
+ * @param {number} index index of the glyph
+ * @param {number} direction 1 or -1
+ * @param {Array} values glyph indexes, classes or coverage tables
+ * @param {function} test checks a glyph index against a value
+ * @return {number[]|undefined} the indexes of the matched glyphs
+ */
+function matchSequence (lookupTable, glyphs, index, direction, values, test) {
+  const matched = []
+  for (let k = 0; k < values.length; k++) {
+    index = getNextGlyphIndex.call(this, lookupTable, glyphs, index, direction)
+    if (index < 0 || !test(getGlyph(glyphs[index]), values[k])) return
+    matched.push(index)
   }
-  if (backtrackContext.length < subtable.backtrackCoverage.length) return []
-  const backtrackParams = new ContextParams(backtrackContext, 0)
-  const backtrackLookups = lookupCoverageList(
-    subtable.backtrackCoverage, backtrackParams
-  )
-  const contextRulesMatch = (
-    inputLookups.length === subtable.inputCoverage.length &&
-        lookaheadLookups.length === subtable.lookaheadCoverage.length &&
-        backtrackLookups.length === subtable.backtrackCoverage.length
-  )
-  const substitutions = []
-  if (contextRulesMatch) {
-    for (let i = 0; i < subtable.lookupRecords.length; i++) {
-      const lookupRecord = subtable.lookupRecords[i]
-      const lookupListIndex = lookupRecord.lookupListIndex
-      const lookupTable = this.getLookupByIndex(lookupListIndex)
-      for (let s = 0; s < lookupTable.subtables.length; s++) {
-        const subtable = lookupTable.subtables[s]
-        const lookup = this.getLookupMethod(lookupTable, subtable)
-        const substitutionType = this.getSubstitutionType(lookupTable, subtable)
-        if (substitutionType === '12') {
-          for (let n = 0; n < inputLookups.length; n++) {
-            const glyphIndex = contextParams.get(n)
-            const substitution = lookup(glyphIndex)
-            if (substitution) substitutions.push(substitution)
-          }
+  return matched
+}
+
+/**
+ * Get the rules of a context (5) or chaining context (6) substitution
+ * that may apply to a glyph, with the tests of their glyph sequences
+ * @param {number} lookupType lookup type
+ * @param {any} subtable subtable
+ * @param {number} glyphIndex glyph index
+ */
+function getContextRules (lookupType, subtable, glyphIndex) {
+  const substitution = this.font.substitution
+  const isSame = (glyphIndex, value) => glyphIndex === value
+  const isCovered = (glyphIndex, coverage) => lookupCoverage(glyphIndex, coverage) !== -1
+  const isInClass = classDef => (glyphIndex, value) => substitution.getGlyphClass(classDef, glyphIndex) === value
+  const format = subtable.substFormat
+  if (format === 1) {
+    const coverageIndex = lookupCoverage(glyphIndex, subtable.coverage)
+    if (coverageIndex === -1) return null
+    const rules = (lookupType === 5 ? subtable.ruleSets : subtable.chainRuleSets)[coverageIndex] || []
+    return { rules, backtrackTest: isSame, inputTest: isSame, lookaheadTest: isSame }
+  } else if (format === 2) {
+    if (lookupCoverage(glyphIndex, subtable.coverage) === -1) return null
+    if (lookupType === 5) {
+      const classSet = subtable.classSets[substitution.getGlyphClass(subtable.classDef, glyphIndex)] || []
+      const rules = classSet.map(rule => ({ input: rule.classes, lookupRecords: rule.lookupRecords }))
+      return { rules, inputTest: isInClass(subtable.classDef) }
+    }
+    const rules = subtable.chainClassSet[substitution.getGlyphClass(subtable.inputClassDef, glyphIndex)] || []
+    return {
+      rules,
+      backtrackTest: isInClass(subtable.backtrackClassDef),
+      inputTest: isInClass(subtable.inputClassDef),
+      lookaheadTest: isInClass(subtable.lookaheadClassDef)
+    }
+  } else if (format === 3) {
+    const coverages = lookupType === 5 ? subtable.coverages : subtable.inputCoverage
+    if (lookupCoverage(glyphIndex, coverages[0]) === -1) return null
+    const rules = [{
+      backtrack: subtable.backtrackCoverage,
+      input: coverages.slice(1),
+      lookahead: subtable.lookaheadCoverage,
+      lookupRecords: subtable.lookupRecords
+    }]
+    return { rules, backtrackTest: isCovered, inputTest: isCovered, lookaheadTest: isCovered }
+  }
+  return null
+}
+
+/**
+ * Apply a context (5) or chaining context (6) substitution to a glyph:
+ * the nested lookups of the first matching rule are applied to its input glyphs
+ * @param {any} lookupTable lookup table
+ * @param {number} lookupType lookup type
+ * @param {any} subtable subtable
+ * @param {Array} glyphs a list of glyph indexes, modified in place
+ * @param {number} index index of the glyph
+ * @param {number} alternate index of the alternate glyph of the nested alternate substitutions
+ * @param {number} depth nesting depth of the lookup
+ * @return {boolean} whether a rule matched
+ */
+function applyContextSubstitution (lookupTable, lookupType, subtable, glyphs, index, alternate, depth) {
+  const context = getContextRules.call(this, lookupType, subtable, getGlyph(glyphs[index]))
+  if (!context) return -1
+  for (let r = 0; r < context.rules.length; r++) {
+    const rule = context.rules[r]
+    const input = matchSequence.call(this, lookupTable, glyphs, index, 1, rule.input, context.inputTest)
+    if (!input) continue
+    const inputIndexes = [index].concat(input)
+    const last = inputIndexes[inputIndexes.length - 1]
+    if (rule.backtrack && !matchSequence.call(this, lookupTable, glyphs, index, -1, rule.backtrack, context.backtrackTest)) continue
+    if (rule.lookahead && !matchSequence.call(this, lookupTable, glyphs, last, 1, rule.lookahead, context.lookaheadTest)) continue
+    if (depth < maxContextDepth) {
+      for (let l = 0; l < rule.lookupRecords.length; l++) {
+        const lookupRecord = rule.lookupRecords[l]
+        const nestedLookup = this.getLookupByIndex(lookupRecord.lookupListIndex)
+        const nestedIndex = inputIndexes[lookupRecord.sequenceIndex]
+        if (nestedLookup && nestedIndex !== undefined && glyphs[nestedIndex] !== null) {
+          this.applyLookup(nestedLookup, glyphs, nestedIndex, alternate, depth + 1)
         }
       }
     }
+    return last
+  }
+  return -1
+}
+
+/**
+ * Handle reverse chaining context single substitution - format 1
+ * @param {any} lookupTable lookup table
+ * @param {any} subtable subtable
+ * @param {Array} glyphs a list of glyph indexes
+ * @param {number} index index of the glyph
+ */
+function reverseChainingSubstitutionFormat1 (lookupTable, subtable, glyphs, index) {
+  const substituteIndex = lookupCoverage(getGlyph(glyphs[index]), subtable.coverage)
+  if (substituteIndex === -1) return null
+  const isCovered = (glyphIndex, coverage) => lookupCoverage(glyphIndex, coverage) !== -1
+  if (!matchSequence.call(this, lookupTable, glyphs, index, -1, subtable.backtrackCoverage, isCovered) ||
+      !matchSequence.call(this, lookupTable, glyphs, index, 1, subtable.lookaheadCoverage, isCovered)) return null
+  return subtable.substitutes[substituteIndex]
+}
+
+/**
+ * Handle a context (5) or chaining context (6) substitution, of any format
+ * @param {ContextParams} contextParams context params to lookup
+ * @return {Array} the new glyphs from the current index, where the unchanged glyphs
+ * are left empty and the glyphs merged in a ligature are null
+ */
+function contextSubstitution (contextParams, lookupTable, lookupType, subtable) {
+  const glyphs = [].concat(contextParams.context)
+  const index = contextParams.index
+  const substitutions = []
+  if (applyContextSubstitution.call(this, lookupTable, lookupType, subtable, glyphs, index, 1, 0) === -1) return substitutions
+  for (let i = index; i < glyphs.length; i++) {
+    if (glyphs[i] !== contextParams.context[i]) substitutions[i - index] = glyphs[i]
   }
   return substitutions
 }
@@ -190,6 +284,18 @@ function ligatureSubstitutionFormat1 (contextParams, subtable) {
   return null
 }
 
+/**
+ * Handle alternate substitution - format 1
+ * @param {number} glyphIndex glyph index
+ * @param {any} subtable subtable
+ * @return {number[]} the alternate glyphs
+ */
+function alternateSubstitutionFormat1 (glyphIndex, subtable) {
+  const alternateSetIndex = lookupCoverage(glyphIndex, subtable.coverage)
+  if (alternateSetIndex === -1) return null
+  return subtable.alternateSets[alternateSetIndex]
+}
+
 /**
  * Handle decomposition substitution - format 1
  * @param {number} glyphIndex glyph index
@@ -271,7 +377,10 @@ FeatureQuery.prototype.getScriptFeatures = function (scriptTag) {
   const featuresIndexes = this.getScriptFeaturesIndexes(scriptTag)
   if (!featuresIndexes) return null
   const gsub = this.font.tables.gsub
-  features = featuresIndexes.map(index => gsub.features[index])
+  const featureTables = this.font.substitution.getFeatureVariationTables(this.variation)
+  features = featuresIndexes.map(index => featureTables[index]
+    ? { tag: gsub.features[index].tag, feature: featureTables[index] }
+    : gsub.features[index])
   this.features[scriptTag] = features
   this.mapTagsToFeatures(features, scriptTag)
   return features
@@ -283,8 +392,9 @@ FeatureQuery.prototype.getScriptFeatures = function (scriptTag) {
  * @param {any} subtable subtable
  */
 FeatureQuery.prototype.getSubstitutionType = function (lookupTable, subtable) {
-  const lookupType = lookupTable.lookupType.toString()
-  const substFormat = subtable.substFormat.toString()
+  const extension = unwrapExtension(lookupTable, subtable)
+  const lookupType = extension.lookupType.toString()
+  const substFormat = extension.subtable.substFormat.toString()
   return lookupType + substFormat
 }
 
@@ -295,6 +405,8 @@ FeatureQuery.prototype.getSubstitutionType = function (lookupTable, subtable) {
  */
 FeatureQuery.prototype.getLookupMethod = function (lookupTable, subtable) {
   const substitutionType = this.getSubstitutionType(lookupTable, subtable)
+  const lookupType = unwrapExtension(lookupTable, subtable).lookupType
+  subtable = unwrapExtension(lookupTable, subtable).subtable
   switch (substitutionType) {
     case '11':
       return glyphIndex => singleSubstitutionFormat1.apply(
@@ -304,9 +416,22 @@ FeatureQuery.prototype.getLookupMethod = function (lookupTable, subtable) {
       return glyphIndex => singleSubstitutionFormat2.apply(
         this, [glyphIndex, subtable]
       )
+    case '51':
+    case '52':
+    case '53':
+    case '61':
+    case '62':
     case '63':
-      return contextParams => chainingSubstitutionFormat3.apply(
-        this, [contextParams, subtable]
+      return contextParams => contextSubstitution.apply(
+        this, [contextParams, lookupTable, lookupType, subtable]
+      )
+    case '81':
+      return contextParams => reverseChainingSubstitutionFormat1.apply(
+        this, [lookupTable, subtable, contextParams.context, contextParams.index]
+      )
+    case '31':
+      return glyphIndex => alternateSubstitutionFormat1.apply(
+        this, [glyphIndex, subtable]
       )
     case '41':
       return contextParams => ligatureSubstitutionFormat1.apply(
@@ -318,13 +443,90 @@ FeatureQuery.prototype.getLookupMethod = function (lookupTable, subtable) {
       )
     default:
       throw new Error(
-                `lookupType: ${lookupTable.lookupType} - ` +
+                `lookupType: ${lookupType} - ` +
                 `substFormat: ${subtable.substFormat} ` +
                 'is not yet supported'
       )
   }
 }
 
+/**
+ * Apply the first matching subtable of a lookup to a glyph of a list of glyphs,
+ * like the nested lookups of context substitutions
+ * @param {any} lookupTable lookup table
+ * @param {Array} glyphs a list of glyph indexes, modified in place: a multiple
+ * substitution sets a list of glyph indexes, and the glyphs merged in a ligature are set to null
+ * @param {number} index index of the glyph
+ * @param {number} [alternate=1] index of the alternate glyph of alternate substitutions, from 1,
+ * like the value of the feature in the feature settings
+ * @param {number} [depth] nesting depth of the lookup
+ * @return {boolean} whether the glyph was substituted
+ */
+FeatureQuery.prototype.applyLookup = function (lookupTable, glyphs, index, alternate = 1, depth = 0) {
+  return this.applyLookupInput(lookupTable, glyphs, index, alternate, depth) !== -1
+}
+
+/**
+ * Apply a lookup like `applyLookup`, and find where the input it matched ends
+ * @return {number} the index of the last glyph of the input, which is the glyph itself
+ * unless a context matched, or -1 when the glyph was not substituted
+ */
+FeatureQuery.prototype.applyLookupInput = function (lookupTable, glyphs, index, alternate = 1, depth = 0) {
+  const glyphIndex = getGlyph(glyphs[index])
+  if (this.font.substitution.isIgnoredGlyph(lookupTable, glyphIndex)) return -1
+  const subtables = this.getLookupSubtables(lookupTable) || []
+  for (let s = 0; s < subtables.length; s++) {
+    const { lookupType, subtable } = unwrapExtension(lookupTable, subtables[s])
+    let substitution = null
+    switch (lookupType) {
+      case 1:
+        substitution = subtable.substFormat === 1
+          ? singleSubstitutionFormat1(glyphIndex, subtable)
+          : singleSubstitutionFormat2(glyphIndex, subtable)
+        break
+      case 2:
+        substitution = decompositionSubstitutionFormat1(glyphIndex, subtable)
+        break
+      case 3: {
+        const alternates = alternateSubstitutionFormat1(glyphIndex, subtable)
+        if (alternates && alternate >= 1 && alternate <= alternates.length) substitution = alternates[alternate - 1]
+        break
+      }
+      case 4: {
+        const ligatureSetIndex = lookupCoverage(glyphIndex, subtable.coverage)
+        if (ligatureSetIndex === -1) break
+        const ligatureSet = subtable.ligatureSets[ligatureSetIndex]
+        for (let l = 0; l < ligatureSet.length; l++) {
+          const ligature = ligatureSet[l]
+          const components = matchSequence.call(
+            this, lookupTable, glyphs, index, 1, ligature.components, (glyphIndex, component) => glyphIndex === component
+          )
+          if (components) {
+            components.forEach(componentIndex => { glyphs[componentIndex] = null })
+            substitution = ligature.ligGlyph
+            break
+          }
+        }
+        break
+      }
+      case 5:
+      case 6: {
+        const last = applyContextSubstitution.call(this, lookupTable, lookupType, subtable, glyphs, index, alternate, depth)
+        if (last !== -1) return last
+        break
+      }
+      case 8:
+        substitution = reverseChainingSubstitutionFormat1.call(this, lookupTable, subtable, glyphs, index)
+        break
+    }
+    if (substitution !== null && substitution !== undefined) {
+      glyphs[index] = substitution
+      return index
+    }
+  }
+  return -1
+}
+
 /**
  * [ LOOKUP TYPES ]
  * -------------------------------
@@ -392,11 +594,33 @@ FeatureQuery.prototype.lookupFeature = function (query) {
             }))
           }
           break
+        case '51':
+        case '52':
+        case '53':
+        case '61':
+        case '62':
         case '63':
           substitution = lookup(contextParams)
           if (Array.isArray(substitution) && substitution.length) {
             substitutions.splice(currentIndex, 1, new SubstitutionAction({
-              id: 63, tag: query.tag, substitution
+              id: parseInt(substType), tag: query.tag, substitution
+            }))
+          }
+          break
+        case '81':
+          substitution = lookup(contextParams)
+          if (substitution) {
+            substitutions.splice(currentIndex, 1, new SubstitutionAction({
+              id: 81, tag: query.tag, substitution
+            }))
+          }
+          break
+        case '31':
+          // The first alternate, the default of the features that are on.
+          substitution = lookup(contextParams.current)
+          if (substitution && substitution.length) {
+            substitutions.splice(currentIndex, 1, new SubstitutionAction({
+              id: 31, tag: query.tag, substitution: substitution[0]
             }))
           }
           break
@@ -466,6 +690,30 @@ FeatureQuery.prototype.getFeatureLookups = function (feature) {
   return feature.lookupListIndexes.map(this.getLookupByIndex.bind(this))
 }
 
+/**
+ * Get the lookup tables of some features of a script, in the order of the lookup list,
+ * which is the order in which they are applied
+ * @param {string} scriptTag script tag
+ * @param {string[]} tags feature tags
+ * @return {Object[]} a list of { lookup, tags }, with the tags of the features that use the lookup
+ */
+FeatureQuery.prototype.getScriptLookups = function (scriptTag, tags) {
+  const features = this.getScriptFeatures(scriptTag) || []
+  const lookupTags = {}
+  features.forEach(({ tag, feature }) => {
+    if (tags.indexOf(tag) === -1) return
+    feature.lookupListIndexes.forEach(index => {
+      lookupTags[index] = lookupTags[index] || []
+      if (lookupTags[index].indexOf(tag) === -1) lookupTags[index].push(tag)
+    })
+  })
+  return Object.keys(lookupTags)
+    .map(index => parseInt(index))
+    .sort((a, b) => a - b)
+    .map(index => ({ lookup: this.getLookupByIndex(index), tags: lookupTags[index] }))
+    .filter(({ lookup }) => lookup)
+}
+
 /**
  * Query a feature by it's properties
  * @param {any} query an object that describes the properties of a query
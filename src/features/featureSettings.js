@@ -0,0 +1,120 @@
+/**
+ * Apply the features of the feature settings to all the tokens, by script run.
+ * The lookups of the features are applied in the order of the lookup list,
+ * each one to the glyphs within the ranges of the settings that enable it.
+ */
+
+import { getScriptTag } from '../char.js'
+
+/**
+ * Split the tokens into runs of the same script, where the chars shared
+ * by several scripts belong to the run of the chars before them
+ * @param {any} tokens a list of tokens
+ * @return {Object[]} a list of { script, start, end } runs
+ */
+function getScriptRuns (tokens) {
+  const runs = []
+  let run = null
+  tokens.forEach((token, index) => {
+    const script = getScriptTag(token.char)
+    if (run && (!script || script === run.script)) {
+      run.end = index + 1
+    } else if (run && !run.script) {
+      run.script = script
+      run.end = index + 1
+    } else {
+      run = { script, start: index, end: index + 1 }
+      runs.push(run)
+    }
+  })
+  runs.forEach(run => { run.script = run.script || 'DFLT' })
+  return runs
+}
+
+/**
+ * Get the value of a feature at a char offset of the text: the value of
+ * the last setting of the feature whose range includes the offset
+ * @param {Object[]} settings feature settings
+ * @param {string} tag feature tag
+ * @param {number} offset char offset
+ */
+function getFeatureValue (settings, tag, offset) {
+  let value = 0
+  settings.forEach(setting => {
+    if (setting.tag === tag && setting.start <= offset && offset < setting.end) {
+      value = setting.value
+    }
+  })
+  return value
+}
+
+/**
+ * Apply the feature settings to the tokens of the text
+ */
+function applyFeatureSettings () {
+  const settings = this.featureSettings
+  const tokens = this.tokenizer.tokens
+  // The ranges of the settings are string offsets, and the tokens are code points.
+  const offsets = []
+  let offset = 0
+  tokens.forEach(token => {
+    offsets.push(offset)
+    offset += token.char.length
+  })
+  const settingTags = []
+  settings.forEach(setting => {
+    if (setting.value && settingTags.indexOf(setting.tag) === -1) settingTags.push(setting.tag)
+  })
+
+  getScriptRuns(tokens).forEach(run => {
+    // The features applied by the shaper of the script are left out.
+    const appliedTags = this.featuresTags[run.script] || []
+    const tags = settingTags.filter(tag => appliedTags.indexOf(tag) === -1)
+    if (!tags.length) return
+    const lookups = this.query.getScriptLookups(run.script, tags)
+    // The feature that enables each lookup for each glyph, with its value.
+    applyLookups.call(this, tokens.slice(run.start, run.end), lookups, (tags, index) => {
+      for (let t = 0; t < tags.length; t++) {
+        const value = getFeatureValue(settings, tags[t], offsets[run.start + index])
+        if (value) return { tag: tags[t], value }
+      }
+      return null
+    })
+  })
+}
+
+/**
+ * Apply lookups to the glyphs of a list of tokens, in the order of the list
+ * @param {Token[]} tokens a list of tokens
+ * @param {Object[]} lookups a list of { lookup, tags } lookups, like the ones of `FeatureQuery.getScriptLookups`
+ * @param {function} getFeature returns the { tag, value } feature that enables the lookup of the given tags
+ * for the token at an index, or null
+ */
+function applyLookups (tokens, lookups, getFeature) {
+  const glyphs = tokens.map(token => token.state.deleted ? null : token.activeState.value)
+  lookups.forEach(({ lookup, tags }) => {
+    const before = glyphs.slice()
+    const values = glyphs.map((glyph, index) => getFeature(tags, index))
+    // Reverse chaining substitutions are applied from the end of the run.
+    const lookupType = lookup.lookupType === 7 && lookup.subtables.length ? lookup.subtables[0].lookupType : lookup.lookupType
+    for (let i = 0; i < glyphs.length; i++) {
+      const index = lookupType === 8 ? glyphs.length - 1 - i : i
+      if (glyphs[index] === null || !values[index]) continue
+      const last = this.query.applyLookupInput(lookup, glyphs, index, values[index].value)
+      // A context is applied once to its whole input, the lookup goes on after it.
+      if (lookupType !== 8 && last > index) i = last
+    }
+    glyphs.forEach((glyph, index) => {
+      if (glyph === before[index]) return
+      const token = tokens[index]
+      if (glyph === null) {
+        token.setState('deleted', true)
+      } else {
+        token.setState(values[index] ? values[index].tag : tags[0], glyph)
+      }
+    })
+  })
+}
+
+export default applyFeatureSettings
+export { applyFeatureSettings, applyLookups, getScriptRuns }
@@ -0,0 +1,31 @@
+/**
+ * Hebrew word context checkers
+ */
+
+import { isHebrewChar } from '../../../char.js'
+
+function hebrewWordStartCheck (contextParams) {
+  const char = contextParams.current
+  const prevChar = contextParams.get(-1)
+  return (
+  // ? hebrew first char
+    (prevChar === null && isHebrewChar(char)) ||
+        // ? hebrew char preceded with a non hebrew char
+        (!isHebrewChar(prevChar) && isHebrewChar(char))
+  )
+}
+
+function hebrewWordEndCheck (contextParams) {
+  const nextChar = contextParams.get(1)
+  return (
+  // ? last hebrew char
+    (nextChar === null) ||
+        // ? next char is not hebrew
+        (!isHebrewChar(nextChar))
+  )
+}
+
+export default {
+  startCheck: hebrewWordStartCheck,
+  endCheck: hebrewWordEndCheck
+}
@@ -0,0 +1,49 @@
+/**
+ * Compose Hebrew letters and points to their presentation forms (U+FB1D to U+FB4E),
+ * for the fonts that can't position the points with GPOS mark attachment
+ */
+
+import { isHebrewMark } from '../../char.js'
+
+// The canonical decompositions of the presentation forms, as a letter followed by a point.
+const compositions = {
+  '\u05D9\u05B4': '\uFB1D', '\u05F2\u05B7': '\uFB1F', '\u05E9\u05C1': '\uFB2A', '\u05E9\u05C2': '\uFB2B',
+  '\uFB49\u05C1': '\uFB2C', '\uFB49\u05C2': '\uFB2D', '\u05D0\u05B7': '\uFB2E', '\u05D0\u05B8': '\uFB2F',
+  '\u05D0\u05BC': '\uFB30', '\u05D1\u05BC': '\uFB31', '\u05D2\u05BC': '\uFB32', '\u05D3\u05BC': '\uFB33',
+  '\u05D4\u05BC': '\uFB34', '\u05D5\u05BC': '\uFB35', '\u05D6\u05BC': '\uFB36', '\u05D8\u05BC': '\uFB38',
+  '\u05D9\u05BC': '\uFB39', '\u05DA\u05BC': '\uFB3A', '\u05DB\u05BC': '\uFB3B', '\u05DC\u05BC': '\uFB3C',
+  '\u05DE\u05BC': '\uFB3E', '\u05E0\u05BC': '\uFB40', '\u05E1\u05BC': '\uFB41', '\u05E3\u05BC': '\uFB43',
+  '\u05E4\u05BC': '\uFB44', '\u05E6\u05BC': '\uFB46', '\u05E7\u05BC': '\uFB47', '\u05E8\u05BC': '\uFB48',
+  '\u05E9\u05BC': '\uFB49', '\u05EA\u05BC': '\uFB4A', '\u05D5\u05B9': '\uFB4B', '\u05D1\u05BF': '\uFB4C',
+  '\u05DB\u05BF': '\uFB4D', '\u05E4\u05BF': '\uFB4E',
+  // The shin dots before the dagesh.
+  '\uFB2A\u05BC': '\uFB2C', '\uFB2B\u05BC': '\uFB2D'
+}
+
+/**
+ * Compose the letters of a context range with the points that follow them, when the font
+ * has a glyph for their presentation form. The points that can't be composed with a letter
+ * are skipped, so that a letter can be composed with a point after them (like a dagesh after a vowel).
+ * @param {ContextRange} range a range of tokens
+ */
+function hebrewPresentationForms (range) {
+  const font = this.query.font
+  const tokens = this.tokenizer.getRangeTokens(range)
+  let base = null
+  tokens.forEach(token => {
+    if (token.state.deleted) return
+    if (!isHebrewMark(token.char)) {
+      base = { token, char: token.char }
+      return
+    }
+    const form = base && compositions[base.char + token.char]
+    const glyphIndex = form && font.charToGlyphIndex(form)
+    if (!glyphIndex) return
+    base.char = form
+    base.token.setState('hebrewForm', glyphIndex)
+    token.setState('deleted', true)
+  })
+}
+
+export default hebrewPresentationForms
+export { hebrewPresentationForms }
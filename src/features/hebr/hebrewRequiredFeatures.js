@@ -0,0 +1,21 @@
+/**
+ * Apply the required Hebrew features (ccmp and rlig) to a range of tokens
+ */
+
+import { applyLookups } from '../featureSettings.js'
+
+/**
+ * Apply the required Hebrew features to a context range, with the lookups
+ * of the features in the order of the lookup list
+ * @param {ContextRange} range a range of tokens
+ */
+function hebrewRequiredFeatures (range) {
+  const script = 'hebr'
+  const tags = this.featuresTags[script]
+  const tokens = this.tokenizer.getRangeTokens(range)
+  const lookups = this.query.getScriptLookups(script, tags)
+  applyLookups.call(this, tokens, lookups, tags => ({ tag: tags[0], value: 1 }))
+}
+
+export default hebrewRequiredFeatures
+export { hebrewRequiredFeatures }
@@ -0,0 +1,44 @@
+/**
+ * Apply the required variation alternates feature (rvrn) to all the tokens.
+ * The feature is always on, and applied before the other features: its lookups
+ * swap glyphs at some locations of a variable font, through the FeatureVariations
+ * table of the GSUB table.
+ */
+
+import { ContextParams } from '../tokenizer.js'
+import { isArabicChar } from '../char.js'
+import applySubstitution from './applySubstitution.js'
+
+/**
+ * Update context params
+ * @param {any} tokens a list of tokens
+ * @param {number} index current item index
+ */
+function getContextParams (tokens, index) {
+  const context = tokens.map(token => token.activeState.value)
+  return new ContextParams(context, index || 0)
+}
+
+/**
+ * Apply required variation alternates to the tokens of the text
+ */
+function requiredVariationAlternates () {
+  const tokens = this.tokenizer.tokens
+  let contextParams = getContextParams(tokens)
+  for (let index = 0; index < tokens.length; index++) {
+    const script = isArabicChar(tokens[index].char) ? 'arab' : 'latn'
+    if (!this.query.supports({ script, tag: 'rvrn' })) continue
+    contextParams.setCurrentIndex(index)
+    const substitutions = this.query.lookupFeature({
+      tag: 'rvrn', script, contextParams
+    })
+    if (substitutions.length) {
+      substitutions.forEach(
+        action => applySubstitution(action, tokens, index)
+      )
+      contextParams = getContextParams(tokens)
+    }
+  }
+}
+
+export default requiredVariationAlternates
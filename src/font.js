@@ -2,13 +2,17 @@
 
 import Path from './path.js'
 import sfnt from './tables/sfnt.js'
+import woff from './woff.js'
+import woff2 from './woff2.js'
 import { DefaultEncoding } from './encoding.js'
 import glyphset from './glyphset.js'
 import Position from './position.js'
 import Substitution from './substitution.js'
+import Variation from './variation.js'
 import { isBrowser, checkArgument, arrayBufferToNodeBuffer } from './util.js'
 import HintingTrueType from './hintingtt.js'
 import Bidi from './bidi.js'
+import { isVariationSelector } from './char.js'
 
 /** @typedef {import('./glyph.js').default} Glyph */
 
@@ -39,6 +43,57 @@ import Bidi from './bidi.js'
  * @property {string=} fsSelection
  */
 
+/**
+ * Create a Bidi object that converts text to the glyph indexes of the font,
+ * applying the GSUB features of the render options.
+ * @param  {Font} font
+ * @param  {GlyphRenderOptions} [options]
+ * @return {Bidi}
+ */
+function createBidi (font, options) {
+  const bidi = new Bidi(options && options.direction)
+
+  // Create and register 'glyphIndex' state modifier.
+  // A character followed by a variation selector is looked up together with it,
+  // and the variation selector itself doesn't get a glyph.
+  const charToGlyphIndexMod = (token, contextParams) => {
+    const next = contextParams.get(1)
+    return font.charToGlyphIndex(next && isVariationSelector(next) ? token.char + next : token.char)
+  }
+  bidi.registerModifier('glyphIndex', null, charToGlyphIndexMod)
+  const variationSelectorCheck = (token, contextParams) => contextParams.index > 0 && isVariationSelector(token.char)
+  bidi.registerModifier('deleted', variationSelectorCheck, () => true)
+
+  // The features of the script shapers come first, then the feature settings apply to all the scripts.
+  const settings = font.getFeatureSettings(options && options.features)
+  bidi.applyFeatures(font, font.shaperFeatures, options && options.variation)
+  bidi.setFeatureSettings(settings)
+  return bidi
+}
+
+// Get the feature values by tag of the default features. They used to be a list of `{ script, tags }`,
+// which turns on the listed features.
+function getDefaultFeatureValues (features) {
+  if (!Array.isArray(features)) {
+    return features || {}
+  }
+
+  const values = {}
+  features.forEach(feature => feature.tags.forEach(tag => { values[tag] = 1 }))
+  return values
+}
+
+// convert glyph indexes to glyph objects
+function indexesToGlyphs (font, indexes) {
+  const length = indexes.length
+  const glyphs = new Array(length)
+  const notdef = font.glyphs.get(0)
+  for (let i = 0; i < length; i += 1) {
+    glyphs[i] = font.glyphs.get(indexes[i]) || notdef
+  }
+  return glyphs
+}
+
 /**
  * A Font represents a loaded OpenType font file.
  * It contains a set of glyphs and methods to draw text on a drawing context,
@@ -93,12 +148,16 @@ class Font {
     this.encoding = new DefaultEncoding(this)
     this.position = new Position(this)
     this.substitution = new Substitution(this)
+    this.variation = new Variation(this)
     this.tables = this.tables || {}
 
     // needed for low memory mode only.
     this._push = null
     this._hmtxTableData = {}
 
+    // The original data of the tables of a parsed font, as Uint8Arrays.
+    this._rawTables = {}
+
     Object.defineProperty(this, 'hinting', {
       get() {
         if (this._hinting) { return this._hinting }
@@ -121,6 +180,7 @@ class Font {
    * Convert the given character to a single glyph index.
    * Note that this function assumes that there is a one-to-one mapping between
    * the given character and a glyph; for complex scripts this might not be the case.
+   * The character can be followed by a variation selector, such as U+FE0F.
    * @param {string} s
    */
   charToGlyphIndex (s) {
@@ -146,21 +206,51 @@ class Font {
   }
 
   /**
-   * Update features
-   * @param {object} options features options
+   * @deprecated Font.updateFeatures is deprecated. Use Font.getFeatureSettings instead.
+   * Get the features of the scripts shapers, which can't be turned off, and the Latin features
+   * that are on with the given feature values.
+   * @param {object} [options] - values by feature tag, like `{ liga: true, smcp: true }`
+   * @return {object[]} a list of { script, tags }
    */
   updateFeatures (options) {
-    // TODO: update all features options not only 'latn'.
-    return this.defaultRenderOptions.features.map(feature => {
-      if (feature.script === 'latn') {
-        return {
-          script: 'latn',
-          tags: feature.tags.filter(tag => options[tag])
-        }
-      } else {
-        return feature
-      }
-    })
+    console.warn('Font.updateFeatures is deprecated. Use Font.getFeatureSettings instead.')
+    const values = {}
+    this.getFeatureSettings(options).forEach(setting => { values[setting.tag] = setting.value })
+    const tags = Object.keys(values).filter(tag => values[tag])
+    return this.shaperFeatures.concat([{ script: 'latn', tags }])
+  }
+
+  /**
+   * Get the feature settings of render options: the features that are on by default
+   * (`defaultRenderOptions.features`), then the given features, which replace them.
+   * Each feature can be on (1 or true), off (0 or false), or have another value,
+   * like the index of an alternate glyph. The settings of a range only apply to the
+   * chars of the text from string offset `start` (inclusive) to `end` (exclusive).
+   * A list of `{ script, tags }` only turns on the listed features. The default features can also be
+   * such a list, which was their format before feature settings.
+   * @param {object|object[]} [features] - values by feature tag, like `{ smcp: 1, liga: 0, salt: 2 }`,
+   * or a list of `{ tag, value, start, end }` settings
+   * @return {object[]} a list of { tag, value, start, end } settings
+   */
+  getFeatureSettings (features = {}) {
+    const settings = []
+    const addSetting = (tag, value = 1, start = 0, end = Infinity) => {
+      settings.push({ tag, value: Number(value), start, end })
+    }
+
+    if (Array.isArray(features) && features.some(feature => feature.script)) {
+      features.forEach(feature => feature.tags.forEach(tag => addSetting(tag)))
+      return settings
+    }
+
+    const defaultFeatures = getDefaultFeatureValues(this.defaultRenderOptions.features)
+    Object.keys(defaultFeatures).forEach(tag => addSetting(tag, defaultFeatures[tag]))
+    if (Array.isArray(features)) {
+      features.forEach(setting => addSetting(setting.tag, setting.value, setting.start, setting.end))
+    } else {
+      Object.keys(features).forEach(tag => addSetting(tag, features[tag]))
+    }
+    return settings
   }
 
   /**
@@ -173,30 +263,30 @@ class Font {
    * @return {Glyph[]}
    */
   stringToGlyphs (s, options) {
-    const bidi = new Bidi()
-
-    // Create and register 'glyphIndex' state modifier
-    const charToGlyphIndexMod = token => this.charToGlyphIndex(token.char)
-    bidi.registerModifier('glyphIndex', null, charToGlyphIndexMod)
-
-    // roll-back to default features
-    const features = options
-      ? this.updateFeatures(options.features)
-      : this.defaultRenderOptions.features
-
-    bidi.applyFeatures(this, features)
-
-    const indexes = bidi.getTextGlyphs(s)
+    const indexes = createBidi(this, options).getTextGlyphs(s)
+    return indexesToGlyphs(this, indexes)
+  }
 
-    const length = indexes.length
+  /**
+   * Get the embedding levels of the chars (code points) of a text, resolved with the
+   * Unicode Bidirectional Algorithm: even levels are left-to-right and odd levels right-to-left.
+   * @param  {string} text
+   * @param  {GlyphRenderOptions} [options] - the `direction` option is the base direction
+   * @return {number[]}
+   */
+  getBidiLevels (text, options) {
+    return new Bidi(options && options.direction).getLevels(text)
+  }
 
-    // convert glyph indexes to glyph objects
-    const glyphs = new Array(length)
-    const notdef = this.glyphs.get(0)
-    for (let i = 0; i < length; i += 1) {
-      glyphs[i] = this.glyphs.get(indexes[i]) || notdef
-    }
-    return glyphs
+  /**
+   * Get the runs of a text with the same embedding level, in the visual order in which they are drawn.
+   * @param  {string} text
+   * @param  {GlyphRenderOptions} [options] - the `direction` option is the base direction
+   * @return {Object[]} a list of `{ start, end, level, rtl }` runs, where `text.slice(start, end)` is the
+   * text of a run, in logical order
+   */
+  getBidiRuns (text, options) {
+    return new Bidi(options && options.direction).getVisualRuns(text)
   }
 
   /**
@@ -259,6 +349,8 @@ class Font {
   /**
    * Helper function that invokes the given callback for each glyph in the given text.
    * The callback gets `(glyph, x, y, fontSize, options)`.* @param  {string} text
+   * The glyphs are positioned with the GPOS lookups of the font (kerning, mark and cursive
+   * attachment...), or with the kerning pairs of the `kern` table if there is no GPOS table.
    * @param {string} text - The text to apply.
    * @param  {number} [x=0] - Horizontal position of the beginning of the text.
    * @param  {number} [y=0] - Vertical position of the *baseline* of the text.
@@ -269,32 +361,45 @@ class Font {
   forEachGlyph (text, x = 0, y = 0, fontSize = 72, options, callback) {
     options = Object.assign({}, this.defaultRenderOptions, options)
     const fontScale = 1 / this.unitsPerEm * fontSize
-    const glyphs = this.stringToGlyphs(text, options)
-    let kerningLookups
-    if (options.kerning) {
-      const script = options.script || this.position.getDefaultScriptName()
-      kerningLookups = this.position.getKerningTables(script, options.language)
-    }
-    for (let i = 0; i < glyphs.length; i += 1) {
-      const glyph = glyphs[i]
-      callback.call(this, glyph, x, y, fontSize, options)
-      if (glyph.advanceWidth) {
-        x += glyph.advanceWidth * fontScale
-      }
-
-      if (options.kerning && i < glyphs.length - 1) {
-        // We should apply position adjustment lookups in a more generic way.
-        // Here we only use the xAdvance value.
-        const kerningValue = kerningLookups
-          ? this.position.getKerningValue(kerningLookups, glyph.index, glyphs[i + 1].index)
-          : this.getKerningValue(glyph, glyphs[i + 1])
-        x += kerningValue * fontScale
+    const bidi = createBidi(this, options)
+    const runs = bidi.getTextGlyphRuns(text)
+    const classDef = this.tables.gdef && this.tables.gdef.classDef
+    for (let r = 0; r < runs.length; r += 1) {
+      const run = runs[r]
+      const glyphs = indexesToGlyphs(this, run.indexes)
+      const positions = this.position.getPositions(run.indexes, {
+        script: options.script || run.script,
+        language: options.language,
+        kerning: options.kerning,
+        features: bidi.featureSettings,
+        offsets: run.offsets,
+        rtl: run.rtl,
+        variation: options.variation
+      })
+      // The marks, and the glyphs attached without an advance, are spaced with their base:
+      // the spacing goes after the last glyph of each cluster, which is the base in a right-to-left run.
+      const marks = run.indexes.map((index, i) => (classDef && this.position.getGlyphClass(classDef, index) === 3) ||
+        (!positions[i].xAdvance && !positions[i].yAdvance))
+      if (run.rtl) {
+        // Positions are computed in logical order, but the glyphs are drawn from left to right.
+        glyphs.reverse()
+        positions.reverse()
+        marks.reverse()
       }
 
-      if (options.letterSpacing) {
-        x += options.letterSpacing * fontSize
-      } else if (options.tracking) {
-        x += (options.tracking / 1000) * fontSize
+      for (let i = 0; i < glyphs.length; i += 1) {
+        const position = positions[i]
+        callback.call(this, glyphs[i], x + position.xOffset * fontScale, y - position.yOffset * fontScale, fontSize, options)
+        x += position.xAdvance * fontScale
+        y -= position.yAdvance * fontScale
+
+        if (run.rtl ? marks[i] : marks[i + 1]) {
+          continue
+        } else if (options.letterSpacing) {
+          x += options.letterSpacing * fontSize
+        } else if (options.tracking) {
+          x += (options.tracking / 1000) * fontSize
+        }
       }
     }
     return x
@@ -356,6 +461,80 @@ class Font {
     return this.forEachGlyph(text, 0, 0, fontSize, options, function () { })
   }
 
+  /**
+   * Normalize a location in the design space of a variable font, given in user coordinates
+   * like `{ wght: 650 }`. The coordinates are normalized to the `fvar` axis ranges, from -1 to 1,
+   * and then mapped by the `avar` table.
+   * @param  {Object} [coordinates] - axis values, by axis tag
+   * @return {number[]} the normalized coordinates, in the order of the `fvar` axes
+   */
+  normalizeCoordinates (coordinates) {
+    return this.variation.normalizeCoordinates(coordinates)
+  }
+
+  /**
+   * Get the font-wide metrics, in font units: ascender, descender and lineGap (from `hhea`), typoAscender,
+   * typoDescender, typoLineGap, winAscent, winDescent, xHeight, capHeight, strikeoutSize and strikeoutPosition
+   * (from `OS/2`), underlinePosition and underlineThickness (from `post`).
+   * The metrics of a variable font vary with the `variation` option, using the `MVAR` table.
+   * @param  {GlyphRenderOptions=} options
+   * @return {Object}
+   */
+  getMetrics (options) {
+    return this.variation.getMetrics(options && options.variation)
+  }
+
+  /**
+   * Get the style attributes of a location in the design space of the font, from the `STAT` table:
+   * the axis values of the location, with their localized names and whether they are elidable,
+   * and the style name they make up, like `{ en: 'Condensed Bold' }`.
+   * @param  {Object} [variation] - axis values in user coordinates like `{ wght: 700 }`, axes that are left out are at their default value
+   * @return {Object} `{ styleName, attributes }`, or undefined if the font has no `STAT` table
+   */
+  getStyleAttributes (variation) {
+    return this.variation.getStyleAttributes(variation)
+  }
+
+  /**
+   * Make a static font from a variable font, at a location of its design space or at one of its named instances.
+   * The outlines, the glyph and font metrics and the GPOS values of the location are kept, and the
+   * `fvar`, `avar`, `gvar`, `CFF2`, `HVAR`, `VVAR`, `MVAR` and `STAT` tables are left out.
+   * The font is renamed after `options.styleName`, or after the named instance or the `STAT` axis values of the location.
+   * @param  {Object|string} variation - axis values in user coordinates like `{ wght: 700 }`, or the English name of a named instance
+   * @param  {Object} [options]
+   * @param  {string} [options.styleName] - the style name of the static font
+   * @param  {string} [options.format] - to get the static font as an ArrayBuffer in this format, see `toArrayBuffer` for the other options
+   * @return {Font|ArrayBuffer}
+   */
+  instantiate (variation, options = {}) {
+    const fvar = this.tables.fvar
+    checkArgument(fvar, 'Only variable fonts can be instantiated.')
+    const axes = this.variation.getAxes()
+    let namedInstance
+    if (typeof variation === 'string') {
+      namedInstance = fvar.instances.find(instance => instance.name.en === variation)
+      checkArgument(namedInstance, 'The font has no named instance ' + variation + '.')
+      variation = namedInstance.coordinates
+    } else {
+      namedInstance = fvar.instances.find(instance => axes.every(axis => {
+        const value = variation[axis.tag] !== undefined ? variation[axis.tag] : axis.defaultValue
+        return instance.coordinates[axis.tag] === value
+      }))
+    }
+
+    let styleName
+    if (options.styleName) {
+      styleName = { en: options.styleName }
+    } else if (namedInstance && namedInstance.name.en) {
+      styleName = namedInstance.name
+    } else if (this.tables.stat) {
+      styleName = this.getStyleAttributes(variation).styleName
+    }
+
+    const font = this.variation.instantiate(variation, styleName)
+    return options.format ? font.toArrayBuffer(options) : font
+  }
+
   /**
    * Draw the text on the given drawing context.
    * @param  {CanvasRenderingContext2D} ctx - A 2D drawing context, like Canvas.
@@ -446,11 +625,16 @@ class Font {
 
   /**
    * Convert the font object to a SFNT data structure.
-   * This structure contains all the necessary tables and metadata to create a binary OTF file.
+   * This structure contains all the necessary tables and metadata to create a binary OTF or TTF file.
+   * @param {Object} [options]
+   * @param {string} [options.outlinesFormat] - 'cff' or 'truetype', defaults to the format of the font
+   * @param {number} [options.curveTolerance=1] - The maximum distance in font units when converting cubic curves to TrueType quadratic curves
+   * @param {string[]} [options.preserveTables] - Tags of tables to write with their original data instead of regenerating them
+   * @param {string[]} [options.dropTables] - Tags of tables to leave out
    * @return {opentype.Table}
    */
-  toTables () {
-    return sfnt.fontToTable(this)
+  toTables (options) {
+    return sfnt.fontToTable(this, options)
   }
 
   /**
@@ -463,11 +647,30 @@ class Font {
 
   /**
    * Converts a `opentype.Font` into an `ArrayBuffer`
+   * @param {Object} [options]
+   * @param {string} [options.format='sfnt'] - The file format: 'sfnt' (OTF/TTF), 'woff' or 'woff2'
+   * @param {string} [options.outlinesFormat] - 'cff' or 'truetype', defaults to the format of the font
+   * @param {number} [options.curveTolerance=1] - The maximum distance in font units when converting cubic curves to TrueType quadratic curves
+   * @param {string[]} [options.preserveTables] - Tags of tables to write with their original data instead of regenerating them
+   * @param {string[]} [options.dropTables] - Tags of tables to leave out
+   * @param {function} [options.compress] - The Brotli compressor for WOFF2 fonts, like the export of brotli/compress.js,
+   * which is loaded when it is needed in Node.js, and has to be given in the browser build
    * @return {ArrayBuffer}
    */
-  toArrayBuffer () {
-    const sfntTable = this.toTables()
-    const bytes = sfntTable.encode()
+  toArrayBuffer (options = {}) {
+    const format = options.format || 'sfnt'
+    const sfntTable = this.toTables(options)
+    let bytes
+    if (format === 'sfnt') {
+      bytes = sfntTable.encode()
+    } else if (format === 'woff') {
+      bytes = woff.make(sfntTable)
+    } else if (format === 'woff2') {
+      bytes = woff2.make(sfntTable, options)
+    } else {
+      throw new Error('Unsupported font format ' + format)
+    }
+
     const buffer = new ArrayBuffer(bytes.length)
     const intArray = new Uint8Array(buffer)
     for (let i = 0; i < bytes.length; i++) {
@@ -479,19 +682,25 @@ class Font {
 
   /**
    * Initiate a download of the OpenType font.
+   * A file name ending in .woff or .woff2 downloads the font in that format.
+   * @param {string} [fileName]
+   * @param {Object} [options] - see `toArrayBuffer`
    */
-  download (fileName) {
+  download (fileName, options = {}) {
     const familyName = this.getEnglishName('fontFamily')
     const styleName = this.getEnglishName('fontSubfamily')
-    fileName = fileName || familyName.replace(/\s/g, '') + '-' + styleName + '.otf'
-    const arrayBuffer = this.toArrayBuffer()
+    const defaultExtension = this.outlinesFormat === 'truetype' ? '.ttf' : '.otf'
+    fileName = fileName || familyName.replace(/\s/g, '') + '-' + styleName + defaultExtension
+    const extension = fileName.split('.').pop().toLowerCase()
+    const format = extension === 'woff' || extension === 'woff2' ? extension : 'sfnt'
+    const arrayBuffer = this.toArrayBuffer(Object.assign({}, options, { format }))
 
     if (isBrowser()) {
       window.URL = window.URL || window.webkitURL
 
       if (window.URL) {
         const dataView = new DataView(arrayBuffer)
-        const blob = new Blob([dataView], { type: 'font/opentype' })
+        const blob = new Blob([dataView], { type: format === 'sfnt' ? 'font/opentype' : 'font/' + format })
 
         const link = document.createElement('a')
         link.href = window.URL.createObjectURL(blob)
@@ -514,26 +723,41 @@ class Font {
 /**
  * @typedef GlyphRenderOptions
  * @type Object
- * @property {string} [script] - script used to determine which features to apply. By default, 'DFLT' or 'latn' is used.
+ * @property {string} [script] - script used to determine which positioning features to apply. By default, the script of each run of text.
  *                               See https://www.microsoft.com/typography/otspec/scripttags.htm
  * @property {string} [language='dflt'] - language system used to determine which features to apply.
  *                                        See https://www.microsoft.com/typography/developers/opentype/languagetags.aspx
  * @property {boolean} [kerning=true] - whether to include kerning values
- * @property {object} [features] - OpenType Layout feature tags. Used to enable or disable the features of the given script/language system.
- *                                 See https://www.microsoft.com/typography/otspec/featuretags.htm
+ * @property {object|object[]} [features] - OpenType Layout feature values by tag, like `{ smcp: 1, liga: 0, salt: 2 }`,
+ *                                 or a list of `{ tag, value, start, end }` settings for ranges of the text.
+ *                                 They apply to all the scripts, to the GSUB features after the features on by default, and to the GPOS
+ *                                 features. See `Font.getFeatureSettings`
+ *                                 and https://www.microsoft.com/typography/otspec/featuretags.htm
+ * @property {object} [variation] - location in the design space of a variable font, as axis values by axis tag (like `{ wght: 650 }`).
+ * @property {string} [direction='ltr'] - base direction of the text, 'ltr', 'rtl', or 'auto' to use the direction of the
+ *                                         first strong char of each paragraph. The text is reordered with the Unicode Bidirectional Algorithm.
  */
 Font.prototype.defaultRenderOptions = {
   kerning: true,
-  features: [
-    /**
-     * these 4 features are required to render Arabic text properly
-     * and shouldn't be turned off when rendering arabic text.
-     */
-    { script: 'arab', tags: ['init', 'medi', 'fina', 'rlig'] },
-    { script: 'latn', tags: ['liga', 'rlig'] }
-  ]
+  // The features that are on by default for all the scripts, as values by feature tag.
+  // A list of `{ script, tags }`, their format before feature settings, is still accepted.
+  features: { ccmp: 1, locl: 1, rlig: 1, rclt: 1, calt: 1, liga: 1, clig: 1 }
 }
 
+/**
+ * The features applied by the shapers of the scripts.
+ * @private
+ */
+Font.prototype.shaperFeatures = [
+  /**
+   * these 4 features are required to render Arabic text properly
+   * and shouldn't be turned off when rendering arabic text.
+   */
+  { script: 'arab', tags: ['init', 'medi', 'fina', 'rlig'] },
+  // The Hebrew letters and points are composed with these features.
+  { script: 'hebr', tags: ['ccmp', 'rlig'] }
+]
+
 /**
  * @private
  */
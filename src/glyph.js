@@ -117,8 +117,8 @@ class Glyph {
    * @param  {number} [x=0] - Horizontal position of the beginning of the text.
    * @param  {number} [y=0] - Vertical position of the *baseline* of the text.
    * @param  {number} [fontSize=72] - Font size in pixels. We scale the glyph units by `1 / unitsPerEm * fontSize`.
-   * @param  {Object=} options - xScale, yScale to stretch the glyph.
-   * @param  {opentype.Font} font - If hinting is to be used, the font
+   * @param  {Object=} options - xScale, yScale to stretch the glyph, and the `variation` location of a variable font.
+   * @param  {opentype.Font} font - If hinting or variations are to be used, the font
    * @return {opentype.Path}
    */
   getPath (x, y, fontSize, options, font) {
@@ -131,7 +131,10 @@ class Glyph {
     let xScale = options.xScale
     let yScale = options.yScale
 
-    if (options.hinting && font && font.hinting) {
+    // Hinting doesn't support the variations of variable fonts yet.
+    const isVaried = !!(options.variation && font && font.variation)
+
+    if (options.hinting && font && font.hinting && !isVaried) {
       // in case of hinting, the hinting engine takes care
       // of scaling the points (not the path) before hinting.
       hPoints = this.path && font.hinting.exec(this, fontSize)
@@ -147,7 +150,7 @@ class Glyph {
       // TODO in case of hinting xyScaling is not yet supported
       xScale = yScale = 1
     } else {
-      commands = this.path.commands
+      commands = isVaried ? font.variation.getGlyphPath(this, options.variation).commands : this.path.commands
       const scale = 1 / (this.path.unitsPerEm || 1000) * fontSize
       if (xScale === undefined) { xScale = scale }
       if (yScale === undefined) { yScale = scale }
@@ -203,10 +206,14 @@ class Glyph {
 
   /**
    * Calculate the xMin/yMin/xMax/yMax/lsb/rsb for a Glyph.
+   * @param  {Object=} options - the `variation` location of a variable font.
+   * @param  {opentype.Font} font - If variations are to be used, the font
    * @return {Object}
    */
-  getMetrics () {
-    const commands = this.path.commands
+  getMetrics (options, font) {
+    const isVaried = !!(options && options.variation && font && font.variation)
+    const commands = isVaried ? font.variation.getGlyphPath(this, options.variation).commands : this.path.commands
+    const advanceWidth = isVaried ? font.variation.getAdvanceWidth(this, options.variation) : this.advanceWidth
     const xCoords = []
     const yCoords = []
     for (let i = 0; i < commands.length; i += 1) {
@@ -232,7 +239,7 @@ class Glyph {
       yMin: Math.min.apply(null, yCoords),
       xMax: Math.max.apply(null, xCoords),
       yMax: Math.max.apply(null, yCoords),
-      leftSideBearing: this.leftSideBearing
+      leftSideBearing: isVaried ? font.variation.getLeftSideBearing(this, options.variation) : this.leftSideBearing
     }
 
     if (!isFinite(metrics.xMin)) {
@@ -240,7 +247,7 @@ class Glyph {
     }
 
     if (!isFinite(metrics.xMax)) {
-      metrics.xMax = this.advanceWidth
+      metrics.xMax = advanceWidth
     }
 
     if (!isFinite(metrics.yMin)) {
@@ -251,7 +258,7 @@ class Glyph {
       metrics.yMax = 0
     }
 
-    metrics.rightSideBearing = this.advanceWidth - metrics.leftSideBearing - (metrics.xMax - metrics.xMin)
+    metrics.rightSideBearing = advanceWidth - metrics.leftSideBearing - (metrics.xMax - metrics.xMin)
     return metrics
   }
 
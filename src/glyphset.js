@@ -153,6 +153,11 @@ function cffGlyphLoader (font, index, parseCFFCharstring, charstring) {
       return path
     }
 
+    if (font.tables.cff2) {
+      // The charstring is parsed again to draw the glyph at other locations of the design space.
+      glyph._charstring = charstring
+    }
+
     return glyph
   }
 }
@@ -201,6 +201,32 @@ class Layout {
     }
   }
 
+  /**
+   * Get the alternate feature tables of a variable font at a location of its design space, from the
+   * FeatureVariations table: the substitutions of the first feature variation record whose conditions
+   * all match the normalized coordinates of the location.
+   * @instance
+   * @param {Object} [variation] - The location in user coordinates, like `{ wght: 700 }`. Defaults to the default location.
+   * @return {Object} The alternate feature tables, by index in the feature list (empty if no record matches)
+   */
+  getFeatureVariationTables (variation) {
+    const layout = this.getTable()
+    const featureTables = {}
+    if (!layout || !layout.variations || layout.variations.length === 0) return featureTables
+    // The conditions are compared to the coordinates as 2.14 fixed-point numbers.
+    const coordinates = this.font.variation.normalizeCoordinates(variation || {}).map(value => Math.round(value * 16384) / 16384)
+    const record = layout.variations.find(record => (record.conditions || []).every(condition => {
+      const value = coordinates[condition.axisIndex]
+      return condition.format === 1 && value !== undefined &&
+        condition.filterRangeMinValue <= value && value <= condition.filterRangeMaxValue
+    }))
+    const substitutions = (record && record.substitutions) || []
+    for (let i = 0; i < substitutions.length; i++) {
+      featureTables[substitutions[i].featureIndex] = substitutions[i].feature
+    }
+    return featureTables
+  }
+
   /**
    * Get the lookup tables of a given type for a script/language/feature.
    * @instance
@@ -261,6 +287,32 @@ class Layout {
     }
   }
 
+  /**
+   * Check if a glyph is skipped by the flags of a lookup: its GDEF glyph class or mark attachment class
+   * may be ignored, or it may not be in the mark filtering set.
+   * https://docs.microsoft.com/en-us/typography/opentype/spec/chapter2#lookupFlags
+   * @param {object} lookup - a lookup table
+   * @param {number} glyphIndex - the index of the glyph
+   * @returns {boolean}
+   */
+  isIgnoredGlyph (lookup, glyphIndex) {
+    const gdef = this.font.tables.gdef
+    const lookupFlag = lookup.lookupFlag
+    if (!gdef || !gdef.classDef || !(lookupFlag & 0xff1e)) return false
+    const glyphClass = this.getGlyphClass(gdef.classDef, glyphIndex)
+    if (glyphClass === 1) return !!(lookupFlag & 0x2)
+    if (glyphClass === 2) return !!(lookupFlag & 0x4)
+    if (glyphClass !== 3) return false
+    if (lookupFlag & 0x8) return true
+    if (lookupFlag & 0x10 && gdef.markGlyphSets) {
+      const markGlyphSet = gdef.markGlyphSets[lookup.markFilteringSet]
+      return !markGlyphSet || this.getCoverageIndex(markGlyphSet, glyphIndex) < 0
+    }
+    const markAttachmentType = lookupFlag >> 8
+    return !!(markAttachmentType && gdef.markAttachClassDef &&
+      this.getGlyphClass(gdef.markAttachClassDef, glyphIndex) !== markAttachmentType)
+  }
+
   /**
    * Find a glyph in a coverage table
    * https://docs.microsoft.com/en-us/typography/opentype/spec/chapter2#coverage-table
@@ -6,17 +6,23 @@
 /* global DataView, Uint8Array, XMLHttpRequest  */
 
 import 'string.prototype.codepointat'
-import inflate from 'tiny-inflate'
+import pako from 'pako'
 import Font from './font.js'
 import Glyph from './glyph.js'
 import { CmapEncoding, GlyphNames, addGlyphNames } from './encoding.js'
 import parse from './parse.js'
+import woff2 from './woff2.js'
 import BoundingBox from './bbox.js'
 import Path from './path.js'
+import { buildVariableFont } from './variableFont.js'
+import { Designspace, parseDesignspace } from './designspace.js'
+import { checkCompatibility } from './compatibility.js'
 import { nodeBufferToArrayBuffer } from './util.js'
 import cmap from './tables/cmap.js'
+import avar from './tables/avar.js'
 import cff from './tables/cff.js'
 import fvar from './tables/fvar.js'
+import gvar from './tables/gvar.js'
 import glyf from './tables/glyf.js'
 import gdef from './tables/gdef.js'
 import gpos from './tables/gpos.js'
@@ -24,6 +30,7 @@ import gsub from './tables/gsub.js'
 import head from './tables/head.js'
 import hhea from './tables/hhea.js'
 import hmtx from './tables/hmtx.js'
+import hvar from './tables/hvar.js'
 import kern from './tables/kern.js'
 import ltag from './tables/ltag.js'
 import loca from './tables/loca.js'
@@ -32,6 +39,9 @@ import _name from './tables/name.js'
 import os2 from './tables/os2.js'
 import post from './tables/post.js'
 import meta from './tables/meta.js'
+import mvar from './tables/mvar.js'
+import stat from './tables/stat.js'
+import vvar from './tables/vvar.js'
 
 // TODO: temporary fix to deal with requirejs and loadSync tests
 import fs from 'node:fs'
@@ -64,11 +74,12 @@ async function loadFromFile (path, callback) {
  * Parses OpenType table entries.
  * @param  {DataView}
  * @param  {Number}
+ * @param  {Number} - The offset of the table directory, which is not 0 for fonts in a collection
  * @return {Object[]}
  */
-function parseOpenTypeTableEntries (data, numTables) {
+function parseOpenTypeTableEntries (data, numTables, offset = 0) {
   const tableEntries = []
-  let p = 12
+  let p = offset + 12
   for (let i = 0; i < numTables; i += 1) {
     const tag = parse.getTag(data, p)
     const checksum = parse.getULong(data, p + 4)
@@ -115,6 +126,23 @@ function parseWOFFTableEntries (data, numTables) {
   return tableEntries
 }
 
+/**
+ * Parses the header of a TrueType/OpenType Collection.
+ * @param  {DataView}
+ * @return {Number[]} the offsets of the table directories of the fonts in the collection
+ */
+function parseCollectionHeader (data) {
+  const p = new parse.Parser(data, 4)
+  const majorVersion = p.parseUShort()
+  if (majorVersion !== 1 && majorVersion !== 2) {
+    throw new Error('Unsupported font collection version ' + majorVersion)
+  }
+
+  p.skip('uShort') // minorVersion
+  const numFonts = p.parseULong()
+  return p.parseULongList(numFonts)
+}
+
 /**
  * @typedef TableData
  * @type {Object}
@@ -129,31 +157,88 @@ function parseWOFFTableEntries (data, numTables) {
  */
 function uncompressTable (data, tableEntry) {
   if (tableEntry.compression === 'WOFF') {
-    const inBuffer = new Uint8Array(data.buffer, tableEntry.offset + 2, tableEntry.compressedLength - 2)
-    const outBuffer = new Uint8Array(tableEntry.length)
+    // A table is inflated once, for both its parsed and its raw data.
+    if (!tableEntry.uncompressedData) {
+      const inBuffer = new Uint8Array(data.buffer, tableEntry.offset, tableEntry.compressedLength)
+      const outBuffer = pako.inflate(inBuffer)
 
-    inflate(inBuffer, outBuffer)
+      if (outBuffer.byteLength !== tableEntry.length) {
+        throw new Error('Decompression error: ' + tableEntry.tag + ' decompressed length doesn\'t match recorded length')
+      }
 
-    if (outBuffer.byteLength !== tableEntry.length) {
-      throw new Error('Decompression error: ' + tableEntry.tag + ' decompressed length doesn\'t match recorded length')
+      tableEntry.uncompressedData = new DataView(outBuffer.buffer, 0)
     }
 
-    const view = new DataView(outBuffer.buffer, 0)
-    return { data: view, offset: 0 }
+    return { data: tableEntry.uncompressedData, offset: 0 }
   } else {
     return { data, offset: tableEntry.offset }
   }
 }
 
+/**
+ * Get a view of the bytes of a table, uncompressed. The bytes are not copied: the view shares the font data,
+ * like the glyphs that are parsed when they are needed, and the fonts of a collection share the tables at the same offset.
+ * @param {DataView} data
+ * @param {Object} tableEntry
+ * @return {Uint8Array}
+ */
+function getTableBytes (data, tableEntry) {
+  const table = uncompressTable(data, tableEntry)
+  return new Uint8Array(table.data.buffer, table.data.byteOffset + table.offset, tableEntry.length)
+}
+
+/**
+ * Parse a table with the given function.
+ * @param {DataView} data
+ * @param {Object} tableEntry
+ * @param {Function} parseFn - Called with the table data and offset
+ * @return {Object} the parsed table
+ */
+function parseTable (data, tableEntry, parseFn) {
+  const table = uncompressTable(data, tableEntry)
+  return parseFn(table.data, table.offset)
+}
+
 // Public API ///////////////////////////////////////////////////////////
 
 /**
  * Parse the OpenType file data (as an ArrayBuffer) and return a Font object.
  * Throws an error if the font could not be parsed.
+ * For a font collection, `opt.fontIndex` selects the font to parse (0 by default).
  * @param {ArrayBuffer} buffer
  * @param opt - Options for parsing
  */
 function parseBuffer (buffer, opt = {}) {
+  return parseFont(buffer, opt)
+}
+
+/**
+ * Parse all fonts of a TrueType/OpenType Collection (.ttc/.otc) and return them as Font objects.
+ * The fonts share the data of the tables that several of them reference, but each font
+ * gets its own parsed tables, so changing one font doesn't change the others.
+ * A single font file is returned as a collection of one font.
+ * @param {ArrayBuffer} buffer
+ * @param opt - Options for parsing
+ * @return {Font[]}
+ */
+function parseCollection (buffer, opt = {}) {
+  const data = new DataView(buffer, 0)
+  const numFonts = parse.getTag(data, 0) === 'ttcf' ? parseCollectionHeader(data).length : 1
+  const fonts = []
+  for (let i = 0; i < numFonts; i += 1) {
+    fonts.push(parseFont(buffer, Object.assign({}, opt, { fontIndex: i })))
+  }
+
+  return fonts
+}
+
+/**
+ * Parse a single font.
+ * @param {ArrayBuffer} buffer
+ * @param opt - Options for parsing
+ * @return {Font}
+ */
+function parseFont (buffer, opt) {
   let indexToLocFormat
   let ltagTable
 
@@ -164,18 +249,30 @@ function parseBuffer (buffer, opt = {}) {
   // OpenType fonts use big endian byte ordering.
   // We can't rely on typed array view types, because they operate with the endianness of the host computer.
   // Instead we use DataViews where we can specify endianness.
-  const data = new DataView(buffer, 0)
+  let data = new DataView(buffer, 0)
   let numTables
   let tableEntries = []
-  const signature = parse.getTag(data, 0)
+  let signature = parse.getTag(data, 0)
+  let directoryOffset = 0
+  if (signature === 'ttcf') {
+    const offsets = parseCollectionHeader(data)
+    const fontIndex = opt.fontIndex || 0
+    if (fontIndex < 0 || fontIndex >= offsets.length) {
+      throw new Error('Font index ' + fontIndex + ' is out of range, the collection has ' + offsets.length + ' fonts')
+    }
+
+    directoryOffset = offsets[fontIndex]
+    signature = parse.getTag(data, directoryOffset)
+  }
+
   if (signature === String.fromCharCode(0, 1, 0, 0) || signature === 'true' || signature === 'typ1') {
     font.outlinesFormat = 'truetype'
-    numTables = parse.getUShort(data, 4)
-    tableEntries = parseOpenTypeTableEntries(data, numTables)
+    numTables = parse.getUShort(data, directoryOffset + 4)
+    tableEntries = parseOpenTypeTableEntries(data, numTables, directoryOffset)
   } else if (signature === 'OTTO') {
     font.outlinesFormat = 'cff'
-    numTables = parse.getUShort(data, 4)
-    tableEntries = parseOpenTypeTableEntries(data, numTables)
+    numTables = parse.getUShort(data, directoryOffset + 4)
+    tableEntries = parseOpenTypeTableEntries(data, numTables, directoryOffset)
   } else if (signature === 'wOFF') {
     const flavor = parse.getTag(data, 4)
     if (flavor === String.fromCharCode(0, 1, 0, 0)) {
@@ -188,54 +285,72 @@ function parseBuffer (buffer, opt = {}) {
 
     numTables = parse.getUShort(data, 12)
     tableEntries = parseWOFFTableEntries(data, numTables)
+  } else if (signature === 'wOF2') {
+    const decoded = woff2.parse(data)
+    if (decoded.flavor === String.fromCharCode(0, 1, 0, 0)) {
+      font.outlinesFormat = 'truetype'
+    } else if (decoded.flavor === 'OTTO') {
+      font.outlinesFormat = 'cff'
+    } else {
+      throw new Error('Unsupported OpenType flavor ' + decoded.flavor)
+    }
+
+    // The decoded tables are stored uncompressed in a buffer of their own.
+    data = decoded.data
+    tableEntries = decoded.tableEntries
+    numTables = tableEntries.length
   } else {
     throw new Error('Unsupported OpenType signature ' + signature)
   }
 
+  let avarTableEntry
   let cffTableEntry
   let fvarTableEntry
   let glyfTableEntry
   let gdefTableEntry
   let gposTableEntry
   let gsubTableEntry
+  let gvarTableEntry
   let hmtxTableEntry
+  let hvarTableEntry
   let kernTableEntry
   let locaTableEntry
   let nameTableEntry
   let metaTableEntry
-  let p
+  let mvarTableEntry
+  let statTableEntry
+  let vvarTableEntry
 
   for (let i = 0; i < numTables; i += 1) {
     const tableEntry = tableEntries[i]
-    let table
     switch (tableEntry.tag) {
+      case 'avar':
+        avarTableEntry = tableEntry
+        break
       case 'cmap':
-        table = uncompressTable(data, tableEntry)
-        font.tables.cmap = cmap.parse(table.data, table.offset)
+        font.tables.cmap = parseTable(data, tableEntry, cmap.parse)
         font.encoding = new CmapEncoding(font.tables.cmap)
         break
       case 'cvt ' :
-        table = uncompressTable(data, tableEntry)
-        p = new parse.Parser(table.data, table.offset)
-        font.tables.cvt = p.parseShortList(tableEntry.length / 2)
+        font.tables.cvt = parseTable(data, tableEntry, (tableData, offset) => {
+          return new parse.Parser(tableData, offset).parseShortList(tableEntry.length / 2)
+        })
         break
       case 'fvar':
         fvarTableEntry = tableEntry
         break
       case 'fpgm' :
-        table = uncompressTable(data, tableEntry)
-        p = new parse.Parser(table.data, table.offset)
-        font.tables.fpgm = p.parseByteList(tableEntry.length)
+        font.tables.fpgm = parseTable(data, tableEntry, (tableData, offset) => {
+          return new parse.Parser(tableData, offset).parseByteList(tableEntry.length)
+        })
         break
       case 'head':
-        table = uncompressTable(data, tableEntry)
-        font.tables.head = head.parse(table.data, table.offset)
+        font.tables.head = parseTable(data, tableEntry, head.parse)
         font.unitsPerEm = font.tables.head.unitsPerEm
         indexToLocFormat = font.tables.head.indexToLocFormat
         break
       case 'hhea':
-        table = uncompressTable(data, tableEntry)
-        font.tables.hhea = hhea.parse(table.data, table.offset)
+        font.tables.hhea = parseTable(data, tableEntry, hhea.parse)
         font.ascender = font.tables.hhea.ascender
         font.descender = font.tables.hhea.descender
         font.numberOfHMetrics = font.tables.hhea.numberOfHMetrics
@@ -243,31 +358,30 @@ function parseBuffer (buffer, opt = {}) {
       case 'hmtx':
         hmtxTableEntry = tableEntry
         break
+      case 'HVAR':
+        hvarTableEntry = tableEntry
+        break
       case 'ltag':
-        table = uncompressTable(data, tableEntry)
-        ltagTable = ltag.parse(table.data, table.offset)
+        ltagTable = parseTable(data, tableEntry, ltag.parse)
         break
       case 'maxp':
-        table = uncompressTable(data, tableEntry)
-        font.tables.maxp = maxp.parse(table.data, table.offset)
+        font.tables.maxp = parseTable(data, tableEntry, maxp.parse)
         font.numGlyphs = font.tables.maxp.numGlyphs
         break
       case 'name':
         nameTableEntry = tableEntry
         break
       case 'OS/2':
-        table = uncompressTable(data, tableEntry)
-        font.tables.os2 = os2.parse(table.data, table.offset)
+        font.tables.os2 = parseTable(data, tableEntry, os2.parse)
         break
       case 'post':
-        table = uncompressTable(data, tableEntry)
-        font.tables.post = post.parse(table.data, table.offset)
+        font.tables.post = parseTable(data, tableEntry, post.parse)
         font.glyphNames = new GlyphNames(font.tables.post)
         break
       case 'prep' :
-        table = uncompressTable(data, tableEntry)
-        p = new parse.Parser(table.data, table.offset)
-        font.tables.prep = p.parseByteList(tableEntry.length)
+        font.tables.prep = parseTable(data, tableEntry, (tableData, offset) => {
+          return new parse.Parser(tableData, offset).parseByteList(tableEntry.length)
+        })
         break
       case 'glyf':
         glyfTableEntry = tableEntry
@@ -276,6 +390,7 @@ function parseBuffer (buffer, opt = {}) {
         locaTableEntry = tableEntry
         break
       case 'CFF ':
+      case 'CFF2':
         cffTableEntry = tableEntry
         break
       case 'kern':
@@ -290,14 +405,32 @@ function parseBuffer (buffer, opt = {}) {
       case 'GSUB':
         gsubTableEntry = tableEntry
         break
+      case 'gvar':
+        gvarTableEntry = tableEntry
+        break
       case 'meta':
         metaTableEntry = tableEntry
         break
+      case 'MVAR':
+        mvarTableEntry = tableEntry
+        break
+      case 'VVAR':
+        vvarTableEntry = tableEntry
+        break
+      case 'STAT':
+        statTableEntry = tableEntry
+        break
+      default:
+        // Tables we don't parse are kept as raw bytes.
+        font.tables[tableEntry.tag] = getTableBytes(data, tableEntry)
+        continue
     }
+
+    // Keep the original data of the parsed tables, so they can be written back verbatim.
+    font._rawTables[tableEntry.tag] = getTableBytes(data, tableEntry)
   }
 
-  const nameTable = uncompressTable(data, nameTableEntry)
-  font.tables.name = _name.parse(nameTable.data, nameTable.offset, ltagTable)
+  font.tables.name = parseTable(data, nameTableEntry, (tableData, offset) => _name.parse(tableData, offset, ltagTable))
   font.names = font.tables.name
 
   if (glyfTableEntry && locaTableEntry) {
@@ -310,7 +443,7 @@ function parseBuffer (buffer, opt = {}) {
     const cffTable = uncompressTable(data, cffTableEntry)
     cff.parse(cffTable.data, cffTable.offset, font, opt)
   } else {
-    throw new Error('Font doesn\'t contain TrueType or CFF outlines.')
+    throw new Error('Font doesn\'t contain TrueType, CFF or CFF2 outlines.')
   }
 
   const hmtxTable = uncompressTable(data, hmtxTableEntry)
@@ -318,36 +451,54 @@ function parseBuffer (buffer, opt = {}) {
   addGlyphNames(font, opt)
 
   if (kernTableEntry) {
-    const kernTable = uncompressTable(data, kernTableEntry)
-    font.kerningPairs = kern.parse(kernTable.data, kernTable.offset)
+    font.kerningPairs = parseTable(data, kernTableEntry, kern.parse)
   } else {
     font.kerningPairs = {}
   }
 
   if (gdefTableEntry) {
-    const gdefTable = uncompressTable(data, gdefTableEntry)
-    font.tables.gdef = gdef.parse(gdefTable.data, gdefTable.offset)
+    font.tables.gdef = parseTable(data, gdefTableEntry, gdef.parse)
   }
 
   if (gposTableEntry) {
-    const gposTable = uncompressTable(data, gposTableEntry)
-    font.tables.gpos = gpos.parse(gposTable.data, gposTable.offset)
+    font.tables.gpos = parseTable(data, gposTableEntry, gpos.parse)
     font.position.init()
   }
 
   if (gsubTableEntry) {
-    const gsubTable = uncompressTable(data, gsubTableEntry)
-    font.tables.gsub = gsub.parse(gsubTable.data, gsubTable.offset)
+    font.tables.gsub = parseTable(data, gsubTableEntry, gsub.parse)
   }
 
   if (fvarTableEntry) {
-    const fvarTable = uncompressTable(data, fvarTableEntry)
-    font.tables.fvar = fvar.parse(fvarTable.data, fvarTable.offset, font.names)
+    font.tables.fvar = parseTable(data, fvarTableEntry, (tableData, offset) => fvar.parse(tableData, offset, font.names))
+  }
+
+  if (avarTableEntry) {
+    font.tables.avar = parseTable(data, avarTableEntry, avar.parse)
+  }
+
+  if (gvarTableEntry) {
+    font.tables.gvar = parseTable(data, gvarTableEntry, gvar.parse)
+  }
+
+  if (hvarTableEntry) {
+    font.tables.hvar = parseTable(data, hvarTableEntry, hvar.parse)
+  }
+
+  if (vvarTableEntry) {
+    font.tables.vvar = parseTable(data, vvarTableEntry, vvar.parse)
+  }
+
+  if (mvarTableEntry) {
+    font.tables.mvar = parseTable(data, mvarTableEntry, mvar.parse)
+  }
+
+  if (statTableEntry) {
+    font.tables.stat = parseTable(data, statTableEntry, (tableData, offset) => stat.parse(tableData, offset, font.names))
   }
 
   if (metaTableEntry) {
-    const metaTable = uncompressTable(data, metaTableEntry)
-    font.tables.meta = meta.parse(metaTable.data, metaTable.offset)
+    font.tables.meta = parseTable(data, metaTableEntry, meta.parse)
     font.metas = font.tables.meta
   }
 
@@ -415,6 +566,11 @@ export {
   BoundingBox,
   parse as _parse,
   parseBuffer as parse,
+  parseCollection,
   load,
-  loadSync
+  loadSync,
+  buildVariableFont,
+  Designspace,
+  parseDesignspace,
+  checkCompatibility
 }
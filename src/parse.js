@@ -124,6 +124,12 @@ Parser.prototype.parseShort = function () {
   return v
 }
 
+Parser.prototype.parseUInt24 = function () {
+  const v = (this.data.getUint8(this.offset + this.relativeOffset) << 16) + this.data.getUint16(this.offset + this.relativeOffset + 1)
+  this.relativeOffset += 3
+  return v
+}
+
 Parser.prototype.parseF2Dot14 = function () {
   const v = this.data.getInt16(this.offset + this.relativeOffset) / 16384
   this.relativeOffset += 2
@@ -138,6 +144,12 @@ Parser.prototype.parseULong = function () {
 
 Parser.prototype.parseOffset32 = Parser.prototype.parseULong
 
+Parser.prototype.parseLong = function () {
+  const v = this.data.getInt32(this.offset + this.relativeOffset)
+  this.relativeOffset += 4
+  return v
+}
+
 Parser.prototype.parseFixed = function () {
   const v = getFixed(this.data, this.offset + this.relativeOffset)
   this.relativeOffset += 4
@@ -366,12 +378,12 @@ Parser.prototype.parseValueRecord = function (valueFormat) {
   if (valueFormat & 0x0004) { valueRecord.xAdvance = this.parseShort() }
   if (valueFormat & 0x0008) { valueRecord.yAdvance = this.parseShort() }
 
-  // Device table (non-variable font) / VariationIndex table (variable font) not supported
-  // https://docs.microsoft.com/fr-fr/typography/opentype/spec/chapter2#devVarIdxTbls
-  if (valueFormat & 0x0010) { valueRecord.xPlaDevice = undefined; this.parseShort() }
-  if (valueFormat & 0x0020) { valueRecord.yPlaDevice = undefined; this.parseShort() }
-  if (valueFormat & 0x0040) { valueRecord.xAdvDevice = undefined; this.parseShort() }
-  if (valueFormat & 0x0080) { valueRecord.yAdvDevice = undefined; this.parseShort() }
+  // Device table (non-variable font) / VariationIndex table (variable font),
+  // relative to the table that holds the value record
+  if (valueFormat & 0x0010) { valueRecord.xPlaDevice = this.parsePointer(Parser.device) }
+  if (valueFormat & 0x0020) { valueRecord.yPlaDevice = this.parsePointer(Parser.device) }
+  if (valueFormat & 0x0040) { valueRecord.xAdvDevice = this.parsePointer(Parser.device) }
+  if (valueFormat & 0x0080) { valueRecord.yAdvDevice = this.parsePointer(Parser.device) }
 
   return valueRecord
 }
@@ -501,6 +513,114 @@ Parser.prototype.parseClassDef = function () {
   throw new Error('0x' + startOffset.toString(16) + ': ClassDef format must be 1 or 2.')
 }
 
+// https://docs.microsoft.com/en-us/typography/opentype/spec/chapter2#device-and-variationindex-tables
+// parser.offset must point to the start of the table.
+Parser.prototype.parseDevice = function () {
+  const startSize = this.parseUShort()
+  const endSize = this.parseUShort()
+  const deltaFormat = this.parseUShort()
+  if (deltaFormat === 0x8000) {
+    // VariationIndex table, used in variable fonts
+    return {
+      deltaFormat: deltaFormat,
+      deltaSetOuterIndex: startSize,
+      deltaSetInnerIndex: endSize
+    }
+  }
+
+  // Device table, deltaFormat 1, 2 or 3 packs signed 2, 4 or 8-bit values in 16-bit words
+  const bits = 1 << deltaFormat
+  const count = endSize - startSize + 1
+  const valuesPerWord = 16 / bits
+  const deltaValues = []
+  let word = 0
+  for (let i = 0; i < count; i++) {
+    if (i % valuesPerWord === 0) {
+      word = this.parseUShort()
+    }
+    const shift = 16 - bits * (i % valuesPerWord + 1)
+    let value = (word >> shift) & ((1 << bits) - 1)
+    if (value >= 1 << (bits - 1)) {
+      value -= 1 << bits
+    }
+    deltaValues.push(value)
+  }
+  return {
+    startSize: startSize,
+    endSize: endSize,
+    deltaFormat: deltaFormat,
+    deltaValues: deltaValues
+  }
+}
+
+// Parse an ItemVariationStore, which holds the deltas of the values of a variable font
+// (used in CFF2, HVAR, VVAR and MVAR tables) and the regions of the design space where they apply.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/otvarcommonformats#item-variation-store
+// parser.offset must point to the start of the ItemVariationStore.
+Parser.prototype.parseItemVariationStore = function () {
+  const format = this.parseUShort()
+  check.argument(format === 1, 'Item variation store format ' + format + ' unknown.')
+  const variationRegions = this.parsePointer32(function () {
+    const axisCount = this.parseUShort()
+    const regionCount = this.parseUShort()
+    const regions = new Array(regionCount)
+    for (let i = 0; i < regionCount; i++) {
+      regions[i] = this.parseRecordList(axisCount, {
+        startCoord: Parser.prototype.parseF2Dot14,
+        peakCoord: Parser.prototype.parseF2Dot14,
+        endCoord: Parser.prototype.parseF2Dot14
+      })
+    }
+    return regions
+  }) || []
+  const itemVariationData = this.parseList(Parser.pointer32(function () {
+    const itemCount = this.parseUShort()
+    const wordDeltaCount = this.parseUShort()
+    const regionIndexes = this.parseUShortList()
+    // The first deltas of each row are words (or 32-bit with the LONG_WORDS flag), the others are bytes (or words).
+    const longWords = wordDeltaCount & 0x8000
+    const wordCount = wordDeltaCount & 0x7FFF
+    const deltaSets = new Array(itemCount)
+    for (let i = 0; i < itemCount; i++) {
+      const deltas = new Array(regionIndexes.length)
+      for (let j = 0; j < regionIndexes.length; j++) {
+        if (j < wordCount) {
+          deltas[j] = longWords ? this.parseLong() : this.parseShort()
+        } else {
+          deltas[j] = longWords ? this.parseShort() : this.parseChar()
+        }
+      }
+      deltaSets[i] = deltas
+    }
+    return { regionIndexes, deltaSets }
+  }))
+  return { format, variationRegions, itemVariationData }
+}
+
+// Parse a DeltaSetIndexMap, which maps items (like glyphs or axes) to the { outerIndex, innerIndex }
+// of their deltas in an ItemVariationStore.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/otvarcommonformats#associating-target-items-to-variation-data
+Parser.prototype.parseDeltaSetIndexMap = function () {
+  const format = this.parseByte()
+  check.argument(format === 0 || format === 1, 'Delta set index map format ' + format + ' unknown.')
+  const entryFormat = this.parseByte()
+  const mapCount = format === 0 ? this.parseUShort() : this.parseULong()
+  const entrySize = ((entryFormat & 0x30) >> 4) + 1
+  const innerIndexBitCount = (entryFormat & 0x0F) + 1
+  const map = new Array(mapCount)
+  for (let i = 0; i < mapCount; i++) {
+    let entry = 0
+    for (let j = 0; j < entrySize; j++) {
+      entry = entry * 256 + this.parseByte()
+    }
+    map[i] = {
+      outerIndex: Math.floor(entry / (1 << innerIndexBitCount)),
+      innerIndex: entry & ((1 << innerIndexBitCount) - 1)
+    }
+  }
+  return map
+}
+
 /// // Static methods ///////////////////////////////////
 // These convenience methods can be used as callbacks and should be called with "this" context set to a Parser instance.
 
@@ -549,6 +669,7 @@ Parser.uLongList = Parser.prototype.parseULongList
 Parser.struct = Parser.prototype.parseStruct
 Parser.coverage = Parser.prototype.parseCoverage
 Parser.classDef = Parser.prototype.parseClassDef
+Parser.device = Parser.prototype.parseDevice
 
 /// // Script, Feature, Lookup lists ///////////////////////////////////////////////
 // https://www.microsoft.com/typography/OTSPEC/chapter2.htm
@@ -597,14 +718,45 @@ Parser.prototype.parseLookupList = function (lookupTableParsers) {
   }))) || []
 }
 
+// A condition of a feature variation: a range of the normalized coordinate of an axis.
+// Conditions of unknown formats are kept with their format only, and never match.
+function parseCondition () {
+  const format = this.parseUShort()
+  if (format !== 1) {
+    return { format }
+  }
+
+  return {
+    format,
+    axisIndex: this.parseUShort(),
+    filterRangeMinValue: this.parseF2Dot14(),
+    filterRangeMaxValue: this.parseF2Dot14()
+  }
+}
+
+// The alternate feature tables of a feature variation, by index in the feature list.
+function parseFeatureTableSubstitution () {
+  const majorVersion = this.parseUShort()
+  const minorVersion = this.parseUShort()
+  check.argument(majorVersion === 1 && minorVersion === 0, 'GPOS/GSUB feature table substitution table unknown.')
+  return this.parseRecordList({
+    featureIndex: Parser.uShort,
+    feature: Parser.pointer32({
+      featureParams: Parser.offset16,
+      lookupListIndexes: Parser.uShortList
+    })
+  })
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/chapter2#featurevariations-table
 Parser.prototype.parseFeatureVariationsList = function () {
   return this.parsePointer32(function () {
     const majorVersion = this.parseUShort()
     const minorVersion = this.parseUShort()
     check.argument(majorVersion === 1 && minorVersion < 1, 'GPOS/GSUB feature variations table unknown.')
     const featureVariations = this.parseRecordList32({
-      conditionSetOffset: Parser.offset32,
-      featureTableSubstitutionOffset: Parser.offset32
+      conditions: Parser.pointer32(Parser.list(Parser.pointer32(parseCondition))),
+      substitutions: Parser.pointer32(parseFeatureTableSubstitution)
     })
     return featureVariations
   }) || []
@@ -5,6 +5,265 @@ import Layout from './layout.js'
 
 /** @typedef {import('./font.js').default} Font */
 
+// The GPOS features that are on by default when laying out text. The feature settings can turn them off,
+// and turn other features on.
+const positionFeatures = ['abvm', 'blwm', 'curs', 'dist', 'kern', 'mark', 'mkmk']
+
+// Maximum nesting of contextual lookups, to protect against lookups that call each other.
+const maxContextDepth = 16
+
+// Add a GPOS value record to the position of a glyph.
+function addValueRecord (position, value) {
+  if (!value) return
+  position.xOffset += value.xPlacement || 0
+  position.yOffset += value.yPlacement || 0
+  position.xAdvance += value.xAdvance || 0
+  position.yAdvance += value.yAdvance || 0
+}
+
+// Attach the mark at index `i` to the glyph at index `j`, by aligning their anchors.
+function attachMark (buffer, i, j, markAnchor, baseAnchor) {
+  markAnchor = buffer.vary(markAnchor)
+  baseAnchor = buffer.vary(baseAnchor)
+  const position = buffer.positions[i]
+  position.xOffset = baseAnchor.xCoordinate - markAnchor.xCoordinate
+  position.yOffset = baseAnchor.yCoordinate - markAnchor.yCoordinate
+  position.attachTo = j
+  position.attachType = 'mark'
+}
+
+// Attachment offsets are relative to the glyph they are attached to.
+// Add the offset of that glyph, and the advances between both glyphs.
+function propagateOffsets (positions, i, rtl) {
+  const position = positions[i]
+  const j = position.attachTo
+  if (j === undefined) return
+  position.attachTo = undefined
+  propagateOffsets(positions, j, rtl)
+  const parent = positions[j]
+  if (position.attachType === 'cursive') {
+    position.yOffset += parent.yOffset
+    return
+  }
+
+  position.xOffset += parent.xOffset
+  position.yOffset += parent.yOffset
+  if (rtl) {
+    for (let k = j + 1; k <= i; k++) {
+      position.xOffset += positions[k].xAdvance
+      position.yOffset += positions[k].yAdvance
+    }
+  } else {
+    for (let k = j; k < i; k++) {
+      position.xOffset -= positions[k].xAdvance
+      position.yOffset -= positions[k].yAdvance
+    }
+  }
+}
+
+// Functions applying a GPOS subtable to the glyph at index `i` of the buffer.
+// They return true if the glyph was positioned.
+// this = Position instance
+const subtableAppliers = new Array(9) // subtableAppliers[0] is unused
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-1-single-adjustment-positioning-subtable
+subtableAppliers[1] = function applyLookup1 (buffer, subtable, i) {
+  const covIndex = this.getCoverageIndex(subtable.coverage, buffer.glyphs[i])
+  if (covIndex < 0) return false
+  addValueRecord(buffer.positions[i], buffer.vary(subtable.posFormat === 1 ? subtable.value : subtable.values[covIndex]))
+  return true
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-2-pair-adjustment-positioning-subtable
+subtableAppliers[2] = function applyLookup2 (buffer, subtable, i) {
+  const covIndex = this.getCoverageIndex(subtable.coverage, buffer.glyphs[i])
+  if (covIndex < 0) return false
+  const j = this.getNextGlyph(buffer, i, 1)
+  if (j < 0) return false
+  let pair
+  if (subtable.posFormat === 1) {
+    pair = (subtable.pairSets[covIndex] || []).find(pair => pair.secondGlyph === buffer.glyphs[j])
+  } else if (subtable.posFormat === 2) {
+    const class1 = this.getGlyphClass(subtable.classDef1, buffer.glyphs[i])
+    const class2 = this.getGlyphClass(subtable.classDef2, buffer.glyphs[j])
+    pair = subtable.classRecords[class1] && subtable.classRecords[class1][class2]
+  }
+  if (!pair) return false
+  addValueRecord(buffer.positions[i], buffer.vary(pair.value1))
+  addValueRecord(buffer.positions[j], buffer.vary(pair.value2))
+  return true
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-3-cursive-attachment-positioning-subtable
+// The entry anchor of the glyph at index `i` is connected to the exit anchor of the previous glyph.
+subtableAppliers[3] = function applyLookup3 (buffer, subtable, i) {
+  const covIndex = this.getCoverageIndex(subtable.coverage, buffer.glyphs[i])
+  if (covIndex < 0) return false
+  const entry = buffer.vary(subtable.entryExitRecords[covIndex].entryAnchor)
+  if (!entry) return false
+  const j = this.getNextGlyph(buffer, i, -1)
+  if (j < 0) return false
+  const prevCovIndex = this.getCoverageIndex(subtable.coverage, buffer.glyphs[j])
+  if (prevCovIndex < 0) return false
+  const exit = buffer.vary(subtable.entryExitRecords[prevCovIndex].exitAnchor)
+  if (!exit) return false
+
+  const position = buffer.positions[i]
+  const prevPosition = buffer.positions[j]
+  if (buffer.rtl) {
+    const d = exit.xCoordinate + prevPosition.xOffset
+    prevPosition.xAdvance -= d
+    prevPosition.xOffset -= d
+    position.xAdvance = entry.xCoordinate + position.xOffset
+  } else {
+    prevPosition.xAdvance = exit.xCoordinate + prevPosition.xOffset
+    const d = entry.xCoordinate + position.xOffset
+    position.xAdvance -= d
+    position.xOffset -= d
+  }
+
+  // Without the RIGHT_TO_LEFT lookup flag, the last glyph of the chain stays on the baseline.
+  let child = i
+  let parent = j
+  let yOffset = exit.yCoordinate - entry.yCoordinate
+  if (buffer.lookup.lookupFlag & 0x1) {
+    child = j
+    parent = i
+    yOffset = -yOffset
+  }
+  if (buffer.positions[parent].attachTo === child) {
+    buffer.positions[parent].attachTo = undefined
+  }
+  buffer.positions[child].attachTo = parent
+  buffer.positions[child].attachType = 'cursive'
+  buffer.positions[child].yOffset = yOffset
+  return true
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-4-mark-to-base-attachment-positioning-subtable
+subtableAppliers[4] = function applyLookup4 (buffer, subtable, i) {
+  const markIndex = this.getCoverageIndex(subtable.markCoverage, buffer.glyphs[i])
+  if (markIndex < 0) return false
+  const j = this.getPreviousBase(buffer, i)
+  if (j < 0) return false
+  const baseIndex = this.getCoverageIndex(subtable.baseCoverage, buffer.glyphs[j])
+  if (baseIndex < 0) return false
+  const markRecord = subtable.markArray[markIndex]
+  const baseAnchor = subtable.baseArray[baseIndex][markRecord.markClass]
+  if (!baseAnchor) return false
+  attachMark(buffer, i, j, markRecord.markAnchor, baseAnchor)
+  return true
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-5-mark-to-ligature-attachment-positioning-subtable
+// The ligature components of the glyphs are not tracked, so marks are attached to the last component.
+subtableAppliers[5] = function applyLookup5 (buffer, subtable, i) {
+  const markIndex = this.getCoverageIndex(subtable.markCoverage, buffer.glyphs[i])
+  if (markIndex < 0) return false
+  const j = this.getPreviousBase(buffer, i)
+  if (j < 0) return false
+  const ligatureIndex = this.getCoverageIndex(subtable.ligatureCoverage, buffer.glyphs[j])
+  if (ligatureIndex < 0) return false
+  const components = subtable.ligatureArray[ligatureIndex]
+  const markRecord = subtable.markArray[markIndex]
+  const ligatureAnchor = components.length > 0 && components[components.length - 1][markRecord.markClass]
+  if (!ligatureAnchor) return false
+  attachMark(buffer, i, j, markRecord.markAnchor, ligatureAnchor)
+  return true
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-6-mark-to-mark-attachment-positioning-subtable
+subtableAppliers[6] = function applyLookup6 (buffer, subtable, i) {
+  const mark1Index = this.getCoverageIndex(subtable.mark1Coverage, buffer.glyphs[i])
+  if (mark1Index < 0) return false
+  const j = this.getNextGlyph(buffer, i, -1)
+  if (j < 0) return false
+  const mark2Index = this.getCoverageIndex(subtable.mark2Coverage, buffer.glyphs[j])
+  if (mark2Index < 0) return false
+  const markRecord = subtable.mark1Array[mark1Index]
+  const mark2Anchor = subtable.mark2Array[mark2Index][markRecord.markClass]
+  if (!mark2Anchor) return false
+  attachMark(buffer, i, j, markRecord.markAnchor, mark2Anchor)
+  return true
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-7-contextual-positioning-subtables
+subtableAppliers[7] = function applyLookup7 (buffer, subtable, i) {
+  const glyph = buffer.glyphs[i]
+  let rules
+  let test
+  if (subtable.posFormat === 1) {
+    const covIndex = this.getCoverageIndex(subtable.coverage, glyph)
+    if (covIndex < 0) return false
+    rules = subtable.ruleSets[covIndex] || []
+    test = (glyph, value) => glyph === value
+  } else if (subtable.posFormat === 2) {
+    if (this.getCoverageIndex(subtable.coverage, glyph) < 0) return false
+    const classSet = subtable.classSets[this.getGlyphClass(subtable.classDef, glyph)] || []
+    rules = classSet.map(rule => ({ input: rule.classes, lookupRecords: rule.lookupRecords }))
+    test = (glyph, value) => this.getGlyphClass(subtable.classDef, glyph) === value
+  } else if (subtable.posFormat === 3) {
+    if (this.getCoverageIndex(subtable.coverages[0], glyph) < 0) return false
+    rules = [{ input: subtable.coverages.slice(1), lookupRecords: subtable.lookupRecords }]
+    test = this.isCovered
+  } else {
+    return false
+  }
+
+  for (let k = 0; k < rules.length; k++) {
+    const input = this.matchInput(buffer, i, rules[k].input, test)
+    if (input) {
+      this.applyLookupRecords(buffer, input, rules[k].lookupRecords)
+      buffer.inputEnd = input[input.length - 1]
+      return true
+    }
+  }
+  return false
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-8-chained-contexts-positioning-subtable
+subtableAppliers[8] = function applyLookup8 (buffer, subtable, i) {
+  const glyph = buffer.glyphs[i]
+  let rules
+  let backtrackTest, inputTest, lookaheadTest
+  if (subtable.posFormat === 1) {
+    const covIndex = this.getCoverageIndex(subtable.coverage, glyph)
+    if (covIndex < 0) return false
+    rules = subtable.chainRuleSets[covIndex] || []
+    backtrackTest = inputTest = lookaheadTest = (glyph, value) => glyph === value
+  } else if (subtable.posFormat === 2) {
+    if (this.getCoverageIndex(subtable.coverage, glyph) < 0) return false
+    rules = subtable.chainClassSet[this.getGlyphClass(subtable.inputClassDef, glyph)] || []
+    backtrackTest = (glyph, value) => this.getGlyphClass(subtable.backtrackClassDef, glyph) === value
+    inputTest = (glyph, value) => this.getGlyphClass(subtable.inputClassDef, glyph) === value
+    lookaheadTest = (glyph, value) => this.getGlyphClass(subtable.lookaheadClassDef, glyph) === value
+  } else if (subtable.posFormat === 3) {
+    if (this.getCoverageIndex(subtable.inputCoverage[0], glyph) < 0) return false
+    rules = [{
+      backtrack: subtable.backtrackCoverage,
+      input: subtable.inputCoverage.slice(1),
+      lookahead: subtable.lookaheadCoverage,
+      lookupRecords: subtable.lookupRecords
+    }]
+    backtrackTest = inputTest = lookaheadTest = this.isCovered
+  } else {
+    return false
+  }
+
+  for (let k = 0; k < rules.length; k++) {
+    const rule = rules[k]
+    const input = this.matchInput(buffer, i, rule.input, inputTest)
+    if (input &&
+        this.matchSequence(buffer, i, -1, rule.backtrack, backtrackTest) &&
+        this.matchSequence(buffer, input[input.length - 1], 1, rule.lookahead, lookaheadTest)) {
+      this.applyLookupRecords(buffer, input, rule.lookupRecords)
+      buffer.inputEnd = input[input.length - 1]
+      return true
+    }
+  }
+  return false
+}
+
 class Position extends Layout {
   /** @param {Font} font */
   constructor (font) {
@@ -66,6 +325,262 @@ class Position extends Layout {
       return this.getLookupTables(script, language, 'kern', 2)
     }
   }
+
+  /**
+   * Compute the positions of a run of glyphs with the GPOS lookups of the positioning features
+   * (kerning, mark and cursive attachment...). If the font has no GPOS table, the kerning pairs
+   * of the `kern` table are used.
+   *
+   * @param {number[]} glyphIndexes - A run of glyphs of the same direction, in logical order
+   * @param {Object} [options]
+   * @param {string} [options.script] - By default, 'arab' for right-to-left runs if the font supports it, else 'DFLT' or 'latn'
+   * @param {string} [options.language='dflt']
+   * @param {boolean} [options.kerning=true] - Whether to apply the kerning feature
+   * @param {Object[]} [options.features] - Feature settings, a list of `{ tag, value, start, end }` like the ones of
+   * `Font.getFeatureSettings`, which turn features on or off for the glyphs of the chars from offset `start` to `end`
+   * @param {number[]} [options.offsets] - The string offsets of the chars of the glyphs, for the ranges of the feature
+   * settings. By default, the index of each glyph
+   * @param {boolean} [options.rtl=false] - Whether the run is right-to-left
+   * @param {Object} [options.variation] - The location in the design space of a variable font, like `{ wght: 700 }`,
+   * where the advance widths and the GPOS values vary
+   * @return {Object[]} One { xAdvance, yAdvance, xOffset, yOffset } position per glyph, in font units
+   */
+  getPositions (glyphIndexes, options = {}) {
+    const kerning = options.kerning !== false
+    const positions = glyphIndexes.map(index => {
+      const glyph = this.font.glyphs.get(index)
+      const advanceWidth = glyph && (options.variation ? this.font.variation.getAdvanceWidth(glyph, options.variation) : glyph.advanceWidth)
+      return { xAdvance: advanceWidth || 0, yAdvance: 0, xOffset: 0, yOffset: 0 }
+    })
+    const gpos = this.getTable()
+    if (!gpos) {
+      if (kerning) {
+        for (let i = 0; i < glyphIndexes.length - 1; i++) {
+          positions[i].xAdvance += this.font.getKerningValue(glyphIndexes[i], glyphIndexes[i + 1])
+        }
+      }
+      return positions
+    }
+
+    let script = options.script
+    if (!script || !this.getScriptTable(script)) {
+      script = options.rtl && this.getScriptTable('arab') ? 'arab' : this.getDefaultScriptName()
+    }
+    // The value of a feature for a glyph is the value of the last setting whose range includes its char.
+    const settings = options.features || []
+    const getFeatureValue = (tag, i) => {
+      if (tag === 'kern' && !kerning) return 0
+      const offset = options.offsets ? options.offsets[i] : i
+      let value = positionFeatures.indexOf(tag) !== -1 ? 1 : 0
+      settings.forEach(setting => {
+        if (setting.tag === tag && setting.start <= offset && offset < setting.end) value = setting.value
+      })
+      return value
+    }
+    const features = positionFeatures.slice()
+    settings.forEach(setting => {
+      if (setting.value && features.indexOf(setting.tag) === -1) features.push(setting.tag)
+    })
+    const lookups = this.getScriptLookups(script, options.language, features, options.variation)
+    // The GPOS values of a variable font get the deltas of their VariationIndex tables.
+    const coordinates = options.variation && this.font.variation.normalizeCoordinates(options.variation)
+    const buffer = {
+      glyphs: glyphIndexes,
+      positions,
+      rtl: !!options.rtl,
+      depth: 0,
+      // The index of the last glyph of the input matched by a context.
+      inputEnd: 0,
+      vary: value => coordinates && value ? this.font.variation.applyDeviceDeltas(value, coordinates) : value
+    }
+    for (let l = 0; l < lookups.length; l++) {
+      const { lookup, tags } = lookups[l]
+      for (let i = 0; i < glyphIndexes.length; i++) {
+        // The lookups of the required feature apply to all the glyphs.
+        if (tags.length && !tags.some(tag => getFeatureValue(tag, i))) continue
+        buffer.inputEnd = i
+        this.applyLookup(buffer, lookup, i)
+        // A context is applied once to its whole input, the lookup goes on after it.
+        i = Math.max(i, buffer.inputEnd)
+      }
+    }
+
+    // Marks attached to other glyphs do not move the pen.
+    for (let i = 0; i < positions.length; i++) {
+      if (positions[i].attachType === 'mark') {
+        positions[i].xAdvance = 0
+        positions[i].yAdvance = 0
+      }
+    }
+    for (let i = 0; i < positions.length; i++) {
+      propagateOffsets(positions, i, buffer.rtl)
+    }
+
+    return positions.map(position => ({
+      xAdvance: position.xAdvance,
+      yAdvance: position.yAdvance,
+      xOffset: position.xOffset,
+      yOffset: position.yOffset
+    }))
+  }
+
+  /**
+   * List the lookup tables of the given features, in the order in which they must be applied.
+   *
+   * @param {string} script
+   * @param {string} [language='dflt'] - Falls back to the default language system of the script
+   * @param {string[]} features - A list of feature tags
+   * @param {Object} [variation] - The location in the design space of a variable font, where the FeatureVariations table
+   * can replace the feature tables
+   * @return {object[]}
+   */
+  getFeatureLookups (script, language, features, variation) {
+    return this.getScriptLookups(script, language, features, variation).map(({ lookup }) => lookup)
+  }
+
+  /**
+   * List the lookup tables of the given features, in the order in which they must be applied,
+   * with the tags of the features that use them.
+   *
+   * @param {string} script
+   * @param {string} [language='dflt'] - Falls back to the default language system of the script
+   * @param {string[]} features - A list of feature tags
+   * @param {Object} [variation] - The location in the design space of a variable font, where the FeatureVariations table
+   * can replace the feature tables
+   * @return {Object[]} a list of { lookup, tags }, where the tags are empty for the lookups of the required feature
+   */
+  getScriptLookups (script, language, features, variation) {
+    const langSysTable = this.getLangSysTable(script, language) || this.getLangSysTable(script)
+    if (!langSysTable) return []
+    const gpos = this.getTable()
+    const featureTables = this.getFeatureVariationTables(variation)
+    const lookupTags = {}
+    const requiredLookups = {}
+    const featureIndexes = langSysTable.featureIndexes.concat(langSysTable.reqFeatureIndex !== 0xffff ? [langSysTable.reqFeatureIndex] : [])
+    for (let i = 0; i < featureIndexes.length; i++) {
+      const featureRecord = gpos.features[featureIndexes[i]]
+      if (!featureRecord) continue
+      const required = featureIndexes[i] === langSysTable.reqFeatureIndex
+      if (!required && features.indexOf(featureRecord.tag) === -1) continue
+      const indexes = (featureTables[featureIndexes[i]] || featureRecord.feature).lookupListIndexes
+      for (let j = 0; j < indexes.length; j++) {
+        const tags = lookupTags[indexes[j]] = lookupTags[indexes[j]] || []
+        if (required) {
+          requiredLookups[indexes[j]] = true
+        } else if (tags.indexOf(featureRecord.tag) === -1) {
+          tags.push(featureRecord.tag)
+        }
+      }
+    }
+    return Object.keys(lookupTags)
+      .map(index => parseInt(index))
+      .sort((a, b) => a - b)
+      .map(index => ({ lookup: gpos.lookups[index], tags: requiredLookups[index] ? [] : lookupTags[index] }))
+      .filter(({ lookup }) => lookup)
+  }
+
+  /**
+   * Apply the first matching subtable of a lookup to the glyph at index `i` of the buffer.
+   * @return {boolean} Whether the glyph was positioned
+   */
+  applyLookup (buffer, lookup, i) {
+    const parentLookup = buffer.lookup
+    buffer.lookup = lookup
+    let applied = false
+    if (!this.isIgnored(buffer, buffer.glyphs[i])) {
+      for (let s = 0; s < lookup.subtables.length && !applied; s++) {
+        let lookupType = lookup.lookupType
+        let subtable = lookup.subtables[s]
+        if (lookupType === 9) {
+          lookupType = subtable.lookupType
+          subtable = subtable.extension
+        }
+        const applier = subtableAppliers[lookupType]
+        applied = !!(applier && subtable && !subtable.error && applier.call(this, buffer, subtable, i))
+      }
+    }
+    buffer.lookup = parentLookup
+    return applied
+  }
+
+  /**
+   * Apply the nested lookups of a contextual lookup to the matched input glyphs.
+   */
+  applyLookupRecords (buffer, input, lookupRecords) {
+    if (buffer.depth >= maxContextDepth) return
+    buffer.depth++
+    const lookups = this.getTable().lookups
+    for (let k = 0; k < lookupRecords.length; k++) {
+      const record = lookupRecords[k]
+      const lookup = lookups[record.lookupListIndex]
+      if (lookup && record.sequenceIndex < input.length) {
+        this.applyLookup(buffer, lookup, input[record.sequenceIndex])
+      }
+    }
+    buffer.depth--
+  }
+
+  /**
+   * Check if a glyph is skipped by the flags of the current lookup.
+   */
+  isIgnored (buffer, glyphIndex) {
+    return this.isIgnoredGlyph(buffer.lookup, glyphIndex)
+  }
+
+  /**
+   * Get the index of the next glyph in the given direction that is not skipped by the current lookup.
+   * @return {number} -1 if not found
+   */
+  getNextGlyph (buffer, i, direction) {
+    for (let j = i + direction; j >= 0 && j < buffer.glyphs.length; j += direction) {
+      if (!this.isIgnored(buffer, buffer.glyphs[j])) return j
+    }
+    return -1
+  }
+
+  /**
+   * Get the index of the glyph a mark at index `i` attaches to, skipping the other marks.
+   * @return {number} -1 if not found
+   */
+  getPreviousBase (buffer, i) {
+    const classDef = this.font.tables.gdef && this.font.tables.gdef.classDef
+    for (let j = i - 1; j >= 0; j--) {
+      const glyphIndex = buffer.glyphs[j]
+      if (classDef && this.getGlyphClass(classDef, glyphIndex) === 3) continue
+      if (!this.isIgnored(buffer, glyphIndex)) return j
+    }
+    return -1
+  }
+
+  /**
+   * Match the glyphs following the glyph at index `i` against a list of values.
+   * @return {number[]|undefined} The indexes of the input glyphs, starting with `i`
+   */
+  matchInput (buffer, i, values, test) {
+    const matched = this.matchSequence(buffer, i, 1, values, test)
+    return matched && [i].concat(matched)
+  }
+
+  /**
+   * Match the glyphs before (direction -1) or after (direction 1) the glyph at index `i` against a list of values.
+   * @return {number[]|undefined} The indexes of the matched glyphs
+   */
+  matchSequence (buffer, i, direction, values, test) {
+    const matched = []
+    for (let k = 0; k < values.length; k++) {
+      i = this.getNextGlyph(buffer, i, direction)
+      if (i < 0 || !test.call(this, buffer.glyphs[i], values[k])) return
+      matched.push(i)
+    }
+    return matched
+  }
+
+  /**
+   * Check if a glyph is in a coverage table.
+   */
+  isCovered (glyphIndex, coverageTable) {
+    return this.getCoverageIndex(coverageTable, glyphIndex) >= 0
+  }
 }
 
 export default Position
@@ -143,6 +143,53 @@ class Substitution extends Layout {
     return alternates
   }
 
+  /**
+   * List the alternates of a glyph in all the features of a script and language, for example to offer
+   * them in a glyph picker: the glyphs of the single (lookup type 1) and alternate (lookup type 3) substitutions.
+   * Each alternate has the feature `value` that selects it in the feature settings of the render options,
+   * 1 for single substitutions and the index of the alternate, from 1, for alternate substitutions.
+   * The result is an array of objects like { feature: 'salt', value: 2, by: id }
+   * @param {number} glyphIndex
+   * @param {string} [script='DFLT']
+   * @param {string} [language='dflt']
+   * @return {Array} alternates - The list of alternates.
+   */
+  getGlyphAlternates (glyphIndex, script, language) {
+    const alternates = []
+    const layout = this.getTable()
+    const langSysTable = layout && this.getLangSysTable(script || this.getDefaultScriptName(), language)
+    if (!langSysTable) return alternates
+    const add = (feature, value, by) => {
+      if (by === glyphIndex || alternates.some(alternate => alternate.feature === feature && alternate.by === by)) return
+      alternates.push({ feature, value, by })
+    }
+
+    langSysTable.featureIndexes.forEach(featureIndex => {
+      const featureRecord = layout.features[featureIndex]
+      featureRecord.feature.lookupListIndexes.forEach(lookupListIndex => {
+        const lookupTable = layout.lookups[lookupListIndex]
+        lookupTable.subtables.forEach(subtable => {
+          let lookupType = lookupTable.lookupType
+          if (lookupType === 7) {
+            lookupType = subtable.lookupType
+            subtable = subtable.extension
+          }
+          if (lookupType !== 1 && lookupType !== 3) return
+          const index = this.getCoverageIndex(subtable.coverage, glyphIndex)
+          if (index === -1) return
+          if (lookupType === 3) {
+            subtable.alternateSets[index].forEach((by, k) => add(featureRecord.tag, k + 1, by))
+          } else if (subtable.substFormat === 1) {
+            add(featureRecord.tag, 1, (glyphIndex + subtable.deltaGlyphId) & 0xffff)
+          } else {
+            add(featureRecord.tag, 1, subtable.substitute[index])
+          }
+        })
+      })
+    })
+    return alternates
+  }
+
   /**
    * List all ligatures (lookup type 4) for a given script, language, and feature.
    * The result is an array of ligature objects like { sub: [ids], by: id }
@@ -123,6 +123,37 @@ class Coverage extends Table {
   }
 }
 
+/**
+ * @exports opentype.ClassDef
+ * @param {opentype.Table}
+ * @extends opentype.Table
+ */
+class ClassDef extends Table {
+  constructor (classDefTable) {
+    if (classDefTable.format === 1) {
+      super('classDefTable',
+        [
+          { name: 'classFormat', type: 'USHORT', value: 1 },
+          { name: 'startGlyphID', type: 'USHORT', value: classDefTable.startGlyph }
+        ].concat(ushortList('glyph', classDefTable.classes))
+      )
+    } else if (classDefTable.format === 2) {
+      super('classDefTable',
+        [{ name: 'classFormat', type: 'USHORT', value: 2 }]
+          .concat(recordList('classRangeRecord', classDefTable.ranges, function (ClassRangeRecord, i) {
+            return [
+              { name: 'startGlyphID' + i, type: 'USHORT', value: ClassRangeRecord.start },
+              { name: 'endGlyphID' + i, type: 'USHORT', value: ClassRangeRecord.end },
+              { name: 'class' + i, type: 'USHORT', value: ClassRangeRecord.classId }
+            ]
+          }))
+      )
+    } else {
+      check.assert(false, 'Class format must be 1 or 2.')
+    }
+  }
+}
+
 class ScriptList extends Table {
   constructor (scriptListTable) {
     super('scriptListTable',
@@ -193,24 +224,137 @@ class LookupList extends Table {
   constructor (lookupListTable, subtableMakers) {
     super('lookupListTable', tableList('lookup', lookupListTable, function (lookupTable) {
       const subtableCallback = subtableMakers[lookupTable.lookupType]
-      check.assert(!!subtableCallback, 'Unable to write GSUB lookup type ' + lookupTable.lookupType + ' tables.')
-      return new Table('lookupTable', [
+      check.assert(!!subtableCallback, 'Unable to write lookup type ' + lookupTable.lookupType + ' tables.')
+      let fields = [
         { name: 'lookupType', type: 'USHORT', value: lookupTable.lookupType },
         { name: 'lookupFlag', type: 'USHORT', value: lookupTable.lookupFlag }
-      ].concat(tableList('subtable', lookupTable.subtables, subtableCallback)))
+      ].concat(tableList('subtable', lookupTable.subtables, subtableCallback))
+      if (lookupTable.lookupFlag & 0x10) {
+        fields = fields.concat({ name: 'markFilteringSet', type: 'USHORT', value: lookupTable.markFilteringSet })
+      }
+      return new Table('lookupTable', fields)
     }))
   }
 }
 
+// Variation Tables
+
+// The values of 2.14 fixed-point numbers, like the coordinates of variation regions.
+function f2dot14 (name, value) {
+  return { name, type: 'SHORT', value: Math.round(value * 0x4000) }
+}
+
+/**
+ * @private
+ */
+function makeItemVariationData (itemVariationData, n) {
+  const { regionIndexes, deltaSets } = itemVariationData
+  // The columns of deltas that don't fit in a byte are written first, as words.
+  // If a delta doesn't fit in a word, all the deltas are written as 32-bit words.
+  const longWords = deltaSets.some(deltas => deltas.some(delta => delta < -0x8000 || delta > 0x7FFF))
+  const columns = regionIndexes.map((regionIndex, i) => i)
+  const wordColumns = longWords ? columns : columns.filter(i => deltaSets.some(deltas => deltas[i] < -0x80 || deltas[i] > 0x7F))
+  const order = wordColumns.concat(columns.filter(i => wordColumns.indexOf(i) === -1))
+  const fields = [
+    { name: 'itemCount_' + n, type: 'USHORT', value: deltaSets.length },
+    { name: 'wordDeltaCount_' + n, type: 'USHORT', value: wordColumns.length | (longWords ? 0x8000 : 0) }
+  ].concat(ushortList('regionIndex_' + n + '_', order.map(i => regionIndexes[i])))
+  deltaSets.forEach((deltas, i) => {
+    order.forEach((column, j) => {
+      const type = longWords ? 'LONG' : j < wordColumns.length ? 'SHORT' : 'BYTE'
+      fields.push({ name: 'delta_' + n + '_' + i + '_' + j, type, value: type === 'BYTE' ? deltas[column] & 0xFF : deltas[column] })
+    })
+  })
+  return new Table('itemVariationData', fields)
+}
+
+/**
+ * An ItemVariationStore, like the ones parsed by `Parser.parseItemVariationStore`.
+ * Its subtables have 32-bit offsets, so it is written in a LITERAL field of the table that refers to it.
+ * https://docs.microsoft.com/en-us/typography/opentype/spec/otvarcommonformats#item-variation-store
+ * @exports opentype.ItemVariationStore
+ * @param {opentype.Table}
+ * @extends opentype.Table
+ */
+class ItemVariationStore extends Table {
+  constructor (itemVariationStore) {
+    const regions = itemVariationStore.variationRegions
+    let regionListFields = [
+      { name: 'axisCount', type: 'USHORT', value: regions.length > 0 ? regions[0].length : 0 },
+      { name: 'regionCount', type: 'USHORT', value: regions.length }
+    ]
+    regions.forEach((region, i) => {
+      region.forEach((axis, j) => {
+        regionListFields = regionListFields.concat([
+          f2dot14('startCoord_' + i + '_' + j, axis.startCoord),
+          f2dot14('peakCoord_' + i + '_' + j, axis.peakCoord),
+          f2dot14('endCoord_' + i + '_' + j, axis.endCoord)
+        ])
+      })
+    })
+    const regionList = new Table('variationRegionList', regionListFields).encode()
+    const itemVariationData = itemVariationStore.itemVariationData.map((data, i) => makeItemVariationData(data, i).encode())
+
+    let offset = 8 + itemVariationData.length * 4
+    const fields = [
+      { name: 'format', type: 'USHORT', value: 1 },
+      { name: 'variationRegionListOffset', type: 'ULONG', value: offset },
+      { name: 'itemVariationDataCount', type: 'USHORT', value: itemVariationData.length }
+    ]
+    offset += regionList.length
+    itemVariationData.forEach((bytes, i) => {
+      fields.push({ name: 'itemVariationDataOffset_' + i, type: 'ULONG', value: offset })
+      offset += bytes.length
+    })
+    fields.push({ name: 'variationRegionList', type: 'LITERAL', value: regionList })
+    itemVariationData.forEach((bytes, i) => {
+      fields.push({ name: 'itemVariationData_' + i, type: 'LITERAL', value: bytes })
+    })
+    super('itemVariationStore', fields)
+  }
+}
+
+/**
+ * A DeltaSetIndexMap of { outerIndex, innerIndex } entries, like the ones parsed by `Parser.parseDeltaSetIndexMap`.
+ * The entries are written with the smallest size that fits them.
+ * https://docs.microsoft.com/en-us/typography/opentype/spec/otvarcommonformats#associating-target-items-to-variation-data
+ * @exports opentype.DeltaSetIndexMap
+ * @param {opentype.Table}
+ * @extends opentype.Table
+ */
+class DeltaSetIndexMap extends Table {
+  constructor (map) {
+    const maxInnerIndex = map.reduce((max, entry) => Math.max(max, entry.innerIndex), 0)
+    let innerIndexBitCount = 1
+    while (innerIndexBitCount < 16 && maxInnerIndex >= (1 << innerIndexBitCount)) {
+      innerIndexBitCount++
+    }
+
+    const entries = map.map(entry => entry.outerIndex * (1 << innerIndexBitCount) + entry.innerIndex)
+    const maxEntry = entries.reduce((max, entry) => Math.max(max, entry), 0)
+    const entrySize = maxEntry < 0x100 ? 1 : maxEntry < 0x10000 ? 2 : maxEntry < 0x1000000 ? 3 : 4
+    const format = map.length > 0xFFFF ? 1 : 0
+    const entryType = ['BYTE', 'USHORT', 'UINT24', 'ULONG'][entrySize - 1]
+    super('deltaSetIndexMap', [
+      { name: 'format', type: 'BYTE', value: format },
+      { name: 'entryFormat', type: 'BYTE', value: ((entrySize - 1) << 4) | (innerIndexBitCount - 1) },
+      { name: 'mapCount', type: format === 0 ? 'USHORT' : 'ULONG', value: map.length }
+    ].concat(entries.map((entry, i) => ({ name: 'entry_' + i, type: entryType, value: entry }))))
+  }
+}
+
 // Record = same as Table, but inlined (a Table has an offset and its data is further in the stream)
 // Don't use offsets inside Records (probable bug), only in Tables.
 export default {
   Table,
   Record: Table,
   Coverage,
+  ClassDef,
   ScriptList,
   FeatureList,
   LookupList,
+  ItemVariationStore,
+  DeltaSetIndexMap,
   ushortList,
   tableList,
   recordList
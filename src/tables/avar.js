@@ -0,0 +1,64 @@
+// The `avar` table modifies the normalization of the coordinates of the variation axes.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/avar
+
+import check from '../check.js'
+import parse from '../parse.js'
+import table from '../table.js'
+
+// Parse the `avar` table. Each axis has a list of { fromCoordinate, toCoordinate } segments
+// that map the normalized coordinates. Version 2 adds deltas to the mapped coordinates
+// with an ItemVariationStore, and optionally a DeltaSetIndexMap of the axes.
+function parseAvarTable (data, start) {
+  const p = new parse.Parser(data, start)
+  const majorVersion = p.parseUShort()
+  check.argument(majorVersion === 1 || majorVersion === 2, 'Unsupported avar table version.')
+  p.skip('uShort') // minorVersion
+  p.skip('uShort') // reserved
+  const axisCount = p.parseUShort()
+  const axisSegmentMaps = []
+  for (let i = 0; i < axisCount; i += 1) {
+    axisSegmentMaps.push(p.parseRecordList({
+      fromCoordinate: parse.Parser.prototype.parseF2Dot14,
+      toCoordinate: parse.Parser.prototype.parseF2Dot14
+    }))
+  }
+
+  const avar = { version: majorVersion, axisSegmentMaps }
+  if (majorVersion === 2) {
+    const axisIndexMapOffset = p.parseOffset32()
+    const itemVariationStoreOffset = p.parseOffset32()
+    if (axisIndexMapOffset) {
+      avar.axisIndexMap = new parse.Parser(data, start + axisIndexMapOffset).parseDeltaSetIndexMap()
+    }
+
+    if (itemVariationStoreOffset) {
+      avar.itemVariationStore = new parse.Parser(data, start + itemVariationStoreOffset).parseItemVariationStore()
+    }
+  }
+
+  return avar
+}
+
+// Make the `avar` table. Only version 1 tables, without the item variation store, can be written.
+function makeAvarTable (avar) {
+  check.argument(!avar.version || avar.version === 1, 'Only avar tables of version 1 can be written.')
+  const result = new table.Table('avar', [
+    { name: 'majorVersion', type: 'USHORT', value: 1 },
+    { name: 'minorVersion', type: 'USHORT', value: 0 },
+    { name: 'reserved', type: 'USHORT', value: 0 },
+    { name: 'axisCount', type: 'USHORT', value: avar.axisSegmentMaps.length }
+  ])
+  avar.axisSegmentMaps.forEach((segments, i) => {
+    result.fields.push({ name: 'positionMapCount_' + i, type: 'USHORT', value: segments.length })
+    segments.forEach((segment, j) => {
+      result.fields.push(
+        { name: 'fromCoordinate_' + i + '_' + j, type: 'SHORT', value: Math.round(segment.fromCoordinate * 0x4000) },
+        { name: 'toCoordinate_' + i + '_' + j, type: 'SHORT', value: Math.round(segment.toCoordinate * 0x4000) }
+      )
+    })
+  })
+
+  return result
+}
+
+export default { parse: parseAvarTable, make: makeAvarTable }
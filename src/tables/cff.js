@@ -45,27 +45,37 @@ function calcCFFSubroutineBias (subrs) {
   return bias
 }
 
+// The count of a `CFF` INDEX array is a Card16, and a Card32 in `CFF2`.
+function getCFFIndexCountSize (version) {
+  return version === 2 ? 4 : 2
+}
+
+function getCFFIndexCount (data, start, version) {
+  return version === 2 ? parse.getULong(data, start) : parse.getCard16(data, start)
+}
+
 // Parse a `CFF` INDEX array.
 // An index array consists of a list of offsets, then a list of objects at those offsets.
-function parseCFFIndex (data, start, conversionFn) {
+function parseCFFIndex (data, start, conversionFn, version) {
   const offsets = []
   const objects = []
-  const count = parse.getCard16(data, start)
+  const countSize = getCFFIndexCountSize(version)
+  const count = getCFFIndexCount(data, start, version)
   let objectOffset
   let endOffset
   if (count !== 0) {
-    const offsetSize = parse.getByte(data, start + 2)
-    objectOffset = start + ((count + 1) * offsetSize) + 2
-    let pos = start + 3
+    const offsetSize = parse.getByte(data, start + countSize)
+    objectOffset = start + ((count + 1) * offsetSize) + countSize
+    let pos = start + countSize + 1
     for (let i = 0; i < count + 1; i += 1) {
       offsets.push(parse.getOffset(data, pos, offsetSize))
       pos += offsetSize
     }
 
-    // The total size of the index array is 4 header bytes + the value of the last offset.
+    // The total size of the index array is the header bytes + the value of the last offset.
     endOffset = objectOffset + offsets[count]
   } else {
-    endOffset = start + 2
+    endOffset = start + countSize
   }
 
   for (let i = 0; i < offsets.length - 1; i += 1) {
@@ -80,34 +90,36 @@ function parseCFFIndex (data, start, conversionFn) {
   return { objects: objects, startOffset: start, endOffset: endOffset }
 }
 
-function parseCFFIndexLowMemory (data, start) {
+function parseCFFIndexLowMemory (data, start, version) {
   const offsets = []
-  const count = parse.getCard16(data, start)
+  const countSize = getCFFIndexCountSize(version)
+  const count = getCFFIndexCount(data, start, version)
   let objectOffset
   let endOffset
   if (count !== 0) {
-    const offsetSize = parse.getByte(data, start + 2)
-    objectOffset = start + ((count + 1) * offsetSize) + 2
-    let pos = start + 3
+    const offsetSize = parse.getByte(data, start + countSize)
+    objectOffset = start + ((count + 1) * offsetSize) + countSize
+    let pos = start + countSize + 1
     for (let i = 0; i < count + 1; i += 1) {
       offsets.push(parse.getOffset(data, pos, offsetSize))
       pos += offsetSize
     }
 
-    // The total size of the index array is 4 header bytes + the value of the last offset.
+    // The total size of the index array is the header bytes + the value of the last offset.
     endOffset = objectOffset + offsets[count]
   } else {
-    endOffset = start + 2
+    endOffset = start + countSize
   }
 
   return { offsets: offsets, startOffset: start, endOffset: endOffset }
 }
-function getCffIndexObject (i, offsets, data, start, conversionFn) {
-  const count = parse.getCard16(data, start)
+function getCffIndexObject (i, offsets, data, start, conversionFn, version) {
+  const countSize = getCFFIndexCountSize(version)
+  const count = getCFFIndexCount(data, start, version)
   let objectOffset = 0
   if (count !== 0) {
-    const offsetSize = parse.getByte(data, start + 2)
-    objectOffset = start + ((count + 1) * offsetSize) + 2
+    const offsetSize = parse.getByte(data, start + countSize)
+    objectOffset = start + ((count + 1) * offsetSize) + countSize
   }
 
   let value = parse.getBytes(data, objectOffset + offsets[i], objectOffset + offsets[i + 1])
@@ -221,8 +233,8 @@ function parseCFFDict (data, start, size) {
     let op = parser.parseByte()
 
     // The first byte for each dict item distinguishes between operator (key) and operand (value).
-    // Values <= 21 are operators.
-    if (op <= 21) {
+    // Values <= 21 are operators, and `CFF2` adds vsindex (22), blend (23) and vstore (24).
+    if (op <= 24) {
       // Two-byte operators have an initial escape byte of 12.
       if (op === 12) {
         op = 1200 + parser.parseByte()
@@ -299,9 +311,16 @@ function parseCFFHeader (data, start) {
   header.formatMajor = parse.getCard8(data, start)
   header.formatMinor = parse.getCard8(data, start + 1)
   header.size = parse.getCard8(data, start + 2)
-  header.offsetSize = parse.getCard8(data, start + 3)
   header.startOffset = start
-  header.endOffset = start + 4
+  if (header.formatMajor === 2) {
+    // The `CFF2` header has the length of the Top DICT that follows it instead of an offset size.
+    header.topDictLength = parse.getUShort(data, start + 3)
+    header.endOffset = start + header.size
+  } else {
+    header.offsetSize = parse.getCard8(data, start + 3)
+    header.endOffset = start + 4
+  }
+
   return header
 }
 
@@ -349,6 +368,26 @@ const PRIVATE_DICT_META = [
   { name: 'nominalWidthX', op: 21, type: 'number', value: 0 }
 ]
 
+// The `CFF2` Top DICT only has the entries that are needed to draw the glyphs,
+// the other metadata is in the OpenType tables.
+const CFF2_TOP_DICT_META = [
+  {
+    name: 'fontMatrix',
+    op: 1207,
+    type: ['real', 'real', 'real', 'real', 'real', 'real'],
+    value: [0.001, 0, 0, 0.001, 0, 0]
+  },
+  { name: 'charStrings', op: 17, type: 'offset', value: 0 },
+  { name: 'fdArray', op: 1236, type: 'offset', value: 0 },
+  { name: 'fdSelect', op: 1237, type: 'offset', value: 0 },
+  { name: 'vstore', op: 24, type: 'offset', value: 0 }
+]
+
+const CFF2_PRIVATE_DICT_META = [
+  { name: 'subrs', op: 19, type: 'offset', value: 0 },
+  { name: 'vsindex', op: 22, type: 'number', value: 0 }
+]
+
 // Parse the CFF top dictionary. A CFF table can contain multiple fonts, each with their own top dictionary.
 // The top dictionary contains the essential metadata for the font, together with the private dictionary.
 function parseCFFTopDict (data, strings) {
@@ -357,9 +396,9 @@ function parseCFFTopDict (data, strings) {
 }
 
 // Parse the CFF private dictionary. We don't fully parse out all the values, only the ones we need.
-function parseCFFPrivateDict (data, start, size, strings) {
+function parseCFFPrivateDict (data, start, size, strings, version) {
   const dict = parseCFFDict(data, start, size)
-  return interpretDict(dict, PRIVATE_DICT_META, strings)
+  return interpretDict(dict, version === 2 ? CFF2_PRIVATE_DICT_META : PRIVATE_DICT_META, strings)
 }
 
 // Returns a list of "Top DICT"s found using an INDEX list.
@@ -375,9 +414,10 @@ function parseCFFPrivateDict (data, start, size, strings) {
 //                      (see calcCFFSubroutineBias() and parseCFFCharstring())
 //    _defaultWidthX   default widths for CFF characters
 //    _nominalWidthX   bias added to width embedded within glyph description
+//    _vsindex         default item variation data of the `CFF2` blend operator
 //
 //    _privateDict     saved copy of parsed Private DICT from Top DICT
-function gatherCFFTopDicts (data, start, cffIndex, strings) {
+function gatherCFFTopDicts (data, start, cffIndex, strings, version) {
   const topDictArray = []
   for (let iTopDict = 0; iTopDict < cffIndex.length; iTopDict += 1) {
     const topDictData = new DataView(new Uint8Array(cffIndex[iTopDict]).buffer)
@@ -386,15 +426,20 @@ function gatherCFFTopDicts (data, start, cffIndex, strings) {
     topDict._subrsBias = 0
     topDict._defaultWidthX = 0
     topDict._nominalWidthX = 0
+    topDict._vsindex = 0
     const privateSize = topDict.private[0]
     const privateOffset = topDict.private[1]
     if (privateSize !== 0 && privateOffset !== 0) {
-      const privateDict = parseCFFPrivateDict(data, privateOffset + start, privateSize, strings)
-      topDict._defaultWidthX = privateDict.defaultWidthX
-      topDict._nominalWidthX = privateDict.nominalWidthX
+      const privateDict = parseCFFPrivateDict(data, privateOffset + start, privateSize, strings, version)
+      if (version === 2) {
+        topDict._vsindex = privateDict.vsindex
+      } else {
+        topDict._defaultWidthX = privateDict.defaultWidthX
+        topDict._nominalWidthX = privateDict.nominalWidthX
+      }
       if (privateDict.subrs !== 0) {
         const subrOffset = privateOffset + privateDict.subrs
-        const subrIndex = parseCFFIndex(data, subrOffset + start)
+        const subrIndex = parseCFFIndex(data, subrOffset + start, undefined, version)
         topDict._subrs = subrIndex.objects
         topDict._subrsBias = calcCFFSubroutineBias(topDict._subrs)
       }
@@ -482,7 +527,10 @@ function parseCFFEncoding (data, start, charset) {
 // Take in charstring code and return a Glyph object.
 // The encoding is described in the Type 2 Charstring Format
 // https://www.microsoft.com/typography/OTSPEC/charstr2.htm
-function parseCFFCharstring (font, glyph, code) {
+// `CFF2` charstrings have no width, and blend their values with the deltas of the variation store,
+// at the normalized coordinates of the design space (the default location if they are left out).
+// https://docs.microsoft.com/en-us/typography/opentype/spec/cff2charstr
+function parseCFFCharstring (font, glyph, code, coordinates) {
   let c1x
   let c1y
   let c2x
@@ -498,7 +546,19 @@ function parseCFFCharstring (font, glyph, code) {
   let subrsBias
   let defaultWidthX
   let nominalWidthX
-  if (font.isCIDFont) {
+  let vsindex = 0
+  let scalars
+  const cff2 = font.tables.cff2
+  if (cff2) {
+    const fdIndex = cff2.topDict._fdSelect ? cff2.topDict._fdSelect[glyph.index] : 0
+    const fdDict = cff2.topDict._fdArray[fdIndex]
+    subrs = fdDict._subrs
+    subrsBias = fdDict._subrsBias
+    defaultWidthX = 0
+    nominalWidthX = 0
+    vsindex = fdDict._vsindex
+    haveWidth = true
+  } else if (font.isCIDFont) {
     const fdIndex = font.tables.cff.topDict._fdSelect[glyph.index]
     const fdDict = font.tables.cff.topDict._fdArray[fdIndex]
     subrs = fdDict._subrs
@@ -537,6 +597,30 @@ function parseCFFCharstring (font, glyph, code) {
     haveWidth = true
   }
 
+  // Replace the operands of the blend operator by their blended values.
+  // The n default values are followed by their deltas for each region of the item variation data.
+  function blend () {
+    const n = stack.pop()
+    if (!scalars) {
+      const vstore = cff2 && cff2.topDict._vstore
+      if (!vstore) {
+        throw new Error('Glyph ' + glyph.index + ': blend operator without variation store')
+      }
+
+      scalars = font.variation.getRegionScalars(vstore, vsindex, coordinates || [])
+    }
+
+    const regionCount = scalars.length
+    const start = stack.length - n * (regionCount + 1)
+    for (let j = 0; j < n; j += 1) {
+      for (let r = 0; r < regionCount; r += 1) {
+        stack[start + j] += stack[start + n + j * regionCount + r] * scalars[r]
+      }
+    }
+
+    stack.length = start + n
+  }
+
   function parse (code) {
     let b1
     let b2
@@ -718,6 +802,13 @@ function parseCFFCharstring (font, glyph, code) {
             open = false
           }
 
+          break
+        case 15: // vsindex
+          vsindex = stack.pop()
+          scalars = undefined
+          break
+        case 16: // blend
+          blend()
           break
         case 18: // hstemhm
           parseStems()
@@ -898,7 +989,15 @@ function parseCFFCharstring (font, glyph, code) {
 
   parse(code)
 
-  glyph.advanceWidth = width
+  if (cff2) {
+    // There is no endchar operator in `CFF2`, the advance width comes from the hmtx table.
+    if (open) {
+      p.closePath()
+    }
+  } else {
+    glyph.advanceWidth = width
+  }
+
   return p
 }
 
@@ -941,16 +1040,101 @@ function parseCFFFDSelect (data, start, nGlyphs, fdArrayCount) {
     if (next !== nGlyphs) {
       throw new Error('CFF Table CID Font FDSelect format 3 range has bad final GID ' + next)
     }
+  } else if (format === 4) {
+    // Ranges with 32-bit glyph IDs and 16-bit FD indexes, only in `CFF2`
+    const nRanges = parser.parseULong()
+    let first = parser.parseULong()
+    if (first !== 0) {
+      throw new Error('CFF2 Table FDSelect format 4 range has bad initial GID ' + first)
+    }
+    let next
+    for (let iRange = 0; iRange < nRanges; iRange++) {
+      fdIndex = parser.parseUShort()
+      next = parser.parseULong()
+      if (fdIndex >= fdArrayCount) {
+        throw new Error('CFF2 table FDSelect has bad FD index value ' + fdIndex + ' (FD count ' + fdArrayCount + ')')
+      }
+      if (next > nGlyphs) {
+        throw new Error('CFF2 Table FDSelect format 4 range has bad GID ' + next)
+      }
+      for (; first < next; first++) {
+        fdSelect.push(fdIndex)
+      }
+      first = next
+    }
+    if (next !== nGlyphs) {
+      throw new Error('CFF2 Table FDSelect format 4 range has bad final GID ' + next)
+    }
   } else {
     throw new Error('CFF Table CID Font FDSelect table has unsupported format ' + format)
   }
   return fdSelect
 }
 
+// Add the glyphs of the CharStrings INDEX to the font. They are only parsed when they are needed.
+function addCFFGlyphs (font, data, charStringsStart, charStringsIndex, opt, version) {
+  font.glyphs = new glyphset.GlyphSet(font)
+  if (opt.lowMemory) {
+    font._push = function (i) {
+      const charString = getCffIndexObject(i, charStringsIndex.offsets, data, charStringsStart, undefined, version)
+      font.glyphs.push(i, glyphset.cffGlyphLoader(font, i, parseCFFCharstring, charString))
+    }
+  } else {
+    for (let i = 0; i < font.nGlyphs; i += 1) {
+      const charString = charStringsIndex.objects[i]
+      font.glyphs.push(i, glyphset.cffGlyphLoader(font, i, parseCFFCharstring, charString))
+    }
+  }
+}
+
+// Parse the `CFF2` table, which contains the glyph outlines of variable fonts in PostScript format.
+// There are no names, strings, charset or encoding, the glyphs always use an FDArray
+// and the variation store holds the deltas of the blend operators.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/cff2
+function parseCFF2Table (data, start, header, font, opt) {
+  const topDict = interpretDict(parseCFFDict(data, header.endOffset, header.topDictLength), CFF2_TOP_DICT_META, [])
+  font.tables.cff2 = { topDict }
+
+  const globalSubrIndex = parseCFFIndex(data, header.endOffset + header.topDictLength, undefined, 2)
+  font.gsubrs = globalSubrIndex.objects
+  font.gsubrsBias = calcCFFSubroutineBias(font.gsubrs)
+
+  if (topDict.fdArray === 0) {
+    throw new Error('CFF2 table has no FDArray')
+  }
+
+  const fdArrayIndex = parseCFFIndex(data, start + topDict.fdArray, undefined, 2)
+  topDict._fdArray = gatherCFFTopDicts(data, start, fdArrayIndex.objects, [], 2)
+  if (topDict.fdSelect !== 0) {
+    topDict._fdSelect = parseCFFFDSelect(data, start + topDict.fdSelect, font.numGlyphs, topDict._fdArray.length)
+  }
+
+  if (topDict.vstore !== 0) {
+    // The VariationStore starts with its length.
+    topDict._vstore = new parse.Parser(data, start + topDict.vstore + 2).parseItemVariationStore()
+  }
+
+  let charStringsIndex
+  if (opt.lowMemory) {
+    charStringsIndex = parseCFFIndexLowMemory(data, start + topDict.charStrings, 2)
+    font.nGlyphs = charStringsIndex.offsets.length - 1
+  } else {
+    charStringsIndex = parseCFFIndex(data, start + topDict.charStrings, undefined, 2)
+    font.nGlyphs = charStringsIndex.objects.length
+  }
+
+  addCFFGlyphs(font, data, start + topDict.charStrings, charStringsIndex, opt, 2)
+}
+
 // Parse the `CFF` table, which contains the glyph outlines in PostScript format.
+// `CFF2` tables are parsed as well, see parseCFF2Table.
 function parseCFFTable (data, start, font, opt) {
-  font.tables.cff = {}
   const header = parseCFFHeader(data, start)
+  if (header.formatMajor === 2) {
+    return parseCFF2Table(data, start, header, font, opt)
+  }
+
+  font.tables.cff = {}
   const nameIndex = parseCFFIndex(data, header.endOffset, parse.bytesToString)
   const topDictIndex = parseCFFIndex(data, nameIndex.endOffset)
   const stringIndex = parseCFFIndex(data, topDictIndex.endOffset, parse.bytesToString)
@@ -1028,18 +1212,14 @@ function parseCFFTable (data, start, font, opt) {
   // Prefer the CMAP encoding to the CFF encoding.
   font.encoding = font.encoding || font.cffEncoding
 
-  font.glyphs = new glyphset.GlyphSet(font)
-  if (opt.lowMemory) {
-    font._push = function (i) {
-      const charString = getCffIndexObject(i, charStringsIndex.offsets, data, start + topDict.charStrings)
-      font.glyphs.push(i, glyphset.cffGlyphLoader(font, i, parseCFFCharstring, charString))
-    }
-  } else {
-    for (let i = 0; i < font.nGlyphs; i += 1) {
-      const charString = charStringsIndex.objects[i]
-      font.glyphs.push(i, glyphset.cffGlyphLoader(font, i, parseCFFCharstring, charString))
-    }
-  }
+  addCFFGlyphs(font, data, start + topDict.charStrings, charStringsIndex, opt)
+}
+
+// Get the path of a `CFF2` glyph at a location of the design space, given in normalized coordinates.
+function getBlendedPath (font, glyph, coordinates) {
+  const path = parseCFFCharstring(font, glyph, glyph._charstring, coordinates)
+  path.unitsPerEm = font.unitsPerEm
+  return path
 }
 
 // Convert a string to a String ID (SID).
@@ -1317,4 +1497,4 @@ function makeCFFTable (glyphs, options) {
   return t
 }
 
-export default { parse: parseCFFTable, make: makeCFFTable }
+export default { parse: parseCFFTable, make: makeCFFTable, getBlendedPath }
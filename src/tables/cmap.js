@@ -5,6 +5,8 @@ import check from '../check.js'
 import parse from '../parse.js'
 import table from '../table.js'
 
+// Formats 12 and 13 have the same structure: format 12 maps each character of a group to
+// consecutive glyphs, format 13 maps all of them to the same glyph.
 function parseCmapTableFormat12 (cmap, p) {
   // Skip reserved.
   p.parseUShort()
@@ -24,7 +26,79 @@ function parseCmapTableFormat12 (cmap, p) {
 
     for (let c = startCharCode; c <= endCharCode; c += 1) {
       cmap.glyphIndexMap[c] = startGlyphId
-      startGlyphId++
+      if (cmap.format === 12) {
+        startGlyphId++
+      }
+    }
+  }
+}
+
+// Format 0 maps single-byte character codes to glyphs.
+function parseCmapTableFormat0 (cmap, p) {
+  cmap.length = p.parseUShort()
+  cmap.language = p.parseUShort()
+  cmap.glyphIndexMap = {}
+  for (let c = 0; c < 256; c += 1) {
+    const glyphIndex = p.parseByte()
+    if (glyphIndex !== 0) {
+      cmap.glyphIndexMap[c] = glyphIndex
+    }
+  }
+}
+
+// Format 2 maps mixed single and double-byte character codes, as used by the Shift-JIS, Big5
+// and GB 2312 encodings. A high byte that has a subheader starts a double-byte character code.
+function parseCmapTableFormat2 (cmap, p, data, start, offset) {
+  cmap.length = p.parseUShort()
+  cmap.language = p.parseUShort()
+  const subHeaderKeys = p.parseUShortList(256)
+  const subHeadersOffset = start + offset + 6 + 512
+  cmap.glyphIndexMap = {}
+  for (let highByte = 0; highByte < 256; highByte += 1) {
+    const subHeaderIndex = subHeaderKeys[highByte] / 8
+    const subHeaderOffset = subHeadersOffset + subHeaderIndex * 8
+    const firstCode = parse.getUShort(data, subHeaderOffset)
+    const entryCount = parse.getUShort(data, subHeaderOffset + 2)
+    const idDelta = parse.getShort(data, subHeaderOffset + 4)
+    // The idRangeOffset is relative to its own position, and points into the glyph index array.
+    const glyphIndexOffset = subHeaderOffset + 6 + parse.getUShort(data, subHeaderOffset + 6)
+    for (let lowByte = firstCode; lowByte < firstCode + entryCount; lowByte += 1) {
+      // Subheader 0 maps the high byte itself, as a single-byte character code.
+      if (subHeaderIndex === 0 && lowByte !== highByte) continue
+      let glyphIndex = parse.getUShort(data, glyphIndexOffset + (lowByte - firstCode) * 2)
+      if (glyphIndex !== 0) {
+        glyphIndex = (glyphIndex + idDelta) & 0xFFFF
+        cmap.glyphIndexMap[subHeaderIndex === 0 ? lowByte : (highByte << 8) + lowByte] = glyphIndex
+      }
+    }
+  }
+}
+
+// Formats 6 and 10 map a single range of 16-bit or 32-bit character codes to glyphs.
+function parseCmapTableFormat6 (cmap, p) {
+  cmap.length = p.parseUShort()
+  cmap.language = p.parseUShort()
+  const firstCode = p.parseUShort()
+  const glyphIndexes = p.parseUShortList()
+  cmap.glyphIndexMap = {}
+  for (let i = 0; i < glyphIndexes.length; i += 1) {
+    if (glyphIndexes[i] !== 0) {
+      cmap.glyphIndexMap[firstCode + i] = glyphIndexes[i]
+    }
+  }
+}
+
+function parseCmapTableFormat10 (cmap, p) {
+  // Skip reserved.
+  p.parseUShort()
+  cmap.length = p.parseULong()
+  cmap.language = p.parseULong()
+  const startCharCode = p.parseULong()
+  const glyphIndexes = p.parseUShortList(p.parseULong())
+  cmap.glyphIndexMap = {}
+  for (let i = 0; i < glyphIndexes.length; i += 1) {
+    if (glyphIndexes[i] !== 0) {
+      cmap.glyphIndexMap[startCharCode + i] = glyphIndexes[i]
     }
   }
 }
@@ -78,8 +152,85 @@ function parseCmapTableFormat4 (cmap, p, data, start, offset) {
   }
 }
 
+// Parse the Unicode Variation Sequences of a format 14 subtable.
+// For each variation selector, `defaultUVS` lists the characters that use their default glyph with that selector,
+// and `nonDefaultUVS` maps characters to the glyph they use with that selector.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/cmap#format-14-unicode-variation-sequences
+function parseCmapTableFormat14 (cmap, data, start, offset) {
+  const p = new parse.Parser(data, start + offset)
+  // Skip format and length.
+  p.skip('uShort')
+  p.skip('uLong')
+
+  const numVarSelectorRecords = p.parseULong()
+  cmap.variationSelectors = {}
+  for (let i = 0; i < numVarSelectorRecords; i += 1) {
+    const varSelector = p.parseUInt24()
+    const defaultUVSOffset = p.parseULong()
+    const nonDefaultUVSOffset = p.parseULong()
+    const defaultUVS = []
+    const nonDefaultUVS = {}
+
+    if (defaultUVSOffset !== 0) {
+      const rangeParser = new parse.Parser(data, start + offset + defaultUVSOffset)
+      const numUnicodeValueRanges = rangeParser.parseULong()
+      for (let j = 0; j < numUnicodeValueRanges; j += 1) {
+        const startUnicodeValue = rangeParser.parseUInt24()
+        const additionalCount = rangeParser.parseByte()
+        for (let c = startUnicodeValue; c <= startUnicodeValue + additionalCount; c += 1) {
+          defaultUVS.push(c)
+        }
+      }
+    }
+
+    if (nonDefaultUVSOffset !== 0) {
+      const mappingParser = new parse.Parser(data, start + offset + nonDefaultUVSOffset)
+      const numUVSMappings = mappingParser.parseULong()
+      for (let j = 0; j < numUVSMappings; j += 1) {
+        const unicodeValue = mappingParser.parseUInt24()
+        nonDefaultUVS[unicodeValue] = mappingParser.parseUShort()
+      }
+    }
+
+    cmap.variationSelectors[varSelector] = { defaultUVS, nonDefaultUVS }
+  }
+}
+
+const subtableParsers = {
+  0: parseCmapTableFormat0,
+  2: parseCmapTableFormat2,
+  4: parseCmapTableFormat4,
+  6: parseCmapTableFormat6,
+  10: parseCmapTableFormat10,
+  12: parseCmapTableFormat12,
+  13: parseCmapTableFormat12
+}
+
+// Rank a subtable by how well it maps Unicode characters. Subtables that can't be parsed have rank 0.
+function getSubtableRank (platformId, encodingId, format) {
+  if (!subtableParsers[format]) {
+    return 0
+  } else if (format === 13) {
+    // Many-to-one mapping, used by fallback fonts.
+    return 3
+  } else if ((platformId === 3 && encodingId === 10) || (platformId === 0 && (encodingId === 4 || encodingId === 6))) {
+    // Full Unicode repertoire.
+    return 5
+  } else if ((platformId === 3 && encodingId === 1) || (platformId === 0 && encodingId <= 3)) {
+    // Unicode BMP.
+    return 4
+  } else if (platformId === 3 && encodingId === 0) {
+    // Symbol fonts, which map their glyphs to the private use area.
+    return 2
+  }
+  // Macintosh and legacy CJK encodings, which don't use Unicode character codes.
+  return 1
+}
+
 // Parse the `cmap` table. This table stores the mappings from characters to glyphs.
-// There are many available formats, but we only support the Windows format 4 and 12.
+// The subtable with the best Unicode mapping is parsed, falling back to legacy encodings, and
+// the Unicode Variation Sequences of format 14 are parsed as well. The `platformID` and
+// `encodingID` of the chosen subtable tell how to interpret the character codes of `glyphIndexMap`.
 // This function returns a `CmapEncoding` object or null if no supported format could be found.
 function parseCmapTable (data, start) {
   const cmap = {}
@@ -87,16 +238,21 @@ function parseCmapTable (data, start) {
   check.argument(cmap.version === 0, 'cmap table version should be 0.')
 
   // The cmap table can contain many sub-tables, each with their own format.
-  // We're only interested in a "platform 0" (Unicode format) and "platform 3" (Windows format) table.
   cmap.numTables = parse.getUShort(data, start + 2)
   let offset = -1
+  let bestRank = 0
   for (let i = cmap.numTables - 1; i >= 0; i -= 1) {
     const platformId = parse.getUShort(data, start + 4 + (i * 8))
     const encodingId = parse.getUShort(data, start + 4 + (i * 8) + 2)
-    if ((platformId === 3 && (encodingId === 0 || encodingId === 1 || encodingId === 10)) ||
-            (platformId === 0 && (encodingId === 0 || encodingId === 1 || encodingId === 2 || encodingId === 3 || encodingId === 4))) {
-      offset = parse.getULong(data, start + 4 + (i * 8) + 4)
-      break
+    const subtableOffset = parse.getULong(data, start + 4 + (i * 8) + 4)
+    const format = parse.getUShort(data, start + subtableOffset)
+    if (platformId === 0 && encodingId === 5 && format === 14) {
+      parseCmapTableFormat14(cmap, data, start, subtableOffset)
+    } else if (getSubtableRank(platformId, encodingId, format) > bestRank) {
+      bestRank = getSubtableRank(platformId, encodingId, format)
+      offset = subtableOffset
+      cmap.platformID = platformId
+      cmap.encodingID = encodingId
     }
   }
 
@@ -107,14 +263,7 @@ function parseCmapTable (data, start) {
 
   const p = new parse.Parser(data, start + offset)
   cmap.format = p.parseUShort()
-
-  if (cmap.format === 12) {
-    parseCmapTableFormat12(cmap, p)
-  } else if (cmap.format === 4) {
-    parseCmapTableFormat4(cmap, p, data, start, offset)
-  } else {
-    throw new Error('Only format 4 and 12 cmap tables are supported (found format ' + cmap.format + ').')
-  }
+  subtableParsers[cmap.format](cmap, p, data, start, offset)
 
   return cmap
 }
@@ -138,8 +287,9 @@ function addTerminatorSegment (t) {
   })
 }
 
-// Make cmap table, format 4 by default, 12 if needed only
-function makeCmapTable (glyphs) {
+// Make cmap table, format 4 by default, 12 if needed only,
+// and 14 if there are Unicode Variation Sequences
+function makeCmapTable (glyphs, variationSelectors) {
   // Plan 0 is the base Unicode Plan but emojis, for example are on another plan, and needs cmap 12 format (with 32bit)
   let isPlan0Only = true
   let i
@@ -154,15 +304,30 @@ function makeCmapTable (glyphs) {
     }
   }
 
+  const hasVariationSelectors = !!variationSelectors && Object.keys(variationSelectors).length > 0
+  const numTables = 1 + (isPlan0Only ? 0 : 1) + (hasVariationSelectors ? 1 : 0)
+  const headerLength = 4 + numTables * 8
+
   let cmapTable = [
     { name: 'version', type: 'USHORT', value: 0 },
-    { name: 'numTables', type: 'USHORT', value: isPlan0Only ? 1 : 2 },
+    { name: 'numTables', type: 'USHORT', value: numTables }
+  ]
 
+  if (hasVariationSelectors) {
+    // CMAP 14 header, the encoding records are sorted by platform ID
+    cmapTable = cmapTable.concat([
+      { name: 'cmap14PlatformID', type: 'USHORT', value: 0 },
+      { name: 'cmap14EncodingID', type: 'USHORT', value: 5 },
+      { name: 'cmap14Offset', type: 'ULONG', value: 0 }
+    ])
+  }
+
+  cmapTable = cmapTable.concat([
     // CMAP 4 header
     { name: 'platformID', type: 'USHORT', value: 3 },
     { name: 'encodingID', type: 'USHORT', value: 1 },
-    { name: 'offset', type: 'ULONG', value: isPlan0Only ? 12 : (12 + 8) }
-  ]
+    { name: 'offset', type: 'ULONG', value: headerLength }
+  ])
 
   if (!isPlan0Only) {
     cmapTable = cmapTable.concat([
@@ -265,12 +430,13 @@ function makeCmapTable (glyphs) {
         idRangeOffsets.length * 2 +
         glyphIds.length * 2
 
+  let cmap12Length = 0
   if (!isPlan0Only) {
     // CMAP 12 Subtable
-    const cmap12Length = 16 + // Subtable header
+    cmap12Length = 16 + // Subtable header
             cmap12Groups.length * 4
 
-    t.cmap12Offset = 12 + (2 * 2) + 4 + t.cmap4Length
+    t.cmap12Offset = headerLength + t.cmap4Length
     t.fields = t.fields.concat([
       { name: 'cmap12Format', type: 'USHORT', value: 12 },
       { name: 'cmap12Reserved', type: 'USHORT', value: 0 },
@@ -282,7 +448,75 @@ function makeCmapTable (glyphs) {
     t.fields = t.fields.concat(cmap12Groups)
   }
 
+  if (hasVariationSelectors) {
+    // CMAP 14 Subtable
+    t.cmap14Offset = headerLength + t.cmap4Length + cmap12Length
+    t.fields = t.fields.concat(makeCmap14Fields(variationSelectors))
+  }
+
   return t
 }
 
+// Make the fields of a format 14 subtable from the parsed `variationSelectors`.
+// The offsets of the default and non-default UVS tables are relative to the start of the subtable.
+function makeCmap14Fields (variationSelectors) {
+  const varSelectors = Object.keys(variationSelectors).map(Number).sort((a, b) => a - b)
+  let records = []
+  const uvsFields = []
+  let offset = 10 + varSelectors.length * 11
+  for (let i = 0; i < varSelectors.length; i += 1) {
+    const { defaultUVS = [], nonDefaultUVS = {} } = variationSelectors[varSelectors[i]]
+
+    // Group consecutive characters in ranges of at most 256 characters.
+    const ranges = []
+    const unicodes = defaultUVS.slice().sort((a, b) => a - b)
+    for (let j = 0; j < unicodes.length; j += 1) {
+      const range = ranges[ranges.length - 1]
+      if (range && unicodes[j] <= range.start + range.additionalCount) {
+        continue
+      } else if (range && unicodes[j] === range.start + range.additionalCount + 1 && range.additionalCount < 255) {
+        range.additionalCount += 1
+      } else {
+        ranges.push({ start: unicodes[j], additionalCount: 0 })
+      }
+    }
+
+    const mappings = Object.keys(nonDefaultUVS).map(Number).sort((a, b) => a - b)
+    records = records.concat([
+      { name: 'cmap14VarSelector_' + i, type: 'UINT24', value: varSelectors[i] },
+      { name: 'cmap14DefaultUVSOffset_' + i, type: 'ULONG', value: ranges.length > 0 ? offset : 0 },
+      { name: 'cmap14NonDefaultUVSOffset_' + i, type: 'ULONG', value: 0 }
+    ])
+
+    if (ranges.length > 0) {
+      uvsFields.push({ name: 'cmap14NumUnicodeValueRanges_' + i, type: 'ULONG', value: ranges.length })
+      for (let j = 0; j < ranges.length; j += 1) {
+        uvsFields.push(
+          { name: 'cmap14StartUnicodeValue_' + i + '_' + j, type: 'UINT24', value: ranges[j].start },
+          { name: 'cmap14AdditionalCount_' + i + '_' + j, type: 'BYTE', value: ranges[j].additionalCount }
+        )
+      }
+      offset += 4 + ranges.length * 4
+    }
+
+    if (mappings.length > 0) {
+      records[records.length - 1].value = offset
+      uvsFields.push({ name: 'cmap14NumUVSMappings_' + i, type: 'ULONG', value: mappings.length })
+      for (let j = 0; j < mappings.length; j += 1) {
+        uvsFields.push(
+          { name: 'cmap14UnicodeValue_' + i + '_' + j, type: 'UINT24', value: mappings[j] },
+          { name: 'cmap14GlyphID_' + i + '_' + j, type: 'USHORT', value: nonDefaultUVS[mappings[j]] }
+        )
+      }
+      offset += 4 + mappings.length * 5
+    }
+  }
+
+  return [
+    { name: 'cmap14Format', type: 'USHORT', value: 14 },
+    { name: 'cmap14Length', type: 'ULONG', value: offset },
+    { name: 'cmap14NumVarSelectorRecords', type: 'ULONG', value: varSelectors.length }
+  ].concat(records).concat(uvsFields)
+}
+
 export default { parse: parseCmapTable, make: makeCmapTable }
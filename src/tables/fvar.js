@@ -4,31 +4,10 @@
 import check from '../check.js'
 import parse from '../parse.js'
 import table from '../table.js'
-
-function addName (name, names) {
-  const nameString = JSON.stringify(name)
-  let nameID = 256
-  for (const nameKey in names) {
-    const n = parseInt(nameKey)
-    if (!n || n < 256) {
-      continue
-    }
-
-    if (JSON.stringify(names[nameKey]) === nameString) {
-      return n
-    }
-
-    if (nameID <= n) {
-      nameID = n + 1
-    }
-  }
-
-  names[nameID] = name
-  return nameID
-}
+import _name from './name.js'
 
 function makeFvarAxis (n, axis, names) {
-  const nameID = addName(axis.name, names)
+  const nameID = _name.addName(axis.name, names)
   return [
     { name: 'tag_' + n, type: 'TAG', value: axis.tag },
     { name: 'minValue_' + n, type: 'FIXED', value: axis.minValue << 16 },
@@ -47,12 +26,12 @@ function parseFvarAxis (data, start, names) {
   axis.defaultValue = p.parseFixed()
   axis.maxValue = p.parseFixed()
   p.skip('uShort', 1) // reserved for flags; no values defined
-  axis.name = names[p.parseUShort()] || {}
+  axis.name = _name.getNameByID(names, p.parseUShort()) || {}
   return axis
 }
 
 function makeFvarInstance (n, inst, axes, names) {
-  const nameID = addName(inst.name, names)
+  const nameID = _name.addName(inst.name, names)
   const fields = [
     { name: 'nameID_' + n, type: 'USHORT', value: nameID },
     { name: 'flags_' + n, type: 'USHORT', value: 0 }
@@ -73,7 +52,7 @@ function makeFvarInstance (n, inst, axes, names) {
 function parseFvarInstance (data, start, axes, names) {
   const inst = {}
   const p = new parse.Parser(data, start)
-  inst.name = names[p.parseUShort()] || {}
+  inst.name = _name.getNameByID(names, p.parseUShort()) || {}
   p.skip('uShort', 1) // reserved for flags; no values defined
 
   inst.coordinates = {}
@@ -20,8 +20,7 @@ const caretValue = function () {
   } else if (format === 2) {
     return { pointindex: this.parseShort() }
   } else if (format === 3) {
-    // Device / Variation Index tables unsupported
-    return { coordinate: this.parseShort() }
+    return { coordinate: this.parseShort(), device: this.parsePointer(Parser.device) }
   }
 }
 
@@ -57,6 +56,10 @@ function parseGDEFTable (data, start) {
   if (tableVersion >= 1.2) {
     gdef.markGlyphSets = p.parsePointer(markGlyphSets)
   }
+  if (tableVersion >= 1.3) {
+    // The deltas of the device tables of variable fonts, referred to by their VariationIndex tables.
+    gdef.itemVarStore = p.parsePointer32(Parser.prototype.parseItemVariationStore)
+  }
   return gdef
 }
 export default { parse: parseGDEFTable }
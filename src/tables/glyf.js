@@ -5,6 +5,28 @@ import check from '../check.js'
 import glyphset from '../glyphset.js'
 import parse from '../parse.js'
 import Path from '../path.js'
+import table from '../table.js'
+
+// Simple glyph flags.
+const ON_CURVE_POINT = 0x01
+const X_SHORT_VECTOR = 0x02
+const Y_SHORT_VECTOR = 0x04
+const REPEAT_FLAG = 0x08
+const X_IS_SAME_OR_POSITIVE = 0x10
+const Y_IS_SAME_OR_POSITIVE = 0x20
+const OVERLAP_SIMPLE = 0x40
+
+// Composite glyph flags.
+const ARG_1_AND_2_ARE_WORDS = 0x0001
+const ARGS_ARE_XY_VALUES = 0x0002
+const WE_HAVE_A_SCALE = 0x0008
+const MORE_COMPONENTS = 0x0020
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040
+const WE_HAVE_A_TWO_BY_TWO = 0x0080
+const WE_HAVE_INSTRUCTIONS = 0x0100
+// ROUND_XY_TO_GRID, USE_MY_METRICS, OVERLAP_COMPOUND, SCALED_COMPONENT_OFFSET and UNSCALED_COMPONENT_OFFSET
+// don't depend on the component data, so they are kept as they were parsed.
+const PRESERVED_COMPONENT_FLAGS = 0x1E04
 
 // Parse the coordinate data for a glyph.
 function parseGlyphCoordinate (p, flag, previousValue, shortVectorBitMask, sameBitMask) {
@@ -117,6 +139,7 @@ function parseGlyph (glyph, data, start) {
     while (moreComponents) {
       flags = p.parseUShort()
       const component = {
+        flags: flags,
         glyphIndex: p.parseUShort(),
         xScale: 1,
         scale01: 0,
@@ -345,4 +368,375 @@ function parseGlyfTable (data, start, loca, font, opt) {
   if (opt.lowMemory) { return parseGlyfTableOnLowMemory(data, start, loca, font) } else { return parseGlyfTableAll(data, start, loca, font) }
 }
 
-export default { getPath, parse: parseGlyfTable }
+// Encode the flags and coordinates of a simple glyph, using the compact
+// short vector / same-value encodings and repeated flags.
+function encodeGlyphPoints (points, overlapSimple) {
+  const flags = []
+  const xBytes = []
+  const yBytes = []
+  let lastX = 0
+  let lastY = 0
+  for (let i = 0; i < points.length; i += 1) {
+    const point = points[i]
+    const dx = point.x - lastX
+    const dy = point.y - lastY
+    let flag = point.onCurve ? ON_CURVE_POINT : 0
+    if (i === 0 && overlapSimple) {
+      flag |= OVERLAP_SIMPLE
+    }
+
+    if (dx === 0) {
+      flag |= X_IS_SAME_OR_POSITIVE
+    } else if (dx > -256 && dx < 256) {
+      flag |= X_SHORT_VECTOR | (dx > 0 ? X_IS_SAME_OR_POSITIVE : 0)
+      xBytes.push(Math.abs(dx))
+    } else {
+      xBytes.push((dx >> 8) & 0xff, dx & 0xff)
+    }
+
+    if (dy === 0) {
+      flag |= Y_IS_SAME_OR_POSITIVE
+    } else if (dy > -256 && dy < 256) {
+      flag |= Y_SHORT_VECTOR | (dy > 0 ? Y_IS_SAME_OR_POSITIVE : 0)
+      yBytes.push(Math.abs(dy))
+    } else {
+      yBytes.push((dy >> 8) & 0xff, dy & 0xff)
+    }
+
+    flags.push(flag)
+    lastX = point.x
+    lastY = point.y
+  }
+
+  const bytes = []
+  for (let i = 0; i < flags.length;) {
+    const flag = flags[i]
+    let repeat = 0
+    while (i + repeat + 1 < flags.length && flags[i + repeat + 1] === flag && repeat < 255) {
+      repeat += 1
+    }
+
+    if (repeat > 0) {
+      bytes.push(flag | REPEAT_FLAG, repeat)
+    } else {
+      bytes.push(flag)
+    }
+
+    i += repeat + 1
+  }
+
+  return bytes.concat(xBytes, yBytes)
+}
+
+// Check if the path of the glyph is still the one built from its TrueType points.
+function pathMatchesPoints (glyph) {
+  // Getting the path makes the ttfGlyphLoader parse the points.
+  const actual = glyph.path.commands
+  if (!glyph.points || glyph.points.length === 0) {
+    return false
+  }
+
+  const expected = getPath(glyph.points).commands
+  if (expected.length !== actual.length) {
+    return false
+  }
+
+  for (let i = 0; i < expected.length; i += 1) {
+    const a = expected[i]
+    const b = actual[i]
+    if (a.type !== b.type || a.x !== b.x || a.y !== b.y || a.x1 !== b.x1 || a.y1 !== b.y1) {
+      return false
+    }
+  }
+
+  return true
+}
+
+// Approximate a cubic Bézier curve with quadratic curves, splitting it in half
+// until the distance between the curves is within the tolerance.
+// The maximum distance between the cubic curve and the quadratic curve with the
+// control point (3 * (c1 + c2) - p0 - p3) / 4 is sqrt(3) / 36 * |p3 - 3 * c2 + 3 * c1 - p0|.
+function cubicToQuadratic (p0, c1, c2, p3, tolerance, points, depth = 0) {
+  const dx = p3.x - 3 * c2.x + 3 * c1.x - p0.x
+  const dy = p3.y - 3 * c2.y + 3 * c1.y - p0.y
+  if (Math.sqrt(3) / 36 * Math.sqrt(dx * dx + dy * dy) <= tolerance || depth >= 10) {
+    points.push({
+      x: (3 * (c1.x + c2.x) - p0.x - p3.x) / 4,
+      y: (3 * (c1.y + c2.y) - p0.y - p3.y) / 4,
+      onCurve: false
+    })
+    points.push({ x: p3.x, y: p3.y, onCurve: true })
+    return
+  }
+
+  // Split the curve at t = 0.5.
+  const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 })
+  const p01 = mid(p0, c1)
+  const p12 = mid(c1, c2)
+  const p23 = mid(c2, p3)
+  const p012 = mid(p01, p12)
+  const p123 = mid(p12, p23)
+  const p0123 = mid(p012, p123)
+  cubicToQuadratic(p0, p01, p012, p0123, tolerance, points, depth + 1)
+  cubicToQuadratic(p0123, p123, p23, p3, tolerance, points, depth + 1)
+}
+
+// Convert a path to TrueType contours with integer coordinates.
+// Cubic curves are approximated with quadratic curves.
+function pathToContours (path, tolerance) {
+  const contours = []
+  let contour = []
+  let start
+  let current
+  const closeContour = function () {
+    // The closing point of the path is implied by the contour.
+    const last = contour[contour.length - 1]
+    if (contour.length > 1 && last.onCurve && last.x === start.x && last.y === start.y) {
+      contour.pop()
+    }
+
+    if (contour.length > 0) {
+      contours.push(contour)
+    }
+
+    contour = []
+  }
+
+  for (let i = 0; i < path.commands.length; i += 1) {
+    const cmd = path.commands[i]
+    if (cmd.type === 'M') {
+      closeContour()
+      start = current = { x: cmd.x, y: cmd.y }
+      contour.push({ x: cmd.x, y: cmd.y, onCurve: true })
+    } else if (cmd.type === 'L') {
+      contour.push({ x: cmd.x, y: cmd.y, onCurve: true })
+      current = cmd
+    } else if (cmd.type === 'Q') {
+      contour.push({ x: cmd.x1, y: cmd.y1, onCurve: false })
+      contour.push({ x: cmd.x, y: cmd.y, onCurve: true })
+      current = cmd
+    } else if (cmd.type === 'C') {
+      cubicToQuadratic(current, { x: cmd.x1, y: cmd.y1 }, { x: cmd.x2, y: cmd.y2 }, cmd, tolerance, contour)
+      current = cmd
+    } else if (cmd.type === 'Z') {
+      closeContour()
+      current = start
+    }
+  }
+
+  closeContour()
+
+  return contours.map(function (contour) {
+    const points = contour.map(pt => ({ x: Math.round(pt.x), y: Math.round(pt.y), onCurve: pt.onCurve }))
+    // Leave out on-curve points that lie exactly between two off-curve points, they are implied.
+    return points.filter(function (pt, i) {
+      const prev = points[(i + points.length - 1) % points.length]
+      const next = points[(i + 1) % points.length]
+      return !(pt.onCurve && !prev.onCurve && !next.onCurve && points.length > 2 &&
+        prev.x + next.x === 2 * pt.x && prev.y + next.y === 2 * pt.y)
+    })
+  })
+}
+
+function getPointsBoundingBox (points) {
+  const bbox = { xMin: 0, yMin: 0, xMax: 0, yMax: 0 }
+  for (let i = 0; i < points.length; i += 1) {
+    const pt = points[i]
+    if (i === 0 || pt.x < bbox.xMin) bbox.xMin = pt.x
+    if (i === 0 || pt.y < bbox.yMin) bbox.yMin = pt.y
+    if (i === 0 || pt.x > bbox.xMax) bbox.xMax = pt.x
+    if (i === 0 || pt.y > bbox.yMax) bbox.yMax = pt.y
+  }
+
+  return bbox
+}
+
+function encodeGlyphHeader (numberOfContours, bbox) {
+  const bytes = []
+  const values = [numberOfContours, bbox.xMin, bbox.yMin, bbox.xMax, bbox.yMax]
+  for (let i = 0; i < values.length; i += 1) {
+    bytes.push((values[i] >> 8) & 0xff, values[i] & 0xff)
+  }
+
+  return bytes
+}
+
+// Encode a simple glyph from its contours.
+function encodeSimpleGlyph (contours, instructions) {
+  const points = [].concat(...contours)
+  const bbox = getPointsBoundingBox(points)
+  const bytes = encodeGlyphHeader(contours.length, bbox)
+  let endPoint = -1
+  for (let i = 0; i < contours.length; i += 1) {
+    endPoint += contours[i].length
+    bytes.push(endPoint >> 8, endPoint & 0xff)
+  }
+
+  bytes.push(instructions.length >> 8, instructions.length & 0xff)
+  return { bytes: bytes.concat(instructions, encodeGlyphPoints(points)), bbox, contours }
+}
+
+// Encode a composite glyph from its components. The bounding box is the one of the combined points.
+function encodeCompositeGlyph (glyph) {
+  const bbox = getPointsBoundingBox(glyph.points)
+  Object.keys(bbox).forEach(k => { bbox[k] = Math.round(bbox[k]) })
+  const bytes = encodeGlyphHeader(-1, bbox)
+  const instructions = glyph.instructions || []
+  const f2dot14 = v => Math.round(v * 16384) & 0xffff
+  for (let i = 0; i < glyph.components.length; i += 1) {
+    const component = glyph.components[i]
+    let flags = (component.flags || 0) & PRESERVED_COMPONENT_FLAGS
+    let args
+    if (component.matchedPoints === undefined) {
+      flags |= ARGS_ARE_XY_VALUES
+      args = [component.dx, component.dy]
+    } else {
+      args = component.matchedPoints
+    }
+
+    const words = component.matchedPoints === undefined
+      ? args.some(v => v < -128 || v > 127)
+      : args.some(v => v > 255)
+    if (words) {
+      flags |= ARG_1_AND_2_ARE_WORDS
+    }
+
+    let scales = []
+    if (component.scale01 !== 0 || component.scale10 !== 0) {
+      flags |= WE_HAVE_A_TWO_BY_TWO
+      scales = [component.xScale, component.scale01, component.scale10, component.yScale]
+    } else if (component.xScale !== component.yScale) {
+      flags |= WE_HAVE_AN_X_AND_Y_SCALE
+      scales = [component.xScale, component.yScale]
+    } else if (component.xScale !== 1) {
+      flags |= WE_HAVE_A_SCALE
+      scales = [component.xScale]
+    }
+
+    if (i < glyph.components.length - 1) {
+      flags |= MORE_COMPONENTS
+    } else if (instructions.length > 0) {
+      flags |= WE_HAVE_INSTRUCTIONS
+    }
+
+    bytes.push(flags >> 8, flags & 0xff, component.glyphIndex >> 8, component.glyphIndex & 0xff)
+    for (let j = 0; j < args.length; j += 1) {
+      if (words) {
+        bytes.push((args[j] >> 8) & 0xff, args[j] & 0xff)
+      } else {
+        bytes.push(args[j] & 0xff)
+      }
+    }
+
+    for (let j = 0; j < scales.length; j += 1) {
+      const v = f2dot14(scales[j])
+      bytes.push(v >> 8, v & 0xff)
+    }
+  }
+
+  if (instructions.length > 0) {
+    bytes.push(instructions.length >> 8, instructions.length & 0xff)
+  }
+
+  return { bytes: bytes.concat(instructions), bbox }
+}
+
+// Get the number of nested composite levels of a glyph.
+function getComponentDepth (glyphs, glyph) {
+  if (!glyph.isComposite) {
+    return 0
+  }
+
+  let depth = 0
+  for (let i = 0; i < glyph.components.length; i += 1) {
+    const componentGlyph = glyphs.get(glyph.components[i].glyphIndex)
+    // Force the ttfGlyphLoader to parse the glyph.
+    componentGlyph.getPath()
+    depth = Math.max(depth, getComponentDepth(glyphs, componentGlyph))
+  }
+
+  return depth + 1
+}
+
+/**
+ * Make the `glyf` table from the glyphs.
+ * Glyphs that still have the points they were parsed with are written unchanged, together with
+ * their instructions and components. Other glyphs are converted from their path, where cubic
+ * curves are approximated with quadratic curves within the given tolerance (in font units).
+ * Besides the table, this returns the values the `loca`, `head`, `hmtx` and `maxp` tables depend on.
+ * @param {opentype.GlyphSet} glyphs
+ * @param {Object} [options]
+ * @param {number} [options.curveTolerance=1]
+ * @return {Object} the `glyf` table, the glyph offsets, the bounding box of every glyph and the maxp profile values
+ */
+function makeGlyfTable (glyphs, options = {}) {
+  const tolerance = options.curveTolerance !== undefined ? options.curveTolerance : 1
+  const bytes = []
+  const offsets = []
+  const boundingBoxes = []
+  const profile = {
+    maxPoints: 0,
+    maxContours: 0,
+    maxCompositePoints: 0,
+    maxCompositeContours: 0,
+    maxSizeOfInstructions: 0,
+    maxComponentElements: 0,
+    maxComponentDepth: 0
+  }
+
+  for (let i = 0; i < glyphs.length; i += 1) {
+    const glyph = glyphs.get(i)
+    offsets.push(bytes.length)
+    let encoded
+    let instructions = []
+    if (pathMatchesPoints(glyph)) {
+      instructions = glyph.instructions || []
+      if (glyph.isComposite) {
+        encoded = encodeCompositeGlyph(glyph)
+        const numberOfContours = glyph.points.filter(pt => pt.lastPointOfContour).length
+        profile.maxCompositePoints = Math.max(profile.maxCompositePoints, glyph.points.length)
+        profile.maxCompositeContours = Math.max(profile.maxCompositeContours, numberOfContours)
+        profile.maxComponentElements = Math.max(profile.maxComponentElements, glyph.components.length)
+        profile.maxComponentDepth = Math.max(profile.maxComponentDepth, getComponentDepth(glyphs, glyph))
+      } else {
+        encoded = encodeSimpleGlyph(getContours(glyph.points), instructions)
+      }
+    } else {
+      const contours = pathToContours(glyph.path, tolerance)
+      if (contours.length > 0) {
+        encoded = encodeSimpleGlyph(contours, instructions)
+      }
+    }
+
+    if (encoded) {
+      if (encoded.contours) {
+        const numberOfPoints = encoded.contours.reduce((sum, contour) => sum + contour.length, 0)
+        profile.maxPoints = Math.max(profile.maxPoints, numberOfPoints)
+        profile.maxContours = Math.max(profile.maxContours, encoded.contours.length)
+      }
+
+      profile.maxSizeOfInstructions = Math.max(profile.maxSizeOfInstructions, instructions.length)
+      for (let j = 0; j < encoded.bytes.length; j += 1) {
+        bytes.push(encoded.bytes[j])
+      }
+
+      // Glyphs are 4-byte aligned.
+      while (bytes.length % 4 !== 0) {
+        bytes.push(0)
+      }
+    }
+
+    boundingBoxes.push(encoded ? encoded.bbox : { xMin: 0, yMin: 0, xMax: 0, yMax: 0 })
+  }
+
+  offsets.push(bytes.length)
+
+  return {
+    table: new table.Table('glyf', [{ name: 'glyphData', type: 'LITERAL', value: bytes }]),
+    offsets,
+    boundingBoxes,
+    profile
+  }
+}
+
+export default { getPath, buildPath, parse: parseGlyfTable, parseGlyph, transformPoints, make: makeGlyfTable, encodeGlyphPoints, pathMatchesPoints, pathToContours }
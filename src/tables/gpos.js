@@ -76,13 +76,213 @@ subtableParsers[2] = function parseLookup2 () {
   }
 }
 
-subtableParsers[3] = function parseLookup3 () { return { error: 'GPOS Lookup 3 not supported' } }
-subtableParsers[4] = function parseLookup4 () { return { error: 'GPOS Lookup 4 not supported' } }
-subtableParsers[5] = function parseLookup5 () { return { error: 'GPOS Lookup 5 not supported' } }
-subtableParsers[6] = function parseLookup6 () { return { error: 'GPOS Lookup 6 not supported' } }
-subtableParsers[7] = function parseLookup7 () { return { error: 'GPOS Lookup 7 not supported' } }
-subtableParsers[8] = function parseLookup8 () { return { error: 'GPOS Lookup 8 not supported' } }
-subtableParsers[9] = function parseLookup9 () { return { error: 'GPOS Lookup 9 not supported' } }
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#anchor-tables
+function parseAnchor () {
+  const start = this.offset + this.relativeOffset
+  const anchorFormat = this.parseUShort()
+  const anchor = {
+    anchorFormat: anchorFormat,
+    xCoordinate: this.parseShort(),
+    yCoordinate: this.parseShort()
+  }
+  if (anchorFormat === 2) {
+    anchor.anchorPoint = this.parseUShort()
+  } else if (anchorFormat === 3) {
+    anchor.xDevice = this.parsePointer(Parser.device)
+    anchor.yDevice = this.parsePointer(Parser.device)
+  } else {
+    check.assert(anchorFormat === 1, '0x' + start.toString(16) + ': GPOS anchor format must be 1, 2 or 3.')
+  }
+  return anchor
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#mark-array-table
+const markArrayDesc = Parser.recordList({
+  markClass: Parser.uShort,
+  markAnchor: Parser.pointer(parseAnchor)
+})
+
+// The BaseArray, Mark2Array and LigatureAttach tables all hold a list of records,
+// each with one anchor per mark class. Null anchor offsets are parsed as undefined.
+function anchorMatrix (classCount) {
+  return function () {
+    return this.parseList(Parser.list(classCount, Parser.pointer(parseAnchor)))
+  }
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-3-cursive-attachment-positioning-subtable
+subtableParsers[3] = function parseLookup3 () {
+  const posFormat = this.parseUShort()
+  check.argument(posFormat === 1, 'GPOS Cursive Attachment Positioning subtable identifier-format must be 1')
+  return {
+    posFormat: posFormat,
+    coverage: this.parsePointer(Parser.coverage),
+    entryExitRecords: this.parseRecordList({
+      entryAnchor: Parser.pointer(parseAnchor),
+      exitAnchor: Parser.pointer(parseAnchor)
+    })
+  }
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-4-mark-to-base-attachment-positioning-subtable
+subtableParsers[4] = function parseLookup4 () {
+  const posFormat = this.parseUShort()
+  check.argument(posFormat === 1, 'GPOS Mark-to-Base Attachment Positioning subtable identifier-format must be 1')
+  const markCoverage = this.parsePointer(Parser.coverage)
+  const baseCoverage = this.parsePointer(Parser.coverage)
+  const markClassCount = this.parseUShort()
+  return {
+    posFormat: posFormat,
+    markCoverage: markCoverage,
+    baseCoverage: baseCoverage,
+    markClassCount: markClassCount,
+    markArray: this.parsePointer(markArrayDesc),
+    baseArray: this.parsePointer(anchorMatrix(markClassCount))
+  }
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-5-mark-to-ligature-attachment-positioning-subtable
+subtableParsers[5] = function parseLookup5 () {
+  const posFormat = this.parseUShort()
+  check.argument(posFormat === 1, 'GPOS Mark-to-Ligature Attachment Positioning subtable identifier-format must be 1')
+  const markCoverage = this.parsePointer(Parser.coverage)
+  const ligatureCoverage = this.parsePointer(Parser.coverage)
+  const markClassCount = this.parseUShort()
+  return {
+    posFormat: posFormat,
+    markCoverage: markCoverage,
+    ligatureCoverage: ligatureCoverage,
+    markClassCount: markClassCount,
+    markArray: this.parsePointer(markArrayDesc),
+    // ligatureArray[ligature][component][markClass]
+    ligatureArray: this.parsePointer(Parser.list(Parser.pointer(anchorMatrix(markClassCount))))
+  }
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-6-mark-to-mark-attachment-positioning-subtable
+subtableParsers[6] = function parseLookup6 () {
+  const posFormat = this.parseUShort()
+  check.argument(posFormat === 1, 'GPOS Mark-to-Mark Attachment Positioning subtable identifier-format must be 1')
+  const mark1Coverage = this.parsePointer(Parser.coverage)
+  const mark2Coverage = this.parsePointer(Parser.coverage)
+  const markClassCount = this.parseUShort()
+  return {
+    posFormat: posFormat,
+    mark1Coverage: mark1Coverage,
+    mark2Coverage: mark2Coverage,
+    markClassCount: markClassCount,
+    mark1Array: this.parsePointer(markArrayDesc),
+    mark2Array: this.parsePointer(anchorMatrix(markClassCount))
+  }
+}
+
+const lookupRecordDesc = {
+  sequenceIndex: Parser.uShort,
+  lookupListIndex: Parser.uShort
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-7-contextual-positioning-subtables
+subtableParsers[7] = function parseLookup7 () {
+  const start = this.offset + this.relativeOffset
+  const posFormat = this.parseUShort()
+
+  if (posFormat === 1) {
+    return {
+      posFormat: posFormat,
+      coverage: this.parsePointer(Parser.coverage),
+      ruleSets: this.parseListOfLists(function () {
+        const glyphCount = this.parseUShort()
+        const posCount = this.parseUShort()
+        return {
+          input: this.parseUShortList(glyphCount - 1),
+          lookupRecords: this.parseRecordList(posCount, lookupRecordDesc)
+        }
+      })
+    }
+  } else if (posFormat === 2) {
+    return {
+      posFormat: posFormat,
+      coverage: this.parsePointer(Parser.coverage),
+      classDef: this.parsePointer(Parser.classDef),
+      classSets: this.parseListOfLists(function () {
+        const glyphCount = this.parseUShort()
+        const posCount = this.parseUShort()
+        return {
+          classes: this.parseUShortList(glyphCount - 1),
+          lookupRecords: this.parseRecordList(posCount, lookupRecordDesc)
+        }
+      })
+    }
+  } else if (posFormat === 3) {
+    const glyphCount = this.parseUShort()
+    const posCount = this.parseUShort()
+    return {
+      posFormat: posFormat,
+      coverages: this.parseList(glyphCount, Parser.pointer(Parser.coverage)),
+      lookupRecords: this.parseRecordList(posCount, lookupRecordDesc)
+    }
+  }
+  check.assert(false, '0x' + start.toString(16) + ': GPOS lookup type 7 format must be 1, 2 or 3.')
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-8-chained-contexts-positioning-subtable
+subtableParsers[8] = function parseLookup8 () {
+  const start = this.offset + this.relativeOffset
+  const posFormat = this.parseUShort()
+  if (posFormat === 1) {
+    return {
+      posFormat: 1,
+      coverage: this.parsePointer(Parser.coverage),
+      chainRuleSets: this.parseListOfLists(function () {
+        return {
+          backtrack: this.parseUShortList(),
+          input: this.parseUShortList(this.parseShort() - 1),
+          lookahead: this.parseUShortList(),
+          lookupRecords: this.parseRecordList(lookupRecordDesc)
+        }
+      })
+    }
+  } else if (posFormat === 2) {
+    return {
+      posFormat: 2,
+      coverage: this.parsePointer(Parser.coverage),
+      backtrackClassDef: this.parsePointer(Parser.classDef),
+      inputClassDef: this.parsePointer(Parser.classDef),
+      lookaheadClassDef: this.parsePointer(Parser.classDef),
+      chainClassSet: this.parseListOfLists(function () {
+        return {
+          backtrack: this.parseUShortList(),
+          input: this.parseUShortList(this.parseShort() - 1),
+          lookahead: this.parseUShortList(),
+          lookupRecords: this.parseRecordList(lookupRecordDesc)
+        }
+      })
+    }
+  } else if (posFormat === 3) {
+    return {
+      posFormat: 3,
+      backtrackCoverage: this.parseList(Parser.pointer(Parser.coverage)),
+      inputCoverage: this.parseList(Parser.pointer(Parser.coverage)),
+      lookaheadCoverage: this.parseList(Parser.pointer(Parser.coverage)),
+      lookupRecords: this.parseRecordList(lookupRecordDesc)
+    }
+  }
+  check.assert(false, '0x' + start.toString(16) + ': GPOS lookup type 8 format must be 1, 2 or 3.')
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-9-extension-positioning
+subtableParsers[9] = function parseLookup9 () {
+  // Extension Positioning subtable
+  const posFormat = this.parseUShort()
+  check.argument(posFormat === 1, 'GPOS Extension Positioning subtable identifier-format must be 1')
+  const extensionLookupType = this.parseUShort()
+  const extensionParser = new Parser(this.data, this.offset + this.parseULong())
+  return {
+    posFormat: 1,
+    lookupType: extensionLookupType,
+    extension: subtableParsers[extensionLookupType].call(extensionParser)
+  }
+}
 
 // https://docs.microsoft.com/en-us/typography/opentype/spec/gpos
 function parseGposTable (data, start) {
@@ -110,15 +310,407 @@ function parseGposTable (data, start) {
 }
 
 // GPOS Writing //////////////////////////////////////////////
-// NOT SUPPORTED
 const subtableMakers = new Array(10)
 
+const valueRecordKeys = ['xPlacement', 'yPlacement', 'xAdvance', 'yAdvance', 'xPlaDevice', 'yPlaDevice', 'xAdvDevice', 'yAdvDevice']
+
+// Get the valueFormat that holds all the fields of the given value records.
+function getValueFormat (values, valueFormat = 0) {
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i]
+    if (!value) continue
+    for (let k = 0; k < valueRecordKeys.length; k++) {
+      if (valueRecordKeys[k] in value) {
+        valueFormat |= 1 << k
+      }
+    }
+  }
+  return valueFormat
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#value-record
+// The offsets of the device tables are relative to the table that holds the value record.
+function valueRecordFields (name, value, valueFormat) {
+  const fields = []
+  for (let k = 0; k < valueRecordKeys.length; k++) {
+    if (valueFormat & (1 << k)) {
+      const key = valueRecordKeys[k]
+      if (k >= 4) {
+        fields.push({ name: name + key, type: 'TABLE', value: value && value[key] && makeDevice(value[key]) })
+      } else {
+        fields.push({ name: name + key, type: 'SHORT', value: (value && value[key]) || 0 })
+      }
+    }
+  }
+  return fields
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/chapter2#device-and-variationindex-tables
+function makeDevice (device) {
+  if (device.deltaFormat === 0x8000) {
+    return new table.Table('variationIndexTable', [
+      { name: 'deltaSetOuterIndex', type: 'USHORT', value: device.deltaSetOuterIndex },
+      { name: 'deltaSetInnerIndex', type: 'USHORT', value: device.deltaSetInnerIndex },
+      { name: 'deltaFormat', type: 'USHORT', value: device.deltaFormat }
+    ])
+  }
+
+  const bits = 1 << device.deltaFormat
+  const valuesPerWord = 16 / bits
+  const words = []
+  for (let i = 0; i < device.deltaValues.length; i++) {
+    if (i % valuesPerWord === 0) {
+      words.push(0)
+    }
+    const shift = 16 - bits * (i % valuesPerWord + 1)
+    words[words.length - 1] |= (device.deltaValues[i] & ((1 << bits) - 1)) << shift
+  }
+  return new table.Table('deviceTable', [
+    { name: 'startSize', type: 'USHORT', value: device.startSize },
+    { name: 'endSize', type: 'USHORT', value: device.endSize },
+    { name: 'deltaFormat', type: 'USHORT', value: device.deltaFormat }
+  ].concat(words.map((word, i) => ({ name: 'deltaValue' + i, type: 'USHORT', value: word }))))
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#anchor-tables
+// A missing anchor is written as a NULL offset.
+function makeAnchor (anchor) {
+  if (!anchor) return
+  const fields = [
+    { name: 'anchorFormat', type: 'USHORT', value: anchor.anchorFormat },
+    { name: 'xCoordinate', type: 'SHORT', value: anchor.xCoordinate },
+    { name: 'yCoordinate', type: 'SHORT', value: anchor.yCoordinate }
+  ]
+  if (anchor.anchorFormat === 2) {
+    fields.push({ name: 'anchorPoint', type: 'USHORT', value: anchor.anchorPoint })
+  } else if (anchor.anchorFormat === 3) {
+    fields.push(
+      { name: 'xDevice', type: 'TABLE', value: anchor.xDevice && makeDevice(anchor.xDevice) },
+      { name: 'yDevice', type: 'TABLE', value: anchor.yDevice && makeDevice(anchor.yDevice) }
+    )
+  }
+  return new table.Table('anchorTable', fields)
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#mark-array-table
+function makeMarkArray (markArray) {
+  return new table.Table('markArrayTable', table.recordList('markRecord', markArray, function (markRecord, i) {
+    return [
+      { name: 'markClass' + i, type: 'USHORT', value: markRecord.markClass },
+      { name: 'markAnchor' + i, type: 'TABLE', value: makeAnchor(markRecord.markAnchor) }
+    ]
+  }))
+}
+
+// The BaseArray, Mark2Array and LigatureAttach tables: a list of records with one anchor per mark class.
+function makeAnchorMatrix (tableName, records) {
+  return new table.Table(tableName, table.recordList('record', records, function (anchors, i) {
+    return anchors.map((anchor, j) => ({ name: 'anchor' + i + '_' + j, type: 'TABLE', value: makeAnchor(anchor) }))
+  }))
+}
+
+function lookupRecordFields (lookupRecords) {
+  const fields = []
+  lookupRecords.forEach((record, i) => {
+    fields.push(
+      { name: 'sequenceIndex' + i, type: 'USHORT', value: record.sequenceIndex },
+      { name: 'lookupListIndex' + i, type: 'USHORT', value: record.lookupListIndex }
+    )
+  })
+  return fields
+}
+
+function makeClassDef (classDef) {
+  return classDef && new table.ClassDef(classDef)
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-1-single-adjustment-positioning-subtable
+subtableMakers[1] = function makeLookup1 (subtable) {
+  if (subtable.posFormat === 1) {
+    const valueFormat = getValueFormat([subtable.value])
+    return new table.Table('positioningTable', [
+      { name: 'posFormat', type: 'USHORT', value: 1 },
+      { name: 'coverage', type: 'TABLE', value: new table.Coverage(subtable.coverage) },
+      { name: 'valueFormat', type: 'USHORT', value: valueFormat }
+    ].concat(valueRecordFields('value', subtable.value, valueFormat)))
+  } else if (subtable.posFormat === 2) {
+    const valueFormat = getValueFormat(subtable.values)
+    const fields = [
+      { name: 'posFormat', type: 'USHORT', value: 2 },
+      { name: 'coverage', type: 'TABLE', value: new table.Coverage(subtable.coverage) },
+      { name: 'valueFormat', type: 'USHORT', value: valueFormat },
+      { name: 'valueCount', type: 'USHORT', value: subtable.values.length }
+    ]
+    subtable.values.forEach((value, i) => {
+      fields.push(...valueRecordFields('value' + i + '_', value, valueFormat))
+    })
+    return new table.Table('positioningTable', fields)
+  }
+  check.assert(false, 'GPOS lookup type 1 format must be 1 or 2.')
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-2-pair-adjustment-positioning-subtable
+subtableMakers[2] = function makeLookup2 (subtable) {
+  check.assert(subtable.posFormat === 1 || subtable.posFormat === 2, 'GPOS lookup type 2 format must be 1 or 2.')
+  const pairs = subtable.posFormat === 1
+    ? subtable.pairSets.reduce((pairs, pairSet) => pairs.concat(pairSet || []), [])
+    : subtable.classRecords.reduce((pairs, class2Records) => pairs.concat(class2Records), [])
+  const valueFormat1 = getValueFormat(pairs.map(pair => pair.value1), subtable.valueFormat1)
+  const valueFormat2 = getValueFormat(pairs.map(pair => pair.value2), subtable.valueFormat2)
+  const fields = [
+    { name: 'posFormat', type: 'USHORT', value: subtable.posFormat },
+    { name: 'coverage', type: 'TABLE', value: new table.Coverage(subtable.coverage) },
+    { name: 'valueFormat1', type: 'USHORT', value: valueFormat1 },
+    { name: 'valueFormat2', type: 'USHORT', value: valueFormat2 }
+  ]
+
+  if (subtable.posFormat === 1) {
+    return new table.Table('positioningTable', fields.concat(table.tableList('pairSet', subtable.pairSets, function (pairSet) {
+      if (!pairSet) return
+      return new table.Table('pairSetTable', table.recordList('pairValueRecord', pairSet, function (pair, i) {
+        return [{ name: 'secondGlyph' + i, type: 'USHORT', value: pair.secondGlyph }]
+          .concat(valueRecordFields('value1_' + i + '_', pair.value1, valueFormat1))
+          .concat(valueRecordFields('value2_' + i + '_', pair.value2, valueFormat2))
+      }))
+    })))
+  }
+
+  const classRecords = subtable.classRecords
+  fields.push(
+    { name: 'classDef1', type: 'TABLE', value: makeClassDef(subtable.classDef1) },
+    { name: 'classDef2', type: 'TABLE', value: makeClassDef(subtable.classDef2) },
+    { name: 'class1Count', type: 'USHORT', value: classRecords.length },
+    { name: 'class2Count', type: 'USHORT', value: classRecords.length > 0 ? classRecords[0].length : 0 }
+  )
+  classRecords.forEach((class2Records, i) => {
+    class2Records.forEach((record, j) => {
+      fields.push(
+        ...valueRecordFields('value1_' + i + '_' + j + '_', record.value1, valueFormat1),
+        ...valueRecordFields('value2_' + i + '_' + j + '_', record.value2, valueFormat2)
+      )
+    })
+  })
+  return new table.Table('positioningTable', fields)
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-3-cursive-attachment-positioning-subtable
+subtableMakers[3] = function makeLookup3 (subtable) {
+  check.assert(subtable.posFormat === 1, 'GPOS lookup type 3 format must be 1.')
+  return new table.Table('positioningTable', [
+    { name: 'posFormat', type: 'USHORT', value: 1 },
+    { name: 'coverage', type: 'TABLE', value: new table.Coverage(subtable.coverage) }
+  ].concat(table.recordList('entryExitRecord', subtable.entryExitRecords, function (record, i) {
+    return [
+      { name: 'entryAnchor' + i, type: 'TABLE', value: makeAnchor(record.entryAnchor) },
+      { name: 'exitAnchor' + i, type: 'TABLE', value: makeAnchor(record.exitAnchor) }
+    ]
+  })))
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-4-mark-to-base-attachment-positioning-subtable
+subtableMakers[4] = function makeLookup4 (subtable) {
+  check.assert(subtable.posFormat === 1, 'GPOS lookup type 4 format must be 1.')
+  return new table.Table('positioningTable', [
+    { name: 'posFormat', type: 'USHORT', value: 1 },
+    { name: 'markCoverage', type: 'TABLE', value: new table.Coverage(subtable.markCoverage) },
+    { name: 'baseCoverage', type: 'TABLE', value: new table.Coverage(subtable.baseCoverage) },
+    { name: 'markClassCount', type: 'USHORT', value: subtable.markClassCount },
+    { name: 'markArray', type: 'TABLE', value: makeMarkArray(subtable.markArray) },
+    { name: 'baseArray', type: 'TABLE', value: makeAnchorMatrix('baseArrayTable', subtable.baseArray) }
+  ])
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-5-mark-to-ligature-attachment-positioning-subtable
+subtableMakers[5] = function makeLookup5 (subtable) {
+  check.assert(subtable.posFormat === 1, 'GPOS lookup type 5 format must be 1.')
+  return new table.Table('positioningTable', [
+    { name: 'posFormat', type: 'USHORT', value: 1 },
+    { name: 'markCoverage', type: 'TABLE', value: new table.Coverage(subtable.markCoverage) },
+    { name: 'ligatureCoverage', type: 'TABLE', value: new table.Coverage(subtable.ligatureCoverage) },
+    { name: 'markClassCount', type: 'USHORT', value: subtable.markClassCount },
+    { name: 'markArray', type: 'TABLE', value: makeMarkArray(subtable.markArray) },
+    {
+      name: 'ligatureArray',
+      type: 'TABLE',
+      value: new table.Table('ligatureArrayTable', table.tableList('ligatureAttach', subtable.ligatureArray, function (components) {
+        return components && makeAnchorMatrix('ligatureAttachTable', components)
+      }))
+    }
+  ])
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-6-mark-to-mark-attachment-positioning-subtable
+subtableMakers[6] = function makeLookup6 (subtable) {
+  check.assert(subtable.posFormat === 1, 'GPOS lookup type 6 format must be 1.')
+  return new table.Table('positioningTable', [
+    { name: 'posFormat', type: 'USHORT', value: 1 },
+    { name: 'mark1Coverage', type: 'TABLE', value: new table.Coverage(subtable.mark1Coverage) },
+    { name: 'mark2Coverage', type: 'TABLE', value: new table.Coverage(subtable.mark2Coverage) },
+    { name: 'markClassCount', type: 'USHORT', value: subtable.markClassCount },
+    { name: 'mark1Array', type: 'TABLE', value: makeMarkArray(subtable.mark1Array) },
+    { name: 'mark2Array', type: 'TABLE', value: makeAnchorMatrix('mark2ArrayTable', subtable.mark2Array) }
+  ])
+}
+
+// The rules of contextual lookups, with the input glyphs or classes after the first one.
+function makeRuleSets (itemName, ruleSets, getInput) {
+  return table.tableList(itemName + 'Set', ruleSets, function (ruleSet) {
+    if (!ruleSet) return
+    return new table.Table(itemName + 'SetTable', table.tableList(itemName, ruleSet, function (rule) {
+      const input = getInput(rule)
+      return new table.Table(itemName + 'Table', [
+        { name: 'glyphCount', type: 'USHORT', value: input.length + 1 },
+        { name: 'posCount', type: 'USHORT', value: rule.lookupRecords.length }
+      ].concat(input.map((value, i) => ({ name: 'input' + i, type: 'USHORT', value })))
+        .concat(lookupRecordFields(rule.lookupRecords)))
+    }))
+  })
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-7-contextual-positioning-subtables
+subtableMakers[7] = function makeLookup7 (subtable) {
+  if (subtable.posFormat === 1) {
+    return new table.Table('contextTable', [
+      { name: 'posFormat', type: 'USHORT', value: 1 },
+      { name: 'coverage', type: 'TABLE', value: new table.Coverage(subtable.coverage) }
+    ].concat(makeRuleSets('posRule', subtable.ruleSets, rule => rule.input)))
+  } else if (subtable.posFormat === 2) {
+    return new table.Table('contextTable', [
+      { name: 'posFormat', type: 'USHORT', value: 2 },
+      { name: 'coverage', type: 'TABLE', value: new table.Coverage(subtable.coverage) },
+      { name: 'classDef', type: 'TABLE', value: makeClassDef(subtable.classDef) }
+    ].concat(makeRuleSets('posClassRule', subtable.classSets, rule => rule.classes)))
+  } else if (subtable.posFormat === 3) {
+    return new table.Table('contextTable', [
+      { name: 'posFormat', type: 'USHORT', value: 3 },
+      { name: 'glyphCount', type: 'USHORT', value: subtable.coverages.length },
+      { name: 'posCount', type: 'USHORT', value: subtable.lookupRecords.length }
+    ].concat(subtable.coverages.map((coverage, i) => ({ name: 'coverage' + i, type: 'TABLE', value: new table.Coverage(coverage) })))
+      .concat(lookupRecordFields(subtable.lookupRecords)))
+  }
+  check.assert(false, 'GPOS lookup type 7 format must be 1, 2 or 3.')
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-8-chained-contexts-positioning-subtable
+function makeChainRuleSets (itemName, ruleSets) {
+  return table.tableList(itemName + 'Set', ruleSets, function (ruleSet) {
+    if (!ruleSet) return
+    return new table.Table(itemName + 'SetTable', table.tableList(itemName, ruleSet, function (rule) {
+      return new table.Table(itemName + 'Table', table.ushortList('backtrack', rule.backtrack)
+        .concat(table.ushortList('input', rule.input, rule.input.length + 1))
+        .concat(table.ushortList('lookahead', rule.lookahead))
+        .concat({ name: 'posCount', type: 'USHORT', value: rule.lookupRecords.length })
+        .concat(lookupRecordFields(rule.lookupRecords)))
+    }))
+  })
+}
+
+subtableMakers[8] = function makeLookup8 (subtable) {
+  if (subtable.posFormat === 1) {
+    return new table.Table('chainContextTable', [
+      { name: 'posFormat', type: 'USHORT', value: 1 },
+      { name: 'coverage', type: 'TABLE', value: new table.Coverage(subtable.coverage) }
+    ].concat(makeChainRuleSets('chainPosRule', subtable.chainRuleSets)))
+  } else if (subtable.posFormat === 2) {
+    return new table.Table('chainContextTable', [
+      { name: 'posFormat', type: 'USHORT', value: 2 },
+      { name: 'coverage', type: 'TABLE', value: new table.Coverage(subtable.coverage) },
+      { name: 'backtrackClassDef', type: 'TABLE', value: makeClassDef(subtable.backtrackClassDef) },
+      { name: 'inputClassDef', type: 'TABLE', value: makeClassDef(subtable.inputClassDef) },
+      { name: 'lookaheadClassDef', type: 'TABLE', value: makeClassDef(subtable.lookaheadClassDef) }
+    ].concat(makeChainRuleSets('chainPosClassRule', subtable.chainClassSet)))
+  } else if (subtable.posFormat === 3) {
+    const coverageList = (itemName, coverages) => [{ name: itemName + 'Count', type: 'USHORT', value: coverages.length }]
+      .concat(coverages.map((coverage, i) => ({ name: itemName + i, type: 'TABLE', value: new table.Coverage(coverage) })))
+    return new table.Table('chainContextTable', [{ name: 'posFormat', type: 'USHORT', value: 3 }]
+      .concat(coverageList('backtrackCoverage', subtable.backtrackCoverage))
+      .concat(coverageList('inputCoverage', subtable.inputCoverage))
+      .concat(coverageList('lookaheadCoverage', subtable.lookaheadCoverage))
+      .concat({ name: 'posCount', type: 'USHORT', value: subtable.lookupRecords.length })
+      .concat(lookupRecordFields(subtable.lookupRecords)))
+  }
+  check.assert(false, 'GPOS lookup type 8 format must be 1, 2 or 3.')
+}
+
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#lookup-type-9-extension-positioning
+// The extended subtable directly follows the extension subtable.
+subtableMakers[9] = function makeLookup9 (subtable) {
+  return makeExtension(subtable.lookupType, 8, subtableMakers[subtable.lookupType](subtable.extension).encode())
+}
+
+function makeExtension (lookupType, offset, data = []) {
+  return new table.Table('extensionTable', [
+    { name: 'posFormat', type: 'USHORT', value: 1 },
+    { name: 'extensionLookupType', type: 'USHORT', value: lookupType },
+    { name: 'extensionOffset', type: 'ULONG', value: offset },
+    { name: 'extension', type: 'LITERAL', value: data }
+  ])
+}
+
+// When the lookups don't fit in 16-bit offsets, all lookups are written as extension lookups,
+// and their subtables are moved to the end of the table, out of the lookup list.
+function makeExtendedGposTable (gpos, scripts, features) {
+  const subtables = []
+  const lookups = gpos.lookups.map(lookup => {
+    return {
+      lookupType: 9,
+      lookupFlag: lookup.lookupFlag,
+      markFilteringSet: lookup.markFilteringSet,
+      subtables: lookup.subtables.map(subtable => {
+        const lookupType = lookup.lookupType === 9 ? subtable.lookupType : lookup.lookupType
+        subtables.push(subtableMakers[lookupType](lookup.lookupType === 9 ? subtable.extension : subtable).encode())
+        return { lookupType }
+      })
+    }
+  })
+
+  // Compute the offset of each extension subtable in the table, to point to its subtable.
+  let subtableOffset = 10 + scripts.sizeOf() + features.sizeOf() + 2 + 2 * lookups.length
+  const extensionOffsets = []
+  for (let i = 0; i < lookups.length; i++) {
+    const lookup = lookups[i]
+    subtableOffset += 6 + 2 * lookup.subtables.length + (lookup.lookupFlag & 0x10 ? 2 : 0)
+    for (let j = 0; j < lookup.subtables.length; j++) {
+      extensionOffsets.push(subtableOffset)
+      subtableOffset += 8
+    }
+  }
+
+  let k = 0
+  const lookupList = new table.LookupList(lookups, {
+    9: function (subtable) {
+      const offset = subtableOffset - extensionOffsets[k]
+      subtableOffset += subtables[k].length
+      k++
+      return makeExtension(subtable.lookupType, offset)
+    }
+  })
+
+  let data = new table.Table('GPOS', [
+    { name: 'version', type: 'ULONG', value: 0x10000 },
+    { name: 'scripts', type: 'TABLE', value: scripts },
+    { name: 'features', type: 'TABLE', value: features },
+    { name: 'lookups', type: 'TABLE', value: lookupList }
+  ]).encode()
+  for (let i = 0; i < subtables.length; i++) {
+    data = data.concat(subtables[i])
+  }
+  return new table.Table('GPOS', [{ name: 'data', type: 'LITERAL', value: data }])
+}
+
 function makeGposTable (gpos) {
+  const scripts = new table.ScriptList(gpos.scripts)
+  const features = new table.FeatureList(gpos.features)
+  const lookups = new table.LookupList(gpos.lookups, subtableMakers)
+  if (lookups.sizeOf() >= 0x10000) {
+    return makeExtendedGposTable(gpos, scripts, features)
+  }
+
   return new table.Table('GPOS', [
     { name: 'version', type: 'ULONG', value: 0x10000 },
-    { name: 'scripts', type: 'TABLE', value: new table.ScriptList(gpos.scripts) },
-    { name: 'features', type: 'TABLE', value: new table.FeatureList(gpos.features) },
-    { name: 'lookups', type: 'TABLE', value: new table.LookupList(gpos.lookups, subtableMakers) }
+    { name: 'scripts', type: 'TABLE', value: scripts },
+    { name: 'features', type: 'TABLE', value: features },
+    { name: 'lookups', type: 'TABLE', value: lookups }
   ])
 }
 
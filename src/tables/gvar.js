@@ -0,0 +1,311 @@
+// The `gvar` table stores the variations of the TrueType glyph outlines of a variable font.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gvar
+
+import check from '../check.js'
+import parse from '../parse.js'
+import table from '../table.js'
+
+// Tuple variation header flags.
+const EMBEDDED_PEAK_TUPLE = 0x8000
+const INTERMEDIATE_REGION = 0x4000
+const PRIVATE_POINT_NUMBERS = 0x2000
+const TUPLE_INDEX_MASK = 0x0FFF
+
+// Glyph variation data flags.
+const SHARED_POINT_NUMBERS = 0x8000
+const COUNT_MASK = 0x0FFF
+
+// Packed point number and delta flags.
+const POINTS_ARE_WORDS = 0x80
+const POINT_RUN_COUNT_MASK = 0x7F
+const DELTAS_ARE_ZERO = 0x80
+const DELTAS_ARE_WORDS = 0x40
+const DELTA_RUN_COUNT_MASK = 0x3F
+
+// Parse packed point numbers. An empty count means that the deltas apply to all the points of the glyph,
+// then `undefined` is returned.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/otvarcommonformats#packed-point-numbers
+function parsePackedPoints (p) {
+  let count = p.parseByte()
+  if (count === 0) return undefined
+  if (count & 0x80) {
+    count = ((count & 0x7F) << 8) | p.parseByte()
+  }
+
+  const points = []
+  let point = 0
+  while (points.length < count) {
+    const control = p.parseByte()
+    const runCount = (control & POINT_RUN_COUNT_MASK) + 1
+    for (let i = 0; i < runCount; i += 1) {
+      point += (control & POINTS_ARE_WORDS) ? p.parseUShort() : p.parseByte()
+      points.push(point)
+    }
+  }
+
+  return points
+}
+
+// Parse packed deltas until the end of the data.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/otvarcommonformats#packed-deltas
+function parsePackedDeltas (p, end) {
+  const deltas = []
+  while (p.relativeOffset < end) {
+    const control = p.parseByte()
+    const runCount = (control & DELTA_RUN_COUNT_MASK) + 1
+    for (let i = 0; i < runCount; i += 1) {
+      if (control & DELTAS_ARE_ZERO) {
+        deltas.push(0)
+      } else if (control & DELTAS_ARE_WORDS) {
+        deltas.push(p.parseShort())
+      } else {
+        deltas.push(p.parseChar())
+      }
+    }
+  }
+
+  return deltas
+}
+
+function parseTuple (p, axisCount) {
+  const tuple = []
+  for (let i = 0; i < axisCount; i += 1) {
+    tuple.push(p.parseF2Dot14())
+  }
+
+  return tuple
+}
+
+// Parse the tuple variations of one glyph. Each tuple variation has the region of the
+// design space where it applies, the indexes of the points it moves (all of them if undefined),
+// and the x and y deltas of these points.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/otvarcommonformats#tuple-variation-store
+function parseGlyphVariationData (data, start, axisCount, sharedTuples) {
+  const p = new parse.Parser(data, start)
+  const tupleVariationCount = p.parseUShort()
+  const dataOffset = p.parseUShort()
+  const headers = []
+  for (let i = 0; i < (tupleVariationCount & COUNT_MASK); i += 1) {
+    const variationDataSize = p.parseUShort()
+    const tupleIndex = p.parseUShort()
+    const header = { variationDataSize, tupleIndex }
+    if (tupleIndex & EMBEDDED_PEAK_TUPLE) {
+      header.peakTuple = parseTuple(p, axisCount)
+    } else {
+      check.argument((tupleIndex & TUPLE_INDEX_MASK) < sharedTuples.length, 'Invalid gvar shared tuple index.')
+      header.peakTuple = sharedTuples[tupleIndex & TUPLE_INDEX_MASK]
+    }
+
+    if (tupleIndex & INTERMEDIATE_REGION) {
+      header.intermediateStartTuple = parseTuple(p, axisCount)
+      header.intermediateEndTuple = parseTuple(p, axisCount)
+    }
+
+    headers.push(header)
+  }
+
+  const dataParser = new parse.Parser(data, start + dataOffset)
+  let sharedPoints
+  if (tupleVariationCount & SHARED_POINT_NUMBERS) {
+    sharedPoints = parsePackedPoints(dataParser)
+  }
+
+  return headers.map(header => {
+    const end = dataParser.relativeOffset + header.variationDataSize
+    const points = (header.tupleIndex & PRIVATE_POINT_NUMBERS) ? parsePackedPoints(dataParser) : sharedPoints
+    // The x deltas are followed by as many y deltas.
+    const deltas = parsePackedDeltas(dataParser, end)
+    dataParser.relativeOffset = end
+
+    const tupleVariation = { peakTuple: header.peakTuple.slice() }
+    if (header.intermediateStartTuple) {
+      tupleVariation.intermediateStartTuple = header.intermediateStartTuple
+      tupleVariation.intermediateEndTuple = header.intermediateEndTuple
+    }
+
+    tupleVariation.points = points
+    tupleVariation.xDeltas = deltas.slice(0, deltas.length / 2)
+    tupleVariation.yDeltas = deltas.slice(deltas.length / 2)
+    return tupleVariation
+  })
+}
+
+// Parse the `gvar` table. `glyphVariations` has the list of tuple variations of each glyph.
+function parseGvarTable (data, start) {
+  const p = new parse.Parser(data, start)
+  const majorVersion = p.parseUShort()
+  check.argument(majorVersion === 1, 'Unsupported gvar table version.')
+  p.skip('uShort') // minorVersion
+  const axisCount = p.parseUShort()
+  const sharedTupleCount = p.parseUShort()
+  const sharedTuplesOffset = p.parseULong()
+  const glyphCount = p.parseUShort()
+  const flags = p.parseUShort()
+  const glyphVariationDataArrayOffset = p.parseULong()
+  const offsets = (flags & 1) ? p.parseULongList(glyphCount + 1) : p.parseUShortList(glyphCount + 1).map(offset => offset * 2)
+
+  const sharedTuplesParser = new parse.Parser(data, start + sharedTuplesOffset)
+  const sharedTuples = []
+  for (let i = 0; i < sharedTupleCount; i += 1) {
+    sharedTuples.push(parseTuple(sharedTuplesParser, axisCount))
+  }
+
+  const glyphVariations = []
+  for (let i = 0; i < glyphCount; i += 1) {
+    if (offsets[i] === offsets[i + 1]) {
+      glyphVariations.push([])
+    } else {
+      glyphVariations.push(parseGlyphVariationData(data, start + glyphVariationDataArrayOffset + offsets[i], axisCount, sharedTuples))
+    }
+  }
+
+  return { version: majorVersion, axisCount, sharedTuples, glyphVariations }
+}
+
+function pushUShort (bytes, value) {
+  bytes.push((value >> 8) & 0xFF, value & 0xFF)
+}
+
+function pushTuple (bytes, tuple) {
+  tuple.forEach(coordinate => pushUShort(bytes, Math.round(coordinate * 0x4000)))
+}
+
+// Make packed point numbers. All the points of the glyph are written as an empty count.
+function makePackedPoints (points) {
+  if (!points) return [0]
+  const bytes = points.length < 0x80 ? [points.length] : [0x80 | (points.length >> 8), points.length & 0xFF]
+  let i = 0
+  let last = 0
+  while (i < points.length) {
+    const words = points[i] - last > 0xFF
+    let runCount = 0
+    const run = []
+    while (i < points.length && runCount <= POINT_RUN_COUNT_MASK && (points[i] - last > 0xFF) === words) {
+      if (words) {
+        pushUShort(run, points[i] - last)
+      } else {
+        run.push(points[i] - last)
+      }
+      last = points[i]
+      runCount += 1
+      i += 1
+    }
+    bytes.push((words ? POINTS_ARE_WORDS : 0) | (runCount - 1))
+    run.forEach(byte => bytes.push(byte))
+  }
+
+  return bytes
+}
+
+// Make packed deltas: runs of zeros, of deltas that fit in a byte and of words.
+function makePackedDeltas (deltas) {
+  const bytes = []
+  const kind = delta => delta === 0 ? DELTAS_ARE_ZERO : (delta < -0x80 || delta > 0x7F) ? DELTAS_ARE_WORDS : 0
+  let i = 0
+  while (i < deltas.length) {
+    const flag = kind(deltas[i])
+    const run = []
+    while (i < deltas.length && run.length <= DELTA_RUN_COUNT_MASK && kind(deltas[i]) === flag) {
+      run.push(deltas[i])
+      i += 1
+    }
+    bytes.push(flag | (run.length - 1))
+    run.forEach(delta => {
+      if (flag === DELTAS_ARE_WORDS) {
+        pushUShort(bytes, delta & 0xFFFF)
+      } else if (flag === 0) {
+        bytes.push(delta & 0xFF)
+      }
+    })
+  }
+
+  return bytes
+}
+
+function sameTuple (a, b) {
+  return a.length === b.length && a.every((coordinate, i) => Math.round(coordinate * 0x4000) === Math.round(b[i] * 0x4000))
+}
+
+// Make the tuple variations of one glyph. Each tuple has its own point numbers.
+function makeGlyphVariationData (tupleVariations, sharedTuples) {
+  const headers = []
+  const data = []
+  tupleVariations.forEach(tupleVariation => {
+    const serialized = makePackedPoints(tupleVariation.points)
+      .concat(makePackedDeltas(tupleVariation.xDeltas.concat(tupleVariation.yDeltas).map(Math.round)))
+    const sharedIndex = sharedTuples.findIndex(tuple => sameTuple(tuple, tupleVariation.peakTuple))
+    let tupleIndex = PRIVATE_POINT_NUMBERS | (sharedIndex >= 0 ? sharedIndex : EMBEDDED_PEAK_TUPLE)
+    if (tupleVariation.intermediateStartTuple) {
+      tupleIndex |= INTERMEDIATE_REGION
+    }
+
+    pushUShort(headers, serialized.length)
+    pushUShort(headers, tupleIndex)
+    if (sharedIndex < 0) {
+      pushTuple(headers, tupleVariation.peakTuple)
+    }
+
+    if (tupleVariation.intermediateStartTuple) {
+      pushTuple(headers, tupleVariation.intermediateStartTuple)
+      pushTuple(headers, tupleVariation.intermediateEndTuple)
+    }
+
+    serialized.forEach(byte => data.push(byte))
+  })
+
+  const bytes = []
+  pushUShort(bytes, tupleVariations.length)
+  pushUShort(bytes, 4 + headers.length)
+  return bytes.concat(headers, data)
+}
+
+// Make the `gvar` table. Without shared tuples, the peak tuples of the glyph variations are shared.
+// The offsets to the glyph variation data are written as short offsets if they fit.
+function makeGvarTable (gvar) {
+  const axisCount = gvar.axisCount
+  let sharedTuples = gvar.sharedTuples
+  if (!sharedTuples) {
+    sharedTuples = []
+    gvar.glyphVariations.forEach(tupleVariations => tupleVariations.forEach(tupleVariation => {
+      if (!sharedTuples.some(tuple => sameTuple(tuple, tupleVariation.peakTuple))) {
+        sharedTuples.push(tupleVariation.peakTuple)
+      }
+    }))
+  }
+
+  check.argument(sharedTuples.length <= TUPLE_INDEX_MASK, 'Too many gvar shared tuples.')
+  const glyphData = gvar.glyphVariations.map(tupleVariations => tupleVariations.length > 0 ? makeGlyphVariationData(tupleVariations, sharedTuples) : [])
+  const paddedLength = glyphData.reduce((length, data) => length + data.length + (data.length % 2), 0)
+  const longOffsets = paddedLength > 0x1FFFE
+  const offsets = [0]
+  glyphData.forEach((data, i) => {
+    if (!longOffsets && data.length % 2) {
+      data.push(0)
+    }
+
+    offsets.push(offsets[i] + data.length)
+  })
+
+  const sharedTuplesBytes = []
+  sharedTuples.forEach(tuple => pushTuple(sharedTuplesBytes, tuple))
+  const sharedTuplesOffset = 20 + offsets.length * (longOffsets ? 4 : 2)
+  const result = new table.Table('gvar', [
+    { name: 'majorVersion', type: 'USHORT', value: 1 },
+    { name: 'minorVersion', type: 'USHORT', value: 0 },
+    { name: 'axisCount', type: 'USHORT', value: axisCount },
+    { name: 'sharedTupleCount', type: 'USHORT', value: sharedTuples.length },
+    { name: 'sharedTuplesOffset', type: 'ULONG', value: sharedTuplesOffset },
+    { name: 'glyphCount', type: 'USHORT', value: glyphData.length },
+    { name: 'flags', type: 'USHORT', value: longOffsets ? 1 : 0 },
+    { name: 'glyphVariationDataArrayOffset', type: 'ULONG', value: sharedTuplesOffset + sharedTuplesBytes.length }
+  ])
+  offsets.forEach((offset, i) => {
+    result.fields.push({ name: 'glyphVariationDataOffset_' + i, type: longOffsets ? 'ULONG' : 'USHORT', value: longOffsets ? offset : offset / 2 })
+  })
+  result.fields.push({ name: 'sharedTuples', type: 'LITERAL', value: sharedTuplesBytes })
+  result.fields.push({ name: 'glyphVariationData', type: 'LITERAL', value: [].concat(...glyphData) })
+
+  return result
+}
+
+export default { parse: parseGvarTable, make: makeGvarTable }
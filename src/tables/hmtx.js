@@ -47,12 +47,14 @@ function parseHmtxTable (font, data, start, numMetrics, numGlyphs, glyphs, opt)
   if (opt.lowMemory) { parseHmtxTableOnLowMemory(font, data, start, numMetrics, numGlyphs) } else { parseHmtxTableAll(data, start, numMetrics, numGlyphs, glyphs) }
 }
 
-function makeHmtxTable (glyphs) {
+// Make the `hmtx` table. The left side bearings of the glyphs can be overridden,
+// since TrueType outlines need them to match the xMin of the written glyphs.
+function makeHmtxTable (glyphs, leftSideBearings) {
   const t = new table.Table('hmtx', [])
   for (let i = 0; i < glyphs.length; i += 1) {
     const glyph = glyphs.get(i)
     const advanceWidth = glyph.advanceWidth || 0
-    const leftSideBearing = glyph.leftSideBearing || 0
+    const leftSideBearing = leftSideBearings ? leftSideBearings[i] : glyph.leftSideBearing || 0
     t.fields.push({ name: 'advanceWidth_' + i, type: 'USHORT', value: advanceWidth })
     t.fields.push({ name: 'leftSideBearing_' + i, type: 'SHORT', value: leftSideBearing })
   }
@@ -0,0 +1,58 @@
+// The `HVAR` table stores the variations of the horizontal glyph metrics of a variable font.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/hvar
+
+import check from '../check.js'
+import parse from '../parse.js'
+import table from '../table.js'
+
+// Parse the `HVAR` table. The deltas are in the ItemVariationStore. The delta set index maps
+// give the deltas of each glyph; without advance width mapping, the delta set of a glyph
+// is at its glyph index in the first item variation data. The side bearing mappings are optional.
+function parseHvarTable (data, start) {
+  const p = new parse.Parser(data, start)
+  const majorVersion = p.parseUShort()
+  check.argument(majorVersion === 1, 'Unsupported HVAR table version.')
+  p.skip('uShort') // minorVersion
+  const itemVariationStoreOffset = p.parseOffset32()
+  const advanceWidthMappingOffset = p.parseOffset32()
+  const lsbMappingOffset = p.parseOffset32()
+  const rsbMappingOffset = p.parseOffset32()
+
+  const parseMapping = offset => offset ? new parse.Parser(data, start + offset).parseDeltaSetIndexMap() : undefined
+  return {
+    version: majorVersion,
+    itemVariationStore: new parse.Parser(data, start + itemVariationStoreOffset).parseItemVariationStore(),
+    advanceWidthMapping: parseMapping(advanceWidthMappingOffset),
+    lsbMapping: parseMapping(lsbMappingOffset),
+    rsbMapping: parseMapping(rsbMappingOffset)
+  }
+}
+
+// Make the `HVAR` table. The item variation store and the mappings are written after the header.
+function makeHvarTable (hvar) {
+  const subtables = [
+    new table.ItemVariationStore(hvar.itemVariationStore).encode(),
+    hvar.advanceWidthMapping && new table.DeltaSetIndexMap(hvar.advanceWidthMapping).encode(),
+    hvar.lsbMapping && new table.DeltaSetIndexMap(hvar.lsbMapping).encode(),
+    hvar.rsbMapping && new table.DeltaSetIndexMap(hvar.rsbMapping).encode()
+  ]
+  const offsetNames = ['itemVariationStoreOffset', 'advanceWidthMappingOffset', 'lsbMappingOffset', 'rsbMappingOffset']
+  const result = new table.Table('HVAR', [
+    { name: 'majorVersion', type: 'USHORT', value: 1 },
+    { name: 'minorVersion', type: 'USHORT', value: 0 }
+  ])
+  let offset = 20
+  subtables.forEach((bytes, i) => {
+    result.fields.push({ name: offsetNames[i], type: 'ULONG', value: bytes ? offset : 0 })
+    offset += bytes ? bytes.length : 0
+  })
+  subtables.forEach((bytes, i) => {
+    if (bytes) {
+      result.fields.push({ name: offsetNames[i].replace('Offset', ''), type: 'LITERAL', value: bytes })
+    }
+  })
+
+  return result
+}
+
+export default { parse: parseHvarTable, make: makeHvarTable }
@@ -1,7 +1,9 @@
 // The `loca` table stores the offsets to the locations of the glyphs in the font.
 // https://www.microsoft.com/typography/OTSPEC/loca.htm
 
+import check from '../check.js'
 import parse from '../parse.js'
+import table from '../table.js'
 
 // Parse the `loca` table. This table stores the offsets to the locations of the glyphs in the font,
 // relative to the beginning of the glyphData table.
@@ -28,4 +30,21 @@ function parseLocaTable (data, start, numGlyphs, shortVersion) {
   return glyphOffsets
 }
 
-export default { parse: parseLocaTable }
+// Make the `loca` table from the glyph offsets in the `glyf` table, including the extra offset at the end.
+// The short version can only be used if all offsets are even and below 0x20000.
+function makeLocaTable (glyphOffsets, shortVersion) {
+  const bytes = []
+  for (let i = 0; i < glyphOffsets.length; i += 1) {
+    const offset = glyphOffsets[i]
+    if (shortVersion) {
+      check.argument(offset % 2 === 0 && offset / 2 <= 0xFFFF, 'Glyph offset ' + offset + ' does not fit in a short loca table.')
+      bytes.push((offset >> 9) & 0xff, (offset >> 1) & 0xff)
+    } else {
+      bytes.push((offset >>> 24) & 0xff, (offset >> 16) & 0xff, (offset >> 8) & 0xff, offset & 0xff)
+    }
+  }
+
+  return new table.Table('loca', [{ name: 'offsets', type: 'LITERAL', value: bytes }])
+}
+
+export default { parse: parseLocaTable, make: makeLocaTable }
@@ -30,11 +30,33 @@ function parseMaxpTable (data, start) {
   return maxp
 }
 
-function makeMaxpTable (numGlyphs) {
+// Make the `maxp` table. Version 0.5 is used for CFF fonts, TrueType fonts
+// need version 1.0 with the profile values.
+function makeMaxpTable (numGlyphs, profile) {
+  if (!profile) {
+    return new table.Table('maxp', [
+      { name: 'version', type: 'FIXED', value: 0x00005000 },
+      { name: 'numGlyphs', type: 'USHORT', value: numGlyphs }
+    ])
+  }
+
   return new table.Table('maxp', [
-    { name: 'version', type: 'FIXED', value: 0x00005000 },
-    { name: 'numGlyphs', type: 'USHORT', value: numGlyphs }
-  ])
+    { name: 'version', type: 'FIXED', value: 0x00010000 },
+    { name: 'numGlyphs', type: 'USHORT', value: numGlyphs },
+    { name: 'maxPoints', type: 'USHORT', value: 0 },
+    { name: 'maxContours', type: 'USHORT', value: 0 },
+    { name: 'maxCompositePoints', type: 'USHORT', value: 0 },
+    { name: 'maxCompositeContours', type: 'USHORT', value: 0 },
+    { name: 'maxZones', type: 'USHORT', value: 2 },
+    { name: 'maxTwilightPoints', type: 'USHORT', value: 0 },
+    { name: 'maxStorage', type: 'USHORT', value: 0 },
+    { name: 'maxFunctionDefs', type: 'USHORT', value: 0 },
+    { name: 'maxInstructionDefs', type: 'USHORT', value: 0 },
+    { name: 'maxStackElements', type: 'USHORT', value: 0 },
+    { name: 'maxSizeOfInstructions', type: 'USHORT', value: 0 },
+    { name: 'maxComponentElements', type: 'USHORT', value: 0 },
+    { name: 'maxComponentDepth', type: 'USHORT', value: 0 }
+  ], profile)
 }
 
 export default { parse: parseMaxpTable, make: makeMaxpTable }
@@ -0,0 +1,38 @@
+// The `MVAR` table stores the variations of the font-wide metrics of a variable font,
+// like the ascender in the `OS/2` table or the underline position in the `post` table.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/mvar
+
+import check from '../check.js'
+import parse from '../parse.js'
+
+// Parse the `MVAR` table. Each value record has the tag of a metric, like 'xhgt'
+// for the x-height, and the index of its deltas in the ItemVariationStore.
+function parseMvarTable (data, start) {
+  const p = new parse.Parser(data, start)
+  const majorVersion = p.parseUShort()
+  check.argument(majorVersion === 1, 'Unsupported MVAR table version.')
+  p.skip('uShort') // minorVersion
+  p.skip('uShort') // reserved
+  const valueRecordSize = p.parseUShort()
+  const valueRecordCount = p.parseUShort()
+  const itemVariationStoreOffset = p.parseOffset16()
+  const valueRecords = []
+  for (let i = 0; i < valueRecordCount; i += 1) {
+    const recordParser = new parse.Parser(data, start + p.relativeOffset + i * valueRecordSize)
+    valueRecords.push({
+      valueTag: recordParser.parseTag(),
+      deltaSetOuterIndex: recordParser.parseUShort(),
+      deltaSetInnerIndex: recordParser.parseUShort()
+    })
+  }
+
+  return {
+    version: majorVersion,
+    valueRecords,
+    itemVariationStore: itemVariationStoreOffset
+      ? new parse.Parser(data, start + itemVariationStoreOffset).parseItemVariationStore()
+      : undefined
+  }
+}
+
+export default { parse: parseMvarTable }
@@ -828,4 +828,33 @@ function makeNameTable (names, ltag) {
   return t
 }
 
-export default { parse: parseNameTable, make: makeNameTable }
+// Get the translations of a name by its name ID, from the names of a parsed `name` table.
+function getNameByID (names, nameID) {
+  return names[nameTableNames[nameID] || nameID]
+}
+
+// Get the ID of a name that other tables (like `fvar` or `STAT`) refer to,
+// adding it to the names if there is no such name with an ID of 256 or higher.
+function addName (name, names) {
+  const nameString = JSON.stringify(name)
+  let nameID = 256
+  for (const nameKey in names) {
+    const n = parseInt(nameKey)
+    if (!n || n < 256) {
+      continue
+    }
+
+    if (JSON.stringify(names[nameKey]) === nameString) {
+      return n
+    }
+
+    if (nameID <= n) {
+      nameID = n + 1
+    }
+  }
+
+  names[nameID] = name
+  return nameID
+}
+
+export default { parse: parseNameTable, make: makeNameTable, getNameByID, addName }
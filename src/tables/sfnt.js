@@ -5,19 +5,28 @@
 // http://www.microsoft.com/typography/otspec140/recom.htm
 
 import check from '../check.js'
+import parse from '../parse.js'
 import table from '../table.js'
 import cmap from './cmap.js'
 import cff from './cff.js'
+import glyf from './glyf.js'
 import head from './head.js'
 import hhea from './hhea.js'
 import hmtx from './hmtx.js'
+import loca from './loca.js'
 import ltag from './ltag.js'
 import maxp from './maxp.js'
 import _name from './name.js'
 import os2 from './os2.js'
 import post from './post.js'
 import gsub from './gsub.js'
+import gpos from './gpos.js'
 import meta from './meta.js'
+import fvar from './fvar.js'
+import avar from './avar.js'
+import gvar from './gvar.js'
+import hvar from './hvar.js'
+import stat from './stat.js'
 
 function log2 (v) {
   return Math.log(v) / Math.log(2) | 0
@@ -126,9 +135,213 @@ function average (vs) {
   return sum / vs.length
 }
 
+// The maxp values that describe the needs of the TrueType instructions.
+// They can't be computed from the glyphs, so they are copied from the parsed font.
+const maxpHintingValues = ['maxZones', 'maxTwilightPoints', 'maxStorage', 'maxFunctionDefs',
+  'maxInstructionDefs', 'maxStackElements', 'maxSizeOfInstructions']
+
+// Make the tables with the TrueType instructions that are shared by all glyphs.
+function makeHintingTables (font) {
+  const tables = []
+  if (font.tables.cvt) {
+    tables.push(new table.Table('cvt ', font.tables.cvt.map(function (v, i) {
+      return { name: 'cvt_' + i, type: 'SHORT', value: v }
+    })))
+  }
+
+  if (font.tables.fpgm) {
+    tables.push(new table.Table('fpgm', [{ name: 'instructions', type: 'LITERAL', value: font.tables.fpgm }]))
+  }
+
+  if (font.tables.prep) {
+    tables.push(new table.Table('prep', [{ name: 'instructions', type: 'LITERAL', value: font.tables.prep }]))
+  }
+
+  return tables
+}
+
+// The tables that are made from the font object. When the font was parsed,
+// their original data is only written if they are listed in `options.preserveTables`.
+const writableTags = ['cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'CFF ', 'CFF2', 'glyf', 'loca',
+  'cvt ', 'fpgm', 'prep', 'ltag', 'GSUB', 'GPOS', 'meta']
+
+// Tables that belong to one outline format, and are left out when writing the other format.
+const outlineFormatTags = {
+  truetype: ['glyf', 'loca', 'cvt ', 'fpgm', 'prep', 'gvar', 'cvar', 'hdmx', 'LTSH', 'VDMX'],
+  cff: ['CFF ', 'CFF2', 'VORG']
+}
+
+// Tables of device metrics, computed from the glyphs of the font. They are only written with their original data
+// if the glyphs have their original metrics, or if they are listed in `options.preserveTables`.
+// The same goes for the `gvar` table and the original outlines.
+const deviceMetricsTags = ['hdmx', 'LTSH', 'VDMX']
+
+// Tables that refer to the glyphs by their index, and `vhea`, which goes with `vmtx`. They are only written
+// with their original data if the font has its original number of glyphs, or if they are listed in `options.preserveTables`.
+const glyphIndexTags = ['GDEF', 'kern', 'vhea', 'vmtx', 'VORG', 'HVAR', 'VVAR', 'COLR', 'MATH', 'sbix', 'EBLC', 'EBDT', 'CBLC', 'CBDT']
+
+function getDataView (bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+}
+
+// Whether the font has the number of glyphs of its original data.
+function hasOriginalNumGlyphs (font) {
+  const maxp = font._rawTables.maxp
+  return !maxp || parse.getUShort(getDataView(maxp), 4) === font.glyphs.length
+}
+
+// Whether the TrueType glyphs have the same number, bounding boxes and number of points as in the original
+// data of the font, so that the variations of their outlines still apply.
+function hasOriginalOutlines (font, glyfData) {
+  const raw = font._rawTables
+  if (!glyfData || !raw.maxp || !raw.head || !raw.glyf || !raw.loca || !hasOriginalNumGlyphs(font)) {
+    return false
+  }
+
+  const shortVersion = parse.getShort(getDataView(raw.head), 50) === 0
+  const locaData = getDataView(raw.loca)
+  const glyfView = getDataView(raw.glyf)
+  const getOffset = i => shortVersion ? parse.getUShort(locaData, i * 2) * 2 : parse.getULong(locaData, i * 4)
+  const glyphBytes = glyfData.table.glyphData
+  const getUShort = offset => glyphBytes[offset] << 8 | glyphBytes[offset + 1]
+  const getShort = offset => getUShort(offset) << 16 >> 16
+  for (let i = 0; i < font.glyphs.length; i += 1) {
+    const offset = getOffset(i)
+    const empty = getOffset(i + 1) === offset
+    const glyphOffset = glyfData.offsets[i]
+    if (empty !== (glyfData.offsets[i + 1] === glyphOffset)) {
+      return false
+    }
+
+    if (empty) {
+      continue
+    }
+
+    const bbox = glyfData.boundingBoxes[i]
+    const numberOfContours = parse.getShort(glyfView, offset)
+    if (bbox.xMin !== parse.getShort(glyfView, offset + 2) || bbox.yMin !== parse.getShort(glyfView, offset + 4) ||
+      bbox.xMax !== parse.getShort(glyfView, offset + 6) || bbox.yMax !== parse.getShort(glyfView, offset + 8) ||
+      numberOfContours !== getShort(glyphOffset)) {
+      return false
+    }
+
+    // The last end point of the contours of a simple glyph gives its number of points.
+    const endPtOffset = 10 + (numberOfContours - 1) * 2
+    if (numberOfContours > 0 && parse.getUShort(glyfView, offset + endPtOffset) !== getUShort(glyphOffset + endPtOffset)) {
+      return false
+    }
+  }
+
+  return true
+}
+
+// Whether the TrueType glyphs have the same outlines and advance widths as in the original data of the font,
+// so that its tables of device metrics still apply.
+function hasOriginalMetrics (font, glyfData) {
+  const raw = font._rawTables
+  if (!raw.hhea || !raw.hmtx || !hasOriginalOutlines(font, glyfData)) {
+    return false
+  }
+
+  const numberOfHMetrics = parse.getUShort(getDataView(raw.hhea), 34)
+  const hmtxData = getDataView(raw.hmtx)
+  for (let i = 0; i < font.glyphs.length; i += 1) {
+    if (font.glyphs.get(i).advanceWidth !== parse.getUShort(hmtxData, Math.min(i, numberOfHMetrics - 1) * 4)) {
+      return false
+    }
+  }
+
+  return true
+}
+
+// Add the tables that are not made from the font object with their original data: the raw tables
+// on `font.tables` and the parsed tables the writer doesn't support.
+// Tables in `options.preserveTables` replace the tables made from the font object,
+// and tables in `options.dropTables` are left out. The `DSIG` table is always left out, since the
+// signature doesn't match the new font, and so are the tables that no longer match the glyphs.
+function addOriginalTables (font, tables, outlinesFormat, glyfData, options) {
+  const preserveTables = options.preserveTables || []
+  const dropTables = options.dropTables || []
+  const otherFormatTags = outlineFormatTags[outlinesFormat === 'truetype' ? 'cff' : 'truetype']
+  const originalTables = {}
+  for (const tag in font._rawTables) {
+    if (writableTags.indexOf(tag) === -1 || preserveTables.indexOf(tag) !== -1) {
+      originalTables[tag] = font._rawTables[tag]
+    }
+  }
+
+  for (const tag in font.tables) {
+    if (font.tables[tag] instanceof Uint8Array) {
+      originalTables[tag] = font.tables[tag]
+    }
+  }
+
+  for (let i = 0; i < preserveTables.length; i += 1) {
+    check.argument(originalTables[preserveTables[i]] !== undefined, 'There is no original data for table ' + preserveTables[i] + '.')
+  }
+
+  let originalOutlines
+  let originalMetrics
+  for (const tag in originalTables) {
+    if (tag === 'DSIG' || otherFormatTags.indexOf(tag) !== -1) {
+      continue
+    }
+
+    if (preserveTables.indexOf(tag) === -1) {
+      if (tag === 'gvar') {
+        if (originalOutlines === undefined) {
+          originalOutlines = hasOriginalOutlines(font, glyfData)
+        }
+
+        if (!originalOutlines) {
+          continue
+        }
+      } else if (deviceMetricsTags.indexOf(tag) !== -1) {
+        if (originalMetrics === undefined) {
+          originalMetrics = hasOriginalMetrics(font, glyfData)
+        }
+
+        if (!originalMetrics) {
+          continue
+        }
+      } else if (glyphIndexTags.indexOf(tag) !== -1 && !hasOriginalNumGlyphs(font)) {
+        continue
+      }
+    }
+
+    const index = tables.findIndex(t => t.tableName === tag)
+    if (index !== -1 && preserveTables.indexOf(tag) === -1) {
+      continue
+    }
+
+    let bytes = originalTables[tag]
+    if (tag === 'head') {
+      // The checkSumAdjustment is computed for the new font.
+      bytes = bytes.slice()
+      bytes.fill(0, 8, 12)
+    }
+
+    const originalTable = new table.Table(tag, [{ name: 'data', type: 'LITERAL', value: bytes }])
+    if (index !== -1) {
+      tables[index] = originalTable
+    } else {
+      tables.push(originalTable)
+    }
+  }
+
+  return tables.filter(t => dropTables.indexOf(t.tableName) === -1)
+}
+
 // Convert the font object to a SFNT data structure.
-// This structure contains all the necessary tables and metadata to create a binary OTF file.
-function fontToSfntTable (font) {
+// This structure contains all the necessary tables and metadata to create a binary OTF or TTF file.
+// The outlines are written in the format of `options.outlinesFormat` ('cff' or 'truetype'),
+// which defaults to the format of the font. Cubic curves are converted to quadratic curves
+// for TrueType outlines, within `options.curveTolerance` font units.
+// Tables that are not made from the font object are written with their original data, see `addOriginalTables`.
+function fontToSfntTable (font, options = {}) {
+  const outlinesFormat = options.outlinesFormat || font.outlinesFormat || 'cff'
+  check.argument(outlinesFormat === 'cff' || outlinesFormat === 'truetype', 'Unsupported outlines format ' + outlinesFormat + '.')
+  const glyfData = outlinesFormat === 'truetype' ? glyf.make(font.glyphs, { curveTolerance: options.curveTolerance }) : undefined
   const xMins = []
   const yMins = []
   const xMaxs = []
@@ -136,6 +349,7 @@ function fontToSfntTable (font) {
   const advanceWidths = []
   const leftSideBearings = []
   const rightSideBearings = []
+  const leftSideBearingsByIndex = []
   let firstCharIndex
   let lastCharIndex = 0
   let ulUnicodeRange1 = 0
@@ -174,9 +388,17 @@ function fontToSfntTable (font) {
     } else {
       throw new Error('Unicode ranges bits > 123 are reserved for internal usage')
     }
+    let metrics
+    if (glyfData) {
+      // TrueType left side bearings are the xMin of the glyph points.
+      const bbox = glyfData.boundingBoxes[i]
+      leftSideBearingsByIndex.push(bbox.xMin)
+      metrics = Object.assign({ leftSideBearing: bbox.xMin, rightSideBearing: glyph.advanceWidth - bbox.xMax }, bbox)
+    }
+
     // Skip non-important characters.
     if (glyph.name === '.notdef') continue
-    const metrics = glyph.getMetrics()
+    metrics = metrics || glyph.getMetrics()
     xMins.push(metrics.xMin)
     yMins.push(metrics.yMin)
     xMaxs.push(metrics.xMax)
@@ -208,6 +430,7 @@ function fontToSfntTable (font) {
     xMax: globals.xMax,
     yMax: globals.yMax,
     lowestRecPPEM: 3,
+    indexToLocFormat: glyfData && glyfData.offsets[glyfData.offsets.length - 1] > 0x1FFFF ? 1 : 0,
     createdTimestamp: font.createdTimestamp
   })
 
@@ -221,7 +444,18 @@ function fontToSfntTable (font) {
     numberOfHMetrics: font.glyphs.length
   })
 
-  const maxpTable = maxp.make(font.glyphs.length)
+  let maxpProfile
+  if (glyfData) {
+    maxpProfile = Object.assign({}, glyfData.profile)
+    const parsedMaxp = font.tables.maxp
+    if (parsedMaxp && parsedMaxp.version === 1.0) {
+      maxpHintingValues.forEach(function (k) {
+        maxpProfile[k] = Math.max(maxpProfile[k] || 0, parsedMaxp[k])
+      })
+    }
+  }
+
+  const maxpTable = maxp.make(font.glyphs.length, maxpProfile)
 
   const os2Table = os2.make(Object.assign({
     xAvgCharWidth: Math.round(globals.advanceWidthAvg),
@@ -247,8 +481,8 @@ function fontToSfntTable (font) {
     usBreakChar: font.hasChar(' ') ? 32 : 0 // Use space as the break character, if available.
   }, font.tables.os2))
 
-  const hmtxTable = hmtx.make(font.glyphs)
-  const cmapTable = cmap.make(font.glyphs)
+  const hmtxTable = hmtx.make(font.glyphs, glyfData ? leftSideBearingsByIndex : undefined)
+  const cmapTable = cmap.make(font.glyphs, font.tables.cmap && font.tables.cmap.variationSelectors)
 
   const englishFamilyName = font.getEnglishName('fontFamily')
   const englishStyleName = font.getEnglishName('fontSubfamily')
@@ -279,37 +513,69 @@ function fontToSfntTable (font) {
     names.preferredSubfamily = font.names.fontSubfamily
   }
 
+  // The variation tables of a font that was not parsed, like the fonts made by `buildVariableFont`.
+  // The `fvar` and `STAT` tables add their names to the name table, so they are made first.
+  const variationTables = []
+  const makeVariationTable = (key, tag, make) => {
+    if (font.tables[key] && !(font.tables[key] instanceof Uint8Array) && !font._rawTables[tag]) {
+      variationTables.push(make(font.tables[key]))
+    }
+  }
+  makeVariationTable('fvar', 'fvar', table => fvar.make(table, names))
+  makeVariationTable('stat', 'STAT', table => stat.make(table, names))
+  makeVariationTable('avar', 'avar', avar.make)
+  makeVariationTable('hvar', 'HVAR', hvar.make)
+  if (glyfData) {
+    makeVariationTable('gvar', 'gvar', gvar.make)
+  }
+
   const languageTags = []
   const nameTable = _name.make(names, languageTags)
   const ltagTable = (languageTags.length > 0 ? ltag.make(languageTags) : undefined)
 
   const postTable = post.make()
-  const cffTable = cff.make(font.glyphs, {
-    version: font.getEnglishName('version'),
-    fullName: englishFullName,
-    familyName: englishFamilyName,
-    weightName: englishStyleName,
-    postScriptName: postScriptName,
-    unitsPerEm: font.unitsPerEm,
-    fontBBox: [0, globals.yMin, globals.ascender, globals.advanceWidthMax]
-  })
+  let outlineTables
+  if (glyfData) {
+    const locaTable = loca.make(glyfData.offsets, headTable.indexToLocFormat === 0)
+    outlineTables = [glyfData.table, locaTable].concat(makeHintingTables(font))
+  } else if ((options.preserveTables || []).indexOf('CFF2') !== -1) {
+    // The original `CFF2` table is written instead of a `CFF` table.
+    outlineTables = []
+  } else {
+    outlineTables = [cff.make(font.glyphs, {
+      version: font.getEnglishName('version'),
+      fullName: englishFullName,
+      familyName: englishFamilyName,
+      weightName: englishStyleName,
+      postScriptName: postScriptName,
+      unitsPerEm: font.unitsPerEm,
+      fontBBox: [0, globals.yMin, globals.ascender, globals.advanceWidthMax]
+    })]
+  }
 
   const metaTable = (font.metas && Object.keys(font.metas).length > 0) ? meta.make(font.metas) : undefined
 
   // The order does not matter because makeSfntTable() will sort them.
-  const tables = [headTable, hheaTable, maxpTable, os2Table, nameTable, cmapTable, postTable, cffTable, hmtxTable]
+  const tables = [headTable, hheaTable, maxpTable, os2Table, nameTable, cmapTable, postTable, hmtxTable].concat(outlineTables)
   if (ltagTable) {
     tables.push(ltagTable)
   }
-  // Optional tables
-  if (font.tables.gsub) {
+  // Optional tables. A table that is written with its original data doesn't need to be made.
+  if (font.tables.gsub && (options.preserveTables || []).indexOf('GSUB') === -1) {
     tables.push(gsub.make(font.tables.gsub))
   }
+  if (font.tables.gpos && (options.preserveTables || []).indexOf('GPOS') === -1) {
+    tables.push(gpos.make(font.tables.gpos))
+  }
   if (metaTable) {
     tables.push(metaTable)
   }
+  tables.push(...variationTables)
 
-  const sfntTable = makeSfntTable(tables)
+  const sfntTable = makeSfntTable(addOriginalTables(font, tables, outlinesFormat, glyfData, options))
+  if (glyfData) {
+    sfntTable.version = String.fromCharCode(0, 1, 0, 0)
+  }
 
   // Compute the font's checkSum and store it in head.checkSumAdjustment.
   const bytes = sfntTable.encode()
@@ -318,7 +584,16 @@ function fontToSfntTable (font) {
   let checkSumAdjusted = false
   for (let i = 0; i < tableFields.length; i += 1) {
     if (tableFields[i].name === 'head table') {
-      tableFields[i].value.checkSumAdjustment = 0xB1B0AFBA - checkSum
+      const headTable = tableFields[i].value
+      const checkSumAdjustment = 0xB1B0AFBA - checkSum
+      if (headTable.data) {
+        // The original head table data is written as is.
+        headTable.data.splice(8, 4, (checkSumAdjustment >>> 24) & 0xff, (checkSumAdjustment >> 16) & 0xff,
+          (checkSumAdjustment >> 8) & 0xff, checkSumAdjustment & 0xff)
+      } else {
+        headTable.checkSumAdjustment = checkSumAdjustment
+      }
+
       checkSumAdjusted = true
       break
     }
@@ -0,0 +1,162 @@
+// The `STAT` table describes the style attributes of the fonts of a family: the design axes,
+// and the names of the values along them, like 'Bold' or 'Condensed'.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/stat
+
+import check from '../check.js'
+import parse from '../parse.js'
+import table from '../table.js'
+import _name from './name.js'
+
+// The size of the axis value tables, by format. Format 4 tables also have 6 bytes by axis.
+const axisValueSizes = [0, 12, 20, 16, 8]
+
+function getName (names, nameID) {
+  return _name.getNameByID(names, nameID) || {}
+}
+
+function parseAxisValue (data, start, names) {
+  const p = new parse.Parser(data, start)
+  const format = p.parseUShort()
+  if (format === 4) {
+    const axisCount = p.parseUShort()
+    const axisValue = { format, flags: p.parseUShort(), name: getName(names, p.parseUShort()), axisValues: [] }
+    for (let i = 0; i < axisCount; i++) {
+      axisValue.axisValues.push({ axisIndex: p.parseUShort(), value: p.parseFixed() })
+    }
+
+    return axisValue
+  }
+
+  const axisValue = {
+    format,
+    axisIndex: p.parseUShort(),
+    flags: p.parseUShort(),
+    name: getName(names, p.parseUShort())
+  }
+  if (format === 1) {
+    axisValue.value = p.parseFixed()
+  } else if (format === 2) {
+    axisValue.nominalValue = p.parseFixed()
+    axisValue.rangeMinValue = p.parseFixed()
+    axisValue.rangeMaxValue = p.parseFixed()
+  } else if (format === 3) {
+    axisValue.value = p.parseFixed()
+    axisValue.linkedValue = p.parseFixed()
+  } else {
+    // Tables of unknown formats are ignored.
+    return
+  }
+
+  return axisValue
+}
+
+// Parse the `STAT` table. The name IDs are resolved to the translations of the names.
+function parseStatTable (data, start, names) {
+  const p = new parse.Parser(data, start)
+  const version = p.parseVersion(1)
+  check.argument(Math.floor(version) === 1, 'Unsupported STAT table version.')
+  const designAxisSize = p.parseUShort()
+  const designAxisCount = p.parseUShort()
+  const designAxesOffset = p.parseOffset32()
+  const axisValueCount = p.parseUShort()
+  const offsetToAxisValueOffsets = p.parseOffset32()
+  // Version 1.0 has no elided fallback name, the subfamily name is used instead.
+  const elidedFallbackNameID = version > 1 ? p.parseUShort() : 2
+
+  const axes = []
+  for (let i = 0; i < designAxisCount; i++) {
+    const axisParser = new parse.Parser(data, start + designAxesOffset + i * designAxisSize)
+    axes.push({
+      tag: axisParser.parseTag(),
+      name: getName(names, axisParser.parseUShort()),
+      ordering: axisParser.parseUShort()
+    })
+  }
+
+  const values = []
+  if (axisValueCount > 0) {
+    const offsetsParser = new parse.Parser(data, start + offsetToAxisValueOffsets)
+    const offsets = offsetsParser.parseUShortList(axisValueCount)
+    for (let i = 0; i < offsets.length; i++) {
+      const axisValue = parseAxisValue(data, start + offsetToAxisValueOffsets + offsets[i], names)
+      if (axisValue) {
+        values.push(axisValue)
+      }
+    }
+  }
+
+  return { version, axes, values, elidedFallbackName: getName(names, elidedFallbackNameID) }
+}
+
+function makeAxisValue (n, axisValue, names) {
+  const fields = [{ name: 'format_' + n, type: 'USHORT', value: axisValue.format }]
+  const fixed = (name, value) => ({ name: name + '_' + n, type: 'FIXED', value: Math.round(value * 0x10000) })
+  if (axisValue.format === 4) {
+    fields.push({ name: 'axisCount_' + n, type: 'USHORT', value: axisValue.axisValues.length })
+  } else {
+    fields.push({ name: 'axisIndex_' + n, type: 'USHORT', value: axisValue.axisIndex })
+  }
+
+  fields.push(
+    { name: 'flags_' + n, type: 'USHORT', value: axisValue.flags || 0 },
+    { name: 'valueNameID_' + n, type: 'USHORT', value: _name.addName(axisValue.name, names) }
+  )
+  if (axisValue.format === 1) {
+    fields.push(fixed('value', axisValue.value))
+  } else if (axisValue.format === 2) {
+    fields.push(fixed('nominalValue', axisValue.nominalValue), fixed('rangeMinValue', axisValue.rangeMinValue),
+      fixed('rangeMaxValue', axisValue.rangeMaxValue))
+  } else if (axisValue.format === 3) {
+    fields.push(fixed('value', axisValue.value), fixed('linkedValue', axisValue.linkedValue))
+  } else if (axisValue.format === 4) {
+    axisValue.axisValues.forEach((record, i) => {
+      fields.push({ name: 'axisIndex_' + n + '_' + i, type: 'USHORT', value: record.axisIndex }, fixed('value_' + i, record.value))
+    })
+  } else {
+    check.assert(false, 'STAT axis value format must be 1, 2, 3 or 4.')
+  }
+
+  return fields
+}
+
+// Make the `STAT` table. The names of the axes and values are added to the names, like for the `fvar` table.
+// Version 1.2 is only written if there are format 4 axis values.
+function makeStatTable (stat, names) {
+  const values = stat.values || []
+  const hasFormat4 = values.some(axisValue => axisValue.format === 4)
+  const headerSize = 20
+  const axesSize = stat.axes.length * 8
+  const result = new table.Table('STAT', [
+    { name: 'majorVersion', type: 'USHORT', value: 1 },
+    { name: 'minorVersion', type: 'USHORT', value: hasFormat4 ? 2 : 1 },
+    { name: 'designAxisSize', type: 'USHORT', value: 8 },
+    { name: 'designAxisCount', type: 'USHORT', value: stat.axes.length },
+    { name: 'designAxesOffset', type: 'ULONG', value: stat.axes.length > 0 ? headerSize : 0 },
+    { name: 'axisValueCount', type: 'USHORT', value: values.length },
+    { name: 'offsetToAxisValueOffsets', type: 'ULONG', value: values.length > 0 ? headerSize + axesSize : 0 },
+    { name: 'elidedFallbackNameID', type: 'USHORT', value: stat.elidedFallbackName ? _name.addName(stat.elidedFallbackName, names) : 2 }
+  ])
+
+  stat.axes.forEach((axis, i) => {
+    result.fields.push(
+      { name: 'axisTag_' + i, type: 'TAG', value: axis.tag },
+      { name: 'axisNameID_' + i, type: 'USHORT', value: _name.addName(axis.name, names) },
+      { name: 'axisOrdering_' + i, type: 'USHORT', value: axis.ordering !== undefined ? axis.ordering : i }
+    )
+  })
+
+  // The offsets of the axis values are relative to the start of the offsets.
+  let offset = values.length * 2
+  values.forEach((axisValue, i) => {
+    result.fields.push({ name: 'axisValueOffset_' + i, type: 'USHORT', value: offset })
+    offset += axisValueSizes[axisValue.format] + (axisValue.format === 4 ? axisValue.axisValues.length * 6 : 0)
+  })
+
+  values.forEach((axisValue, i) => {
+    result.fields = result.fields.concat(makeAxisValue(i, axisValue, names))
+  })
+
+  return result
+}
+
+export default { parse: parseStatTable, make: makeStatTable }
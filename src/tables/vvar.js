@@ -0,0 +1,31 @@
+// The `VVAR` table stores the variations of the vertical glyph metrics of a variable font.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/vvar
+
+import check from '../check.js'
+import parse from '../parse.js'
+
+// Parse the `VVAR` table, which has the same structure as the `HVAR` table,
+// with an additional mapping for the vertical origins of the `VORG` table.
+function parseVvarTable (data, start) {
+  const p = new parse.Parser(data, start)
+  const majorVersion = p.parseUShort()
+  check.argument(majorVersion === 1, 'Unsupported VVAR table version.')
+  p.skip('uShort') // minorVersion
+  const itemVariationStoreOffset = p.parseOffset32()
+  const advanceHeightMappingOffset = p.parseOffset32()
+  const tsbMappingOffset = p.parseOffset32()
+  const bsbMappingOffset = p.parseOffset32()
+  const vOrgMappingOffset = p.parseOffset32()
+
+  const parseMapping = offset => offset ? new parse.Parser(data, start + offset).parseDeltaSetIndexMap() : undefined
+  return {
+    version: majorVersion,
+    itemVariationStore: new parse.Parser(data, start + itemVariationStoreOffset).parseItemVariationStore(),
+    advanceHeightMapping: parseMapping(advanceHeightMappingOffset),
+    tsbMapping: parseMapping(tsbMappingOffset),
+    bsbMapping: parseMapping(bsbMappingOffset),
+    vOrgMapping: parseMapping(vOrgMappingOffset)
+  }
+}
+
+export default { parse: parseVvarTable }
@@ -910,12 +910,23 @@ encode.TABLE = function (table) {
       value = field.value
     }
 
+    if (field.type === 'TABLE' && (value === undefined || value === null)) {
+      // NULL offset
+      d = d.concat([0, 0])
+      continue
+    }
+
     const bytes = encodingFunction(value)
 
     if (field.type === 'TABLE') {
       subtableOffsets.push(d.length)
       d = d.concat([0, 0])
       subtables.push(bytes)
+    } else if (ArrayBuffer.isView(bytes)) {
+      // A LITERAL field can hold a typed array, like the original data of a table.
+      for (let j = 0; j < bytes.length; j += 1) {
+        d.push(bytes[j])
+      }
     } else {
       d = d.concat(bytes)
     }
@@ -950,12 +961,15 @@ sizeOf.TABLE = function (table) {
       value = field.value
     }
 
-    numBytes += sizeOfFunction(value)
-
     // Subtables take 2 more bytes for offsets.
     if (field.type === 'TABLE') {
       numBytes += 2
+      if (value === undefined || value === null) {
+        continue
+      }
     }
+
+    numBytes += sizeOfFunction(value)
   }
 
   return numBytes
@@ -0,0 +1,251 @@
+// Build a TrueType variable font from compatible masters: fonts with the same glyphs and
+// the same outline structure, placed at locations of a design space.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/otvaroverview
+
+import check from './check.js'
+import glyf from './tables/glyf.js'
+import Glyph from './glyph.js'
+import VariationModel from './variationModel.js'
+import { copyWithoutVariations } from './variation.js'
+
+/** @typedef {import('./font.js').default} Font */
+
+function toF2Dot14 (value) {
+  return Math.round(value * 0x4000) / 0x4000
+}
+
+function toNames (name) {
+  return typeof name === 'string' ? { en: name } : name
+}
+
+function getGlyphLabel (glyph, index) {
+  return glyph.name ? '"' + glyph.name + '"' : index
+}
+
+// Get the points of a master glyph, with whether they are the original TrueType points of the glyph.
+// Other outlines are converted to quadratic contours.
+function getMasterPoints (glyph, curveTolerance) {
+  if (glyf.pathMatchesPoints(glyph)) {
+    return { points: glyph.points, original: true }
+  }
+
+  const points = []
+  glyf.pathToContours(glyph.path, curveTolerance).forEach(contour => {
+    contour.forEach((point, i) => {
+      points.push({ x: point.x, y: point.y, onCurve: point.onCurve, lastPointOfContour: i === contour.length - 1 })
+    })
+  })
+  return { points, original: false }
+}
+
+// Check that the glyph of a master has the outline structure of the default glyph.
+function checkGlyphCompatibility (index, defaultGlyph, defaultPoints, glyph, points, master) {
+  const label = 'Glyph ' + getGlyphLabel(defaultGlyph, index) + ' of master ' + master
+  check.argument(!!glyph.isComposite === !!defaultGlyph.isComposite, label + ' is not compatible: composite and simple glyphs cannot be mixed.')
+  if (defaultGlyph.isComposite) {
+    check.argument(glyph.components.length === defaultGlyph.components.length &&
+      glyph.components.every((component, i) => component.glyphIndex === defaultGlyph.components[i].glyphIndex),
+    label + ' is not compatible: the components are different.')
+    return
+  }
+
+  check.argument(points.length === defaultPoints.length, label + ' is not compatible: it has ' + points.length +
+    ' points instead of ' + defaultPoints.length + '.')
+  check.argument(points.every((point, i) => !!point.lastPointOfContour === !!defaultPoints[i].lastPointOfContour),
+    label + ' is not compatible: the contours are different.')
+  check.argument(points.every((point, i) => !!point.onCurve === !!defaultPoints[i].onCurve),
+    label + ' is not compatible: the on-curve and off-curve points are different.')
+}
+
+// Get the coordinates that the `gvar` table varies: the points or component offsets of the glyph,
+// followed by the four phantom points. The left phantom point stays at the origin.
+function getVariedCoordinates (glyph, points) {
+  const coordinates = glyph.isComposite
+    ? glyph.components.map(component => ({ x: component.dx || 0, y: component.dy || 0 }))
+    : points.map(point => ({ x: point.x, y: point.y }))
+  return coordinates.concat([{ x: 0, y: 0 }, { x: glyph.advanceWidth || 0, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 0 }])
+}
+
+function makeGlyphVariations (model, masterCoordinates) {
+  const xDeltas = []
+  const yDeltas = []
+  for (let i = 0; i < masterCoordinates[0].length; i += 1) {
+    xDeltas.push(model.getDeltas(masterCoordinates.map(coordinates => coordinates[i].x), Math.round))
+    yDeltas.push(model.getDeltas(masterCoordinates.map(coordinates => coordinates[i].y), Math.round))
+  }
+
+  const tupleVariations = []
+  for (let m = 1; m < model.tuples.length; m += 1) {
+    const tupleVariation = Object.assign({}, model.tuples[m], {
+      points: undefined,
+      xDeltas: xDeltas.map(deltas => deltas[m]),
+      yDeltas: yDeltas.map(deltas => deltas[m])
+    })
+    if (tupleVariation.xDeltas.some(delta => delta !== 0) || tupleVariation.yDeltas.some(delta => delta !== 0)) {
+      tupleVariations.push(tupleVariation)
+    }
+  }
+
+  return tupleVariations
+}
+
+// Make the glyph of the variable font from the default master.
+function makeGlyph (index, glyph, points, original, font) {
+  const variableGlyph = new Glyph({
+    index,
+    name: glyph.name,
+    unicode: glyph.unicode,
+    advanceWidth: glyph.advanceWidth
+  })
+  variableGlyph.unicodes = glyph.unicodes.slice()
+  if (glyph.isComposite) {
+    variableGlyph.isComposite = true
+    variableGlyph.points = []
+    variableGlyph.components = glyph.components.map(component => Object.assign({}, component))
+  } else {
+    variableGlyph.points = points.map(point => ({
+      x: Math.round(point.x),
+      y: Math.round(point.y),
+      onCurve: point.onCurve,
+      lastPointOfContour: point.lastPointOfContour
+    }))
+  }
+
+  // The instructions only apply to the original points.
+  if (original || glyph.isComposite) {
+    variableGlyph.instructions = glyph.instructions
+  }
+
+  variableGlyph.path = function () {
+    const path = glyf.buildPath(font.glyphs, variableGlyph)
+    path.unitsPerEm = font.unitsPerEm
+    return path
+  }
+
+  return variableGlyph
+}
+
+// Make the STAT table of the axes, with the values listed on the axes.
+function makeStat (axes) {
+  const values = []
+  axes.forEach((axis, i) => {
+    (axis.values || []).forEach(axisValue => {
+      const format = axisValue.format || (axisValue.linkedValue !== undefined ? 3 : axisValue.nominalValue !== undefined ? 2 : 1)
+      values.push(Object.assign({ format, axisIndex: i }, axisValue, { name: toNames(axisValue.name) }))
+    })
+  })
+
+  return {
+    version: 1.1,
+    axes: axes.map((axis, i) => ({ tag: axis.tag, name: toNames(axis.name), ordering: i })),
+    values,
+    elidedFallbackName: { en: 'Regular' }
+  }
+}
+
+/**
+ * Build a TrueType variable font from compatible masters. The masters must have the same glyphs,
+ * with the same number of contours and points, or the same components. Outlines that are not
+ * TrueType points, like CFF outlines, are converted to quadratic curves, which must also match.
+ * The variable font has the `fvar`, `gvar`, `HVAR` and `STAT` tables, and an `avar` table if an axis is mapped.
+ * Its other tables and its glyphs come from the default master, at the default location of all the axes.
+ * @param {Object[]} masters - the masters, like `{ font, location: { wght: 700 } }`, with locations in design coordinates
+ * @param {Object} options
+ * @param {Object[]} options.axes - the axes, like `{ tag: 'wght', name: 'Weight', minValue: 100, defaultValue: 400, maxValue: 900 }`.
+ * The values are user coordinates, and an optional `map` of [user, design] pairs maps them to the design coordinates.
+ * The optional `values` of an axis are its `STAT` axis values, like `{ value: 700, name: 'Bold' }`.
+ * @param {Object[]} [options.instances] - the named instances, like `{ name: 'Bold', coordinates: { wght: 700 } }`
+ * @param {Object} [options.stat] - a `STAT` table that replaces the one made from the axes
+ * @param {number} [options.curveTolerance=1] - the tolerance of the conversion of cubic curves
+ * @return {Font}
+ */
+function buildVariableFont (masters, options = {}) {
+  const axes = options.axes || []
+  check.argument(masters && masters.length > 0, 'A variable font needs at least one master.')
+  check.argument(axes.length > 0, 'A variable font needs at least one axis.')
+  axes.forEach(axis => {
+    check.argument(axis.minValue <= axis.defaultValue && axis.defaultValue <= axis.maxValue,
+      'The default value of axis ' + axis.tag + ' must be between its minimum and maximum values.')
+  })
+
+  const curveTolerance = options.curveTolerance !== undefined ? options.curveTolerance : 1
+  const locations = masters.map((master, m) => {
+    const location = master.location || {}
+    Object.keys(location).forEach(tag => {
+      check.argument(axes.some(axis => axis.tag === tag), 'Master ' + m + ' has a location on the unknown axis ' + tag + '.')
+    })
+    // The locations are rounded like the coordinates of the tuple variations.
+    return VariationModel.normalizeLocation(axes, location).map(toF2Dot14)
+  })
+
+  const model = new VariationModel(locations)
+  const fonts = masters.map(master => master.font)
+  const defaultIndex = model.order[0]
+  const defaultFont = fonts[defaultIndex]
+  const numGlyphs = defaultFont.glyphs.length
+  fonts.forEach((font, m) => {
+    check.argument(font.glyphs.length === numGlyphs, 'Master ' + m + ' has ' + font.glyphs.length +
+      ' glyphs instead of ' + numGlyphs + '.')
+  })
+
+  // The tables of the masters that describe their own variations are left out of the variable font.
+  const font = copyWithoutVariations(defaultFont)
+  font.outlinesFormat = 'truetype'
+  const glyphVariations = []
+  const advanceDeltas = []
+  for (let i = 0; i < numGlyphs; i += 1) {
+    const glyphs = fonts.map(master => master.glyphs.get(i))
+    const masterPoints = glyphs.map(glyph => glyph.isComposite ? { points: [] } : getMasterPoints(glyph, curveTolerance))
+    const defaultGlyph = glyphs[defaultIndex]
+    const defaultPoints = masterPoints[defaultIndex]
+    for (let m = 0; m < glyphs.length; m += 1) {
+      if (m !== defaultIndex) {
+        checkGlyphCompatibility(i, defaultGlyph, defaultPoints.points, glyphs[m], masterPoints[m].points, m)
+      }
+    }
+
+    const masterCoordinates = glyphs.map((glyph, m) => getVariedCoordinates(glyph, masterPoints[m].points))
+    glyphVariations.push(makeGlyphVariations(model, masterCoordinates))
+    advanceDeltas.push(model.getDeltas(glyphs.map(glyph => glyph.advanceWidth || 0), Math.round).slice(1))
+    font.glyphs.push(i, makeGlyph(i, defaultGlyph, defaultPoints.points, defaultPoints.original, font))
+  }
+
+  const tables = font.tables
+  tables.fvar = {
+    axes: axes.map(axis => ({
+      tag: axis.tag,
+      minValue: axis.minValue,
+      defaultValue: axis.defaultValue,
+      maxValue: axis.maxValue,
+      name: toNames(axis.name || axis.tag)
+    })),
+    instances: (options.instances || []).map(instance => ({
+      name: toNames(instance.name),
+      coordinates: Object.assign({}, ...axes.map(axis => ({ [axis.tag]: axis.defaultValue })), instance.coordinates)
+    }))
+  }
+
+  if (axes.some(axis => axis.map && axis.map.length > 0)) {
+    tables.avar = { version: 1, axisSegmentMaps: axes.map(VariationModel.getSegmentMap) }
+  }
+
+  tables.gvar = { version: 1, axisCount: axes.length, glyphVariations }
+  const regionTuples = model.tuples.slice(1)
+  tables.hvar = {
+    version: 1,
+    itemVariationStore: {
+      format: 1,
+      variationRegions: regionTuples.map(tuple => tuple.peakTuple.map((peakCoord, i) => ({
+        startCoord: tuple.intermediateStartTuple ? tuple.intermediateStartTuple[i] : Math.min(peakCoord, 0),
+        peakCoord,
+        endCoord: tuple.intermediateEndTuple ? tuple.intermediateEndTuple[i] : Math.max(peakCoord, 0)
+      }))),
+      itemVariationData: [{ regionIndexes: regionTuples.map((tuple, i) => i), deltaSets: advanceDeltas }]
+    }
+  }
+  tables.stat = options.stat || makeStat(axes)
+  tables.name = font.names
+  return font
+}
+
+export { buildVariableFont }
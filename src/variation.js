@@ -0,0 +1,893 @@
+// The Variation object applies the variations of a variable font
+// (the `fvar`, `avar`, `gvar`, `CFF2`, `HVAR`, `VVAR` and `MVAR` tables) to its glyphs and metrics,
+// and names the locations of its design space with the `STAT` table.
+
+import cff from './tables/cff.js'
+import glyf from './tables/glyf.js'
+import Glyph from './glyph.js'
+import glyphset from './glyphset.js'
+import Path from './path.js'
+import { DefaultEncoding } from './encoding.js'
+
+/** @typedef {import('./font.js').default} Font */
+/** @typedef {import('./glyph.js').default} Glyph */
+
+// Get the scalar of a tuple variation at the given normalized coordinates: 1 at its peak,
+// 0 outside of its region, and linearly interpolated in between.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/otvaroverview#algorithm-for-interpolation-of-instance-values
+function getTupleScalar (tupleVariation, coordinates) {
+  const { peakTuple, intermediateStartTuple, intermediateEndTuple } = tupleVariation
+  let scalar = 1
+  for (let i = 0; i < peakTuple.length; i += 1) {
+    const peak = peakTuple[i]
+    const value = coordinates[i] || 0
+    if (peak === 0) continue
+
+    let start = Math.min(peak, 0)
+    let end = Math.max(peak, 0)
+    if (intermediateStartTuple) {
+      start = intermediateStartTuple[i]
+      end = intermediateEndTuple[i]
+      // Invalid regions have no effect on this axis.
+      if (start > peak || peak > end || (start < 0 && end > 0)) continue
+    }
+
+    if (value < start || value > end) return 0
+    if (value === peak) continue
+    if (value < peak) {
+      scalar *= (value - start) / (peak - start)
+    } else {
+      scalar *= (end - value) / (end - peak)
+    }
+  }
+
+  return scalar
+}
+
+// Get the scalar of a region of an ItemVariationStore, which has the same rules as tuple variations.
+function getRegionScalar (regionAxes, coordinates) {
+  return getTupleScalar({
+    peakTuple: regionAxes.map(axis => axis.peakCoord),
+    intermediateStartTuple: regionAxes.map(axis => axis.startCoord),
+    intermediateEndTuple: regionAxes.map(axis => axis.endCoord)
+  }, coordinates)
+}
+
+// Map a normalized coordinate with the segments of an `avar` axis, interpolating between them.
+// Coordinates outside of the segments are shifted like the nearest segment end.
+function mapSegments (segments, value) {
+  if (segments.length === 0) return value
+  const first = segments[0]
+  const last = segments[segments.length - 1]
+  if (value <= first.fromCoordinate) return value + first.toCoordinate - first.fromCoordinate
+  if (value >= last.fromCoordinate) return value + last.toCoordinate - last.fromCoordinate
+  for (let i = 1; i < segments.length; i += 1) {
+    const from = segments[i - 1]
+    const to = segments[i]
+    if (value <= to.fromCoordinate) {
+      return from.toCoordinate + (value - from.fromCoordinate) / (to.fromCoordinate - from.fromCoordinate) * (to.toCoordinate - from.toCoordinate)
+    }
+  }
+}
+
+// Get the { outerIndex, innerIndex } of the deltas of an item in a DeltaSetIndexMap. Items past the end
+// of the map use its last entry. Without map, the deltas of an item are at its index in the first item variation data.
+function getDeltaSetIndex (map, index) {
+  if (!map) return { outerIndex: 0, innerIndex: index }
+  return map[Math.min(index, map.length - 1)]
+}
+
+// The parsed tables that vary the font, which static instances leave out.
+const variationTables = ['fvar', 'avar', 'gvar', 'cff2', 'hvar', 'vvar', 'mvar', 'stat']
+// The same tables by tag, with the variation tables that are not parsed and are kept as raw bytes.
+const variationTags = ['fvar', 'avar', 'gvar', 'cvar', 'CFF2', 'HVAR', 'VVAR', 'MVAR', 'STAT']
+
+/**
+ * Make a font with the properties and tables of a font, without its variation tables and without glyphs.
+ * It is the start of the static instances of a variable font, and of the variable fonts built from masters.
+ * @param {Font} font
+ * @return {Font}
+ */
+function copyWithoutVariations (font) {
+  const copy = new font.constructor({ empty: true })
+  copy.unitsPerEm = font.unitsPerEm
+  copy.outlinesFormat = font.outlinesFormat
+  copy.createdTimestamp = font.createdTimestamp
+  copy.numGlyphs = font.glyphs.length
+  copy.numberOfHMetrics = font.glyphs.length
+  copy.glyphNames = font.glyphNames
+  copy.kerningPairs = font.kerningPairs
+  copy.metas = font.metas
+  copy.encoding = font.encoding instanceof DefaultEncoding ? new DefaultEncoding(copy) : font.encoding
+  copy.names = font.names
+  copy.ascender = font.ascender
+  copy.descender = font.descender
+  copy.glyphs = new glyphset.GlyphSet(copy)
+
+  copy.tables = Object.assign({}, font.tables)
+  variationTables.concat(variationTags).forEach(name => delete copy.tables[name])
+  for (const tag in font._rawTables) {
+    if (variationTags.indexOf(tag) === -1) {
+      copy._rawTables[tag] = font._rawTables[tag]
+    }
+  }
+
+  return copy
+}
+
+// The values of GPOS value records and anchors, by the key of their device table.
+const deviceValues = {
+  xPlaDevice: 'xPlacement',
+  yPlaDevice: 'yPlacement',
+  xAdvDevice: 'xAdvance',
+  yAdvDevice: 'yAdvance',
+  xDevice: 'xCoordinate',
+  yDevice: 'yCoordinate'
+}
+
+// Copy a GPOS structure, adding the deltas of its VariationIndex tables to the values they vary.
+// Device tables, which adjust values at given pixel sizes, are kept.
+function applyDeviceDeltas (value, getDelta) {
+  if (Array.isArray(value)) {
+    return value.map(item => applyDeviceDeltas(item, getDelta))
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value
+  }
+
+  const result = {}
+  const devices = {}
+  for (const key in value) {
+    const device = value[key]
+    if (key in deviceValues && device && device.deltaFormat === 0x8000) {
+      devices[key] = device
+    } else {
+      result[key] = applyDeviceDeltas(device, getDelta)
+    }
+  }
+
+  for (const key in devices) {
+    const name = deviceValues[key]
+    result[name] = (result[name] || 0) + Math.round(getDelta(devices[key]))
+  }
+
+  if (result.anchorFormat === 3 && !result.xDevice && !result.yDevice) {
+    result.anchorFormat = 1
+    delete result.xDevice
+    delete result.yDevice
+  }
+
+  return result
+}
+
+// Get the names of a static instance with the given style name, like { en: 'Bold Condensed' }.
+// The legacy family and subfamily names only have 'Regular', 'Bold', 'Italic' and 'Bold Italic' styles,
+// the rest of the style name is moved to the legacy family name.
+function getInstanceNames (names, styleName) {
+  const familyName = (names.preferredFamily || names.fontFamily).en
+  const words = styleName.en.split(' ').filter(word => word !== 'Regular')
+  const italic = words[words.length - 1] === 'Italic'
+  if (italic) words.pop()
+  const bold = words.length === 1 && words[0] === 'Bold'
+  if (bold) words.pop()
+
+  const instanceNames = Object.assign({}, names, {
+    fontFamily: { en: [familyName].concat(words).join(' ') },
+    fontSubfamily: { en: [bold && 'Bold', italic && 'Italic'].filter(Boolean).join(' ') || 'Regular' },
+    fullName: { en: familyName + ' ' + styleName.en },
+    postScriptName: { en: familyName.replace(/\s/g, '') + '-' + styleName.en.replace(/\s/g, '') },
+    preferredFamily: { en: familyName },
+    preferredSubfamily: styleName
+  })
+  // The PostScript name prefix of the instances of the variable font.
+  delete instanceNames[25]
+  return { names: instanceNames, bold, italic }
+}
+
+// The flag of the STAT axis values whose name is left out of style names, like 'Regular'.
+const ELIDABLE_AXIS_VALUE_NAME = 0x0002
+
+// Compare the axis values of a location, which are parsed from 16.16 fixed-point numbers.
+function isSameAxisValue (a, b) {
+  return Math.abs(a - b) < 0.001
+}
+
+// Join the translations of names, using English for the names that have no translation in a language.
+function joinNames (names) {
+  const joined = {}
+  names.forEach(name => Object.keys(name).forEach(lang => { joined[lang] = [] }))
+  for (const lang in joined) {
+    joined[lang] = names.map(name => name[lang] || name.en).filter(Boolean).join(' ')
+  }
+
+  return joined
+}
+
+// Get the usWidthClass of the OS/2 table for a width, in percent of the normal width.
+function getWidthClass (width) {
+  const widths = [50, 62.5, 75, 87.5, 100, 112.5, 125, 150, 200]
+  let widthClass = 1
+  for (let i = 1; i < widths.length; i += 1) {
+    if (Math.abs(widths[i] - width) < Math.abs(widths[widthClass - 1] - width)) {
+      widthClass = i + 1
+    }
+  }
+
+  return widthClass
+}
+
+// Copy a path, rounding its coordinates to font units.
+function roundPath (path) {
+  const roundedPath = new Path()
+  roundedPath.commands = path.commands.map(cmd => {
+    const roundedCmd = {}
+    for (const key in cmd) {
+      roundedCmd[key] = typeof cmd[key] === 'number' ? Math.round(cmd[key]) : cmd[key]
+    }
+
+    return roundedCmd
+  })
+  roundedPath.unitsPerEm = path.unitsPerEm
+  return roundedPath
+}
+
+// Interpolate the deltas of the points of a contour that a tuple variation doesn't move,
+// from the deltas of the nearest moved points before and after them, in the contour order.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/gvar#inferred-deltas-for-un-referenced-point-numbers
+function interpolateUntouched (coords, deltas, touched, start, end) {
+  const touchedIndexes = []
+  for (let i = start; i <= end; i += 1) {
+    if (touched[i]) touchedIndexes.push(i)
+  }
+
+  if (touchedIndexes.length === 0) return
+  if (touchedIndexes.length === 1) {
+    for (let i = start; i <= end; i += 1) {
+      deltas[i] = deltas[touchedIndexes[0]]
+    }
+
+    return
+  }
+
+  for (let t = 0; t < touchedIndexes.length; t += 1) {
+    const i1 = touchedIndexes[t]
+    const i2 = touchedIndexes[(t + 1) % touchedIndexes.length]
+    // Walk the untouched points between both touched points, wrapping around the contour.
+    for (let i = i1 + 1; i !== i2; i += 1) {
+      if (i > end) {
+        i = start
+        if (i === i2) break
+      }
+
+      const c1 = coords[i1]
+      const c2 = coords[i2]
+      const d1 = deltas[i1]
+      const d2 = deltas[i2]
+      const c = coords[i]
+      if (c1 === c2) {
+        deltas[i] = d1 === d2 ? d1 : 0
+      } else if (c <= Math.min(c1, c2)) {
+        deltas[i] = c1 < c2 ? d1 : d2
+      } else if (c >= Math.max(c1, c2)) {
+        deltas[i] = c1 > c2 ? d1 : d2
+      } else {
+        deltas[i] = d1 + (c - c1) / (c2 - c1) * (d2 - d1)
+      }
+    }
+  }
+}
+
+class Variation {
+  /**
+   * @param {Font} font
+   */
+  constructor (font) {
+    this.font = font
+  }
+
+  /**
+   * Get the variation axes of the font, from the `fvar` table.
+   * @return {Object[]} a list of { tag, minValue, defaultValue, maxValue, name } axes
+   */
+  getAxes () {
+    const fvar = this.font.tables.fvar
+    return (fvar && fvar.axes) || []
+  }
+
+  /**
+   * Normalize a location in the design space, given in user coordinates (like `{ wght: 650 }`),
+   * to coordinates between -1 and 1, where 0 is the default value of the axis.
+   * Axes that are left out are at their default value.
+   * The normalized coordinates are then mapped by the `avar` table, if the font has one.
+   * @param {Object} coordinates - axis values, by axis tag
+   * @return {number[]} the normalized coordinates, in the order of the `fvar` axes
+   */
+  normalizeCoordinates (coordinates = {}) {
+    const normalized = this.getAxes().map(axis => {
+      let value = coordinates[axis.tag]
+      if (value === undefined) return 0
+      value = Math.max(axis.minValue, Math.min(axis.maxValue, value))
+      if (value < axis.defaultValue) {
+        return (value - axis.defaultValue) / (axis.defaultValue - axis.minValue)
+      } else if (value > axis.defaultValue) {
+        return (value - axis.defaultValue) / (axis.maxValue - axis.defaultValue)
+      }
+      return 0
+    })
+
+    const avar = this.font.tables.avar
+    if (!avar) {
+      return normalized
+    }
+
+    const mapped = normalized.map((value, i) => mapSegments(avar.axisSegmentMaps[i] || [], value))
+    if (!avar.itemVariationStore) {
+      return mapped
+    }
+
+    // The deltas of `avar` version 2 are computed at the coordinates mapped by the segments.
+    return mapped.map((value, i) => {
+      const { outerIndex, innerIndex } = getDeltaSetIndex(avar.axisIndexMap, i)
+      const delta = this.getDelta(avar.itemVariationStore, outerIndex, innerIndex, mapped)
+      return Math.max(-1, Math.min(1, value + delta / 0x4000))
+    })
+  }
+
+  /**
+   * Get the delta of an item of an ItemVariationStore at a location of the design space.
+   * @param {Object} itemVariationStore
+   * @param {number} outerIndex - the index of the ItemVariationData subtable
+   * @param {number} innerIndex - the index of the delta set in the subtable
+   * @param {number[]} coordinates - normalized coordinates
+   * @return {number}
+   */
+  getDelta (itemVariationStore, outerIndex, innerIndex, coordinates) {
+    // 0xFFFF/0xFFFF is the index of items that have no variations.
+    if (outerIndex === 0xFFFF && innerIndex === 0xFFFF) return 0
+    const deltaSet = itemVariationStore.itemVariationData[outerIndex] &&
+      itemVariationStore.itemVariationData[outerIndex].deltaSets[innerIndex]
+    if (!deltaSet) return 0
+    const scalars = this.getRegionScalars(itemVariationStore, outerIndex, coordinates)
+    let delta = 0
+    for (let i = 0; i < deltaSet.length; i += 1) {
+      delta += deltaSet[i] * scalars[i]
+    }
+
+    return delta
+  }
+
+  /**
+   * Get the scalars of the regions that an ItemVariationData subtable refers to,
+   * by which its deltas are multiplied at a location of the design space.
+   * @param {Object} itemVariationStore
+   * @param {number} outerIndex - the index of the ItemVariationData subtable
+   * @param {number[]} coordinates - normalized coordinates
+   * @return {number[]}
+   */
+  getRegionScalars (itemVariationStore, outerIndex, coordinates) {
+    const itemVariationData = itemVariationStore.itemVariationData[outerIndex]
+    if (!itemVariationData) {
+      throw new Error('Item variation data ' + outerIndex + ' not found.')
+    }
+
+    return itemVariationData.regionIndexes.map(index => getRegionScalar(itemVariationStore.variationRegions[index], coordinates))
+  }
+
+  /**
+   * Get the TrueType points of a glyph at a location of the design space, with the `gvar` deltas applied.
+   * The points of composite glyphs are the points of their components.
+   * The 4 phantom points that follow the outline points give the horizontal and vertical metrics.
+   * @param {Glyph} glyph
+   * @param {number[]} coordinates - normalized coordinates
+   * @return {Object[]} the points, followed by the phantom points
+   */
+  getGlyphPoints (glyph, coordinates) {
+    const points = this.getVariedPoints(glyph, coordinates)
+    if (!glyph.isComposite) {
+      return points
+    }
+
+    return this.getComponentPoints(glyph, points, coordinates)
+  }
+
+  /**
+   * Get the points of a simple glyph, or the offsets of the components of a composite glyph,
+   * followed by the 4 phantom points, with the `gvar` deltas applied.
+   * @param {Glyph} glyph
+   * @param {number[]} coordinates - normalized coordinates
+   * @return {Object[]}
+   */
+  getVariedPoints (glyph, coordinates) {
+    // Load the glyph outline.
+    glyph.getPath()
+    let points
+    if (glyph.isComposite) {
+      // The deltas of a composite glyph move its components.
+      points = glyph.components.map(component => ({ x: component.dx, y: component.dy }))
+    } else {
+      points = (glyph.points || []).map(pt => ({ x: pt.x, y: pt.y, onCurve: pt.onCurve, lastPointOfContour: pt.lastPointOfContour }))
+    }
+
+    const xMin = glyph.xMin || 0
+    const leftSideBearing = glyph.leftSideBearing !== undefined ? glyph.leftSideBearing : xMin
+    const left = xMin - leftSideBearing
+    points.push(
+      { x: left, y: 0 },
+      { x: left + (glyph.advanceWidth || 0), y: 0 },
+      { x: 0, y: this.font.ascender },
+      { x: 0, y: this.font.descender }
+    )
+
+    const gvar = this.font.tables.gvar
+    const tupleVariations = gvar && gvar.glyphVariations && gvar.glyphVariations[glyph.index]
+    if (tupleVariations && tupleVariations.length > 0 && coordinates.some(value => value !== 0)) {
+      this.applyDeltas(glyph, points, tupleVariations, coordinates)
+    }
+
+    return points
+  }
+
+  /**
+   * Add the deltas of the tuple variations to the points. The deltas of the points
+   * that a tuple variation leaves out of simple glyphs are interpolated.
+   * @param {Glyph} glyph
+   * @param {Object[]} points - the points of the glyph, including phantom points
+   * @param {Object[]} tupleVariations - the `gvar` tuple variations of the glyph
+   * @param {number[]} coordinates - normalized coordinates
+   */
+  applyDeltas (glyph, points, tupleVariations, coordinates) {
+    const xCoords = points.map(pt => pt.x)
+    const yCoords = points.map(pt => pt.y)
+    for (let t = 0; t < tupleVariations.length; t += 1) {
+      const tupleVariation = tupleVariations[t]
+      const scalar = getTupleScalar(tupleVariation, coordinates)
+      if (scalar === 0) continue
+
+      const xDeltas = new Array(points.length).fill(0)
+      const yDeltas = new Array(points.length).fill(0)
+      const touched = new Array(points.length).fill(false)
+      const pointIndexes = tupleVariation.points
+      for (let i = 0; i < tupleVariation.xDeltas.length; i += 1) {
+        const index = pointIndexes ? pointIndexes[i] : i
+        if (index >= points.length) continue
+        xDeltas[index] += tupleVariation.xDeltas[i]
+        yDeltas[index] += tupleVariation.yDeltas[i]
+        touched[index] = true
+      }
+
+      if (pointIndexes && !glyph.isComposite) {
+        let start = 0
+        for (let i = 0; i < points.length - 4; i += 1) {
+          if (points[i].lastPointOfContour) {
+            interpolateUntouched(xCoords, xDeltas, touched, start, i)
+            interpolateUntouched(yCoords, yDeltas, touched, start, i)
+            start = i + 1
+          }
+        }
+      }
+
+      for (let i = 0; i < points.length; i += 1) {
+        points[i].x += xDeltas[i] * scalar
+        points[i].y += yDeltas[i] * scalar
+      }
+    }
+  }
+
+  /**
+   * Get the points of the components of a composite glyph, followed by its phantom points.
+   * @param {Glyph} glyph
+   * @param {Object[]} offsets - the varied offsets of the components, followed by the phantom points
+   * @param {number[]} coordinates - normalized coordinates
+   * @return {Object[]}
+   */
+  getComponentPoints (glyph, offsets, coordinates) {
+    let points = []
+    for (let i = 0; i < glyph.components.length; i += 1) {
+      const component = glyph.components[i]
+      const componentGlyph = this.font.glyphs.get(component.glyphIndex)
+      const componentPoints = this.getGlyphPoints(componentGlyph, coordinates).slice(0, -4)
+      const transform = Object.assign({}, component, { dx: offsets[i].x, dy: offsets[i].y })
+      if (component.matchedPoints !== undefined) {
+        // The component is positioned by aligning one of its points with a point of the previous components.
+        const firstPt = points[component.matchedPoints[0]]
+        const secondPt = glyf.transformPoints([componentPoints[component.matchedPoints[1]]], Object.assign({}, transform, { dx: 0, dy: 0 }))[0]
+        transform.dx = firstPt.x - secondPt.x
+        transform.dy = firstPt.y - secondPt.y
+      }
+
+      points = points.concat(glyf.transformPoints(componentPoints, transform))
+    }
+
+    return points.concat(offsets.slice(-4))
+  }
+
+  /**
+   * Get the path of a glyph at a location of the design space, in font units.
+   * @param {Glyph} glyph
+   * @param {Object} variation - axis values in user coordinates, by axis tag
+   * @return {Path}
+   */
+  getGlyphPath (glyph, variation) {
+    const coordinates = this.normalizeCoordinates(variation)
+    if (coordinates.every(value => value === 0)) {
+      return glyph.path
+    }
+
+    if (this.font.tables.cff2) {
+      return cff.getBlendedPath(this.font, glyph, coordinates)
+    }
+
+    if (!this.font.tables.gvar) {
+      return glyph.path
+    }
+
+    const path = glyf.getPath(this.getGlyphPoints(glyph, coordinates).slice(0, -4))
+    path.unitsPerEm = this.font.unitsPerEm
+    return path
+  }
+
+  /**
+   * Get the advance width of a glyph at a location of the design space, in font units.
+   * @param {Glyph} glyph
+   * @param {Object} variation - axis values in user coordinates, by axis tag
+   * @return {number}
+   */
+  getAdvanceWidth (glyph, variation) {
+    const coordinates = this.normalizeCoordinates(variation)
+    if (coordinates.every(value => value === 0)) {
+      return glyph.advanceWidth
+    }
+
+    const hvar = this.font.tables.hvar
+    if (hvar) {
+      const { outerIndex, innerIndex } = getDeltaSetIndex(hvar.advanceWidthMapping, glyph.index)
+      return glyph.advanceWidth + this.getDelta(hvar.itemVariationStore, outerIndex, innerIndex, coordinates)
+    }
+
+    if (!this.font.tables.gvar) {
+      return glyph.advanceWidth
+    }
+
+    const points = this.getGlyphPoints(glyph, coordinates)
+    return points[points.length - 3].x - points[points.length - 4].x
+  }
+
+  /**
+   * Get the left side bearing of a glyph at a location of the design space, in font units.
+   * Without side bearing deltas in the `HVAR` table, it is computed from the varied outline.
+   * @param {Glyph} glyph
+   * @param {Object} variation - axis values in user coordinates, by axis tag
+   * @return {number}
+   */
+  getLeftSideBearing (glyph, variation) {
+    const coordinates = this.normalizeCoordinates(variation)
+    if (coordinates.every(value => value === 0)) {
+      return glyph.leftSideBearing
+    }
+
+    const hvar = this.font.tables.hvar
+    if (hvar && hvar.lsbMapping) {
+      const { outerIndex, innerIndex } = getDeltaSetIndex(hvar.lsbMapping, glyph.index)
+      return glyph.leftSideBearing + this.getDelta(hvar.itemVariationStore, outerIndex, innerIndex, coordinates)
+    }
+
+    if (this.font.tables.gvar) {
+      const points = this.getGlyphPoints(glyph, coordinates)
+      const outlinePoints = points.slice(0, -4)
+      if (outlinePoints.length === 0) {
+        return glyph.leftSideBearing
+      }
+
+      return Math.min.apply(null, outlinePoints.map(pt => pt.x)) - points[points.length - 4].x
+    }
+
+    if (this.font.tables.cff2) {
+      const path = this.getGlyphPath(glyph, variation)
+      return path.commands.length > 0 ? path.getBoundingBox().x1 : glyph.leftSideBearing
+    }
+
+    return glyph.leftSideBearing
+  }
+
+  /**
+   * Get the change of the advance height of a glyph at a location of the design space,
+   * from the `VVAR` table. It is added to the advance height of the `vmtx` table.
+   * @param {Glyph} glyph
+   * @param {Object} variation - axis values in user coordinates, by axis tag
+   * @return {number} the delta, in font units
+   */
+  getAdvanceHeightDelta (glyph, variation) {
+    const vvar = this.font.tables.vvar
+    if (!vvar) {
+      return 0
+    }
+
+    const { outerIndex, innerIndex } = getDeltaSetIndex(vvar.advanceHeightMapping, glyph.index)
+    return this.getDelta(vvar.itemVariationStore, outerIndex, innerIndex, this.normalizeCoordinates(variation))
+  }
+
+  /**
+   * Get the change of a font-wide metric at a location of the design space, from the `MVAR` table.
+   * @param {string} tag - the tag of the metric, like 'xhgt' for the x-height
+   * @param {Object} variation - axis values in user coordinates, by axis tag
+   * @return {number} the delta, in font units
+   */
+  getMetricDelta (tag, variation) {
+    const mvar = this.font.tables.mvar
+    const valueRecord = mvar && mvar.itemVariationStore && mvar.valueRecords.find(record => record.valueTag === tag)
+    if (!valueRecord) {
+      return 0
+    }
+
+    const coordinates = this.normalizeCoordinates(variation)
+    return this.getDelta(mvar.itemVariationStore, valueRecord.deltaSetOuterIndex, valueRecord.deltaSetInnerIndex, coordinates)
+  }
+
+  /**
+   * Copy a GPOS structure, like a value record or an anchor, adding the deltas of its VariationIndex tables
+   * at a location of the design space. The deltas are in the ItemVariationStore of the `GDEF` table.
+   * @param {Object} value
+   * @param {number[]} coordinates - normalized coordinates
+   * @return {Object}
+   */
+  applyDeviceDeltas (value, coordinates) {
+    const itemVarStore = this.font.tables.gdef && this.font.tables.gdef.itemVarStore
+    return applyDeviceDeltas(value, device => itemVarStore
+      ? this.getDelta(itemVarStore, device.deltaSetOuterIndex, device.deltaSetInnerIndex, coordinates)
+      : 0)
+  }
+
+  /**
+   * Get the font-wide metrics at a location of the design space, in font units.
+   * The `MVAR` deltas of the typographic ascender, descender and line gap also apply to the `hhea` values.
+   * @param {Object} [variation] - axis values in user coordinates, by axis tag
+   * @return {Object}
+   */
+  getMetrics (variation) {
+    const tables = this.font.tables
+    const os2 = tables.os2 || {}
+    const post = tables.post || {}
+    const hhea = tables.hhea || {}
+    const vary = (value, tag) => value === undefined ? undefined : value + this.getMetricDelta(tag, variation)
+    return {
+      ascender: vary(this.font.ascender, 'hasc'),
+      descender: vary(this.font.descender, 'hdsc'),
+      lineGap: vary(hhea.lineGap, 'hlgp'),
+      typoAscender: vary(os2.sTypoAscender, 'hasc'),
+      typoDescender: vary(os2.sTypoDescender, 'hdsc'),
+      typoLineGap: vary(os2.sTypoLineGap, 'hlgp'),
+      winAscent: vary(os2.usWinAscent, 'hcla'),
+      winDescent: vary(os2.usWinDescent, 'hcld'),
+      xHeight: vary(os2.sxHeight, 'xhgt'),
+      capHeight: vary(os2.sCapHeight, 'cpht'),
+      strikeoutSize: vary(os2.yStrikeoutSize, 'strs'),
+      strikeoutPosition: vary(os2.yStrikeoutPosition, 'stro'),
+      underlinePosition: vary(post.underlinePosition, 'undo'),
+      underlineThickness: vary(post.underlineThickness, 'unds')
+    }
+  }
+
+  /**
+   * Get the style attributes of a location from the `STAT` table: the axis values that match the location,
+   * in the order of their axes, and the style name they make up, like 'Condensed Bold Italic'.
+   * Format 4 axis values, which match several axes at once, are preferred to the values of single axes.
+   * The names of elidable axis values (like 'Regular') are left out of the style name, and if all of them are,
+   * the style name is the elided fallback name.
+   * Axes that are left out are at their default value, or at the first value of the `STAT` table for axes
+   * that are not in the `fvar` table.
+   * @param {Object} [variation] - axis values in user coordinates, by axis tag
+   * @return {Object} the `styleName` translations and the `attributes`, a list of { axes, name, elidable, axisValue }
+   * where `axes` are the tags of the axes of the axis value. Undefined if the font has no `STAT` table.
+   */
+  getStyleAttributes (variation = {}) {
+    const stat = this.font.tables.stat
+    if (!stat) {
+      return
+    }
+
+    const fvarAxes = this.getAxes()
+    const location = stat.axes.map((axis, i) => {
+      if (variation[axis.tag] !== undefined) return variation[axis.tag]
+      const fvarAxis = fvarAxes.find(fvarAxis => fvarAxis.tag === axis.tag)
+      if (fvarAxis) return fvarAxis.defaultValue
+      const axisValue = stat.values.find(axisValue => axisValue.format !== 4 && axisValue.axisIndex === i)
+      return axisValue && (axisValue.format === 2 ? axisValue.nominalValue : axisValue.value)
+    })
+
+    const matches = []
+    const matchedAxes = []
+    stat.values
+      .filter(axisValue => axisValue.format === 4 &&
+        axisValue.axisValues.every(record => location[record.axisIndex] !== undefined && isSameAxisValue(location[record.axisIndex], record.value)))
+      .sort((a, b) => b.axisValues.length - a.axisValues.length)
+      .forEach(axisValue => {
+        const axisIndexes = axisValue.axisValues.map(record => record.axisIndex)
+        if (axisIndexes.some(i => matchedAxes[i])) return
+        axisIndexes.forEach(i => { matchedAxes[i] = true })
+        matches.push({ axisIndexes, axisValue })
+      })
+
+    stat.axes.forEach((axis, i) => {
+      const value = location[i]
+      if (matchedAxes[i] || value === undefined) return
+      const axisValues = stat.values.filter(axisValue => axisValue.format !== 4 && axisValue.axisIndex === i)
+      // Exact values are preferred to ranges.
+      const axisValue = axisValues.find(axisValue => isSameAxisValue(axisValue.format === 2 ? axisValue.nominalValue : axisValue.value, value)) ||
+        axisValues.find(axisValue => axisValue.format === 2 && axisValue.rangeMinValue <= value && value <= axisValue.rangeMaxValue)
+      if (axisValue) {
+        matches.push({ axisIndexes: [i], axisValue })
+      }
+    })
+
+    const getOrdering = match => Math.min.apply(null, match.axisIndexes.map(i => stat.axes[i].ordering))
+    const attributes = matches.sort((a, b) => getOrdering(a) - getOrdering(b)).map(match => ({
+      axes: match.axisIndexes.map(i => stat.axes[i].tag),
+      name: match.axisValue.name,
+      elidable: !!(match.axisValue.flags & ELIDABLE_AXIS_VALUE_NAME),
+      axisValue: match.axisValue
+    }))
+
+    const names = attributes.filter(attribute => !attribute.elidable).map(attribute => attribute.name)
+    return {
+      styleName: names.length > 0 ? joinNames(names) : stat.elidedFallbackName,
+      attributes
+    }
+  }
+
+  /**
+   * Make a static font with the outlines, the glyph and font metrics and the GPOS values
+   * at a location of the design space. The variation tables are left out of the new font.
+   * @param {Object} variation - axis values in user coordinates, by axis tag
+   * @param {Object} [styleName] - the translations of the style name of the new font, by language
+   * @return {Font}
+   */
+  instantiate (variation, styleName) {
+    const font = this.font
+    const coordinates = this.normalizeCoordinates(variation)
+    const instance = copyWithoutVariations(font)
+    const metrics = this.getMetrics(variation)
+    const round = value => value === undefined ? undefined : Math.round(value)
+    instance.ascender = round(metrics.ascender)
+    instance.descender = round(metrics.descender)
+
+    for (let i = 0; i < font.glyphs.length; i += 1) {
+      instance.glyphs.push(i, this.instantiateGlyph(font.glyphs.get(i), variation, coordinates, instance))
+    }
+
+    const tables = instance.tables
+    if (tables.hhea) {
+      tables.hhea = Object.assign({}, tables.hhea, {
+        ascender: instance.ascender,
+        descender: instance.descender,
+        lineGap: round(metrics.lineGap)
+      })
+    }
+
+    if (tables.os2) {
+      tables.os2 = Object.assign({}, tables.os2, {
+        sTypoAscender: round(metrics.typoAscender),
+        sTypoDescender: round(metrics.typoDescender),
+        sTypoLineGap: round(metrics.typoLineGap),
+        usWinAscent: round(metrics.winAscent),
+        usWinDescent: round(metrics.winDescent),
+        sxHeight: round(metrics.xHeight),
+        sCapHeight: round(metrics.capHeight),
+        yStrikeoutSize: round(metrics.strikeoutSize),
+        yStrikeoutPosition: round(metrics.strikeoutPosition)
+      })
+
+      if (variation.wght !== undefined) {
+        tables.os2.usWeightClass = Math.max(1, Math.min(1000, Math.round(variation.wght)))
+      }
+
+      if (variation.wdth !== undefined) {
+        tables.os2.usWidthClass = getWidthClass(variation.wdth)
+      }
+    }
+
+    if (tables.post) {
+      tables.post = Object.assign({}, tables.post, {
+        underlinePosition: round(metrics.underlinePosition),
+        underlineThickness: round(metrics.underlineThickness)
+      })
+    }
+
+    if (tables.gpos) {
+      tables.gpos = this.applyDeviceDeltas(tables.gpos, coordinates)
+    }
+
+    if (tables.gdef && tables.gdef.itemVarStore) {
+      tables.gdef = Object.assign({}, tables.gdef)
+      delete tables.gdef.itemVarStore
+    }
+
+    // The features that the FeatureVariations tables replace at that location get their alternate feature tables.
+    [['gsub', font.substitution], ['gpos', font.position]].forEach(([name, layout]) => {
+      if (!tables[name] || !tables[name].variations) return
+      const featureTables = layout.getFeatureVariationTables(variation)
+      tables[name] = Object.assign({}, tables[name], {
+        version: 1,
+        features: tables[name].features.map((record, i) => featureTables[i] ? { tag: record.tag, feature: featureTables[i] } : record)
+      })
+      delete tables[name].variations
+    })
+
+    if (styleName) {
+      const instanceNames = getInstanceNames(font.names, styleName)
+      instance.names = instanceNames.names
+      if (tables.os2) {
+        const { ITALIC, BOLD, REGULAR } = font.fsSelectionValues
+        tables.os2.fsSelection = (tables.os2.fsSelection & ~(ITALIC | BOLD | REGULAR)) |
+          (instanceNames.italic ? ITALIC : 0) | (instanceNames.bold ? BOLD : 0) |
+          (!instanceNames.italic && !instanceNames.bold ? REGULAR : 0)
+      }
+    }
+
+    tables.name = instance.names
+    return instance
+  }
+
+  /**
+   * Make the glyph of a static instance at a location of the design space.
+   * TrueType glyphs keep their instructions and components, with the varied points and offsets.
+   * @param {Glyph} glyph
+   * @param {Object} variation - axis values in user coordinates, by axis tag
+   * @param {number[]} coordinates - the normalized coordinates of the location
+   * @param {Font} instance - the font of the new glyph
+   * @return {Glyph}
+   */
+  instantiateGlyph (glyph, variation, coordinates, instance) {
+    const instanceGlyph = new Glyph({
+      index: glyph.index,
+      name: glyph.name,
+      unicode: glyph.unicode,
+      advanceWidth: Math.round(this.getAdvanceWidth(glyph, variation))
+    })
+    instanceGlyph.unicodes = glyph.unicodes.slice()
+    const leftSideBearing = this.getLeftSideBearing(glyph, variation)
+    if (leftSideBearing !== undefined) {
+      instanceGlyph.leftSideBearing = Math.round(leftSideBearing)
+    }
+
+    if (this.font.outlinesFormat !== 'truetype') {
+      instanceGlyph.path = roundPath(this.getGlyphPath(glyph, variation))
+      return instanceGlyph
+    }
+
+    const points = this.getVariedPoints(glyph, coordinates).slice(0, -4)
+    instanceGlyph.instructions = glyph.instructions
+    if (glyph.isComposite) {
+      instanceGlyph.isComposite = true
+      instanceGlyph.points = []
+      instanceGlyph.components = glyph.components.map((component, i) => component.matchedPoints === undefined
+        ? Object.assign({}, component, { dx: Math.round(points[i].x), dy: Math.round(points[i].y) })
+        : component)
+    } else {
+      instanceGlyph.points = points.map(pt => Object.assign({}, pt, { x: Math.round(pt.x), y: Math.round(pt.y) }))
+    }
+
+    // The points of composite glyphs are built from the points of their components.
+    instanceGlyph.path = function () {
+      const path = glyf.buildPath(instance.glyphs, instanceGlyph)
+      path.unitsPerEm = instance.unitsPerEm
+      return path
+    }
+
+    return instanceGlyph
+  }
+}
+
+/**
+ * Get the scalar of a tuple variation at normalized coordinates, used to compute
+ * the deltas of the masters of a variable font.
+ * @function getTupleScalar
+ * @memberof Variation
+ * @param {Object} tupleVariation - the peak tuple and optional intermediate start and end tuples
+ * @param {number[]} coordinates
+ * @return {number}
+ */
+Variation.getTupleScalar = getTupleScalar
+
+export default Variation
+export { copyWithoutVariations, variationTables, variationTags }
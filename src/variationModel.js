@@ -0,0 +1,278 @@
+// The VariationModel describes how the masters of a design space combine to make any location:
+// each master gets a region of the normalized design space, and its delta from the previous masters.
+// The regions and deltas are computed like the fontTools VariationModel, so that the tuple variations
+// of a variable font built from the masters interpolate like the masters.
+// https://docs.microsoft.com/en-us/typography/opentype/spec/otvaroverview
+
+import check from './check.js'
+import Variation from './variation.js'
+
+function toF2Dot14 (value) {
+  return Math.round(value * 0x4000) / 0x4000
+}
+
+// Map a value with piecewise linear [input, output] pairs, like the `map` of a designspace axis.
+function mapValue (map, value) {
+  if (!map || map.length === 0) return value
+  const sorted = map.slice().sort((a, b) => a[0] - b[0])
+  if (value <= sorted[0][0]) return sorted[0][1]
+  for (let i = 1; i < sorted.length; i += 1) {
+    if (value <= sorted[i][0]) {
+      const [x0, y0] = sorted[i - 1]
+      const [x1, y1] = sorted[i]
+      return y0 + (y1 - y0) * (value - x0) / (x1 - x0)
+    }
+  }
+
+  return sorted[sorted.length - 1][1]
+}
+
+function normalizeValue (value, min, defaultValue, max) {
+  if (value < defaultValue) {
+    return defaultValue === min ? 0 : Math.max(-1, (value - defaultValue) / (defaultValue - min))
+  } else if (value > defaultValue) {
+    return defaultValue === max ? 0 : Math.min(1, (value - defaultValue) / (max - defaultValue))
+  }
+
+  return 0
+}
+
+// Get the axis limits in design coordinates, through the map of the axis.
+function getDesignLimits (axis) {
+  return [axis.minValue, axis.defaultValue, axis.maxValue].map(value => mapValue(axis.map, value))
+}
+
+// Sort the master locations: the default master first, then the masters on one axis,
+// the masters on the points of the axes before the others, by axis and by distance to the default.
+function getLocationSortKey (locations) {
+  const axisPoints = {}
+  locations.forEach(location => {
+    const axes = location.map((value, i) => value !== 0 ? i : -1).filter(i => i !== -1)
+    if (axes.length !== 1) return
+    axisPoints[axes[0]] = axisPoints[axes[0]] || [0]
+    axisPoints[axes[0]].push(location[axes[0]])
+  })
+
+  return location => {
+    const axes = location.map((value, i) => value !== 0 ? i : -1).filter(i => i !== -1)
+    const onPointAxes = axes.filter(i => axisPoints[i] && axisPoints[i].indexOf(location[i]) !== -1)
+    return [axes.length, -onPointAxes.length]
+      .concat(axes, axes.map(i => Math.sign(location[i])), axes.map(i => Math.abs(location[i])))
+  }
+}
+
+function compareKeys (a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+    if (a[i] !== b[i]) return a[i] - b[i]
+  }
+
+  return a.length - b.length
+}
+
+// Get the region of each sorted master location, as [start, peak, end] by axis. The region of a master
+// goes from the default to the extreme of the master locations along its axes, and is cut at the
+// previous masters within it so that they keep their own values.
+function getSupports (locations) {
+  const axisCount = locations[0].length
+  const min = []
+  const max = []
+  for (let i = 0; i < axisCount; i += 1) {
+    min.push(Math.min(...locations.map(location => location[i])))
+    max.push(Math.max(...locations.map(location => location[i])))
+  }
+
+  const regions = locations.map(location => {
+    const region = {}
+    location.forEach((value, i) => {
+      if (value !== 0) {
+        region[i] = value > 0 ? [0, value, max[i]] : [min[i], value, 0]
+      }
+    })
+    return region
+  })
+
+  const sameAxes = (a, b) => Object.keys(a).join() === Object.keys(b).join()
+  return regions.map((region, i) => {
+    for (let j = 0; j < i; j += 1) {
+      const previous = regions[j]
+      if (!sameAxes(previous, region)) continue
+      const relevant = Object.keys(region).every(axis => {
+        const [lower, peak, upper] = region[axis]
+        const value = previous[axis][1]
+        return value === peak || (lower < value && value < upper)
+      })
+      if (!relevant) continue
+
+      let bestAxes = {}
+      let bestRatio = -1
+      for (const axis in previous) {
+        const value = previous[axis][1]
+        const [lower, peak, upper] = region[axis]
+        let ratio
+        let triple
+        if (value < peak) {
+          ratio = (value - peak) / (lower - peak)
+          triple = [value, peak, upper]
+        } else if (value > peak) {
+          ratio = (value - peak) / (upper - peak)
+          triple = [lower, peak, value]
+        } else {
+          continue
+        }
+
+        if (ratio > bestRatio) {
+          bestAxes = {}
+          bestRatio = ratio
+        }
+
+        if (ratio === bestRatio) {
+          bestAxes[axis] = triple
+        }
+      }
+
+      Object.assign(region, bestAxes)
+    }
+
+    return region
+  })
+}
+
+// The tuple variation of a region, with intermediate tuples only if they are not implied by the peak.
+function getRegionTuple (region, axisCount) {
+  const peakTuple = []
+  const intermediateStartTuple = []
+  const intermediateEndTuple = []
+  let intermediate = false
+  for (let i = 0; i < axisCount; i += 1) {
+    const [start, peak, end] = region[i] || [0, 0, 0]
+    peakTuple.push(peak)
+    intermediateStartTuple.push(start)
+    intermediateEndTuple.push(end)
+    if (start !== Math.min(peak, 0) || end !== Math.max(peak, 0)) {
+      intermediate = true
+    }
+  }
+
+  return intermediate ? { peakTuple, intermediateStartTuple, intermediateEndTuple } : { peakTuple }
+}
+
+class VariationModel {
+  /**
+   * @param {number[][]} locations - the normalized locations of the masters, one of them at the default location
+   */
+  constructor (locations) {
+    check.argument(locations.length > 0, 'A variation model needs at least one master.')
+    const sortKey = getLocationSortKey(locations)
+    const order = locations.map((location, m) => m).sort((a, b) => compareKeys(sortKey(locations[a]), sortKey(locations[b])))
+    check.argument(locations[order[0]].every(value => value === 0), 'There is no master at the default location.')
+    check.argument(order.length < 2 || !locations[order[1]].every(value => value === 0), 'There are several masters at the default location.')
+
+    /** The indexes of the masters, sorted from the default master to the masters with the smallest regions. */
+    this.order = order
+    /** The tuple variation of the region of each sorted master. The first one is the default master. */
+    this.tuples = getSupports(order.map(m => locations[m])).map(region => getRegionTuple(region, locations[0].length))
+    this.deltaWeights = order.map((m, i) => {
+      const weights = []
+      for (let j = 0; j < i; j += 1) {
+        const scalar = Variation.getTupleScalar(this.tuples[j], locations[m])
+        if (scalar) {
+          weights.push([j, scalar])
+        }
+      }
+      return weights
+    })
+  }
+
+  /**
+   * Get the deltas of the sorted masters from the values of the masters. The first delta is the value
+   * of the default master.
+   * @param {number[]} values - the values of the masters, in the order of their locations
+   * @param {Function} [round] - rounds each delta before the next ones are computed
+   * @return {number[]}
+   */
+  getDeltas (values, round = value => value) {
+    const deltas = []
+    this.order.forEach((m, i) => {
+      let delta = values[m]
+      this.deltaWeights[i].forEach(([j, weight]) => {
+        delta -= deltas[j] * weight
+      })
+      deltas.push(round(delta))
+    })
+    return deltas
+  }
+
+  /**
+   * Get the weights of the masters at a location: the interpolated value at that location is the sum
+   * of the values of the masters multiplied by their weights.
+   * @param {number[]} location - normalized coordinates
+   * @return {number[]} the weights, in the order of the master locations
+   */
+  getMasterWeights (location) {
+    // The deltas depend on the values of the previous masters, so their scalars are spread backwards.
+    const scalars = this.tuples.map(tuple => Variation.getTupleScalar(tuple, location))
+    for (let i = scalars.length - 1; i > 0; i -= 1) {
+      this.deltaWeights[i].forEach(([j, weight]) => {
+        scalars[j] -= scalars[i] * weight
+      })
+    }
+
+    const weights = new Array(scalars.length)
+    this.order.forEach((m, i) => {
+      weights[m] = scalars[i]
+    })
+    return weights
+  }
+}
+
+/**
+ * Normalize a location in design coordinates, like the location of a master, to coordinates between -1 and 1.
+ * The limits of the axes are user coordinates, mapped to design coordinates
+ * by their `map` of [user, design] pairs. Axes that are left out are at their default value.
+ * @function normalizeLocation
+ * @memberof VariationModel
+ * @param {Object[]} axes - like `{ tag: 'wght', minValue: 100, defaultValue: 400, maxValue: 900, map: [[100, 20], [900, 100]] }`
+ * @param {Object} location - design coordinates, by axis tag
+ * @return {number[]}
+ */
+VariationModel.normalizeLocation = function (axes, location = {}) {
+  return axes.map(axis => {
+    const [min, defaultValue, max] = getDesignLimits(axis)
+    const value = location[axis.tag] !== undefined ? location[axis.tag] : defaultValue
+    return normalizeValue(value, min, defaultValue, max)
+  })
+}
+
+/**
+ * Get the segment map of an axis for the `avar` table, from the normalized user coordinates to the normalized
+ * design coordinates. It always maps -1, 0 and 1 to themselves.
+ * @function getSegmentMap
+ * @memberof VariationModel
+ * @param {Object} axis
+ * @return {Object[]} the { fromCoordinate, toCoordinate } segments
+ */
+VariationModel.getSegmentMap = function (axis) {
+  const [min, defaultValue, max] = getDesignLimits(axis)
+  const segments = [{ fromCoordinate: -1, toCoordinate: -1 }, { fromCoordinate: 0, toCoordinate: 0 }, { fromCoordinate: 1, toCoordinate: 1 }]
+  ;(axis.map || []).forEach(([user, design]) => {
+    const fromCoordinate = toF2Dot14(normalizeValue(user, axis.minValue, axis.defaultValue, axis.maxValue))
+    const toCoordinate = toF2Dot14(normalizeValue(design, min, defaultValue, max))
+    if (!segments.some(segment => segment.fromCoordinate === fromCoordinate)) {
+      segments.push({ fromCoordinate, toCoordinate })
+    }
+  })
+
+  return segments.sort((a, b) => a.fromCoordinate - b.fromCoordinate)
+}
+
+/**
+ * Map a value with piecewise linear [input, output] pairs, like the `map` of an axis from user to design coordinates.
+ * @function mapValue
+ * @memberof VariationModel
+ * @param {number[][]} map
+ * @param {number} value
+ * @return {number}
+ */
+VariationModel.mapValue = mapValue
+
+export default VariationModel
@@ -0,0 +1,105 @@
+// The WOFF container format.
+// https://www.w3.org/TR/WOFF/
+
+import pako from 'pako'
+import table from './table.js'
+
+/**
+ * Get the tables of a SFNT data structure, with the table directory
+ * information computed by `sfnt.make`.
+ * @param  {opentype.Table} sfntTable
+ * @return {Object[]} a list of { tag, checkSum, bytes } sorted by tag
+ */
+function getSfntTables (sfntTable) {
+  const tables = {}
+  for (let i = 0; i < sfntTable.tables.length; i += 1) {
+    const t = sfntTable.tables[i]
+    tables[t.tableName] = t
+  }
+
+  const entries = []
+  for (let i = 0; i < sfntTable.fields.length; i += 1) {
+    const record = sfntTable.fields[i].value
+    if (record instanceof table.Table && record.tableName === 'Table Record') {
+      entries.push({
+        tag: record.tag,
+        checkSum: record.checkSum,
+        bytes: tables[record.tag].encode()
+      })
+    }
+  }
+
+  return entries
+}
+
+// Round up to the next multiple of 4.
+function pad4 (length) {
+  return (length + 3) & ~3
+}
+
+/**
+ * Convert a SFNT data structure to a WOFF file.
+ * Tables are compressed with zlib, unless that does not make them smaller.
+ * @param  {opentype.Table} sfntTable - The result of `sfnt.fontToTable`
+ * @return {Array} the bytes of the WOFF file
+ */
+function makeWOFF (sfntTable) {
+  const entries = getSfntTables(sfntTable)
+  const numTables = entries.length
+  const headerSize = 44
+  const directorySize = 20 * numTables
+
+  let offset = headerSize + directorySize
+  let totalSfntSize = 12 + 16 * numTables
+  for (let i = 0; i < numTables; i += 1) {
+    const entry = entries[i]
+    const compressed = pako.deflate(Uint8Array.from(entry.bytes))
+    entry.data = compressed.length < entry.bytes.length ? compressed : entry.bytes
+    entry.offset = offset
+    offset += pad4(entry.data.length)
+    totalSfntSize += pad4(entry.bytes.length)
+  }
+
+  const woff = new table.Table('WOFF', [
+    { name: 'signature', type: 'TAG', value: 'wOFF' },
+    { name: 'flavor', type: 'TAG', value: sfntTable.version },
+    { name: 'length', type: 'ULONG', value: offset },
+    { name: 'numTables', type: 'USHORT', value: numTables },
+    { name: 'reserved', type: 'USHORT', value: 0 },
+    { name: 'totalSfntSize', type: 'ULONG', value: totalSfntSize },
+    { name: 'majorVersion', type: 'USHORT', value: 1 },
+    { name: 'minorVersion', type: 'USHORT', value: 0 },
+    { name: 'metaOffset', type: 'ULONG', value: 0 },
+    { name: 'metaLength', type: 'ULONG', value: 0 },
+    { name: 'metaOrigLength', type: 'ULONG', value: 0 },
+    { name: 'privOffset', type: 'ULONG', value: 0 },
+    { name: 'privLength', type: 'ULONG', value: 0 }
+  ])
+
+  for (let i = 0; i < numTables; i += 1) {
+    const entry = entries[i]
+    woff.fields.push(
+      { name: 'tag_' + i, type: 'TAG', value: entry.tag },
+      { name: 'offset_' + i, type: 'ULONG', value: entry.offset },
+      { name: 'compLength_' + i, type: 'ULONG', value: entry.data.length },
+      { name: 'origLength_' + i, type: 'ULONG', value: entry.bytes.length },
+      { name: 'origChecksum_' + i, type: 'ULONG', value: entry.checkSum }
+    )
+  }
+
+  const bytes = woff.encode()
+  for (let i = 0; i < numTables; i += 1) {
+    const data = entries[i].data
+    for (let j = 0; j < data.length; j += 1) {
+      bytes.push(data[j])
+    }
+
+    while (bytes.length % 4 !== 0) {
+      bytes.push(0)
+    }
+  }
+
+  return bytes
+}
+
+export default { make: makeWOFF, getSfntTables }
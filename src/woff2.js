@@ -0,0 +1,774 @@
+// The WOFF2 container format.
+// https://www.w3.org/TR/WOFF2/
+
+import brotliDecompress from 'brotli/decompress.js'
+import * as nodeModule from 'module'
+import check from './check.js'
+import parse from './parse.js'
+import glyf from './tables/glyf.js'
+import table from './table.js'
+import woff from './woff.js'
+
+// Tags that can be referenced by index in the table directory.
+// https://www.w3.org/TR/WOFF2/#table_dir_format
+const knownTags = [
+  'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep',
+  'CFF ', 'VORG', 'EBDT', 'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE',
+  'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH', 'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt',
+  'avar', 'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar', 'gvar', 'hsty', 'just', 'lcar',
+  'mort', 'morx', 'opbd', 'prop', 'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill'
+]
+
+// The overlap flag of the first point of a simple glyph.
+const OVERLAP_SIMPLE = 0x40
+
+// Composite glyph flags.
+const ARG_1_AND_2_ARE_WORDS = 0x0001
+const WE_HAVE_A_SCALE = 0x0008
+const MORE_COMPONENTS = 0x0020
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040
+const WE_HAVE_A_TWO_BY_TWO = 0x0080
+const WE_HAVE_INSTRUCTIONS = 0x0100
+
+// A growable big-endian byte array, used to write the reconstructed tables.
+class ByteWriter {
+  constructor () {
+    this.bytes = []
+  }
+
+  writeByte (v) {
+    this.bytes.push(v & 0xff)
+  }
+
+  writeUShort (v) {
+    this.bytes.push((v >> 8) & 0xff, v & 0xff)
+  }
+
+  writeShort (v) {
+    this.writeUShort(v < 0 ? v + 0x10000 : v)
+  }
+
+  writeULong (v) {
+    this.bytes.push((v >>> 24) & 0xff, (v >> 16) & 0xff, (v >> 8) & 0xff, v & 0xff)
+  }
+
+  writeBytes (bytes) {
+    for (let i = 0; i < bytes.length; i += 1) {
+      this.bytes.push(bytes[i])
+    }
+  }
+
+  // Pad the data with zeroes to a multiple of the given byte count.
+  pad (alignment) {
+    while (this.bytes.length % alignment !== 0) {
+      this.bytes.push(0)
+    }
+  }
+}
+
+// Parse a variable-length UIntBase128 encoded number.
+// https://www.w3.org/TR/WOFF2/#DataTypes
+function parseUIntBase128 (p) {
+  let accum = 0
+  for (let i = 0; i < 5; i += 1) {
+    const dataByte = p.parseByte()
+    check.argument(i > 0 || dataByte !== 0x80, 'WOFF2: UIntBase128 value must not start with leading zeros.')
+    check.argument((accum & 0xFE000000) === 0, 'WOFF2: UIntBase128 value exceeds 2^32-1.')
+    accum = ((accum << 7) | (dataByte & 0x7F)) >>> 0
+    if ((dataByte & 0x80) === 0) {
+      return accum
+    }
+  }
+
+  check.fail('WOFF2: UIntBase128 sequence exceeds 5 bytes.')
+}
+
+// Parse a variable-length 255UInt16 encoded number.
+// https://www.w3.org/TR/WOFF2/#DataTypes
+function parse255UShort (p) {
+  const code = p.parseByte()
+  if (code === 253) {
+    return p.parseUShort()
+  } else if (code === 255) {
+    return p.parseByte() + 253
+  } else if (code === 254) {
+    return p.parseByte() + 253 * 2
+  }
+
+  return code
+}
+
+// Parse the WOFF2 table directory.
+function parseTableDirectory (p, numTables) {
+  const tableEntries = []
+  let offset = 0
+  for (let i = 0; i < numTables; i += 1) {
+    const flags = p.parseByte()
+    const tagIndex = flags & 0x3F
+    const tag = tagIndex === 0x3F ? p.parseTag() : knownTags[tagIndex]
+    check.argument(tag !== undefined, 'WOFF2: unknown table tag index ' + tagIndex + '.')
+    const transformVersion = (flags >> 6) & 0x03
+    const origLength = parseUIntBase128(p)
+    // For glyf and loca, transform 0 is the WOFF2 transform and 3 is the null transform.
+    // For all other tables, transform 0 is the null transform.
+    let transformed
+    if (tag === 'glyf' || tag === 'loca') {
+      transformed = transformVersion === 0
+    } else {
+      transformed = transformVersion !== 0
+    }
+
+    const transformLength = transformed ? parseUIntBase128(p) : origLength
+    tableEntries.push({
+      tag: tag,
+      transformVersion: transformVersion,
+      transformed: transformed,
+      origLength: origLength,
+      // Offset and length within the decompressed table data stream.
+      offset: offset,
+      length: transformLength
+    })
+    offset += transformLength
+  }
+
+  return tableEntries
+}
+
+// Decode a point of the transformed glyf table from the glyph stream.
+// https://www.w3.org/TR/WOFF2/#triplet_decoding
+function withSign (flag, baseValue) {
+  return (flag & 1) ? baseValue : -baseValue
+}
+
+function decodeTriplet (flag, p) {
+  let dx
+  let dy
+  if (flag < 10) {
+    dx = 0
+    dy = withSign(flag, ((flag & 14) << 7) + p.parseByte())
+  } else if (flag < 20) {
+    dx = withSign(flag, (((flag - 10) & 14) << 7) + p.parseByte())
+    dy = 0
+  } else if (flag < 84) {
+    const b0 = flag - 20
+    const b1 = p.parseByte()
+    dx = withSign(flag, 1 + (b0 & 0x30) + (b1 >> 4))
+    dy = withSign(flag >> 1, 1 + ((b0 & 0x0C) << 2) + (b1 & 0x0F))
+  } else if (flag < 120) {
+    const b0 = flag - 84
+    dx = withSign(flag, 1 + (Math.floor(b0 / 12) << 8) + p.parseByte())
+    dy = withSign(flag >> 1, 1 + (((b0 % 12) >> 2) << 8) + p.parseByte())
+  } else if (flag < 124) {
+    const b1 = p.parseByte()
+    const b2 = p.parseByte()
+    const b3 = p.parseByte()
+    dx = withSign(flag, (b1 << 4) + (b2 >> 4))
+    dy = withSign(flag >> 1, ((b2 & 0x0F) << 8) + b3)
+  } else {
+    dx = withSign(flag, p.parseUShort())
+    dy = withSign(flag >> 1, p.parseUShort())
+  }
+
+  return { dx, dy }
+}
+
+// Compute the size of the data of a composite glyph in the composite stream.
+function getCompositeGlyphSize (p) {
+  const start = p.relativeOffset
+  let haveInstructions = false
+  let flags = MORE_COMPONENTS
+  while (flags & MORE_COMPONENTS) {
+    flags = p.parseUShort()
+    haveInstructions = haveInstructions || !!(flags & WE_HAVE_INSTRUCTIONS)
+    // Glyph index (2 bytes) and arguments (2 or 4 bytes).
+    let size = 2 + ((flags & ARG_1_AND_2_ARE_WORDS) ? 4 : 2)
+    if (flags & WE_HAVE_A_SCALE) {
+      size += 2
+    } else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) {
+      size += 4
+    } else if (flags & WE_HAVE_A_TWO_BY_TWO) {
+      size += 8
+    }
+
+    p.relativeOffset += size
+  }
+
+  const size = p.relativeOffset - start
+  p.relativeOffset = start
+  return { size, haveInstructions }
+}
+
+/**
+ * Reconstruct the `glyf` and `loca` tables from the transformed glyf table.
+ * https://www.w3.org/TR/WOFF2/#glyf_table_format
+ * @param {DataView} data - The decompressed table data stream
+ * @param {number} start - The offset of the transformed glyf table
+ * @return {Object} the `glyf` and `loca` table bytes, plus the xMin of every glyph
+ */
+function reconstructGlyfTable (data, start) {
+  const p = new parse.Parser(data, start)
+  p.skip('uShort') // reserved
+  const optionFlags = p.parseUShort()
+  const numGlyphs = p.parseUShort()
+  const indexFormat = p.parseUShort()
+  const streamSizes = p.parseULongList(7)
+
+  // The seven sub-streams follow each other directly after the header.
+  const streams = []
+  let streamOffset = start + p.relativeOffset
+  for (let i = 0; i < streamSizes.length; i += 1) {
+    streams.push(new parse.Parser(data, streamOffset))
+    streamOffset += streamSizes[i]
+  }
+
+  const [nContourStream, nPointsStream, flagStream, glyphStream, compositeStream, bboxStream, instructionStream] = streams
+  const bboxBitmapLength = ((numGlyphs + 31) >> 5) << 2
+  const bboxBitmap = bboxStream.parseByteList(bboxBitmapLength)
+  let overlapBitmap
+  if (optionFlags & 0x0001) {
+    overlapBitmap = new parse.Parser(data, streamOffset).parseByteList((numGlyphs + 7) >> 3)
+  }
+
+  const glyfData = new ByteWriter()
+  const locaOffsets = []
+  const xMins = []
+  for (let i = 0; i < numGlyphs; i += 1) {
+    locaOffsets.push(glyfData.bytes.length)
+    const numberOfContours = nContourStream.parseShort()
+    const hasBbox = !!(bboxBitmap[i >> 3] & (0x80 >> (i & 7)))
+    if (numberOfContours === 0) {
+      check.argument(!hasBbox, 'WOFF2: empty glyph ' + i + ' has a bounding box.')
+      xMins.push(0)
+      continue
+    }
+
+    if (numberOfContours === -1) {
+      // Composite glyph.
+      check.argument(hasBbox, 'WOFF2: composite glyph ' + i + ' has no bounding box.')
+      const bbox = bboxStream.parseShortList(4)
+      const composite = getCompositeGlyphSize(compositeStream)
+      glyfData.writeShort(-1)
+      bbox.forEach(v => glyfData.writeShort(v))
+      glyfData.writeBytes(compositeStream.parseByteList(composite.size))
+      if (composite.haveInstructions) {
+        const instructionLength = parse255UShort(glyphStream)
+        glyfData.writeUShort(instructionLength)
+        glyfData.writeBytes(instructionStream.parseByteList(instructionLength))
+      }
+
+      xMins.push(bbox[0])
+    } else {
+      check.argument(numberOfContours > 0, 'WOFF2: invalid number of contours for glyph ' + i + '.')
+      const endPointIndices = []
+      let numberOfPoints = 0
+      for (let j = 0; j < numberOfContours; j += 1) {
+        numberOfPoints += parse255UShort(nPointsStream)
+        endPointIndices.push(numberOfPoints - 1)
+      }
+
+      const points = []
+      let x = 0
+      let y = 0
+      for (let j = 0; j < numberOfPoints; j += 1) {
+        const flag = flagStream.parseByte()
+        const delta = decodeTriplet(flag & 0x7F, glyphStream)
+        x += delta.dx
+        y += delta.dy
+        points.push({ x, y, onCurve: !(flag & 0x80) })
+      }
+
+      let bbox
+      if (hasBbox) {
+        bbox = bboxStream.parseShortList(4)
+      } else {
+        bbox = [Infinity, Infinity, -Infinity, -Infinity]
+        for (let j = 0; j < points.length; j += 1) {
+          bbox[0] = Math.min(bbox[0], points[j].x)
+          bbox[1] = Math.min(bbox[1], points[j].y)
+          bbox[2] = Math.max(bbox[2], points[j].x)
+          bbox[3] = Math.max(bbox[3], points[j].y)
+        }
+      }
+
+      const instructionLength = parse255UShort(glyphStream)
+      glyfData.writeShort(numberOfContours)
+      bbox.forEach(v => glyfData.writeShort(v))
+      endPointIndices.forEach(v => glyfData.writeUShort(v))
+      glyfData.writeUShort(instructionLength)
+      glyfData.writeBytes(instructionStream.parseByteList(instructionLength))
+      const overlapSimple = overlapBitmap && !!(overlapBitmap[i >> 3] & (0x80 >> (i & 7)))
+      glyfData.writeBytes(glyf.encodeGlyphPoints(points, overlapSimple))
+      xMins.push(bbox[0])
+    }
+
+    // Short loca offsets are stored divided by two, so glyphs must be 2-byte aligned.
+    glyfData.pad(indexFormat === 0 ? 2 : 4)
+  }
+
+  locaOffsets.push(glyfData.bytes.length)
+
+  const loca = new ByteWriter()
+  for (let i = 0; i < locaOffsets.length; i += 1) {
+    if (indexFormat === 0) {
+      loca.writeUShort(locaOffsets[i] / 2)
+    } else {
+      loca.writeULong(locaOffsets[i])
+    }
+  }
+
+  return { glyf: glyfData.bytes, loca: loca.bytes, xMins }
+}
+
+/**
+ * Reconstruct the `hmtx` table from the transformed hmtx table.
+ * Left side bearings that were left out are equal to the glyph xMin.
+ * https://www.w3.org/TR/WOFF2/#hmtx_table_format
+ * @param {DataView} data - The decompressed table data stream
+ * @param {number} start - The offset of the transformed hmtx table
+ * @param {number} numGlyphs
+ * @param {number} numberOfHMetrics
+ * @param {Array} xMins - The xMin of every glyph, from the reconstructed glyf table
+ * @return {Array} the `hmtx` table bytes
+ */
+function reconstructHmtxTable (data, start, numGlyphs, numberOfHMetrics, xMins) {
+  const p = new parse.Parser(data, start)
+  const flags = p.parseByte()
+  const advanceWidths = p.parseUShortList(numberOfHMetrics)
+  const lsbs = (flags & 0x01) ? xMins.slice(0, numberOfHMetrics) : p.parseShortList(numberOfHMetrics)
+  const leftSideBearings = (flags & 0x02)
+    ? xMins.slice(numberOfHMetrics, numGlyphs)
+    : p.parseShortList(numGlyphs - numberOfHMetrics)
+
+  const hmtx = new ByteWriter()
+  for (let i = 0; i < numberOfHMetrics; i += 1) {
+    hmtx.writeUShort(advanceWidths[i])
+    hmtx.writeShort(lsbs[i])
+  }
+
+  for (let i = 0; i < leftSideBearings.length; i += 1) {
+    hmtx.writeShort(leftSideBearings[i])
+  }
+
+  return hmtx.bytes
+}
+
+/**
+ * Decode a WOFF2 font.
+ * The table data stream is decompressed with Brotli and the transformed
+ * `glyf`, `loca` and `hmtx` tables are rebuilt, so that all tables can be read
+ * by the regular table parsers.
+ * @param {DataView} data
+ * @return {Object} the flavor of the font, the decoded tables as a DataView and their table entries
+ */
+function parseWOFF2 (data) {
+  const p = new parse.Parser(data, 0)
+  const signature = p.parseTag()
+  check.argument(signature === 'wOF2', 'WOFF2: invalid signature ' + signature + '.')
+  const flavor = p.parseTag()
+  p.skip('uLong') // length
+  const numTables = p.parseUShort()
+  p.skip('uShort') // reserved
+  p.skip('uLong') // totalSfntSize
+  const totalCompressedSize = p.parseULong()
+  // Skip majorVersion, minorVersion, metaOffset, metaLength, metaOrigLength, privOffset and privLength.
+  p.skip('uShort', 2)
+  p.skip('uLong', 5)
+
+  const entries = parseTableDirectory(p, numTables)
+  check.argument(flavor !== 'ttcf', 'WOFF2: font collections are not supported.')
+
+  const lastEntry = entries[entries.length - 1]
+  const decompressedSize = lastEntry ? lastEntry.offset + lastEntry.length : 0
+  const compressed = new Uint8Array(data.buffer, data.byteOffset + p.relativeOffset, totalCompressedSize)
+  const decompressed = brotliDecompress(compressed, decompressedSize)
+  check.argument(decompressed.length === decompressedSize, 'WOFF2: decompressed size does not match the table directory.')
+  const stream = new DataView(decompressed.buffer, decompressed.byteOffset, decompressed.byteLength)
+
+  // Copy or reconstruct every table, in the order of the table directory.
+  const tables = {}
+  let glyfEntry
+  let hmtxEntry
+  for (let i = 0; i < entries.length; i += 1) {
+    const entry = entries[i]
+    if (entry.tag === 'glyf' && entry.transformed) {
+      glyfEntry = entry
+    } else if (entry.tag === 'loca' && entry.transformed) {
+      check.argument(entry.length === 0, 'WOFF2: transformed loca table must be empty.')
+    } else if (entry.tag === 'hmtx' && entry.transformed) {
+      check.argument(entry.transformVersion === 1, 'WOFF2: unknown hmtx transform version ' + entry.transformVersion + '.')
+      hmtxEntry = entry
+    } else {
+      check.argument(!entry.transformed, 'WOFF2: unknown ' + entry.tag + ' transform version ' + entry.transformVersion + '.')
+      tables[entry.tag] = new Uint8Array(decompressed.buffer, decompressed.byteOffset + entry.offset, entry.length)
+    }
+  }
+
+  let xMins
+  if (glyfEntry) {
+    const reconstructed = reconstructGlyfTable(stream, glyfEntry.offset)
+    tables.glyf = reconstructed.glyf
+    tables.loca = reconstructed.loca
+    xMins = reconstructed.xMins
+  }
+
+  if (hmtxEntry) {
+    check.argument(!!xMins, 'WOFF2: transformed hmtx table requires a transformed glyf table.')
+    check.argument(!!tables.hhea, 'WOFF2: transformed hmtx table requires a hhea table.')
+    const numberOfHMetrics = parse.getUShort(new DataView(tables.hhea.buffer, tables.hhea.byteOffset), 34)
+    tables.hmtx = reconstructHmtxTable(stream, hmtxEntry.offset, xMins.length, numberOfHMetrics, xMins)
+  }
+
+  // Lay out the tables one after the other, 4-byte aligned, so they can be parsed in place.
+  const tableEntries = []
+  let length = 0
+  for (let i = 0; i < entries.length; i += 1) {
+    const tag = entries[i].tag
+    tableEntries.push({ tag: tag, offset: length, length: tables[tag].length, compression: false })
+    length += (tables[tag].length + 3) & ~3
+  }
+
+  const buffer = new Uint8Array(length)
+  for (let i = 0; i < tableEntries.length; i += 1) {
+    buffer.set(tables[tableEntries[i].tag], tableEntries[i].offset)
+  }
+
+  return {
+    flavor: flavor,
+    data: new DataView(buffer.buffer, 0),
+    tableEntries: tableEntries
+  }
+}
+
+// Encode a number as a variable-length UIntBase128.
+function encodeUIntBase128 (v) {
+  const bytes = [v & 0x7F]
+  v = v >>> 7
+  while (v > 0) {
+    bytes.unshift((v & 0x7F) | 0x80)
+    v = v >>> 7
+  }
+
+  return bytes
+}
+
+// Encode a number as a variable-length 255UInt16.
+function encode255UShort (v) {
+  if (v < 253) {
+    return [v]
+  } else if (v < 253 * 2) {
+    return [255, v - 253]
+  } else if (v < 253 * 3) {
+    return [254, v - 253 * 2]
+  }
+
+  return [253, v >> 8, v & 0xff]
+}
+
+// Encode a point of a simple glyph as a flag and the bytes in the glyph stream.
+// This is the inverse of `decodeTriplet`.
+function encodeTriplet (dx, dy, onCurve, flagStream, glyphStream) {
+  const absX = Math.abs(dx)
+  const absY = Math.abs(dy)
+  const onCurveBit = onCurve ? 0 : 128
+  const xSignBit = dx < 0 ? 0 : 1
+  const ySignBit = dy < 0 ? 0 : 1
+  const xySignBits = xSignBit + 2 * ySignBit
+  if (dx === 0 && absY < 1280) {
+    flagStream.writeByte(onCurveBit + ((absY & 0xF00) >> 7) + ySignBit)
+    glyphStream.writeByte(absY & 0xFF)
+  } else if (dy === 0 && absX < 1280) {
+    flagStream.writeByte(onCurveBit + 10 + ((absX & 0xF00) >> 7) + xSignBit)
+    glyphStream.writeByte(absX & 0xFF)
+  } else if (absX < 65 && absY < 65) {
+    flagStream.writeByte(onCurveBit + 20 + ((absX - 1) & 0x30) + (((absY - 1) & 0x30) >> 2) + xySignBits)
+    glyphStream.writeByte((((absX - 1) & 0x0F) << 4) | ((absY - 1) & 0x0F))
+  } else if (absX < 769 && absY < 769) {
+    flagStream.writeByte(onCurveBit + 84 + 12 * (((absX - 1) & 0x300) >> 8) + (((absY - 1) & 0x300) >> 6) + xySignBits)
+    glyphStream.writeByte((absX - 1) & 0xFF)
+    glyphStream.writeByte((absY - 1) & 0xFF)
+  } else if (absX < 4096 && absY < 4096) {
+    flagStream.writeByte(onCurveBit + 120 + xySignBits)
+    glyphStream.writeByte(absX >> 4)
+    glyphStream.writeByte(((absX & 0x0F) << 4) | (absY >> 8))
+    glyphStream.writeByte(absY & 0xFF)
+  } else {
+    flagStream.writeByte(onCurveBit + 124 + xySignBits)
+    glyphStream.writeUShort(absX)
+    glyphStream.writeUShort(absY)
+  }
+}
+
+/**
+ * Apply the WOFF2 transform to the `glyf` and `loca` tables.
+ * The bounding box of a simple glyph is only stored when it differs from the
+ * one computed from its points.
+ * https://www.w3.org/TR/WOFF2/#glyf_table_format
+ * @param {Array} glyfBytes
+ * @param {Array} locaBytes
+ * @param {number} numGlyphs
+ * @param {number} indexFormat - 0 for short and 1 for long `loca` offsets
+ * @return {Object} the transformed glyf table bytes, plus the xMin of every glyph
+ */
+function transformGlyfTable (glyfBytes, locaBytes, numGlyphs, indexFormat) {
+  const data = new DataView(Uint8Array.from(glyfBytes).buffer)
+  const locaData = new DataView(Uint8Array.from(locaBytes).buffer)
+  const nContourStream = new ByteWriter()
+  const nPointsStream = new ByteWriter()
+  const flagStream = new ByteWriter()
+  const glyphStream = new ByteWriter()
+  const compositeStream = new ByteWriter()
+  const bboxStream = new ByteWriter()
+  const instructionStream = new ByteWriter()
+  const bboxBitmap = new Array(((numGlyphs + 31) >> 5) << 2).fill(0)
+  const overlapBitmap = new Array((numGlyphs + 7) >> 3).fill(0)
+  let hasOverlap = false
+  const xMins = []
+
+  const getOffset = i => indexFormat === 0 ? parse.getUShort(locaData, i * 2) * 2 : parse.getULong(locaData, i * 4)
+  for (let i = 0; i < numGlyphs; i += 1) {
+    const start = getOffset(i)
+    if (start === getOffset(i + 1)) {
+      nContourStream.writeShort(0)
+      xMins.push(0)
+      continue
+    }
+
+    const glyph = {}
+    glyf.parseGlyph(glyph, data, start)
+    const bbox = [glyph._xMin, glyph._yMin, glyph._xMax, glyph._yMax]
+    if (glyph.numberOfContours < 0) {
+      nContourStream.writeShort(-1)
+      bboxBitmap[i >> 3] |= 0x80 >> (i & 7)
+      bbox.forEach(v => bboxStream.writeShort(v))
+      const p = new parse.Parser(data, start + 10)
+      const composite = getCompositeGlyphSize(p)
+      compositeStream.writeBytes(p.parseByteList(composite.size))
+      if (composite.haveInstructions) {
+        const instructionLength = p.parseUShort()
+        glyphStream.writeBytes(encode255UShort(instructionLength))
+        instructionStream.writeBytes(p.parseByteList(instructionLength))
+      }
+    } else {
+      nContourStream.writeShort(glyph.numberOfContours)
+      let previousEndPoint = -1
+      for (let j = 0; j < glyph.endPointIndices.length; j += 1) {
+        nPointsStream.writeBytes(encode255UShort(glyph.endPointIndices[j] - previousEndPoint))
+        previousEndPoint = glyph.endPointIndices[j]
+      }
+
+      const computedBbox = [Infinity, Infinity, -Infinity, -Infinity]
+      let x = 0
+      let y = 0
+      for (let j = 0; j < glyph.points.length; j += 1) {
+        const point = glyph.points[j]
+        encodeTriplet(point.x - x, point.y - y, point.onCurve, flagStream, glyphStream)
+        x = point.x
+        y = point.y
+        computedBbox[0] = Math.min(computedBbox[0], x)
+        computedBbox[1] = Math.min(computedBbox[1], y)
+        computedBbox[2] = Math.max(computedBbox[2], x)
+        computedBbox[3] = Math.max(computedBbox[3], y)
+      }
+
+      if (bbox.some((v, j) => v !== computedBbox[j])) {
+        bboxBitmap[i >> 3] |= 0x80 >> (i & 7)
+        bbox.forEach(v => bboxStream.writeShort(v))
+      }
+
+      glyphStream.writeBytes(encode255UShort(glyph.instructionLength))
+      instructionStream.writeBytes(glyph.instructions)
+      // The overlap flag is only meaningful on the first flag of the glyph.
+      const firstFlag = data.getUint8(start + 12 + 2 * glyph.numberOfContours + glyph.instructionLength)
+      if (firstFlag & OVERLAP_SIMPLE) {
+        overlapBitmap[i >> 3] |= 0x80 >> (i & 7)
+        hasOverlap = true
+      }
+    }
+
+    xMins.push(glyph._xMin)
+  }
+
+  const streams = [nContourStream, nPointsStream, flagStream, glyphStream, compositeStream, bboxStream, instructionStream]
+  const w = new ByteWriter()
+  w.writeUShort(0) // reserved
+  w.writeUShort(hasOverlap ? 0x0001 : 0)
+  w.writeUShort(numGlyphs)
+  w.writeUShort(indexFormat)
+  streams.forEach(stream => w.writeULong(stream === bboxStream ? bboxBitmap.length + stream.bytes.length : stream.bytes.length))
+  streams.forEach(stream => {
+    if (stream === bboxStream) {
+      w.writeBytes(bboxBitmap)
+    }
+
+    w.writeBytes(stream.bytes)
+  })
+  if (hasOverlap) {
+    w.writeBytes(overlapBitmap)
+  }
+
+  return { bytes: w.bytes, xMins }
+}
+
+/**
+ * Apply the WOFF2 transform to the `hmtx` table, leaving out the left side
+ * bearings that are equal to the glyph xMin.
+ * https://www.w3.org/TR/WOFF2/#hmtx_table_format
+ * @param {Array} hmtxBytes
+ * @param {number} numberOfHMetrics
+ * @param {Array} xMins - The xMin of every glyph, from the transformed glyf table
+ * @return {Array|undefined} the transformed hmtx table bytes, or undefined if no side bearing can be left out
+ */
+function transformHmtxTable (hmtxBytes, numberOfHMetrics, xMins) {
+  const data = new DataView(Uint8Array.from(hmtxBytes).buffer)
+  const numGlyphs = xMins.length
+  const advanceWidths = []
+  const leftSideBearings = []
+  for (let i = 0; i < numGlyphs; i += 1) {
+    if (i < numberOfHMetrics) {
+      advanceWidths.push(parse.getUShort(data, i * 4))
+      leftSideBearings.push(parse.getShort(data, i * 4 + 2))
+    } else {
+      leftSideBearings.push(parse.getShort(data, numberOfHMetrics * 4 + (i - numberOfHMetrics) * 2))
+    }
+  }
+
+  const lsbs = leftSideBearings.slice(0, numberOfHMetrics)
+  const monospaceLsbs = leftSideBearings.slice(numberOfHMetrics)
+  let flags = 0
+  if (lsbs.every((v, i) => v === xMins[i])) {
+    flags |= 0x01
+  }
+
+  if (monospaceLsbs.length > 0 && monospaceLsbs.every((v, i) => v === xMins[numberOfHMetrics + i])) {
+    flags |= 0x02
+  }
+
+  if (flags === 0) {
+    return undefined
+  }
+
+  const w = new ByteWriter()
+  w.writeByte(flags)
+  advanceWidths.forEach(v => w.writeUShort(v))
+  if (!(flags & 0x01)) {
+    lsbs.forEach(v => w.writeShort(v))
+  }
+
+  if (!(flags & 0x02)) {
+    monospaceLsbs.forEach(v => w.writeShort(v))
+  }
+
+  return w.bytes
+}
+
+// The Brotli encoder is large, so it is only loaded when a font is written, and not at all if it is given.
+// The browser build has no `module` to load it with, so it has to be given there.
+function getBrotliCompress (options) {
+  if (options.compress) {
+    return options.compress
+  }
+
+  check.argument(typeof nodeModule.createRequire === 'function', 'WOFF2: writing WOFF2 fonts needs a Brotli compressor in options.compress, like the export of brotli/compress.js.')
+  return nodeModule.createRequire(import.meta.url)('brotli/compress.js')
+}
+
+/**
+ * Convert a SFNT data structure to a WOFF2 file.
+ * TrueType `glyf`, `loca` and `hmtx` tables are transformed, and all table data
+ * is compressed with Brotli as a single stream.
+ * @param  {opentype.Table} sfntTable - The result of `sfnt.fontToTable`
+ * @param  {Object} [options]
+ * @param  {function} [options.compress] - The Brotli compressor, `compress(bytes, { mode })`, loaded from brotli/compress.js by default
+ * @return {Array} the bytes of the WOFF2 file
+ */
+function makeWOFF2 (sfntTable, options = {}) {
+  const entries = woff.getSfntTables(sfntTable)
+  const tables = {}
+  entries.forEach(entry => { tables[entry.tag] = entry })
+
+  // The transformed loca table must directly follow the glyf table.
+  if (tables.glyf && tables.loca) {
+    entries.splice(entries.indexOf(tables.loca), 1)
+    entries.splice(entries.indexOf(tables.glyf) + 1, 0, tables.loca)
+  }
+
+  let totalSfntSize = 12 + 16 * entries.length
+  entries.forEach(entry => {
+    entry.data = entry.bytes
+    entry.transformVersion = (entry.tag === 'glyf' || entry.tag === 'loca') ? 3 : 0
+    totalSfntSize += (entry.bytes.length + 3) & ~3
+  })
+
+  if (tables.glyf && tables.loca && tables.head && tables.maxp) {
+    const numGlyphs = parse.getUShort(new DataView(Uint8Array.from(tables.maxp.bytes).buffer), 4)
+    const indexFormat = parse.getShort(new DataView(Uint8Array.from(tables.head.bytes).buffer), 50)
+    const transformed = transformGlyfTable(tables.glyf.bytes, tables.loca.bytes, numGlyphs, indexFormat)
+    tables.glyf.data = transformed.bytes
+    tables.glyf.transformVersion = 0
+    tables.loca.data = []
+    tables.loca.transformVersion = 0
+
+    if (tables.hmtx && tables.hhea) {
+      const numberOfHMetrics = parse.getUShort(new DataView(Uint8Array.from(tables.hhea.bytes).buffer), 34)
+      const hmtx = transformHmtxTable(tables.hmtx.bytes, numberOfHMetrics, transformed.xMins)
+      if (hmtx) {
+        tables.hmtx.data = hmtx
+        tables.hmtx.transformVersion = 1
+      }
+    }
+  }
+
+  const directory = []
+  const stream = []
+  entries.forEach(entry => {
+    const tagIndex = knownTags.indexOf(entry.tag)
+    directory.push((entry.transformVersion << 6) | (tagIndex >= 0 ? tagIndex : 0x3F))
+    if (tagIndex < 0) {
+      for (let i = 0; i < 4; i += 1) {
+        directory.push(entry.tag.charCodeAt(i))
+      }
+    }
+
+    directory.push(...encodeUIntBase128(entry.bytes.length))
+    if (entry.data !== entry.bytes) {
+      directory.push(...encodeUIntBase128(entry.data.length))
+    }
+
+    for (let i = 0; i < entry.data.length; i += 1) {
+      stream.push(entry.data[i])
+    }
+  })
+
+  const compressed = getBrotliCompress(options)(Uint8Array.from(stream), { mode: 2 })
+  const headerSize = 48
+  const length = (headerSize + directory.length + compressed.length + 3) & ~3
+  const header = new table.Table('WOFF2', [
+    { name: 'signature', type: 'TAG', value: 'wOF2' },
+    { name: 'flavor', type: 'TAG', value: sfntTable.version },
+    { name: 'length', type: 'ULONG', value: length },
+    { name: 'numTables', type: 'USHORT', value: entries.length },
+    { name: 'reserved', type: 'USHORT', value: 0 },
+    { name: 'totalSfntSize', type: 'ULONG', value: totalSfntSize },
+    { name: 'totalCompressedSize', type: 'ULONG', value: compressed.length },
+    { name: 'majorVersion', type: 'USHORT', value: 1 },
+    { name: 'minorVersion', type: 'USHORT', value: 0 },
+    { name: 'metaOffset', type: 'ULONG', value: 0 },
+    { name: 'metaLength', type: 'ULONG', value: 0 },
+    { name: 'metaOrigLength', type: 'ULONG', value: 0 },
+    { name: 'privOffset', type: 'ULONG', value: 0 },
+    { name: 'privLength', type: 'ULONG', value: 0 }
+  ])
+
+  const bytes = header.encode().concat(directory)
+  for (let i = 0; i < compressed.length; i += 1) {
+    bytes.push(compressed[i])
+  }
+
+  while (bytes.length < length) {
+    bytes.push(0)
+  }
+
+  return bytes
+}
+
+export default { parse: parseWOFF2, make: makeWOFF2, parseTableDirectory }
@@ -1,6 +1,6 @@
 import assert from 'assert'
 import Bidi from '../src/bidi.js'
-import { loadSync } from '../src/opentype.js'
+import { Font, Glyph, Path, loadSync } from '../src/opentype.js'
 
 describe('bidi.js', function () {
   let latinFont
@@ -85,4 +85,119 @@ describe('bidi.js', function () {
       assert.deepEqual(glyphIndexes, [1145])
     })
   })
+  describe('hebrew shaping', function () {
+    const coverage = glyphs => ({ format: 1, glyphs })
+    const anchor = (x, y) => ({ anchorFormat: 1, xCoordinate: x, yCoordinate: y })
+    // A layout table with the lookups of a feature, for the hebr script.
+    const makeLayout = (tag, lookups) => ({
+      version: 1,
+      scripts: [{
+        tag: 'hebr',
+        script: { defaultLangSys: { reserved: 0, reqFeatureIndex: 0xffff, featureIndexes: [0] }, langSysRecords: [] }
+      }],
+      features: [{ tag, feature: { params: 0, lookupListIndexes: lookups.map((lookup, index) => index) } }],
+      lookups
+    })
+
+    it('should match hebrew words in a given text', function () {
+      const tokenizer = bidiFira.tokenizer
+      tokenizer.tokenize('Hello שָׁלוֹם עולם')
+      const ranges = tokenizer.getContextRanges('hebrewWord')
+      assert.deepEqual(ranges.map(range => tokenizer.rangeToText(range)), ['שָׁלוֹם', 'עולם'])
+    })
+    it('should compose the letters and points to presentation forms without mark positioning', function () {
+      const font = loadSync('./fonts/FDArrayTest257.otf')
+      const getGlyphIndexes = text => font.stringToGlyphs(text).map(glyph => glyph.index)
+      const glyphIndexes = text => Array.from(text).map(char => font.charToGlyphIndex(char))
+      // Bet with a qamats and a dagesh, and shin with a dagesh and a shin dot.
+      assert.deepEqual(getGlyphIndexes('\u05D1\u05B8\u05BC\u05E9\u05BC\u05C1'), glyphIndexes('\uFB2C\u05B8\uFB31'))
+      assert.deepEqual(getGlyphIndexes('\u05D2\u05B8'), glyphIndexes('\u05B8\u05D2'))
+    })
+    it('should apply ccmp and position the marks with the hebrew lookups', function () {
+      const font = new Font({
+        familyName: 'MyFont',
+        styleName: 'Medium',
+        unitsPerEm: 1000,
+        ascender: 800,
+        descender: -200,
+        glyphs: [
+          new Glyph({ name: '.notdef', advanceWidth: 500, path: new Path() }),
+          new Glyph({ name: 'bet', unicode: 0x5D1, advanceWidth: 600, path: new Path() }),
+          new Glyph({ name: 'dagesh', unicode: 0x5BC, advanceWidth: 0, path: new Path() }),
+          new Glyph({ name: 'qamats', unicode: 0x5B8, advanceWidth: 0, path: new Path() }),
+          new Glyph({ name: 'betdagesh', advanceWidth: 600, path: new Path() })
+        ]
+      })
+      font.tables.gdef = { version: 1, classDef: { format: 1, startGlyph: 1, classes: [1, 3, 3, 1] } }
+      font.tables.gsub = makeLayout('ccmp', [{
+        lookupType: 4,
+        lookupFlag: 0,
+        subtables: [{ substFormat: 1, coverage: coverage([1]), ligatureSets: [[{ ligGlyph: 4, components: [2] }]] }]
+      }])
+      font.tables.gpos = makeLayout('mark', [{
+        lookupType: 4,
+        lookupFlag: 0,
+        subtables: [{
+          posFormat: 1,
+          markCoverage: coverage([3]),
+          baseCoverage: coverage([1, 4]),
+          markClassCount: 1,
+          markArray: [{ markClass: 0, markAnchor: anchor(0, 0) }],
+          baseArray: [[anchor(300, -100)], [anchor(300, -100)]]
+        }]
+      }])
+      const coordinates = []
+      font.forEachGlyph('\u05D1\u05BC\u05B8\u05D1\u05B8', 0, 0, 1000, {}, function (glyph, x, y) {
+        coordinates.push([glyph.name, x, y])
+      })
+      assert.deepEqual(coordinates, [
+        ['qamats', 300, 100], ['bet', 0, 0], ['qamats', 900, 100], ['betdagesh', 600, 0]
+      ])
+    })
+  })
+  describe('bidirectional algorithm', function () {
+    it('should resolve the levels of numbers, neutrals and brackets', function () {
+      const bidi = new Bidi()
+      assert.deepEqual(bidi.getLevels('abc אבג 123'), [0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2])
+      assert.equal(bidi.getBidiText('abc אבג 123'), 'abc 123 גבא')
+      assert.equal(bidi.getBidiText('a (b אב) c'), 'a (b בא) c')
+      // The European numbers after Arabic letters are Arabic numbers.
+      assert.equal(bidi.getBidiText('السعر 12.50 $'), '12.50 رعسلا $')
+      const rtlBidi = new Bidi('rtl')
+      assert.deepEqual(rtlBidi.getLevels('אבג abc!'), [1, 1, 1, 1, 2, 2, 2, 1])
+      assert.equal(rtlBidi.getBidiText('אבג abc!'), '!abc גבא')
+      assert.equal(rtlBidi.getBidiText('12-34 $5'), '$5 12-34')
+      assert.equal(rtlBidi.getBidiText('אב (c) ד'), 'ד )c( בא')
+    })
+    it('should resolve the explicit embeddings, overrides and isolates', function () {
+      const bidi = new Bidi()
+      assert.deepEqual(bidi.getLevels('a\u202Bbc\u202Cd'), [0, 0, 2, 2, 2, 0])
+      assert.equal(bidi.getBidiText('a\u202Ebcd\u202Ce'), 'a\u202E\u202Cdcbe')
+      assert.deepEqual(bidi.getLevels('a\u2067אב 12\u2069c'), [0, 0, 1, 1, 1, 2, 2, 0, 0])
+      assert.equal(bidi.getBidiText('a\u2067אב 12\u2069c'), 'a\u206712 בא\u2069c')
+      // A first strong isolate has the direction of its first strong char.
+      assert.deepEqual(new Bidi('rtl').getLevels('א\u2068ab\u2069'), [1, 1, 2, 2, 1])
+    })
+    it('should find the base direction of each paragraph', function () {
+      const bidi = new Bidi('auto')
+      assert.deepEqual(bidi.getLevels('ab\nאב.'), [0, 0, 0, 1, 1, 1])
+      assert.equal(bidi.getBidiText('ab\nאב.'), 'ab\n.בא')
+      assert.deepEqual(bidi.getVisualRuns('ab\nאב.'), [
+        { start: 0, end: 3, level: 0, rtl: false },
+        { start: 3, end: 6, level: 1, rtl: true }
+      ])
+    })
+    it('should get the glyph runs in visual order', function () {
+      const bidi = new Bidi('rtl')
+      bidi.registerModifier('glyphIndex', null, token => latinFont.charToGlyphIndex(token.char))
+      bidi.applyFeatures(latinFont, [])
+      const runs = bidi.getTextGlyphRuns('אב ab 12')
+      assert.deepEqual(runs.map(run => [run.level, run.rtl, run.indexes.length]), [[2, false, 5], [1, true, 3]])
+      assert.deepEqual(runs[0].indexes, Array.from('ab 12').map(char => latinFont.charToGlyphIndex(char)))
+      assert.deepEqual(runs[1].indexes, Array.from('אב ').map(char => latinFont.charToGlyphIndex(char)))
+      // The string offsets of the chars of the glyphs, in logical order too.
+      assert.deepEqual(runs[0].offsets, [3, 4, 5, 6, 7])
+      assert.deepEqual(runs[1].offsets, [0, 1, 2])
+    })
+  })
 })
@@ -0,0 +1,115 @@
+import assert from 'assert'
+import { Font, Glyph, Path, checkCompatibility } from '../src/opentype.js'
+
+describe('compatibility.js', function () {
+  // A path with a contour through the points, a list of [x, y] or [x1, y1, x, y] for quadratic curves.
+  function makePath (...contours) {
+    const path = new Path()
+    contours.forEach(points => {
+      points.forEach(([x1, y1, x, y], i) => {
+        if (i === 0) {
+          path.moveTo(x1, y1)
+        } else if (x === undefined) {
+          path.lineTo(x1, y1)
+        } else {
+          path.quadTo(x1, y1, x, y)
+        }
+      })
+      path.close()
+    })
+    return path
+  }
+
+  function makeFont (glyphs) {
+    return new Font({
+      familyName: 'MyFont',
+      styleName: 'Master',
+      unitsPerEm: 1000,
+      ascender: 800,
+      descender: -200,
+      glyphs: [new Glyph({ name: '.notdef', advanceWidth: 500, path: new Path() })].concat(glyphs)
+    })
+  }
+
+  const outer = [[0, 0], [0, 700], [100, 750, 200, 700], [200, 0]]
+  const inner = [[50, 100], [150, 100], [150, 600], [50, 600]]
+  const regular = makeFont([
+    new Glyph({ name: 'I', advanceWidth: 300, path: makePath(outer) }),
+    new Glyph({ name: 'O', advanceWidth: 300, path: makePath(outer, inner) })
+  ])
+
+  // The glyphs of the regular master, wider.
+  const wide = contour => contour.map(coordinates => coordinates.map((value, i) => i % 2 === 0 ? value * 2 : value))
+
+  it('accepts compatible fonts', function () {
+    const bold = makeFont([
+      new Glyph({ name: 'I', advanceWidth: 500, path: makePath(wide(outer)) }),
+      new Glyph({ name: 'O', advanceWidth: 500, path: makePath(wide(outer), wide(inner)) })
+    ])
+    assert.deepEqual(checkCompatibility([regular, bold]), { compatible: true, glyphs: [] })
+  })
+
+  it('reports the glyphs with other contours, points and command types', function () {
+    const bold = makeFont([
+      new Glyph({ name: 'O', advanceWidth: 500, path: makePath(wide(outer)) }),
+      new Glyph({ name: 'I', advanceWidth: 500, path: makePath([[0, 0], [0, 700], [200, 750], [400, 700], [400, 0]]) })
+    ])
+    const black = makeFont([
+      new Glyph({ name: 'I', advanceWidth: 500, path: makePath([[0, 0], [0, 700], [400, 0]]) })
+    ])
+    const result = checkCompatibility([regular, bold, black])
+    assert.equal(result.compatible, false)
+    assert.deepEqual(result.glyphs.map(glyph => [glyph.name, glyph.problems.map(problem => problem.message), glyph.suggestions]), [
+      ['I', [
+        'Glyph "I" of font 1: point 2 of contour 0 is on instead of quad.',
+        'Glyph "I" of font 2: contour 0 has 3 points instead of 5.'
+      ], []],
+      ['O', [
+        'Glyph "O" is missing from font 2.',
+        'Glyph "O" of font 1: it has 1 contours instead of 2.'
+      ], []]
+    ])
+    assert.deepEqual(result.glyphs[0].problems[1], {
+      type: 'pointCount',
+      font: 2,
+      contour: 0,
+      expected: 5,
+      actual: 3,
+      message: 'Glyph "I" of font 2: contour 0 has 3 points instead of 5.'
+    })
+  })
+
+  it('suggests the order, start points and directions of the contours', function () {
+    const rotate = (contour, start) => contour.slice(start).concat(contour.slice(0, start))
+    const reverse = contour => [contour[0]].concat(contour.slice(1).reverse())
+    const bold = makeFont([
+      new Glyph({ name: 'I', advanceWidth: 500, path: makePath(wide([[200, 0], [0, 0], [0, 700], [100, 750, 200, 700]])) }),
+      new Glyph({ name: 'O', advanceWidth: 500, path: makePath(reverse(rotate(wide(inner), 2)), wide(outer)) })
+    ])
+    const result = checkCompatibility([regular, bold])
+    assert.deepEqual(result.glyphs.map(glyph => [glyph.name, glyph.problems.map(problem => problem.type), glyph.suggestions]), [
+      ['I', ['startPoint'], [{ font: 1, contourOrder: [0], startPoints: [1], reversed: [false] }]],
+      ['O', ['contourOrder', 'direction', 'startPoint'], [{ font: 1, contourOrder: [1, 0], startPoints: [0, 2], reversed: [false, true] }]]
+    ])
+    assert.equal(result.glyphs[1].problems[2].message, 'Glyph "O" of font 1: contour 1 should start at point 2.')
+  })
+
+  it('compares the TrueType points of the glyphs', function () {
+    const makeGlyph = points => {
+      const glyph = new Glyph({ name: 'V', advanceWidth: 500, path: new Path() })
+      glyph.points = points.map(([x, y, onCurve], i) => ({ x, y, onCurve, lastPointOfContour: i === points.length - 1 }))
+      return makeFont([glyph])
+    }
+
+    const triangle = makeGlyph([[0, 700, true], [100, 0, true], [200, 700, true]])
+    const wider = makeGlyph([[0, 700, true], [200, 0, true], [400, 700, true]])
+    const reversed = makeGlyph([[0, 700, true], [400, 700, true], [200, 0, true]])
+    const curved = makeGlyph([[0, 700, true], [200, 0, false], [400, 700, true]])
+    assert.equal(checkCompatibility([triangle, wider]).compatible, true)
+    assert.deepEqual(checkCompatibility([triangle, reversed]).glyphs[0].suggestions, [{ font: 1, contourOrder: [0], startPoints: [0], reversed: [true] }])
+    assert.deepEqual(checkCompatibility([triangle, curved]).glyphs[0].problems.map(problem => problem.message), [
+      'Glyph "V" of font 1: point 1 of contour 0 is off instead of on.'
+    ])
+    assert.deepEqual(checkCompatibility([triangle, curved], { glyphNames: ['I'] }), { compatible: true, glyphs: [] })
+  })
+})
@@ -0,0 +1,219 @@
+import assert from 'assert'
+import { Font, Glyph, Path, Designspace, parseDesignspace, buildVariableFont } from '../src/opentype.js'
+
+describe('designspace.js', function () {
+  const xml = `<?xml version='1.0' encoding='UTF-8'?>
+<designspace format="5.0">
+  <axes>
+    <axis tag="wght" name="Weight" minimum="100" maximum="900" default="400">
+      <labelname xml:lang="fr">Graisse</labelname>
+      <map input="100" output="20"/>
+      <map input="400" output="50"/>
+      <map input="900" output="100"/>
+      <labels>
+        <label uservalue="400" name="Regular" elidable="true">
+          <labelname xml:lang="fr">Normal</labelname>
+        </label>
+        <label uservalue="900" userminimum="800" usermaximum="900" name="Black"/>
+      </labels>
+    </axis>
+  </axes>
+  <rules>
+    <rule name="heavy &amp; bold">
+      <conditionset>
+        <condition name="Weight" minimum="75"/>
+      </conditionset>
+      <sub name="dollar" with="dollar.heavy"/>
+    </rule>
+  </rules>
+  <sources>
+    <!-- The default source -->
+    <source filename="MyFont-Regular.ufo" name="regular" familyname="MyFont" stylename="Regular">
+      <location>
+        <dimension name="Weight" xvalue="50"/>
+      </location>
+    </source>
+    <source filename="MyFont-Black.ufo" name="black" familyname="MyFont" stylename="Black">
+      <location>
+        <dimension name="Weight" uservalue="900"/>
+      </location>
+    </source>
+    <source filename="MyFont-Thin.ufo" name="thin" familyname="MyFont" stylename="Thin">
+      <location>
+        <dimension name="Weight" xvalue="20"/>
+      </location>
+    </source>
+  </sources>
+  <instances>
+    <instance name="bold" familyname="MyFont" stylename="Bold" filename="instances/MyFont-Bold.ttf" postscriptfontname="MyFont-Bold">
+      <location>
+        <dimension name="Weight" xvalue="80"/>
+      </location>
+    </instance>
+  </instances>
+  <lib>
+    <dict>
+      <key>com.example.key</key>
+      <string>value</string>
+    </dict>
+  </lib>
+</designspace>
+`
+
+  // A master with a rectangle glyph 'I' of the given width, and a 'dollar' glyph with an alternate.
+  function makeMaster (width, dollarHeavy = true) {
+    const rectangle = function (w) {
+      const path = new Path()
+      path.moveTo(0, 0)
+      path.lineTo(0, 700)
+      path.quadTo(w / 2, 750, w, 700)
+      path.lineTo(w, 0)
+      path.close()
+      return path
+    }
+
+    const glyphs = [
+      new Glyph({ name: '.notdef', advanceWidth: 500, path: new Path() }),
+      new Glyph({ name: 'I', unicode: 73, advanceWidth: width + 100, path: rectangle(width) }),
+      new Glyph({ name: 'dollar', unicode: 36, advanceWidth: 500, path: rectangle(400) })
+    ]
+    if (dollarHeavy) {
+      glyphs.push(new Glyph({ name: 'dollar.heavy', advanceWidth: 600, path: rectangle(width * 2) }))
+    }
+
+    return new Font({ familyName: 'MyFont', styleName: 'Master', unitsPerEm: 1000, ascender: 800, descender: -200, glyphs })
+  }
+
+  function getCoordinates (path) {
+    return path.commands.filter(cmd => cmd.type !== 'Z').map(cmd => cmd.type === 'Q' ? [cmd.x1, cmd.y1, cmd.x, cmd.y] : [cmd.x, cmd.y])
+  }
+
+  let designspace
+
+  beforeEach(function () {
+    designspace = parseDesignspace(xml)
+  })
+
+  it('can parse a designspace document', function () {
+    assert.deepEqual(designspace.axes, [{
+      tag: 'wght',
+      name: 'Weight',
+      minValue: 100,
+      maxValue: 900,
+      defaultValue: 400,
+      labelNames: { fr: 'Graisse' },
+      map: [[100, 20], [400, 50], [900, 100]],
+      values: [
+        { name: { en: 'Regular', fr: 'Normal' }, value: 400, flags: 2 },
+        { name: { en: 'Black' }, format: 2, nominalValue: 900, rangeMinValue: 800, rangeMaxValue: 900, flags: 0 }
+      ]
+    }])
+    assert.deepEqual(designspace.sources.map(source => [source.name, source.fileName, source.styleName, source.location]), [
+      ['regular', 'MyFont-Regular.ufo', 'Regular', { wght: 50 }],
+      ['black', 'MyFont-Black.ufo', 'Black', { wght: 100 }],
+      ['thin', 'MyFont-Thin.ufo', 'Thin', { wght: 20 }]
+    ])
+    assert.deepEqual(designspace.instances, [{
+      name: 'bold',
+      familyName: 'MyFont',
+      styleName: 'Bold',
+      fileName: 'instances/MyFont-Bold.ttf',
+      postScriptFontName: 'MyFont-Bold',
+      styleMapFamilyName: undefined,
+      styleMapStyleName: undefined,
+      location: { wght: 80 }
+    }])
+    assert.deepEqual(designspace.rules, [{
+      name: 'heavy & bold',
+      conditionSets: [[{ axis: 'wght', minimum: 75, maximum: undefined }]],
+      substitutions: [['dollar', 'dollar.heavy']]
+    }])
+    assert.equal(designspace.rulesProcessingLast, false)
+    assert.ok(designspace.lib.startsWith('<lib>') && designspace.lib.endsWith('</lib>'))
+  })
+
+  it('can write a designspace document', function () {
+    const written = designspace.toXML()
+    assert.ok(written.indexOf('<rule name="heavy &amp; bold">') !== -1)
+    assert.ok(written.indexOf('<dimension name="Weight" xvalue="100"/>') !== -1)
+    const parsed = parseDesignspace(written)
+    assert.deepEqual(parsed, designspace)
+    assert.equal(parsed.toXML(), written)
+  })
+
+  it('throws an error for invalid documents', function () {
+    assert.throws(() => parseDesignspace('<designspace><axes></designspace>'), /Unexpected XML closing tag <\/designspace>/)
+    assert.throws(() => parseDesignspace('<font/>'), /The document is not a designspace document/)
+    assert.throws(() => parseDesignspace(xml.replace('<dimension name="Weight" xvalue="20"/>', '<dimension name="Width" xvalue="20"/>')),
+      /The designspace has no axis named Width/)
+  })
+
+  it('maps locations between user and design coordinates', function () {
+    assert.deepEqual(designspace.mapToDesign({ wght: 650 }), { wght: 75 })
+    assert.deepEqual(designspace.mapToUser({ wght: 35 }), { wght: 250 })
+    assert.deepEqual(designspace.getDefaultLocation(), { wght: 50 })
+  })
+
+  it('interpolates the glyphs of the sources', function () {
+    designspace.linkSources({ 'MyFont-Regular.ufo': makeMaster(100), 'MyFont-Black.ufo': makeMaster(300), 'MyFont-Thin.ufo': makeMaster(40) })
+    const regular = designspace.interpolateGlyph('I')
+    assert.equal(regular.advanceWidth, 200)
+    assert.deepEqual(regular.unicodes, [73])
+    assert.deepEqual(getCoordinates(regular.path), [[0, 0], [0, 700], [50, 750, 100, 700], [100, 0]])
+    const bold = designspace.interpolateGlyph('I', designspace.mapToDesign({ wght: 650 }))
+    assert.equal(bold.advanceWidth, 300)
+    assert.deepEqual(getCoordinates(bold.path), [[0, 0], [0, 700], [100, 750, 200, 700], [200, 0]])
+    assert.deepEqual(getCoordinates(designspace.interpolateGlyph('I', { wght: 35 }).path)[3], [70, 0])
+    assert.equal(designspace.interpolateGlyph('A'), undefined)
+  })
+
+  it('leaves out the sources that don\'t have a glyph', function () {
+    designspace.linkSources(source => makeMaster({ regular: 100, black: 300, thin: 40 }[source.name], source.name !== 'thin'))
+    assert.deepEqual(getCoordinates(designspace.interpolateGlyph('dollar.heavy', { wght: 75 }).path)[3], [400, 0])
+    assert.deepEqual(getCoordinates(designspace.interpolateGlyph('dollar.heavy', { wght: 20 }).path)[3], [200, 0])
+  })
+
+  it('interpolates the fonts of the instances with the rules', function () {
+    designspace.linkSources(source => makeMaster({ regular: 100, black: 300, thin: 40 }[source.name]))
+    const font = designspace.interpolateFont(designspace.instances[0])
+    assert.equal(font.getEnglishName('fontSubfamily'), 'Bold')
+    assert.equal(font.getEnglishName('postScriptName'), 'MyFont-Bold')
+    assert.equal(font.glyphs.length, 4)
+    const dollar = font.charToGlyph('$')
+    assert.equal(dollar.name, 'dollar')
+    assert.equal(dollar.advanceWidth, 600)
+    assert.deepEqual(getCoordinates(dollar.path)[3], [440, 0])
+    const regularDollar = designspace.interpolateFont({ wght: 50 }).charToGlyph('$')
+    assert.equal(regularDollar.advanceWidth, 500)
+  })
+
+  it('throws an error when the sources are not compatible', function () {
+    designspace.linkSources(source => makeMaster({ regular: 100, black: 300, thin: 40 }[source.name]))
+    const path = new Path()
+    path.moveTo(0, 0)
+    path.lineTo(0, 700)
+    path.lineTo(300, 700)
+    path.lineTo(300, 0)
+    path.close()
+    designspace.sources[1].font.glyphs.get(1).path = path
+    assert.throws(() => designspace.interpolateGlyph('I', { wght: 75 }), /Glyph "I" of source black is not compatible: path command 2 is L instead of Q/)
+    assert.throws(() => designspace.linkSources({}), /There is no font for the source regular/)
+  })
+
+  it('links the sources as the masters of a variable font', function () {
+    designspace.linkSources(source => makeMaster({ regular: 100, black: 300, thin: 40 }[source.name]))
+    const font = buildVariableFont(designspace.sources, designspace)
+    assert.deepEqual(font.tables.avar.axisSegmentMaps[0].map(segment => segment.fromCoordinate), [-1, 0, 1])
+    assert.equal(font.getAdvanceWidth('I', 1000, { variation: { wght: 650 } }), 300)
+  })
+
+  it('can make a designspace document', function () {
+    const made = new Designspace({
+      axes: [{ tag: 'wdth', name: 'Width', minValue: 75, defaultValue: 100, maxValue: 100 }],
+      sources: [{ fileName: 'Regular.ufo', location: { wdth: 100 } }, { fileName: 'Condensed.ufo', location: { wdth: 75 } }]
+    })
+    const written = made.toXML()
+    assert.ok(written.indexOf('<axis tag="wdth" name="Width" minimum="75" maximum="100" default="100"/>') !== -1)
+    assert.deepEqual(parseDesignspace(written).sources.map(source => source.location), [{ wdth: 100 }, { wdth: 75 }])
+  })
+})
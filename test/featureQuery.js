@@ -1,5 +1,5 @@
 import assert from 'assert'
-import { loadSync } from '../src/opentype.js'
+import { Font, Glyph, Path, loadSync } from '../src/opentype.js'
 import FeatureQuery from '../src/features/featureQuery.js'
 import { ContextParams } from '../src/tokenizer.js'
 
@@ -153,4 +153,195 @@ describe('featureQuery.js', function () {
       assert.deepEqual(substitution, [273, 1087])
     })
   })
+
+  describe('contextual substitutions', function () {
+    let font
+    const glyphNames = ['.notdef', 'a', 'b', 'c', 'acutecomb', 'a.alt', 'b.alt', 'c.alt', 'a_b']
+    const coverage = glyphs => ({ format: 1, glyphs })
+    // Nested lookups: a -> a.alt, b -> b.alt, a b -> a_b, c -> c.alt
+    const nestedLookups = [
+      { lookupType: 1, lookupFlag: 0, subtables: [{ substFormat: 2, coverage: coverage([1]), substitute: [5] }] },
+      { lookupType: 1, lookupFlag: 0, subtables: [{ substFormat: 2, coverage: coverage([2]), substitute: [6] }] },
+      { lookupType: 4, lookupFlag: 8, subtables: [{ substFormat: 1, coverage: coverage([1]), ligatureSets: [[{ ligGlyph: 8, components: [2] }]] }] },
+      { lookupType: 1, lookupFlag: 0, subtables: [{ substFormat: 1, coverage: coverage([3]), deltaGlyphId: 4 }] }
+    ]
+
+    // Set the liga feature, or another feature, of the font to a lookup, after the nested lookups.
+    function setLookup (lookup, tag = 'liga') {
+      font.tables.gsub = {
+        version: 1,
+        scripts: [{
+          tag: 'latn',
+          script: { defaultLangSys: { reserved: 0, reqFeatureIndex: 0xffff, featureIndexes: [0] }, langSysRecords: [] }
+        }],
+        features: [{ tag, feature: { params: 0, lookupListIndexes: [nestedLookups.length] } }],
+        lookups: nestedLookups.concat([lookup])
+      }
+    }
+
+    function getGlyphIndexes (text) {
+      return font.stringToGlyphs(text).map(glyph => glyphNames.indexOf(glyph.name))
+    }
+
+    beforeEach(function () {
+      font = new Font({
+        familyName: 'MyFont',
+        styleName: 'Medium',
+        unitsPerEm: 1000,
+        ascender: 800,
+        descender: -200,
+        glyphs: glyphNames.map((name, index) => new Glyph({
+          name, unicode: [undefined, 97, 98, 99, 0x301][index], advanceWidth: 500, path: new Path()
+        }))
+      })
+      font.tables.gdef = { version: 1, classDef: { format: 1, startGlyph: 1, classes: [1, 1, 1, 3] } }
+    })
+
+    it('should apply context substitutions - format 1 (51)', function () {
+      setLookup({
+        lookupType: 5,
+        lookupFlag: 0,
+        subtables: [{
+          substFormat: 1,
+          coverage: coverage([1]),
+          ruleSets: [[{
+            input: [2],
+            lookupRecords: [{ sequenceIndex: 1, lookupListIndex: 1 }, { sequenceIndex: 0, lookupListIndex: 0 }]
+          }]]
+        }]
+      })
+      assert.deepEqual(getGlyphIndexes('abc'), [5, 6, 3])
+      assert.deepEqual(getGlyphIndexes('acb'), [1, 3, 2])
+    })
+
+    it('should apply context substitutions - format 2 (52)', function () {
+      setLookup({
+        lookupType: 5,
+        lookupFlag: 0,
+        subtables: [{
+          substFormat: 2,
+          coverage: coverage([1]),
+          classDef: { format: 2, ranges: [{ start: 1, end: 1, classId: 1 }, { start: 2, end: 3, classId: 2 }] },
+          classSets: [undefined, [{ classes: [2], lookupRecords: [{ sequenceIndex: 1, lookupListIndex: 3 }] }]]
+        }]
+      })
+      assert.deepEqual(getGlyphIndexes('ac'), [1, 7])
+      assert.deepEqual(getGlyphIndexes('ab'), [1, 2])
+      assert.deepEqual(getGlyphIndexes('cc'), [3, 3])
+    })
+
+    it('should apply nested ligatures and skip the glyphs ignored by the lookup flags - format 3 (53)', function () {
+      setLookup({
+        lookupType: 5,
+        lookupFlag: 8,
+        subtables: [{
+          substFormat: 3,
+          coverages: [coverage([1]), coverage([2])],
+          lookupRecords: [{ sequenceIndex: 0, lookupListIndex: 2 }, { sequenceIndex: 1, lookupListIndex: 1 }]
+        }]
+      })
+      assert.deepEqual(getGlyphIndexes('abc'), [8, 3])
+      const query = new FeatureQuery(font)
+      const glyphs = [1, 4, 2, 3]
+      assert.equal(query.applyLookup(font.tables.gsub.lookups[4], glyphs, 0), true)
+      assert.deepEqual(glyphs, [8, 4, null, 3])
+    })
+
+    it('should apply chaining context substitutions - format 1 (61)', function () {
+      setLookup({
+        lookupType: 6,
+        lookupFlag: 0,
+        subtables: [{
+          substFormat: 1,
+          coverage: coverage([2]),
+          chainRuleSets: [[{ backtrack: [1], input: [], lookahead: [3], lookupRecords: [{ sequenceIndex: 0, lookupListIndex: 1 }] }]]
+        }]
+      })
+      assert.deepEqual(getGlyphIndexes('abc'), [1, 6, 3])
+      assert.deepEqual(getGlyphIndexes('bbc'), [2, 2, 3])
+      assert.deepEqual(getGlyphIndexes('ab'), [1, 2])
+    })
+
+    it('should go on after the input of a context, when its input would match again', function () {
+      const lookup = {
+        lookupType: 6,
+        lookupFlag: 0,
+        subtables: [{
+          substFormat: 1,
+          coverage: coverage([1]),
+          chainRuleSets: [[{ backtrack: [], input: [1], lookahead: [], lookupRecords: [{ sequenceIndex: 0, lookupListIndex: 0 }] }]]
+        }]
+      }
+      setLookup(lookup)
+      assert.deepEqual(getGlyphIndexes('aaa'), [5, 1, 1])
+      assert.deepEqual(getGlyphIndexes('aaaa'), [5, 1, 5, 1])
+      // The same lookup, turned on by the feature settings.
+      setLookup(lookup, 'ss01')
+      const getIndexes = text => font.stringToGlyphs(text, { features: { ss01: 1 } }).map(glyph => glyphNames.indexOf(glyph.name))
+      assert.deepEqual(getIndexes('aaa'), [5, 1, 1])
+      assert.deepEqual(getIndexes('aaaa'), [5, 1, 5, 1])
+    })
+
+    it('should apply chaining context substitutions - format 2 (62)', function () {
+      const classDef = { format: 1, startGlyph: 1, classes: [1, 2, 2] }
+      setLookup({
+        lookupType: 6,
+        lookupFlag: 0,
+        subtables: [{
+          substFormat: 2,
+          coverage: coverage([2, 3]),
+          backtrackClassDef: classDef,
+          inputClassDef: classDef,
+          lookaheadClassDef: classDef,
+          chainClassSet: [undefined, undefined, [{
+            backtrack: [1],
+            input: [2],
+            lookahead: [],
+            lookupRecords: [{ sequenceIndex: 0, lookupListIndex: 1 }, { sequenceIndex: 1, lookupListIndex: 3 }]
+          }]]
+        }]
+      })
+      assert.deepEqual(getGlyphIndexes('abc'), [1, 6, 7])
+      assert.deepEqual(getGlyphIndexes('bc'), [2, 3])
+    })
+
+    it('should unwrap extension substitutions (7)', function () {
+      setLookup({
+        lookupType: 7,
+        lookupFlag: 0,
+        subtables: [{
+          substFormat: 1,
+          lookupType: 6,
+          extension: {
+            substFormat: 3,
+            backtrackCoverage: [],
+            inputCoverage: [coverage([1])],
+            lookaheadCoverage: [coverage([2])],
+            lookupRecords: [{ sequenceIndex: 0, lookupListIndex: 0 }]
+          }
+        }]
+      })
+      const query = new FeatureQuery(font)
+      const lookup = font.tables.gsub.lookups[4]
+      assert.equal(query.getSubstitutionType(lookup, lookup.subtables[0]), '63')
+      assert.deepEqual(getGlyphIndexes('ab'), [5, 2])
+      assert.deepEqual(getGlyphIndexes('ac'), [1, 3])
+    })
+
+    it('should apply reverse chaining context single substitutions (81)', function () {
+      setLookup({
+        lookupType: 8,
+        lookupFlag: 0,
+        subtables: [{
+          substFormat: 1,
+          coverage: coverage([1, 2]),
+          backtrackCoverage: [],
+          lookaheadCoverage: [coverage([3])],
+          substitutes: [5, 6]
+        }]
+      })
+      assert.deepEqual(getGlyphIndexes('abc'), [1, 6, 3])
+      assert.deepEqual(getGlyphIndexes('ac'), [5, 3])
+    })
+  })
 })
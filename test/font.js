@@ -1,5 +1,5 @@
 import assert from 'assert'
-import { Font, Glyph, Path, loadSync } from '../src/opentype.js'
+import { Font, Glyph, Path, loadSync, parse } from '../src/opentype.js'
 
 describe('font.js', function () {
   let font
@@ -59,6 +59,84 @@ describe('font.js', function () {
       assert.deepEqual(font.stringToGlyphs('fffiffif'), [ffGlyph, fiGlyph, ffiGlyph, fGlyph])
     })
 
+    it('maps a character and its variation selector to one glyph', function () {
+      font.tables.cmap = { variationSelectors: { 0xFE0F: { defaultUVS: [102], nonDefaultUVS: { 105: 5 } } } }
+      const written = parse(font.toArrayBuffer())
+      assert.equal(written.charToGlyphIndex('i\uFE0F'), 5)
+      assert.equal(written.charToGlyphIndex('f\uFE0F'), 1)
+      assert.deepEqual(written.stringToGlyphs('i\uFE0Ff\uFE0Fi').map(glyph => glyph.name), ['f_f_i', 'f', 'i'])
+    })
+
+    it('applies the feature settings to all the scripts', function () {
+      const fira = loadSync('./fonts/FiraSansMedium.woff')
+      const getNames = (text, features) => fira.stringToGlyphs(text, { features }).map(glyph => glyph.name).join(' ')
+      assert.equal(getNames('fi 1/2'), 'f_i space one slash two')
+      assert.equal(getNames('fi 1/2', { liga: 0, onum: 1 }), 'f i space one.osf slash two.osf')
+      assert.equal(getNames('fi Ωμέγα дом', { smcp: true }), 'f.sc i.sc space uni03A9 uni03BC.sc epsilontonos.sc gamma.sc alpha.sc space uni0434.sc uni043E.sc uni043C.sc')
+      assert.equal(getNames('fish fish', [{ tag: 'smcp', start: 0, end: 2 }, { tag: 'liga', value: 0, start: 5 }]), 'f.sc i.sc s h space f i s h')
+      // A list of features by script only turns on these features.
+      assert.equal(getNames('fi 1/2', [{ script: 'latn', tags: ['frac'] }]), 'f i space one.numr fraction two.dnom')
+    })
+
+    it('applies the chosen alternates of the alternate substitutions', function () {
+      const fira = loadSync('./fonts/FiraSansMedium.woff')
+      const getNames = (text, features) => fira.stringToGlyphs(text, { features }).map(glyph => glyph.name).join(' ')
+      assert.equal(getNames('a1', { aalt: 1 }), 'ordfeminine one.numr')
+      assert.equal(getNames('a1', { aalt: 2 }), 'a.sc one.dnom')
+      assert.equal(getNames('a1', { aalt: 6 }), 'a one.osf')
+      assert.equal(getNames('a1 a1', [{ tag: 'aalt', value: 3, start: 1, end: 2 }, { tag: 'aalt', value: 2, start: 3 }]), 'a onesuperior space a.sc one.dnom')
+      const alternates = fira.substitution.getGlyphAlternates(fira.charToGlyphIndex('a'), 'latn')
+      assert.deepEqual(alternates.map(alternate => [alternate.feature, alternate.value, fira.glyphs.get(alternate.by).name]), [
+        ['aalt', 1, 'ordfeminine'], ['aalt', 2, 'a.sc'], ['smcp', 1, 'a.sc']
+      ])
+    })
+
+    it('gets the feature settings of the render options', function () {
+      const defaultSettings = Object.keys(font.defaultRenderOptions.features).map(tag => ({ tag, value: 1, start: 0, end: Infinity }))
+      assert.deepEqual(font.getFeatureSettings(), defaultSettings)
+      assert.deepEqual(font.getFeatureSettings({ liga: false, salt: 2 }), defaultSettings.concat([
+        { tag: 'liga', value: 0, start: 0, end: Infinity },
+        { tag: 'salt', value: 2, start: 0, end: Infinity }
+      ]))
+      assert.deepEqual(font.getFeatureSettings([{ tag: 'smcp', start: 2, end: 4 }]).pop(), { tag: 'smcp', value: 1, start: 2, end: 4 })
+    })
+
+    it('accepts default features given as a list of scripts and tags', function () {
+      font.defaultRenderOptions = Object.assign({}, font.defaultRenderOptions, {
+        features: [{ script: 'latn', tags: ['liga', 'rlig'] }]
+      })
+      assert.deepEqual(font.getFeatureSettings({ smcp: 1 }), [
+        { tag: 'liga', value: 1, start: 0, end: Infinity },
+        { tag: 'rlig', value: 1, start: 0, end: Infinity },
+        { tag: 'smcp', value: 1, start: 0, end: Infinity }
+      ])
+    })
+
+    it('still gets the features of the deprecated updateFeatures', function () {
+      const warn = console.warn
+      console.warn = () => {}
+      try {
+        const features = font.updateFeatures({ liga: false, smcp: true })
+        assert.deepEqual(features.slice(0, -1), font.shaperFeatures)
+        assert.deepEqual(features.pop(), { script: 'latn', tags: ['ccmp', 'locl', 'rlig', 'rclt', 'calt', 'clig', 'smcp'] })
+      } finally {
+        console.warn = warn
+      }
+    })
+
+    it('reorders the text with the bidirectional algorithm and mirrors the brackets', function () {
+      const scheherazade = loadSync('./fonts/Scheherazade-Bold.ttf')
+      const getNames = (text, options) => scheherazade.stringToGlyphs(text, options).map(glyph => glyph.name).join(' ')
+      assert.equal(getNames('كتاب (1)', { direction: 'rtl' }), 'parenleft one parenright space uni0628 uni0627.fina uni062A.medi uni0643.init')
+      assert.equal(getNames('(1) كتاب'), 'parenleft one parenright space uni0628 uni0627.fina uni062A.medi uni0643.init')
+      assert.deepEqual(scheherazade.getBidiLevels('ab كتاب 12', { direction: 'auto' }), [0, 0, 0, 1, 1, 1, 1, 1, 2, 2])
+      assert.deepEqual(scheherazade.getBidiRuns('ab كتاب 12'), [
+        { start: 0, end: 3, level: 0, rtl: false },
+        { start: 8, end: 10, level: 2, rtl: false },
+        { start: 3, end: 8, level: 1, rtl: true }
+      ])
+    })
+
     it('works on fonts with coverage table format 2', function () {
       const vibur = loadSync('./fonts/Vibur.woff')
       const glyphs = vibur.stringToGlyphs('er')
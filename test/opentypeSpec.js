@@ -1,5 +1,7 @@
 import assert from 'assert'
-import { Font, Path, Glyph, load, loadSync } from '../src/opentype.js'
+import brotliCompress from 'brotli/compress.js'
+import fs from 'fs'
+import { Font, Path, Glyph, load, loadSync, parse, parseCollection } from '../src/opentype.js'
 
 describe('opentype.js', function () {
   it('can load a TrueType font', function () {
@@ -62,6 +64,364 @@ describe('opentype.js', function () {
     assert.equal(aGlyph.path.commands.length, 14)
   })
 
+  it('can load a WOFF2/TrueType font', function () {
+    const font = loadSync('./fonts/Roboto-Black.woff2')
+    assert.deepEqual(font.names.fontFamily, { en: 'Roboto Black' })
+    assert.equal(font.outlinesFormat, 'truetype')
+    assert.equal(font.unitsPerEm, 2048)
+    assert.equal(font.glyphs.length, 1294)
+    const aGlyph = font.charToGlyph('A')
+    assert.equal(aGlyph.unicode, 65)
+    assert.equal(aGlyph.path.commands.length, 15)
+  })
+
+  it('can load a WOFF2/CFF font', function () {
+    const font = loadSync('./fonts/FiraSansOT-Medium.woff2')
+    assert.deepEqual(font.names.fontFamily, { en: 'Fira Sans OT Medium' })
+    assert.equal(font.outlinesFormat, 'cff')
+    assert.equal(font.unitsPerEm, 1000)
+    assert.equal(font.glyphs.length, 1151)
+    const aGlyph = font.charToGlyph('A')
+    assert.equal(aGlyph.name, 'A')
+    assert.equal(aGlyph.unicode, 65)
+    assert.equal(aGlyph.path.commands.length, 14)
+  })
+
+  it('reconstructs the transformed WOFF2 glyf and loca tables', function () {
+    const ttf = loadSync('./fonts/Roboto-Black.ttf')
+    const woff2 = loadSync('./fonts/Roboto-Black.woff2')
+    for (let i = 0; i < ttf.glyphs.length; i++) {
+      const expected = ttf.glyphs.get(i)
+      const actual = woff2.glyphs.get(i)
+      assert.deepEqual(actual.path.commands, expected.path.commands)
+      assert.equal(actual.advanceWidth, expected.advanceWidth)
+      assert.equal(actual.leftSideBearing, expected.leftSideBearing)
+    }
+  })
+
+  describe('writing WOFF and WOFF2 fonts', function () {
+    let font
+    beforeEach(function () {
+      const path = new Path()
+      path.moveTo(100, 0)
+      path.lineTo(300, 700)
+      path.lineTo(500, 0)
+      path.close()
+      font = new Font({
+        familyName: 'MyFont',
+        styleName: 'Medium',
+        unitsPerEm: 1000,
+        ascender: 800,
+        descender: -200,
+        glyphs: [
+          new Glyph({ name: '.notdef', advanceWidth: 650, path: new Path() }),
+          new Glyph({ name: 'A', unicode: 65, advanceWidth: 600, path: path })
+        ]
+      })
+    })
+
+    it('can write a WOFF font', function () {
+      const buffer = font.toArrayBuffer({ format: 'woff' })
+      assert.equal(String.fromCharCode(...new Uint8Array(buffer, 0, 4)), 'wOFF')
+      const woff = parse(buffer)
+      assert.equal(woff.outlinesFormat, 'cff')
+      assert.equal(woff.getEnglishName('fontFamily'), 'MyFont')
+      assert.equal(woff.glyphs.length, 2)
+      assert.equal(woff.charToGlyph('A').advanceWidth, 600)
+      assert.equal(woff.charToGlyph('A').path.toPathData(), 'M100 0L300 700L500 0Z')
+    })
+
+    it('can write a WOFF2 font', function () {
+      const buffer = font.toArrayBuffer({ format: 'woff2', compress: brotliCompress })
+      assert.equal(String.fromCharCode(...new Uint8Array(buffer, 0, 4)), 'wOF2')
+      assert.equal(buffer.byteLength % 4, 0)
+      const woff2 = parse(buffer)
+      assert.equal(woff2.outlinesFormat, 'cff')
+      assert.equal(woff2.getEnglishName('fontFamily'), 'MyFont')
+      assert.equal(woff2.glyphs.length, 2)
+      assert.equal(woff2.charToGlyph('A').advanceWidth, 600)
+      assert.equal(woff2.charToGlyph('A').path.toPathData(), 'M100 0L300 700L500 0Z')
+    })
+
+    it('writes WOFF2 fonts with the given Brotli compressor', function () {
+      const compressed = []
+      const compress = (bytes, options) => {
+        compressed.push(bytes.length)
+        return brotliCompress(bytes, options)
+      }
+
+      const woff2 = parse(font.toArrayBuffer({ format: 'woff2', compress }))
+      assert.equal(compressed.length, 1)
+      assert.equal(woff2.charToGlyph('A').advanceWidth, 600)
+    })
+
+    it('loads the Brotli compressor of WOFF2 fonts when it is not given', function () {
+      const woff2 = parse(font.toArrayBuffer({ format: 'woff2' }))
+      assert.equal(woff2.charToGlyph('A').advanceWidth, 600)
+    })
+
+    it('throws an error for an unsupported output format', function () {
+      assert.throws(function () { font.toArrayBuffer({ format: 'eot' }) }, /Unsupported font format eot/)
+    })
+  })
+
+  it('can load a font from a TrueType collection', function () {
+    const font = loadSync('./fonts/TestCollection.ttc', { fontIndex: 1 })
+    assert.equal(font.outlinesFormat, 'truetype')
+    assert.equal(font.getEnglishName('fontFamily'), 'Changa')
+    assert.equal(font.glyphs.length, loadSync('./fonts/TestTracking3.ttf').glyphs.length)
+    assert.equal(loadSync('./fonts/TestCollection.ttc').getEnglishName('fontFamily'), 'TrackingFont')
+  })
+
+  it('throws an error when the font index is out of range', function () {
+    const buffer = fs.readFileSync('./fonts/TestCollection.ttc')
+    assert.throws(function () { parse(buffer.buffer.slice(buffer.byteOffset), { fontIndex: 2 }) }, /Font index 2 is out of range, the collection has 2 fonts/)
+  })
+
+  it('can parse all fonts of a TrueType collection', function () {
+    const buffer = fs.readFileSync('./fonts/TestCollection.ttc')
+    const fonts = parseCollection(buffer.buffer.slice(buffer.byteOffset))
+    assert.equal(fonts.length, 2)
+    assert.equal(fonts[0].getEnglishName('fontFamily'), 'TrackingFont')
+    assert.equal(fonts[1].getEnglishName('fontFamily'), 'Changa')
+    // The tables at the same offset have the same data.
+    assert.deepEqual(fonts[0].tables.cmap, fonts[1].tables.cmap)
+    assert.deepEqual(fonts[0].tables.head, fonts[1].tables.head)
+    assert.deepEqual(fonts[1].charToGlyph('A').path.commands, fonts[0].charToGlyph('A').path.commands)
+  })
+
+  it('parses the tables of each font of a collection separately', function () {
+    const buffer = fs.readFileSync('./fonts/TestCollection.ttc')
+    const fonts = parseCollection(buffer.buffer.slice(buffer.byteOffset))
+    assert.notEqual(fonts[0].tables.head, fonts[1].tables.head)
+    fonts[0].names.fontFamily.en = 'Edited'
+    fonts[0].tables.head.fontRevision = 2
+    fonts[0].tables.cmap.glyphIndexMap[65] = 0
+    assert.equal(fonts[1].getEnglishName('fontFamily'), 'Changa')
+    assert.notEqual(fonts[1].tables.head.fontRevision, 2)
+    assert.notEqual(fonts[1].tables.cmap.glyphIndexMap[65], 0)
+    // The original data of the tables at the same offset is shared.
+    assert.equal(fonts[0]._rawTables.glyf.buffer, fonts[1]._rawTables.glyf.buffer)
+    assert.equal(fonts[0]._rawTables.glyf.byteOffset, fonts[1]._rawTables.glyf.byteOffset)
+  })
+
+  it('parses a single font as a collection of one font', function () {
+    const buffer = fs.readFileSync('./fonts/Roboto-Black.ttf')
+    const fonts = parseCollection(buffer.buffer.slice(buffer.byteOffset))
+    assert.equal(fonts.length, 1)
+    assert.equal(fonts[0].getEnglishName('fontFamily'), 'Roboto Black')
+  })
+
+  it('applies the variations of a variable font', function () {
+    const font = loadSync('./fonts/TestItalicSwitch.ttf')
+    const variation = { wght: 700, wdth: 80 }
+    const glyph = font.charToGlyph('n')
+    const hvar = font.tables.hvar
+    const advanceWidth = font.variation.getAdvanceWidth(glyph, variation)
+    assert.notEqual(advanceWidth, glyph.advanceWidth)
+
+    // The HVAR deltas match the advance widths given by the phantom points of the gvar table.
+    font.tables.hvar = undefined
+    assert.equal(Math.round(font.variation.getAdvanceWidth(glyph, variation)), Math.round(advanceWidth))
+    font.tables.hvar = hvar
+
+    assert.equal(font.getMetrics({ variation }).xHeight, font.tables.os2.sxHeight + 50)
+  })
+
+  it('writes a static instance of a variable font', function () {
+    const font = loadSync('./fonts/TestItalicSwitch.ttf')
+    const variation = { wght: 700, wdth: 80 }
+    // The GSUB table has extension lookups, which can't be written.
+    const instance = parse(font.instantiate(variation, { format: 'sfnt', preserveTables: ['GSUB'] }))
+    assert.equal(instance.tables.fvar, undefined)
+    assert.equal(instance.tables.gvar, undefined)
+    assert.equal(instance.tables.hvar, undefined)
+    assert.equal(instance.tables.mvar, undefined)
+    assert.equal(instance.tables.os2.sxHeight, font.tables.os2.sxHeight + 50)
+    assert.equal(instance.tables.os2.usWeightClass, 700)
+    const glyph = font.charToGlyph('n')
+    const instanceGlyph = instance.charToGlyph('n')
+    assert.equal(instanceGlyph.advanceWidth, Math.round(font.variation.getAdvanceWidth(glyph, variation)))
+    const boundingBox = font.variation.getGlyphPath(glyph, variation).getBoundingBox()
+    assert.deepEqual(instanceGlyph.getBoundingBox(), {
+      x1: Math.round(boundingBox.x1),
+      y1: Math.round(boundingBox.y1),
+      x2: Math.round(boundingBox.x2),
+      y2: Math.round(boundingBox.y2)
+    })
+  })
+
+  it('lays out text in a variable font like in its static instance', function () {
+    const font = loadSync('./fonts/TestTracking3.ttf')
+    const variation = { TRAK: 1 }
+    const instance = font.instantiate(variation)
+    // The GPOS values vary with the deltas of their VariationIndex tables.
+    const glyphIndexes = font.stringToGlyphs('AVAT').map(glyph => glyph.index)
+    assert.deepEqual(font.position.getPositions(glyphIndexes, { variation }), instance.position.getPositions(glyphIndexes))
+    assert.equal(font.getAdvanceWidth('AAA', 1000, { variation }), instance.getAdvanceWidth('AAA', 1000))
+    assert.notEqual(font.getAdvanceWidth('AAA', 1000, { variation }), font.getAdvanceWidth('AAA', 1000))
+  })
+
+  it('writes TrueType outlines for a TrueType font', function () {
+    const font = loadSync('./fonts/TestTracking3.ttf')
+    const written = parse(font.toArrayBuffer())
+    assert.equal(written.outlinesFormat, 'truetype')
+    assert.equal(written.tables.head.indexToLocFormat, 0)
+    assert.equal(written.tables.maxp.version, 1)
+    assert.equal(written.tables.maxp.maxFunctionDefs, font.tables.maxp.maxFunctionDefs)
+    assert.deepEqual(written.tables.fpgm, font.tables.fpgm)
+    for (let i = 0; i < font.glyphs.length; i++) {
+      assert.deepEqual(written.glyphs.get(i).path.commands, font.glyphs.get(i).path.commands)
+      assert.equal(written.glyphs.get(i).advanceWidth, font.glyphs.get(i).advanceWidth)
+    }
+  })
+
+  it('can write TrueType outlines for a CFF font', function () {
+    const path = new Path()
+    path.moveTo(100, 0)
+    path.curveTo(100, 400, 500, 400, 500, 0)
+    path.close()
+    const font = new Font({
+      familyName: 'MyFont',
+      styleName: 'Medium',
+      unitsPerEm: 1000,
+      ascender: 800,
+      descender: -200,
+      glyphs: [
+        new Glyph({ name: '.notdef', advanceWidth: 650, path: new Path() }),
+        new Glyph({ name: 'A', unicode: 65, advanceWidth: 600, path: path })
+      ]
+    })
+    const written = parse(font.toArrayBuffer({ outlinesFormat: 'truetype' }))
+    assert.equal(written.outlinesFormat, 'truetype')
+    const glyph = written.charToGlyph('A')
+    assert(glyph.path.commands.every(cmd => cmd.type !== 'C'))
+    assert.equal(glyph.leftSideBearing, 100)
+    const bbox = glyph.getBoundingBox()
+    assert.deepEqual([bbox.x1, bbox.y1, bbox.x2], [100, 0, 500])
+    assert(Math.abs(bbox.y2 - 300) <= 1)
+  })
+
+  describe('tables that are not made from the font', function () {
+    it('keeps tables that are not parsed as raw bytes', function () {
+      const font = loadSync('./fonts/Roboto-Black.ttf')
+      assert(font.tables.gasp instanceof Uint8Array)
+      assert.deepEqual(Array.from(font.tables.gasp), [0, 1, 0, 2, 0, 8, 0, 2, 0xFF, 0xFF, 0, 0x0F])
+      // The bytes are a view of the font data, instead of a copy.
+      assert.equal(font.tables.gasp.buffer, font._rawTables.GDEF.buffer)
+    })
+
+    it('writes raw and unsupported tables back verbatim', function () {
+      const font = loadSync('./fonts/TestTracking3.ttf')
+      const written = parse(font.toArrayBuffer())
+      for (const tag of ['STAT', 'VDMX', 'gasp', 'gvar', 'hdmx']) {
+        assert.deepEqual(written.tables[tag], font.tables[tag], tag)
+      }
+
+      for (const tag of ['GDEF', 'fvar', 'kern']) {
+        assert.deepEqual(written._rawTables[tag], font._rawTables[tag], tag)
+      }
+    })
+
+    it('writes the GPOS table from the font', function () {
+      for (const file of ['./fonts/TestTracking3.ttf', './fonts/Scheherazade-Bold.ttf']) {
+        const font = loadSync(file)
+        const written = parse(font.toArrayBuffer())
+        for (const key of ['scripts', 'features', 'lookups']) {
+          assert.deepEqual(written.tables.gpos[key], font.tables.gpos[key], file)
+        }
+      }
+    })
+
+    it('leaves out tables of the other outline format', function () {
+      const font = loadSync('./fonts/TestTracking3.ttf')
+      const written = parse(font.toArrayBuffer({ outlinesFormat: 'cff' }))
+      assert.equal(written.tables.gvar, undefined)
+      assert.equal(written.tables.fpgm, undefined)
+      assert.deepEqual(written.tables.gasp, font.tables.gasp)
+    })
+
+    it('can write the original data instead of regenerating a table', function () {
+      const font = loadSync('./fonts/TestTracking3.ttf')
+      assert.equal(parse(font.toArrayBuffer()).tables.post.version, 3)
+      const written = parse(font.toArrayBuffer({ preserveTables: ['post'] }))
+      assert.deepEqual(written._rawTables.post, font._rawTables.post)
+      assert.equal(written.glyphs.get(5).name, font.glyphs.get(5).name)
+      assert.throws(() => font.toArrayBuffer({ preserveTables: ['CFF '] }), /There is no original data for table CFF /)
+    })
+
+    it('leaves out the DSIG table', function () {
+      const font = loadSync('./fonts/TestTracking3.ttf')
+      font.tables.DSIG = Uint8Array.from([0, 0, 0, 1, 0, 0, 0, 0])
+      assert.equal(parse(font.toArrayBuffer()).tables.DSIG, undefined)
+    })
+
+    it('leaves out the device metrics of glyphs that changed', function () {
+      const font = loadSync('./fonts/TestTracking3.ttf')
+      font.glyphs.get(3).advanceWidth += 10
+      const written = parse(font.toArrayBuffer())
+      assert.equal(written.tables.hdmx, undefined)
+      assert.equal(written.tables.VDMX, undefined)
+      assert.deepEqual(written.tables.gasp, font.tables.gasp)
+
+      // The variations of the outlines still apply.
+      assert.deepEqual(written.tables.gvar, font.tables.gvar)
+
+      const preserved = parse(font.toArrayBuffer({ preserveTables: ['hdmx', 'VDMX'] }))
+      assert.deepEqual(preserved.tables.hdmx, font.tables.hdmx)
+      assert.deepEqual(preserved.tables.VDMX, font.tables.VDMX)
+    })
+
+    it('leaves out the variations of outlines that changed', function () {
+      const font = loadSync('./fonts/TestTracking3.ttf')
+      const commands = font.charToGlyph('A').path.commands
+      const i = commands.findIndex(command => command.type === 'L')
+      commands.splice(i, 0, { type: 'L', x: (commands[i - 1].x + commands[i].x) / 2, y: (commands[i - 1].y + commands[i].y) / 2 })
+      const written = parse(font.toArrayBuffer())
+      assert.equal(written.tables.gvar, undefined)
+      assert.equal(written.tables.hdmx, undefined)
+      assert.deepEqual(written._rawTables.fvar, font._rawTables.fvar)
+    })
+
+    it('leaves out the tables that refer to glyphs when the number of glyphs changed', function () {
+      const font = loadSync('./fonts/TestTracking3.ttf')
+      font.glyphs.push(font.glyphs.length, new Glyph({ name: 'new', advanceWidth: 500, path: new Path() }))
+      const written = parse(font.toArrayBuffer())
+      assert.equal(written.glyphs.length, font.glyphs.length)
+      for (const tag of ['GDEF', 'kern', 'gvar']) {
+        assert.equal(written._rawTables[tag], undefined, tag)
+      }
+
+      assert.equal(written.tables.hdmx, undefined)
+      assert.deepEqual(written._rawTables.fvar, font._rawTables.fvar)
+      assert.deepEqual(written.tables.gasp, font.tables.gasp)
+
+      const preserved = parse(font.toArrayBuffer({ preserveTables: ['GDEF'] }))
+      assert.deepEqual(preserved._rawTables.GDEF, font._rawTables.GDEF)
+    })
+
+    it('can leave out tables', function () {
+      const font = loadSync('./fonts/TestTracking3.ttf')
+      const written = parse(font.toArrayBuffer({ dropTables: ['hdmx', 'GPOS'] }))
+      assert.equal(written.tables.hdmx, undefined)
+      assert.equal(written.tables.gpos, undefined)
+      assert.deepEqual(written.tables.gasp, font.tables.gasp)
+    })
+
+    it('writes raw tables added to the font', function () {
+      const font = new Font({
+        familyName: 'MyFont',
+        styleName: 'Medium',
+        unitsPerEm: 1000,
+        ascender: 800,
+        descender: -200,
+        glyphs: [new Glyph({ name: '.notdef', advanceWidth: 650, path: new Path() })]
+      })
+      font.tables.gasp = new Uint8Array([0, 1, 0, 1, 0xFF, 0xFF, 0, 0x0F])
+      assert.deepEqual(parse(font.toArrayBuffer()).tables.gasp, font.tables.gasp)
+    })
+  })
+
   it('handles a parseBuffer error', function (done) {
     load('./fonts/badfont.ttf', function (err) {
       if (err) {
@@ -148,6 +508,15 @@ describe('opentype.js on low memory mode', function () {
     assert.equal(aGlyph.path.commands.length, 14)
   })
 
+  it('can load a WOFF2/TrueType font', function () {
+    const font = loadSync('./fonts/Roboto-Black.woff2', opt)
+    assert.deepEqual(font.names.fontFamily, { en: 'Roboto Black' })
+    assert.equal(font.glyphs.length, 0)
+    const aGlyph = font.charToGlyph('A')
+    assert.equal(aGlyph.unicode, 65)
+    assert.equal(aGlyph.path.commands.length, 15)
+  })
+
   it('handles a parseBuffer error', function (done) {
     load('./fonts/badfont.ttf', function (err) {
       if (err) {
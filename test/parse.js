@@ -240,4 +240,32 @@ describe('parse.js', function () {
       assert.equal(p.relativeOffset, 2)
     })
   })
+
+  describe('parseDeltaSetIndexMap', function () {
+    it('should parse a DeltaSetIndexMap table', function () {
+      const data = '01 13 00000002 0012 0105' // format 1, 2-byte entries with 4 bits of inner index
+      const p = new Parser(unhex(data), 0)
+      assert.deepEqual(p.parseDeltaSetIndexMap(), [{ outerIndex: 1, innerIndex: 2 }, { outerIndex: 16, innerIndex: 5 }])
+    })
+  })
+
+  describe('parseItemVariationStore', function () {
+    it('should parse an ItemVariationStore table', function () {
+      const data = '0001 0000000C 0001 00000028' + // format, region list offset, item variation data offsets
+                '0002 0002' + // 2 axes, 2 regions
+                '0000 4000 4000 0000 0000 0000' + // region 0
+                'C000 C000 0000 0000 4000 4000' + // region 1
+                '0002 0001 0002 0000 0001' + // 2 rows with one word delta, regions 0 and 1
+                'FF9C 05 0100 FB'
+      const p = new Parser(unhex(data), 0)
+      assert.deepEqual(p.parseItemVariationStore(), {
+        format: 1,
+        variationRegions: [
+          [{ startCoord: 0, peakCoord: 1, endCoord: 1 }, { startCoord: 0, peakCoord: 0, endCoord: 0 }],
+          [{ startCoord: -1, peakCoord: -1, endCoord: 0 }, { startCoord: 0, peakCoord: 1, endCoord: 1 }]
+        ],
+        itemVariationData: [{ regionIndexes: [0, 1], deltaSets: [[-100, 5], [256, -5]] }]
+      })
+    })
+  })
 })
@@ -0,0 +1,250 @@
+import assert from 'assert'
+import { Font, Glyph, Path } from '../src/opentype.js'
+
+describe('position.js', function () {
+  let font
+
+  const anchor = (x, y) => ({ anchorFormat: 1, xCoordinate: x, yCoordinate: y })
+  const coverage = glyphs => ({ format: 1, glyphs })
+
+  // Build a GPOS table with a single feature using the given lookups.
+  function setLookups (feature, lookups, featureLookups = [0]) {
+    font.tables.gpos = {
+      version: 1,
+      scripts: [{
+        tag: 'DFLT',
+        script: {
+          defaultLangSys: { reserved: 0, reqFeatureIndex: 0xffff, featureIndexes: [0] },
+          langSysRecords: []
+        }
+      }],
+      features: [{ tag: feature, feature: { params: 0, lookupListIndexes: featureLookups } }],
+      lookups
+    }
+  }
+
+  function getPositions (text, options) {
+    return font.position.getPositions(Array.from(text).map(c => font.charToGlyphIndex(c)), options)
+  }
+
+  beforeEach(function () {
+    font = new Font({
+      familyName: 'MyFont',
+      styleName: 'Medium',
+      unitsPerEm: 1000,
+      ascender: 800,
+      descender: -200,
+      glyphs: [
+        new Glyph({ name: '.notdef', advanceWidth: 500, path: new Path() }),
+        new Glyph({ name: 'a', unicode: 97, advanceWidth: 500, path: new Path() }),
+        new Glyph({ name: 'b', unicode: 98, advanceWidth: 600, path: new Path() }),
+        new Glyph({ name: 'acutecomb', unicode: 0x301, advanceWidth: 200, path: new Path() }),
+        new Glyph({ name: 'gravecomb', unicode: 0x300, advanceWidth: 200, path: new Path() })
+      ]
+    })
+    font.tables.gdef = { version: 1, classDef: { format: 1, startGlyph: 1, classes: [1, 1, 3, 3] } }
+  })
+
+  describe('getPositions', function () {
+    it('uses the kerning pairs of the kern table if there is no GPOS table', function () {
+      font.kerningPairs = { '1,2': -50 }
+      assert.deepEqual(getPositions('ab'), [
+        { xAdvance: 450, yAdvance: 0, xOffset: 0, yOffset: 0 },
+        { xAdvance: 600, yAdvance: 0, xOffset: 0, yOffset: 0 }
+      ])
+      assert.equal(getPositions('ab', { kerning: false })[0].xAdvance, 500)
+    })
+
+    it('applies pair adjustments to both glyphs', function () {
+      setLookups('kern', [{
+        lookupType: 2,
+        lookupFlag: 0,
+        subtables: [{
+          posFormat: 1,
+          coverage: coverage([1]),
+          valueFormat1: 4,
+          valueFormat2: 1,
+          pairSets: [[{ secondGlyph: 2, value1: { xAdvance: -30 }, value2: { xPlacement: 10 } }]]
+        }]
+      }])
+      assert.deepEqual(getPositions('ab'), [
+        { xAdvance: 470, yAdvance: 0, xOffset: 0, yOffset: 0 },
+        { xAdvance: 600, yAdvance: 0, xOffset: 10, yOffset: 0 }
+      ])
+      assert.equal(getPositions('ab', { kerning: false })[0].xAdvance, 500)
+    })
+
+    it('attaches marks to their base and to other marks', function () {
+      setLookups('mark', [{
+        lookupType: 4,
+        lookupFlag: 0,
+        subtables: [{
+          posFormat: 1,
+          markCoverage: coverage([3, 4]),
+          baseCoverage: coverage([1]),
+          markClassCount: 1,
+          markArray: [{ markClass: 0, markAnchor: anchor(100, 0) }, { markClass: 0, markAnchor: anchor(100, 0) }],
+          baseArray: [[anchor(250, 700)]]
+        }]
+      }, {
+        lookupType: 6,
+        lookupFlag: 0,
+        subtables: [{
+          posFormat: 1,
+          mark1Coverage: coverage([4]),
+          mark2Coverage: coverage([3]),
+          markClassCount: 1,
+          mark1Array: [{ markClass: 0, markAnchor: anchor(100, 0) }],
+          mark2Array: [[anchor(100, 300)]]
+        }]
+      }], [0, 1])
+      assert.deepEqual(getPositions('á̀'), [
+        { xAdvance: 500, yAdvance: 0, xOffset: 0, yOffset: 0 },
+        { xAdvance: 0, yAdvance: 0, xOffset: -350, yOffset: 700 },
+        { xAdvance: 0, yAdvance: 0, xOffset: -350, yOffset: 1000 }
+      ])
+
+      // In a right-to-left run, the mark is drawn before its base.
+      assert.deepEqual(getPositions('á', { rtl: true })[1], { xAdvance: 0, yAdvance: 0, xOffset: 150, yOffset: 700 })
+    })
+
+    it('connects cursive glyphs', function () {
+      setLookups('curs', [{
+        lookupType: 3,
+        lookupFlag: 0,
+        subtables: [{
+          posFormat: 1,
+          coverage: coverage([2]),
+          entryExitRecords: [{ entryAnchor: anchor(50, 100), exitAnchor: anchor(600, 300) }]
+        }]
+      }])
+      assert.deepEqual(getPositions('bb'), [
+        { xAdvance: 600, yAdvance: 0, xOffset: 0, yOffset: 0 },
+        { xAdvance: 550, yAdvance: 0, xOffset: -50, yOffset: 200 }
+      ])
+    })
+
+    it('applies the nested lookups of chained contextual lookups', function () {
+      setLookups('kern', [{
+        lookupType: 1,
+        lookupFlag: 0,
+        subtables: [{ posFormat: 1, coverage: coverage([1]), value: { xAdvance: 100 } }]
+      }, {
+        lookupType: 9,
+        lookupFlag: 0,
+        subtables: [{
+          posFormat: 1,
+          lookupType: 8,
+          extension: {
+            posFormat: 3,
+            backtrackCoverage: [],
+            inputCoverage: [coverage([1])],
+            lookaheadCoverage: [coverage([2])],
+            lookupRecords: [{ sequenceIndex: 0, lookupListIndex: 0 }]
+          }
+        }]
+      }], [1])
+      assert.equal(getPositions('ab')[0].xAdvance, 600)
+      assert.equal(getPositions('aa')[0].xAdvance, 500)
+    })
+
+    it('goes on after the input of a contextual lookup, when its input would match again', function () {
+      setLookups('kern', [{
+        lookupType: 1,
+        lookupFlag: 0,
+        subtables: [{ posFormat: 1, coverage: coverage([1]), value: { xAdvance: 100 } }]
+      }, {
+        lookupType: 8,
+        lookupFlag: 0,
+        subtables: [{
+          posFormat: 3,
+          backtrackCoverage: [],
+          inputCoverage: [coverage([1]), coverage([1])],
+          lookaheadCoverage: [],
+          lookupRecords: [{ sequenceIndex: 0, lookupListIndex: 0 }]
+        }]
+      }], [1])
+      assert.deepEqual(getPositions('aaa').map(position => position.xAdvance), [600, 500, 500])
+      assert.deepEqual(getPositions('aaaa').map(position => position.xAdvance), [600, 500, 600, 500])
+    })
+  })
+
+  describe('feature settings', function () {
+    const singleLookup = xAdvance => ({
+      lookupType: 1,
+      lookupFlag: 0,
+      subtables: [{ posFormat: 1, coverage: coverage([1, 2]), valueFormat: 4, value: { xAdvance } }]
+    })
+
+    it('turns the positioning features on and off for ranges of the text', function () {
+      setLookups('palt', [singleLookup(-100)])
+      assert.equal(getPositions('ab')[0].xAdvance, 500)
+      const settings = [{ tag: 'palt', value: 1, start: 1, end: 2 }]
+      assert.deepEqual(getPositions('ab', { features: settings }).map(position => position.xAdvance), [500, 500])
+      assert.deepEqual(getPositions('ab', { features: settings, offsets: [0, 2] }).map(position => position.xAdvance), [500, 600])
+
+      setLookups('kern', [singleLookup(-100)])
+      assert.deepEqual(getPositions('ab', { features: [{ tag: 'kern', value: 0, start: 0, end: 1 }] })
+        .map(position => position.xAdvance), [500, 500])
+    })
+
+    it('applies the feature settings of the render options', function () {
+      setLookups('kern', [singleLookup(-100)])
+      assert.equal(font.getAdvanceWidth('ab', 1000), 900)
+      assert.equal(font.getAdvanceWidth('ab', 1000, { features: { kern: 0 } }), 1100)
+      assert.equal(font.getAdvanceWidth('ab', 1000, { features: [{ tag: 'kern', value: 0, start: 1, end: 2 }] }), 1000)
+
+      setLookups('halt', [singleLookup(-100)])
+      assert.equal(font.getAdvanceWidth('ab', 1000), 1100)
+      assert.equal(font.getAdvanceWidth('ab', 1000, { features: { halt: 1 } }), 900)
+    })
+  })
+
+  describe('font.forEachGlyph', function () {
+    it('draws the glyphs at their positions', function () {
+      setLookups('mark', [{
+        lookupType: 4,
+        lookupFlag: 0,
+        subtables: [{
+          posFormat: 1,
+          markCoverage: coverage([3]),
+          baseCoverage: coverage([1]),
+          markClassCount: 1,
+          markArray: [{ markClass: 0, markAnchor: anchor(100, 0) }],
+          baseArray: [[anchor(250, 700)]]
+        }]
+      }])
+      const coordinates = []
+      const width = font.forEachGlyph('áb', 10, 20, 100, {}, function (glyph, x, y) {
+        coordinates.push([glyph.name, x, y])
+      })
+      assert.deepEqual(coordinates, [['a', 10, 20], ['acutecomb', 25, -50], ['b', 60, 20]])
+      assert.equal(width, 120)
+      assert.equal(font.getAdvanceWidth('áb', 100), 110)
+    })
+
+    it('spaces the marks with their base', function () {
+      setLookups('mark', [{
+        lookupType: 4,
+        lookupFlag: 0,
+        subtables: [{
+          posFormat: 1,
+          markCoverage: coverage([3]),
+          baseCoverage: coverage([1]),
+          markClassCount: 1,
+          markArray: [{ markClass: 0, markAnchor: anchor(100, 0) }],
+          baseArray: [[anchor(250, 700)]]
+        }]
+      }])
+      const coordinates = []
+      const width = font.forEachGlyph('áb', 10, 20, 100, { letterSpacing: 0.1 }, function (glyph, x, y) {
+        coordinates.push([glyph.name, x, y])
+      })
+      assert.deepEqual(coordinates, [['a', 10, 20], ['acutecomb', 25, -50], ['b', 70, 20]])
+      assert.equal(width, 140)
+      assert.equal(font.getAdvanceWidth('áb', 100, { tracking: 100 }), 130)
+      // A mark without an anchor keeps its own advance, and is still spaced with its base.
+      assert.equal(font.getAdvanceWidth('àb', 100, { letterSpacing: 0.1 }), 150)
+    })
+  })
+})
@@ -141,4 +141,21 @@ describe('substitution.js', function () {
       }])
     })
   })
+
+  describe('getGlyphAlternates', function () {
+    it('lists the single and alternate substitutions of a glyph in all the features', function () {
+      substitution.add('aalt', { sub: 4, by: [5, 6, 7] })
+      substitution.add('salt', { sub: 4, by: 6 })
+      substitution.addSingle('smcp', { sub: 8, by: 9 })
+      assert.deepEqual(substitution.getGlyphAlternates(4), [
+        { feature: 'aalt', value: 1, by: 5 },
+        { feature: 'aalt', value: 2, by: 6 },
+        { feature: 'aalt', value: 3, by: 7 },
+        { feature: 'salt', value: 1, by: 6 }
+      ])
+      assert.deepEqual(substitution.getGlyphAlternates(8), [{ feature: 'smcp', value: 1, by: 9 }])
+      assert.deepEqual(substitution.getGlyphAlternates(5), [])
+      assert.deepEqual(substitution.getGlyphAlternates(4, 'latn'), [])
+    })
+  })
 })
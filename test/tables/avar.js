@@ -0,0 +1,47 @@
+import assert from 'assert'
+import { unhex, unhexArray } from '../testutil'
+import avar from '../../src/tables/avar'
+
+describe('tables/avar.js', function () {
+  it('can parse a version 1 avar table', function () {
+    const data = '0001 0000 0000 0001 0004 C000 C000 0000 0000 2000 1000 4000 4000'
+    assert.deepEqual(avar.parse(unhex(data), 0), {
+      version: 1,
+      axisSegmentMaps: [[
+        { fromCoordinate: -1, toCoordinate: -1 },
+        { fromCoordinate: 0, toCoordinate: 0 },
+        { fromCoordinate: 0.5, toCoordinate: 0.25 },
+        { fromCoordinate: 1, toCoordinate: 1 }
+      ]]
+    })
+  })
+
+  it('can parse a version 2 avar table', function () {
+    const data =
+          '0002 0000 0000 0001 0002 C000 C000 4000 4000' + // segment maps
+          '0000001A 0000001F' + // axis index map and item variation store offsets
+          '00 00 0001 00' + // axis index map
+          '0001 0000000C 0001 00000016' + // item variation store
+          '0001 0001 0000 4000 4000' +
+          '0001 0001 0001 0000 F000'
+    assert.deepEqual(avar.parse(unhex(data), 0), {
+      version: 2,
+      axisSegmentMaps: [[{ fromCoordinate: -1, toCoordinate: -1 }, { fromCoordinate: 1, toCoordinate: 1 }]],
+      axisIndexMap: [{ outerIndex: 0, innerIndex: 0 }],
+      itemVariationStore: {
+        format: 1,
+        variationRegions: [[{ startCoord: 0, peakCoord: 1, endCoord: 1 }]],
+        itemVariationData: [{ regionIndexes: [0], deltaSets: [[-4096]] }]
+      }
+    })
+  })
+
+  it('can make a version 1 avar table', function () {
+    const data = '0001 0000 0000 0001 0004 C000 C000 0000 0000 2000 1000 4000 4000'
+    assert.deepEqual(avar.make(avar.parse(unhex(data), 0)).encode(), unhexArray(data))
+  })
+
+  it('can only make version 1 avar tables', function () {
+    assert.throws(() => avar.make({ version: 2, axisSegmentMaps: [] }), /Only avar tables of version 1 can be written/)
+  })
+})
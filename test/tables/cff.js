@@ -1,9 +1,10 @@
 import assert from 'assert'
-import { hex } from '../testutil'
+import { hex, unhex } from '../testutil'
 import Glyph from '../../src/glyph'
 import glyphset from '../../src/glyphset'
 import Path from '../../src/path'
 import cff from '../../src/tables/cff'
+import Variation from '../../src/variation'
 
 describe('tables/cff.js', function () {
   const data =
@@ -40,4 +41,37 @@ describe('tables/cff.js', function () {
 
     assert.deepEqual(data, hex(cff.make(glyphs, options).encode()))
   })
+
+  it('can parse a CFF2 table and blend its values', function () {
+    const cff2Data =
+          '02 00 05 00 0D' + // header
+          '1C 00 44 11 1C 00 36 0C 24 1C 00 16 18' + // top dict: charStrings, FDArray, vstore
+          '00 00 00 00' + // global subrs
+          '00 1E 0001 0000000C 0001 00000016' + // variation store
+          '0001 0001 0000 4000 4000' + // region list
+          '0000 0000 0001 0000' + // item variation data
+          '00 00 00 01 01 01 06 8D 1C 00 42 12' + // FDArray with one font dict
+          '8B 16' + // private dict: vsindex 0
+          '00 00 00 02 01 01 01 0D' + // charStrings
+          '8B 8B 15 EF EF 8C 10 8B 05 8B EF 05' // 0 0 rmoveto 100 100 1 blend 0 rlineto 0 100 rlineto
+    const font = {
+      tables: { fvar: { axes: [{ tag: 'wght', minValue: 100, defaultValue: 400, maxValue: 900 }] } },
+      numGlyphs: 2,
+      unitsPerEm: 1000
+    }
+    font.variation = new Variation(font)
+    cff.parse(unhex(cff2Data), 0, font, {})
+    assert.equal(font.nGlyphs, 2)
+    assert.equal(font.tables.cff2.topDict._fdArray.length, 1)
+
+    const glyph = font.glyphs.get(1)
+    assert.deepEqual(glyph.path.commands, [
+      { type: 'M', x: 0, y: 0 },
+      { type: 'L', x: 100, y: 0 },
+      { type: 'L', x: 100, y: 100 },
+      { type: 'Z' }
+    ])
+    assert.deepEqual(cff.getBlendedPath(font, glyph, [0.5]).commands[1], { type: 'L', x: 150, y: 0 })
+    assert.deepEqual(font.variation.getGlyphPath(glyph, { wght: 900 }).commands[2], { type: 'L', x: 200, y: 100 })
+  })
 })
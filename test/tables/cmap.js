@@ -0,0 +1,115 @@
+import assert from 'assert'
+import { hex, unhex } from '../testutil'
+import { Font, Glyph, Path } from '../../src/opentype'
+import cmap from '../../src/tables/cmap'
+
+function makeGlyphs () {
+  return new Font({
+    familyName: 'MyFont',
+    styleName: 'Medium',
+    unitsPerEm: 1000,
+    ascender: 800,
+    descender: -200,
+    glyphs: [
+      new Glyph({ name: '.notdef', advanceWidth: 650, path: new Path() }),
+      new Glyph({ name: 'A', unicode: 65, advanceWidth: 600, path: new Path() }),
+      new Glyph({ name: 'B', unicode: 66, advanceWidth: 600, path: new Path() }),
+      new Glyph({ name: 'B.alt', advanceWidth: 600, path: new Path() })
+    ]
+  }).glyphs
+}
+
+function parseCmap (t) {
+  return cmap.parse(new DataView(new Uint8Array(t.encode()).buffer), 0)
+}
+
+const hexNumber = (value, bytes) => value.toString(16).padStart(bytes * 2, '0')
+
+// Build a cmap table with the given [platformID, encodingID, subtable data] encoding records, and parse it.
+function parseSubtables (records) {
+  let header = '0000' + hexNumber(records.length, 2)
+  let subtables = ''
+  let offset = 4 + records.length * 8
+  for (const [platformID, encodingID, subtable] of records) {
+    header += hexNumber(platformID, 2) + hexNumber(encodingID, 2) + hexNumber(offset, 4)
+    subtables += subtable
+    offset += subtable.split(' ').join('').length / 2
+  }
+  return cmap.parse(unhex(header + subtables), 0)
+}
+
+function glyphIdArray (count, glyphIndexes, bytes) {
+  const values = []
+  for (let c = 0; c < count; c += 1) {
+    values.push(hexNumber(glyphIndexes[c] || 0, bytes))
+  }
+  return values.join(' ')
+}
+
+describe('tables/cmap.js', function () {
+  // Subtables that map A and B, or the first code points of their encoding, to glyphs 1 and 2.
+  const format0 = '0000 0106 0000 ' + glyphIdArray(256, { 0x41: 1, 0x42: 2 }, 1)
+  const format2 = '0002 021C 0000 ' + glyphIdArray(256, { 0x81: 8 }, 2) +
+    ' 0041 0002 0000 000A' + // subheader 0: single-byte codes 0x41 and 0x42
+    ' 0040 0001 000A 0006' + // subheader 1: code 0x8140, glyph index + 10
+    ' 0001 0002 0005' // glyph index array
+  const format6 = '0006 000E 0000 0041 0003 0001 0000 0002'
+  const format8 = '0008 0000 0000 0000 0000 0000'
+  const format10 = '000A 0000 00000018 00000000 0001F600 00000002 0001 0002'
+  const format13 = '000D 0000 0000001C 00000000 00000001 00000041 00000043 00000007'
+
+  it('can parse legacy subtable formats', function () {
+    assert.deepEqual(parseSubtables([[1, 0, format0]]).glyphIndexMap, { 0x41: 1, 0x42: 2 })
+    assert.deepEqual(parseSubtables([[3, 2, format2]]).glyphIndexMap, { 0x41: 1, 0x42: 2, 0x8140: 15 })
+    assert.deepEqual(parseSubtables([[1, 0, format6]]).glyphIndexMap, { 0x41: 1, 0x43: 2 })
+    assert.deepEqual(parseSubtables([[3, 10, format10]]).glyphIndexMap, { 0x1F600: 1, 0x1F601: 2 })
+    assert.deepEqual(parseSubtables([[0, 6, format13]]).glyphIndexMap, { 0x41: 7, 0x42: 7, 0x43: 7 })
+  })
+
+  it('prefers the subtable with the best Unicode mapping', function () {
+    const parsed = parseSubtables([[0, 6, format13], [1, 0, format0], [3, 0, format6], [3, 1, format6], [3, 10, format8]])
+    assert.equal(parsed.format, 6)
+    assert.equal(parsed.platformID, 3)
+    assert.equal(parsed.encodingID, 1)
+
+    assert.equal(parseSubtables([[0, 6, format13], [1, 0, format0], [3, 0, format6]]).format, 13)
+    assert.equal(parseSubtables([[1, 0, format0], [3, 0, format6]]).platformID, 3)
+    assert.equal(parseSubtables([[1, 0, format0], [3, 10, format8]]).platformID, 1)
+    assert.throws(() => parseSubtables([[3, 10, format8]]), /No valid cmap sub-tables found/)
+  })
+
+  const variationSelectors = {
+    0xFE00: { defaultUVS: [65, 66], nonDefaultUVS: {} },
+    0xE0100: { defaultUVS: [65], nonDefaultUVS: { 66: 3 } }
+  }
+
+  it('can make a format 14 subtable', function () {
+    const data = cmap.make(makeGlyphs(), variationSelectors).encode()
+    // The format 14 encoding record comes first, and its subtable last.
+    assert.equal(hex(data.slice(0, 12)), '00 00 00 02 00 00 00 05 00 00 00 3C')
+    assert.equal(hex(data.slice(0x3C)),
+      // format, length, numVarSelectorRecords
+      '00 0E 00 00 00 39 00 00 00 02 ' +
+      // varSelector, defaultUVSOffset, nonDefaultUVSOffset
+      '00 FE 00 00 00 00 20 00 00 00 00 ' +
+      '0E 01 00 00 00 00 28 00 00 00 30 ' +
+      // DefaultUVS tables with ranges of consecutive characters
+      '00 00 00 01 00 00 41 01 ' +
+      '00 00 00 01 00 00 41 00 ' +
+      // NonDefaultUVS table
+      '00 00 00 01 00 00 42 00 03')
+  })
+
+  it('can parse a format 14 subtable', function () {
+    const parsed = parseCmap(cmap.make(makeGlyphs(), variationSelectors))
+    assert.deepEqual(parsed.variationSelectors, variationSelectors)
+    assert.equal(parsed.format, 4)
+    assert.deepEqual(parsed.glyphIndexMap, { 65: 1, 66: 2 })
+  })
+
+  it('leaves out the format 14 subtable when there are no variation sequences', function () {
+    const data = cmap.make(makeGlyphs(), {}).encode()
+    assert.equal(hex(data.slice(0, 12)), '00 00 00 01 00 03 00 01 00 00 00 0C')
+    assert.equal(parseCmap(cmap.make(makeGlyphs())).variationSelectors, undefined)
+  })
+})
@@ -0,0 +1,93 @@
+import assert from 'assert'
+import { hex } from '../testutil'
+import { Font, Glyph, Path, loadSync } from '../../src/opentype'
+import glyf from '../../src/tables/glyf'
+
+function makeFont (path) {
+  return new Font({
+    familyName: 'MyFont',
+    styleName: 'Medium',
+    unitsPerEm: 1000,
+    ascender: 800,
+    descender: -200,
+    glyphs: [
+      new Glyph({ name: '.notdef', advanceWidth: 650, path: new Path() }),
+      new Glyph({ name: 'A', unicode: 65, advanceWidth: 600, path: path })
+    ]
+  })
+}
+
+function parseMadeGlyph (made, index) {
+  const data = new DataView(new Uint8Array(made.table.encode()).buffer)
+  const glyph = {}
+  glyf.parseGlyph(glyph, data, made.offsets[index])
+  return glyph
+}
+
+describe('tables/glyf.js', function () {
+  it('can make a simple glyph with quadratic curves', function () {
+    const path = new Path()
+    path.moveTo(0, 0)
+    path.quadraticCurveTo(100, 200, 200, 0)
+    path.close()
+    const made = glyf.make(makeFont(path).glyphs)
+    assert.deepEqual(made.offsets, [0, 0, 24])
+    assert.equal(hex(made.table.encode()),
+      // numberOfContours, bbox, endPtsOfContours, instructionLength
+      '00 01 00 00 00 00 00 C8 00 C8 00 02 00 00 ' +
+      // flags, x and y coordinates, padding
+      '31 36 17 64 64 C8 C8 00 00 00')
+    assert.deepEqual(made.boundingBoxes[1], { xMin: 0, yMin: 0, xMax: 200, yMax: 200 })
+    assert.equal(made.profile.maxPoints, 3)
+    assert.equal(made.profile.maxContours, 1)
+  })
+
+  it('leaves out implied on-curve points', function () {
+    const path = new Path()
+    path.moveTo(0, 0)
+    path.quadraticCurveTo(0, 100, 50, 100)
+    path.quadraticCurveTo(100, 100, 100, 0)
+    path.close()
+    const glyph = parseMadeGlyph(glyf.make(makeFont(path).glyphs), 1)
+    assert.deepEqual(glyph.points.map(pt => [pt.x, pt.y, pt.onCurve]), [[0, 0, true], [0, 100, false], [100, 100, false], [100, 0, true]])
+  })
+
+  it('converts cubic curves to quadratic curves within the tolerance', function () {
+    const path = new Path()
+    path.moveTo(0, 0)
+    path.curveTo(0, 500, 1000, 500, 1000, 0)
+    path.close()
+    const coarse = parseMadeGlyph(glyf.make(makeFont(path).glyphs, { curveTolerance: 50 }), 1)
+    const fine = parseMadeGlyph(glyf.make(makeFont(path).glyphs, { curveTolerance: 1 }), 1)
+    assert(fine.points.length > coarse.points.length)
+
+    // The top of the cubic curve is at (500, 375).
+    const bbox = glyf.getPath(fine.points).getBoundingBox()
+    assert(Math.abs(bbox.y2 - 375) <= 1)
+    assert.deepEqual([bbox.x1, bbox.y1, bbox.x2], [0, 0, 1000])
+  })
+
+  it('keeps the points, instructions and components of TrueType glyphs', function () {
+    const font = loadSync('./fonts/Changa-Regular.ttf')
+    const made = glyf.make(font.glyphs)
+    const data = new DataView(new Uint8Array(made.table.encode()).buffer)
+    for (let i = 0; i < font.glyphs.length; i += 1) {
+      const expected = font.glyphs.get(i)
+      expected.getPath()
+      const actual = {}
+      if (made.offsets[i] !== made.offsets[i + 1]) {
+        glyf.parseGlyph(actual, data, made.offsets[i])
+      }
+
+      if (expected.isComposite) {
+        assert.deepEqual(actual.components, expected.components)
+        assert.deepEqual(actual.instructions, expected.instructions)
+      } else if (expected.points && expected.points.length > 0) {
+        assert.deepEqual(actual.points, expected.points)
+        assert.deepEqual(actual.instructions, expected.instructions)
+      }
+    }
+
+    assert.equal(made.profile.maxComponentDepth, 2)
+  })
+})
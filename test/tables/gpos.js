@@ -1,5 +1,5 @@
 import assert from 'assert'
-import { unhex } from '../testutil'
+import { unhex, unhexArray } from '../testutil'
 import gpos from '../../src/tables/gpos'
 
 // Helper that builds a minimal GPOS table to test a lookup subtable.
@@ -13,6 +13,25 @@ function parseLookup (lookupType, subTableData) {
   return gpos.parse(data).lookups[0].subtables[0]
 }
 
+function makeLookup (lookupType, data) {
+  return gpos.make({
+    version: 1,
+    scripts: [],
+    features: [],
+    lookups: [{
+      lookupType: lookupType,
+      lookupFlag: 0,
+      subtables: [data]
+    }]
+  }).encode().slice(0x1a) // sub table start offset: 0x1a
+}
+
+// Write a lookup subtable and parse it back.
+function remakeLookup (lookupType, data) {
+  const bytes = makeLookup(lookupType, data)
+  return parseLookup(lookupType, bytes.map(b => (b < 16 ? '0' : '') + b.toString(16)).join(''))
+}
+
 describe('tables/gpos.js', function () {
   /// / Header ///////////////////////////////////////////////////////////////
   it('can parse a GPOS header', function () {
@@ -58,8 +77,8 @@ describe('tables/gpos.js', function () {
       value: {
         xPlacement: 80, // 0x50
         yAdvance: 210, // 0xd2
-        xPlaDevice: undefined, // not supported yet
-        yAdvDevice: undefined // not supported yet
+        xPlaDevice: { startSize: 11, endSize: 15, deltaFormat: 1, deltaValues: [1, 1, 1, 1, 1] },
+        yAdvDevice: { startSize: 11, endSize: 15, deltaFormat: 1, deltaValues: [1, 1, 1, 1, 1] }
       }
     })
   })
@@ -138,4 +157,365 @@ describe('tables/gpos.js', function () {
       ]
     })
   })
+
+  /// / Lookup type 3 ////////////////////////////////////////////////////////
+  it('can parse lookup3 CursivePosFormat1', function () {
+    const data = '0001 000A 0001 0010 0000   0001 0001 0005   0001 0064 FF38'
+    assert.deepEqual(parseLookup(3, data), {
+      posFormat: 1,
+      coverage: {
+        format: 1,
+        glyphs: [5]
+      },
+      entryExitRecords: [
+        { entryAnchor: { anchorFormat: 1, xCoordinate: 100, yCoordinate: -200 }, exitAnchor: undefined }
+      ]
+    })
+  })
+
+  /// / Lookup type 4 ////////////////////////////////////////////////////////
+  it('can parse lookup4 MarkBasePosFormat1 with all anchor formats', function () {
+    const data = '0001 000C 0014 0002 001A 0032   0001 0002 0010 0011   0001 0001 0020   ' +
+      '0002 0000 000A 0001 0010   0001 0064 0000   0002 00C8 0000 0003   ' + // MarkArray
+      '0001 0006 0000   0003 01F4 0320 0000 000A   000B 000C 0001 7000' // BaseArray
+    assert.deepEqual(parseLookup(4, data), {
+      posFormat: 1,
+      markCoverage: {
+        format: 1,
+        glyphs: [0x10, 0x11]
+      },
+      baseCoverage: {
+        format: 1,
+        glyphs: [0x20]
+      },
+      markClassCount: 2,
+      markArray: [
+        { markClass: 0, markAnchor: { anchorFormat: 1, xCoordinate: 100, yCoordinate: 0 } },
+        { markClass: 1, markAnchor: { anchorFormat: 2, xCoordinate: 200, yCoordinate: 0, anchorPoint: 3 } }
+      ],
+      baseArray: [
+        [
+          {
+            anchorFormat: 3,
+            xCoordinate: 500,
+            yCoordinate: 800,
+            xDevice: undefined,
+            yDevice: { startSize: 11, endSize: 12, deltaFormat: 1, deltaValues: [1, -1] }
+          },
+          undefined
+        ]
+      ]
+    })
+  })
+
+  /// / Lookup type 5 ////////////////////////////////////////////////////////
+  it('can parse lookup5 MarkLigPosFormat1', function () {
+    const data = '0001 000C 0012 0001 0018 0024   0001 0001 0010   0001 0001 0030   ' +
+      '0001 0000 0006   0001 0000 0190   ' + // MarkArray
+      '0001 0004   0002 0006 0000   0001 0032 01F4' // LigatureArray
+    assert.deepEqual(parseLookup(5, data), {
+      posFormat: 1,
+      markCoverage: {
+        format: 1,
+        glyphs: [0x10]
+      },
+      ligatureCoverage: {
+        format: 1,
+        glyphs: [0x30]
+      },
+      markClassCount: 1,
+      markArray: [
+        { markClass: 0, markAnchor: { anchorFormat: 1, xCoordinate: 0, yCoordinate: 400 } }
+      ],
+      ligatureArray: [
+        [
+          [{ anchorFormat: 1, xCoordinate: 50, yCoordinate: 500 }],
+          [undefined]
+        ]
+      ]
+    })
+  })
+
+  /// / Lookup type 6 ////////////////////////////////////////////////////////
+  it('can parse lookup6 MarkMarkPosFormat1', function () {
+    const data = '0001 000C 0012 0001 0018 0024   0001 0001 0010   0001 0001 0011   ' +
+      '0001 0000 0006   0001 0000 0064   ' + // Mark1Array
+      '0001 0004   0001 0000 00C8' // Mark2Array
+    assert.deepEqual(parseLookup(6, data), {
+      posFormat: 1,
+      mark1Coverage: {
+        format: 1,
+        glyphs: [0x10]
+      },
+      mark2Coverage: {
+        format: 1,
+        glyphs: [0x11]
+      },
+      markClassCount: 1,
+      mark1Array: [
+        { markClass: 0, markAnchor: { anchorFormat: 1, xCoordinate: 0, yCoordinate: 100 } }
+      ],
+      mark2Array: [
+        [{ anchorFormat: 1, xCoordinate: 0, yCoordinate: 200 }]
+      ]
+    })
+  })
+
+  /// / Lookup type 7 ////////////////////////////////////////////////////////
+  it('can parse lookup7 ContextPosFormat3', function () {
+    const data = '0003 0002 0001 000E 0014 0000 0001   0001 0001 0005   0001 0001 0006'
+    assert.deepEqual(parseLookup(7, data), {
+      posFormat: 3,
+      coverages: [
+        { format: 1, glyphs: [5] },
+        { format: 1, glyphs: [6] }
+      ],
+      lookupRecords: [
+        { sequenceIndex: 0, lookupListIndex: 1 }
+      ]
+    })
+  })
+
+  /// / Lookup type 8 ////////////////////////////////////////////////////////
+  it('can parse lookup8 ChainContextPosFormat3', function () {
+    const data = '0003 0000 0001 0012 0001 0018 0001 0000 0002   0001 0001 0005   0001 0001 0006'
+    assert.deepEqual(parseLookup(8, data), {
+      posFormat: 3,
+      backtrackCoverage: [],
+      inputCoverage: [
+        { format: 1, glyphs: [5] }
+      ],
+      lookaheadCoverage: [
+        { format: 1, glyphs: [6] }
+      ],
+      lookupRecords: [
+        { sequenceIndex: 0, lookupListIndex: 2 }
+      ]
+    })
+  })
+
+  /// / Lookup type 9 ////////////////////////////////////////////////////////
+  it('can parse lookup9 ExtensionPosFormat1', function () {
+    const data = '0001 0003 00000008   0001 000A 0001 0010 0000   0001 0001 0005   0001 0064 FF38'
+    assert.deepEqual(parseLookup(9, data), {
+      posFormat: 1,
+      lookupType: 3,
+      extension: {
+        posFormat: 1,
+        coverage: {
+          format: 1,
+          glyphs: [5]
+        },
+        entryExitRecords: [
+          { entryAnchor: { anchorFormat: 1, xCoordinate: 100, yCoordinate: -200 }, exitAnchor: undefined }
+        ]
+      }
+    })
+  })
+
+  /// / Writing //////////////////////////////////////////////////////////////
+  it('can write lookup1 SinglePosFormat1', function () {
+    // https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#example-2-singleposformat1-subtable
+    const expectedData = unhexArray('0001 0008 0002   FFB0 0002 0001   01B3 01BC 0000')
+    assert.deepEqual(makeLookup(1, {
+      posFormat: 1,
+      coverage: {
+        format: 2,
+        ranges: [{ start: 0x1b3, end: 0x1bc, index: 0 }]
+      },
+      value: { yPlacement: -80 }
+    }), expectedData)
+  })
+
+  it('can write lookup1 SinglePosFormat2', function () {
+    // https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#example-3-singleposformat2-subtable
+    const expectedData = unhexArray('0002 0014 0005 0003   0032 0032   0019 0019  000A 000A   0001 0003 004F 0125 0129')
+    assert.deepEqual(makeLookup(1, {
+      posFormat: 2,
+      coverage: {
+        format: 1,
+        glyphs: [0x4f, 0x125, 0x129]
+      },
+      values: [
+        { xPlacement: 50, xAdvance: 50 },
+        { xPlacement: 25, xAdvance: 25 },
+        { xPlacement: 10, xAdvance: 10 }
+      ]
+    }), expectedData)
+  })
+
+  it('can write value records with device and variation index tables', function () {
+    // https://docs.microsoft.com/fr-fr/typography/opentype/spec/gpos#example-14-valueformat-table-and-valuerecord
+    const subtable = parseLookup(1, '0001 000E 0099   0050 00D2 0018 0020   0002 0001 00C8 00D1 0000   000B 000F 0001 5540   000B 000F 0001 5540')
+    assert.deepEqual(remakeLookup(1, subtable), subtable)
+
+    const pairs = {
+      posFormat: 1,
+      coverage: { format: 1, glyphs: [0x2d] },
+      valueFormat1: 0x44,
+      valueFormat2: 0,
+      pairSets: [[
+        { secondGlyph: 0x59, value1: { xAdvance: -30, xAdvDevice: { deltaFormat: 0x8000, deltaSetOuterIndex: 0, deltaSetInnerIndex: 2 } }, value2: undefined }
+      ]]
+    }
+    assert.deepEqual(remakeLookup(2, pairs), pairs)
+  })
+
+  it('can write lookup2 PairPosFormat2', function () {
+    // https://docs.microsoft.com/en-us/typography/opentype/spec/gpos#example-5-pairposformat2-subtable
+    const expectedData = unhexArray('0002 0018 0004 0000 0022 0032 0002 0002 0000 0000 0000 FFCE   0001 0003 0046 0047 0049   0002 0002 0046 0047 0001 0049 0049 0001   0002 0001 006A 006B 0001')
+    assert.deepEqual(makeLookup(2, {
+      posFormat: 2,
+      coverage: {
+        format: 1,
+        glyphs: [0x46, 0x47, 0x49]
+      },
+      classDef1: {
+        format: 2,
+        ranges: [
+          { start: 0x46, end: 0x47, classId: 1 },
+          { start: 0x49, end: 0x49, classId: 1 }
+        ]
+      },
+      classDef2: {
+        format: 2,
+        ranges: [
+          { start: 0x6a, end: 0x6b, classId: 1 }
+        ]
+      },
+      classRecords: [
+        [{ value1: { xAdvance: 0 } }, { value1: { xAdvance: 0 } }],
+        [{ value1: { xAdvance: 0 } }, { value1: { xAdvance: -50 } }]
+      ]
+    }), expectedData)
+  })
+
+  it('can write lookup2 PairPosFormat1', function () {
+    const subtable = {
+      posFormat: 1,
+      coverage: {
+        format: 1,
+        glyphs: [0x2d, 0x31]
+      },
+      valueFormat1: 4,
+      valueFormat2: 1,
+      pairSets: [
+        [{ secondGlyph: 0x59, value1: { xAdvance: -30 }, value2: { xPlacement: -20 } }],
+        [{ secondGlyph: 0x59, value1: { xAdvance: -40 }, value2: { xPlacement: -25 } }]
+      ]
+    }
+    assert.deepEqual(remakeLookup(2, subtable), subtable)
+  })
+
+  it('can write lookups with anchors and device tables', function () {
+    const lookups = {
+      3: '0001 000A 0001 0010 0000   0001 0001 0005   0001 0064 FF38',
+      4: '0001 000C 0014 0002 001A 0032   0001 0002 0010 0011   0001 0001 0020   ' +
+        '0002 0000 000A 0001 0010   0001 0064 0000   0002 00C8 0000 0003   ' +
+        '0001 0006 0000   0003 01F4 0320 0000 000A   000B 000C 0001 7000',
+      5: '0001 000C 0012 0001 0018 0024   0001 0001 0010   0001 0001 0030   ' +
+        '0001 0000 0006   0001 0000 0190   ' +
+        '0001 0004   0002 0006 0000   0001 0032 01F4',
+      6: '0001 000C 0012 0001 0018 0024   0001 0001 0010   0001 0001 0011   ' +
+        '0001 0000 0006   0001 0000 0064   ' +
+        '0001 0004   0001 0000 00C8'
+    }
+    for (const lookupType in lookups) {
+      const subtable = parseLookup(lookupType, lookups[lookupType])
+      assert.deepEqual(remakeLookup(lookupType, subtable), subtable, 'lookup type ' + lookupType)
+    }
+  })
+
+  it('can write contextual lookups of all formats', function () {
+    const coverage = { format: 1, glyphs: [5, 6] }
+    const classDef = { format: 1, startGlyph: 5, classes: [1, 2] }
+    const lookupRecords = [{ sequenceIndex: 0, lookupListIndex: 1 }]
+    const subtables = {
+      7: [{
+        posFormat: 1,
+        coverage,
+        ruleSets: [[{ input: [6], lookupRecords }], undefined]
+      }, {
+        posFormat: 2,
+        coverage,
+        classDef,
+        classSets: [undefined, [{ classes: [2], lookupRecords }], undefined]
+      }, {
+        posFormat: 3,
+        coverages: [coverage, coverage],
+        lookupRecords
+      }],
+      8: [{
+        posFormat: 1,
+        coverage,
+        chainRuleSets: [[{ backtrack: [5], input: [6], lookahead: [], lookupRecords }], undefined]
+      }, {
+        posFormat: 2,
+        coverage,
+        backtrackClassDef: classDef,
+        inputClassDef: classDef,
+        lookaheadClassDef: classDef,
+        chainClassSet: [undefined, [{ backtrack: [], input: [2], lookahead: [1], lookupRecords }], undefined]
+      }, {
+        posFormat: 3,
+        backtrackCoverage: [],
+        inputCoverage: [coverage],
+        lookaheadCoverage: [coverage],
+        lookupRecords
+      }]
+    }
+    for (const lookupType in subtables) {
+      for (const subtable of subtables[lookupType]) {
+        assert.deepEqual(remakeLookup(lookupType, subtable), subtable, 'lookup type ' + lookupType + ' format ' + subtable.posFormat)
+      }
+    }
+  })
+
+  it('can write lookup9 ExtensionPosFormat1', function () {
+    const expectedData = unhexArray('0001 0003 00000008   0001 000A 0001 0010 0000   0001 0001 0005   0001 0064 FF38')
+    assert.deepEqual(makeLookup(9, {
+      posFormat: 1,
+      lookupType: 3,
+      extension: {
+        posFormat: 1,
+        coverage: {
+          format: 1,
+          glyphs: [5]
+        },
+        entryExitRecords: [
+          { entryAnchor: { anchorFormat: 1, xCoordinate: 100, yCoordinate: -200 }, exitAnchor: undefined }
+        ]
+      }
+    }), expectedData)
+  })
+
+  it('writes extension lookups when the lookups do not fit in 16-bit offsets', function () {
+    const glyphs = []
+    const values = []
+    for (let i = 0; i < 500; i++) {
+      glyphs.push(i)
+      values.push({ xPlacement: i, yPlacement: -i, xAdvance: i, yAdvance: 0 })
+    }
+    const lookups = []
+    for (let i = 0; i < 20; i++) {
+      lookups.push({
+        lookupType: 1,
+        lookupFlag: 0x10,
+        markFilteringSet: i,
+        subtables: [{ posFormat: 2, coverage: { format: 1, glyphs }, values }]
+      })
+    }
+    const gposTable = { version: 1, scripts: [], features: [], lookups }
+    const data = gpos.make(gposTable).encode()
+    assert(data.length > 0x10000)
+
+    const parsed = gpos.parse(new DataView(new Uint8Array(data).buffer))
+    assert.equal(parsed.lookups.length, 20)
+    parsed.lookups.forEach((lookup, i) => {
+      assert.equal(lookup.lookupType, 9)
+      assert.equal(lookup.markFilteringSet, i)
+      assert.equal(lookup.subtables[0].lookupType, 1)
+      assert.deepEqual(lookup.subtables[0].extension, lookups[i].subtables[0])
+    })
+  })
 })
@@ -45,6 +45,28 @@ describe('tables/gsub.js', function () {
     assert.deepEqual(gsub.parse(data), { version: 1, scripts: [], features: [], lookups: [] })
   })
 
+  it('can parse a GSUB 1.1 header with feature variations', function () {
+    const data = unhex(
+      '00010001 000E 0010 001C 0000001E' + // header
+            '0000' + // ScriptTable - 0 scripts
+            '0001 7276726E 0008 0000 0000' + // FeatureListTable - 1 feature without lookups
+            '0000' + // LookupListTable - 0 lookups
+            '00010000 00000001 00000010 0000001E' + // FeatureVariations - 1 record
+            '0001 00000006 0001 0000 2000 4000' + // ConditionSet - axis 0 from 0.5 to 1
+            '00010000 0001 0000 0000000C 0000 0001 0000' // FeatureTableSubstitution - feature 0 with lookup 0
+    )
+    assert.deepEqual(gsub.parse(data), {
+      version: 1.1,
+      scripts: [],
+      features: [{ tag: 'rvrn', feature: { featureParams: 0, lookupListIndexes: [] } }],
+      lookups: [],
+      variations: [{
+        conditions: [{ format: 1, axisIndex: 0, filterRangeMinValue: 0.5, filterRangeMaxValue: 1 }],
+        substitutions: [{ featureIndex: 0, feature: { featureParams: 0, lookupListIndexes: [0] } }]
+      }]
+    })
+  })
+
   /// / Lookup type 1 ////////////////////////////////////////////////////////
   it('can parse lookup1 substFormat 1', function () {
     // https://www.microsoft.com/typography/OTSPEC/GSUB.htm#EX2
@@ -0,0 +1,77 @@
+import assert from 'assert'
+import { hex, unhex } from '../testutil'
+import gvar from '../../src/tables/gvar'
+
+describe('tables/gvar.js', function () {
+  it('can parse a gvar table', function () {
+    const data = unhex(
+      '0001 0000 0001 0001 0000001A 0002 0000 0000001C' + // header: 1 axis, 1 shared tuple, 2 glyphs
+      '0000 0000 0016' + // glyph variation data offsets
+      '4000' + // shared tuple
+      '8002 0012' + // glyph 1: 2 tuple variations with shared point numbers, data offset
+      '0004 0000' + // data size, shared tuple 0
+      '0011 E000 E000 C000 0000' + // data size, private point numbers, embedded intermediate region
+      '02 01 00 02' + // shared point numbers 0 and 2
+      '01 0A F6 81' + // x deltas 10 and -10, y deltas 0
+      '00 46 0100 0000 0000 0000 0000 0000 0000 86 00' // all points, x deltas as words, y deltas 0
+    )
+    assert.deepEqual(gvar.parse(data, 0), {
+      version: 1,
+      axisCount: 1,
+      sharedTuples: [[1]],
+      glyphVariations: [
+        [],
+        [{
+          peakTuple: [1],
+          points: [0, 2],
+          xDeltas: [10, -10],
+          yDeltas: [0, 0]
+        }, {
+          peakTuple: [-0.5],
+          intermediateStartTuple: [-1],
+          intermediateEndTuple: [0],
+          points: undefined,
+          xDeltas: [256, 0, 0, 0, 0, 0, 0],
+          yDeltas: [0, 0, 0, 0, 0, 0, 0]
+        }]
+      ]
+    })
+  })
+
+  it('can make a gvar table', function () {
+    const table = {
+      version: 1,
+      axisCount: 2,
+      glyphVariations: [
+        [],
+        [{
+          peakTuple: [1, 0],
+          points: undefined,
+          xDeltas: [10, -10, 0, 0, 300, 0],
+          yDeltas: [0, 0, 0, 0, 0, -1000]
+        }, {
+          peakTuple: [1, 1],
+          points: [0, 3, 400],
+          xDeltas: [1, 2, 3],
+          yDeltas: [-1, -2, -3]
+        }, {
+          peakTuple: [0.5, 0],
+          intermediateStartTuple: [0, 0],
+          intermediateEndTuple: [1, 0],
+          points: undefined,
+          xDeltas: [5],
+          yDeltas: [5]
+        }],
+        [{
+          peakTuple: [0, -1],
+          points: undefined,
+          xDeltas: [1],
+          yDeltas: [0]
+        }]
+      ]
+    }
+    const parsed = gvar.parse(unhex(hex(gvar.make(table).encode())), 0)
+    assert.deepEqual(parsed.sharedTuples, [[1, 0], [1, 1], [0.5, 0], [0, -1]])
+    assert.deepEqual(parsed, Object.assign({ sharedTuples: parsed.sharedTuples }, table))
+  })
+})
@@ -0,0 +1,51 @@
+import assert from 'assert'
+import { hex, unhex, unhexArray } from '../testutil'
+import hvar from '../../src/tables/hvar'
+
+describe('tables/hvar.js', function () {
+  it('can parse a HVAR table', function () {
+    const data =
+          '0001 0000 00000014 00000033 00000000 00000000' + // header
+          '0001 0000000C 0001 00000016' + // item variation store
+          '0001 0001 0000 4000 4000' +
+          '0001 0000 0001 0000 32' +
+          '00 00 0002 00 00' // advance width mapping
+    assert.deepEqual(hvar.parse(unhex(data), 0), {
+      version: 1,
+      itemVariationStore: {
+        format: 1,
+        variationRegions: [[{ startCoord: 0, peakCoord: 1, endCoord: 1 }]],
+        itemVariationData: [{ regionIndexes: [0], deltaSets: [[50]] }]
+      },
+      advanceWidthMapping: [{ outerIndex: 0, innerIndex: 0 }, { outerIndex: 0, innerIndex: 0 }],
+      lsbMapping: undefined,
+      rsbMapping: undefined
+    })
+  })
+
+  it('can make a HVAR table', function () {
+    const data =
+          '0001 0000 00000014 00000033 00000000 00000000' + // header
+          '0001 0000000C 0001 00000016' + // item variation store
+          '0001 0001 0000 4000 4000' +
+          '0001 0000 0001 0000 32' +
+          '00 00 0002 00 00' // advance width mapping
+    assert.deepEqual(hvar.make(hvar.parse(unhex(data), 0)).encode(), unhexArray(data))
+  })
+
+  it('writes the deltas that don\'t fit in a byte as words, before the other deltas', function () {
+    const itemVariationStore = {
+      format: 1,
+      variationRegions: [
+        [{ startCoord: 0, peakCoord: 1, endCoord: 1 }],
+        [{ startCoord: -1, peakCoord: -1, endCoord: 0 }]
+      ],
+      itemVariationData: [{ regionIndexes: [0, 1], deltaSets: [[-5, 300], [127, -128]] }]
+    }
+    const made = hvar.make({ version: 1, itemVariationStore, advanceWidthMapping: [{ outerIndex: 0, innerIndex: 1 }] })
+    const parsed = hvar.parse(unhex(hex(made.encode())), 0)
+    assert.deepEqual(parsed.itemVariationStore.itemVariationData, [{ regionIndexes: [1, 0], deltaSets: [[300, -5], [-128, 127]] }])
+    assert.deepEqual(parsed.itemVariationStore.variationRegions, itemVariationStore.variationRegions)
+    assert.deepEqual(parsed.advanceWidthMapping, [{ outerIndex: 0, innerIndex: 1 }])
+  })
+})
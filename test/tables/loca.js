@@ -1,5 +1,5 @@
 import assert from 'assert'
-import { unhex } from '../testutil'
+import { unhex, unhexArray } from '../testutil'
 import loca from '../../src/tables/loca'
 
 describe('tables/loca.js', function () {
@@ -12,4 +12,13 @@ describe('tables/loca.js', function () {
     const data = unhex('DEADBEEF 00000010 00000100 ABCD5678')
     assert.deepEqual([0x10, 0x100, 0xabcd5678], loca.parse(data, 4, 2, false))
   })
+
+  it('can make the short version', function () {
+    assert.deepEqual(loca.make([0, 32, 0x1FFFE], true).encode(), [0x00, 0x00, 0x00, 0x10, 0xFF, 0xFF])
+    assert.throws(() => loca.make([0, 0x20000], true), /does not fit in a short loca table/)
+  })
+
+  it('can make the long version', function () {
+    assert.deepEqual(loca.make([0, 0x10, 0xabcd5678], false).encode(), unhexArray('00000000 00000010 ABCD5678'))
+  })
 })
@@ -0,0 +1,26 @@
+import assert from 'assert'
+import { unhex } from '../testutil'
+import mvar from '../../src/tables/mvar'
+
+describe('tables/mvar.js', function () {
+  it('can parse a MVAR table', function () {
+    const data =
+          '0001 0000 0000 0008 0002 001C' + // header
+          '78686774 0000 0000 756E646F 0000 0001' + // 'xhgt' and 'undo' value records
+          '0001 0000000C 0001 00000016' + // item variation store
+          '0001 0001 0000 4000 4000' +
+          '0002 0000 0001 0000 32 F6'
+    assert.deepEqual(mvar.parse(unhex(data), 0), {
+      version: 1,
+      valueRecords: [
+        { valueTag: 'xhgt', deltaSetOuterIndex: 0, deltaSetInnerIndex: 0 },
+        { valueTag: 'undo', deltaSetOuterIndex: 0, deltaSetInnerIndex: 1 }
+      ],
+      itemVariationStore: {
+        format: 1,
+        variationRegions: [[{ startCoord: 0, peakCoord: 1, endCoord: 1 }]],
+        itemVariationData: [{ regionIndexes: [0], deltaSets: [[50], [-10]] }]
+      }
+    })
+  })
+})
@@ -0,0 +1,56 @@
+import assert from 'assert'
+import { hex, unhex } from '../testutil'
+import stat from '../../src/tables/stat'
+
+describe('tables/stat.js', function () {
+  const data =
+        '00 01 00 02 00 08 00 02 00 00 00 14 00 04 00 00 00 24 01 00 ' +
+        '77 67 68 74 01 01 00 00 69 74 61 6C 01 02 00 01 ' +
+        '00 08 00 14 00 28 00 38 ' +
+        '00 01 00 00 00 02 01 00 01 90 00 00 ' +
+        '00 02 00 00 00 00 01 03 02 BC 00 00 02 58 00 00 03 84 00 00 ' +
+        '00 03 00 01 00 02 01 04 00 00 00 00 00 01 00 00 ' +
+        '00 04 00 02 00 00 01 05 00 00 02 BC 00 00 00 01 00 01 00 00'
+
+  const table = {
+    version: 1.2,
+    axes: [
+      { tag: 'wght', name: { en: 'Weight', ja: 'ウエイト' }, ordering: 0 },
+      { tag: 'ital', name: { en: 'Italic' }, ordering: 1 }
+    ],
+    values: [
+      { format: 1, axisIndex: 0, flags: 2, name: { en: 'Regular' }, value: 400 },
+      { format: 2, axisIndex: 0, flags: 0, name: { en: 'Bold' }, nominalValue: 700, rangeMinValue: 600, rangeMaxValue: 900 },
+      { format: 3, axisIndex: 1, flags: 2, name: { en: 'Upright' }, value: 0, linkedValue: 1 },
+      { format: 4, flags: 0, name: { en: 'Bold Italic' }, axisValues: [{ axisIndex: 0, value: 700 }, { axisIndex: 1, value: 1 }] }
+    ],
+    elidedFallbackName: { en: 'Regular' }
+  }
+
+  const names = {
+    256: { en: 'Regular' },
+    257: { en: 'Weight', ja: 'ウエイト' },
+    258: { en: 'Italic' },
+    259: { en: 'Bold' },
+    260: { en: 'Upright' },
+    261: { en: 'Bold Italic' }
+  }
+
+  it('can parse a style attributes table', function () {
+    assert.deepEqual(stat.parse(unhex(data), 0, names), table)
+  })
+
+  it('uses the subfamily name as elided fallback name in version 1.0 tables', function () {
+    const version10 = '00 01 00 00 00 08 00 01 00 00 00 12 00 00 00 00 00 00 77 67 68 74 01 01 00 00'
+    const parsed = stat.parse(unhex(version10), 0, { fontSubfamily: { en: 'Regular' }, 257: { en: 'Weight' } })
+    assert.deepEqual(parsed.elidedFallbackName, { en: 'Regular' })
+    assert.deepEqual(parsed.axes, [{ tag: 'wght', name: { en: 'Weight' }, ordering: 0 }])
+    assert.deepEqual(parsed.values, [])
+  })
+
+  it('can make a style attributes table', function () {
+    const madeNames = { 256: { en: 'Regular' } }
+    assert.deepEqual(hex(stat.make(table, madeNames).encode()), data)
+    assert.deepEqual(madeNames, names)
+  })
+})
@@ -0,0 +1,26 @@
+import assert from 'assert'
+import { unhex } from '../testutil'
+import vvar from '../../src/tables/vvar'
+
+describe('tables/vvar.js', function () {
+  it('can parse a VVAR table', function () {
+    const data =
+          '0001 0000 00000018 00000000 00000000 00000000 00000037' + // header
+          '0001 0000000C 0001 00000016' + // item variation store
+          '0001 0001 0000 4000 4000' +
+          '0001 0000 0001 0000 32' +
+          '00 01 0001 01' // vertical origin mapping
+    assert.deepEqual(vvar.parse(unhex(data), 0), {
+      version: 1,
+      itemVariationStore: {
+        format: 1,
+        variationRegions: [[{ startCoord: 0, peakCoord: 1, endCoord: 1 }]],
+        itemVariationData: [{ regionIndexes: [0], deltaSets: [[50]] }]
+      },
+      advanceHeightMapping: undefined,
+      tsbMapping: undefined,
+      bsbMapping: undefined,
+      vOrgMapping: [{ outerIndex: 0, innerIndex: 1 }]
+    })
+  })
+})
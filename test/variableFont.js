@@ -0,0 +1,145 @@
+import assert from 'assert'
+import { Font, Glyph, Path, parse, buildVariableFont } from '../src/opentype.js'
+
+describe('variableFont.js', function () {
+  // A master with a rectangle glyph of the given width and height, and an advance width of width + 100.
+  function makeMaster (width, height, styleName = 'Regular') {
+    const path = new Path()
+    path.moveTo(50, 0)
+    path.lineTo(50, height)
+    path.lineTo(50 + width, height)
+    path.lineTo(50 + width, 0)
+    path.close()
+    return new Font({
+      familyName: 'MyFont',
+      styleName,
+      unitsPerEm: 1000,
+      ascender: 800,
+      descender: -200,
+      glyphs: [
+        new Glyph({ name: '.notdef', advanceWidth: 500, path: new Path() }),
+        new Glyph({ name: 'I', unicode: 73, advanceWidth: width + 100, path })
+      ]
+    })
+  }
+
+  function getPoints (font, variation) {
+    const coordinates = font.variation.normalizeCoordinates(variation)
+    return font.variation.getGlyphPoints(font.glyphs.get(1), coordinates).slice(0, -4).map(pt => [pt.x, pt.y])
+  }
+
+  const wght = { tag: 'wght', name: 'Weight', minValue: 100, defaultValue: 400, maxValue: 900 }
+  const wdth = { tag: 'wdth', name: 'Width', minValue: 50, defaultValue: 100, maxValue: 100 }
+  let masters
+
+  beforeEach(function () {
+    masters = [
+      { font: makeMaster(100, 600), location: { wght: 400, wdth: 100 } },
+      { font: makeMaster(300, 600, 'Black'), location: { wght: 900, wdth: 100 } },
+      { font: makeMaster(50, 600, 'Thin'), location: { wght: 100, wdth: 100 } },
+      { font: makeMaster(50, 500, 'Condensed'), location: { wght: 400, wdth: 50 } },
+      { font: makeMaster(200, 500, 'Condensed Black'), location: { wght: 900, wdth: 50 } }
+    ]
+  })
+
+  it('builds a variable font that has the outlines of the masters at their locations', function () {
+    const font = buildVariableFont(masters, { axes: [wght, wdth] })
+    assert.deepEqual(font.variation.getAxes().map(axis => axis.tag), ['wght', 'wdth'])
+    assert.deepEqual(getPoints(font, {}), [[50, 0], [50, 600], [150, 600], [150, 0]])
+    assert.deepEqual(getPoints(font, { wght: 900 }).slice(2), [[350, 600], [350, 0]])
+    assert.deepEqual(getPoints(font, { wght: 100 }).slice(2), [[100, 600], [100, 0]])
+    assert.deepEqual(getPoints(font, { wdth: 50 }).slice(2), [[100, 500], [100, 0]])
+    assert.deepEqual(getPoints(font, { wght: 900, wdth: 50 }).slice(2), [[250, 500], [250, 0]])
+    assert.deepEqual(getPoints(font, { wght: 650, wdth: 75 }).slice(2), [[212.5, 550], [212.5, 0]])
+    assert.equal(font.variation.getAdvanceWidth(font.glyphs.get(1), { wght: 900, wdth: 50 }), 300)
+    assert.equal(font.variation.getAdvanceWidth(font.glyphs.get(1), { wght: 100 }), 150)
+  })
+
+  it('writes the variation tables of the variable font', function () {
+    const font = parse(buildVariableFont(masters, {
+      axes: [
+        Object.assign({ values: [{ value: 400, name: 'Regular', flags: 2 }, { value: 900, name: 'Black' }] }, wght),
+        Object.assign({ values: [{ value: 100, name: 'Normal', flags: 2 }, { value: 50, name: 'Condensed' }] }, wdth)
+      ],
+      instances: [{ name: 'Black', coordinates: { wght: 900 } }, { name: 'Condensed', coordinates: { wdth: 50 } }]
+    }).toArrayBuffer())
+
+    assert.equal(font.outlinesFormat, 'truetype')
+    assert.deepEqual(font.tables.fvar.axes.map(axis => [axis.tag, axis.minValue, axis.defaultValue, axis.maxValue, axis.name.en]),
+      [['wght', 100, 400, 900, 'Weight'], ['wdth', 50, 100, 100, 'Width']])
+    assert.deepEqual(font.tables.fvar.instances.map(instance => [instance.name.en, instance.coordinates]),
+      [['Black', { wght: 900, wdth: 100 }], ['Condensed', { wght: 400, wdth: 50 }]])
+    assert.equal(font.tables.gvar.glyphVariations[0].length, 0)
+    assert.equal(font.tables.avar, undefined)
+    assert.ok(font.tables.hvar)
+    assert.equal(font.getStyleAttributes({ wght: 900, wdth: 50 }).styleName.en, 'Black Condensed')
+    assert.equal(font.getStyleAttributes({}).styleName.en, 'Regular')
+
+    assert.deepEqual(getPoints(font, { wght: 650, wdth: 75 }).slice(2), [[212.5, 550], [212.5, 0]])
+    assert.equal(font.getAdvanceWidth('I', 1000, { variation: { wght: 900 } }), 400)
+    assert.deepEqual(font.instantiate({ wght: 900, wdth: 50 }).glyphs.get(1).points.map(pt => [pt.x, pt.y]),
+      [[50, 0], [50, 500], [250, 500], [250, 0]])
+  })
+
+  it('maps the user coordinates of the axes to the design coordinates of the masters', function () {
+    // The masters are at design coordinates 20 and 100, which are at 100 and 900 in user coordinates.
+    const mappedMasters = [
+      { font: makeMaster(100, 600), location: { wght: 50 } },
+      { font: makeMaster(300, 600, 'Black'), location: { wght: 100 } },
+      { font: makeMaster(50, 600, 'Thin'), location: { wght: 20 } }
+    ]
+    const axis = Object.assign({}, wght, { map: [[100, 20], [400, 50], [700, 90], [900, 100]] })
+    const font = parse(buildVariableFont(mappedMasters, { axes: [axis] }).toArrayBuffer())
+    assert.deepEqual(font.tables.avar.axisSegmentMaps, [[
+      { fromCoordinate: -1, toCoordinate: -1 },
+      { fromCoordinate: 0, toCoordinate: 0 },
+      { fromCoordinate: 0.6, toCoordinate: 0.8 },
+      { fromCoordinate: 1, toCoordinate: 1 }
+    ].map(segment => ({
+      fromCoordinate: Math.round(segment.fromCoordinate * 0x4000) / 0x4000,
+      toCoordinate: Math.round(segment.toCoordinate * 0x4000) / 0x4000
+    }))])
+    assert.deepEqual(getPoints(font, { wght: 900 }).slice(2), [[350, 600], [350, 0]])
+    assert.deepEqual(getPoints(font, { wght: 700 }).slice(2), [[310, 600], [310, 0]])
+  })
+
+  it('converts the cubic curves of the masters to quadratic curves', function () {
+    const makeCurveMaster = function (size) {
+      const path = new Path()
+      path.moveTo(0, 0)
+      path.curveTo(0, size, size, size, size, 0)
+      path.close()
+      return new Font({
+        familyName: 'MyFont',
+        styleName: 'Regular',
+        unitsPerEm: 1000,
+        ascender: 800,
+        descender: -200,
+        glyphs: [new Glyph({ name: '.notdef', advanceWidth: 500, path: new Path() }), new Glyph({ name: 'O', advanceWidth: 500, path })]
+      })
+    }
+
+    const font = buildVariableFont([
+      { font: makeCurveMaster(300), location: { wght: 400 } },
+      { font: makeCurveMaster(302), location: { wght: 900 } }
+    ], { axes: [wght], curveTolerance: 30 })
+    assert.deepEqual(font.glyphs.get(1).points.map(pt => [pt.x, pt.y, pt.onCurve]), [[0, 0, true], [150, 450, false], [300, 0, true]])
+    assert.deepEqual(getPoints(font, { wght: 900 }), [[0, 0], [151, 453], [302, 0]])
+  })
+
+  it('throws an error when the masters are not compatible', function () {
+    const path = new Path()
+    path.moveTo(50, 0)
+    path.lineTo(50, 600)
+    path.lineTo(150, 0)
+    path.close()
+    masters[1].font.glyphs.get(1).path = path
+    assert.throws(() => buildVariableFont(masters, { axes: [wght, wdth] }),
+      /Glyph "I" of master 1 is not compatible: it has 3 points instead of 4/)
+  })
+
+  it('needs a master at the default location', function () {
+    assert.throws(() => buildVariableFont(masters.slice(1), { axes: [wght, wdth] }), /There is no master at the default location/)
+    assert.throws(() => buildVariableFont(masters, { axes: [wght] }), /Master 0 has a location on the unknown axis wdth/)
+  })
+})
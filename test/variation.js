@@ -0,0 +1,369 @@
+import assert from 'assert'
+import { Font, Glyph, Path, parse } from '../src/opentype.js'
+
+describe('variation.js', function () {
+  let font
+
+  // Set the deltas of a glyph for a single tuple variation.
+  function setVariations (glyphIndex, tupleVariations) {
+    font.tables.gvar.glyphVariations[glyphIndex] = tupleVariations
+  }
+
+  function getPoints (glyphIndex, wght) {
+    const glyph = font.glyphs.get(glyphIndex)
+    return font.variation.getGlyphPoints(glyph, font.variation.normalizeCoordinates({ wght })).map(pt => [pt.x, pt.y])
+  }
+
+  beforeEach(function () {
+    const path = new Path()
+    path.moveTo(0, 0)
+    path.lineTo(0, 200)
+    path.lineTo(50, 200)
+    path.lineTo(100, 200)
+    path.lineTo(100, 0)
+    path.close()
+    font = parse(new Font({
+      familyName: 'MyFont',
+      styleName: 'Medium',
+      unitsPerEm: 1000,
+      ascender: 800,
+      descender: -200,
+      glyphs: [
+        new Glyph({ name: '.notdef', advanceWidth: 500, path: new Path() }),
+        new Glyph({ name: 'A', unicode: 65, advanceWidth: 300, path }),
+        new Glyph({ name: 'B', unicode: 66, advanceWidth: 300, path })
+      ]
+    }).toArrayBuffer({ outlinesFormat: 'truetype' }))
+    font.tables.fvar = {
+      axes: [{ tag: 'wght', minValue: 100, defaultValue: 400, maxValue: 900, name: { en: 'Weight' } }],
+      instances: []
+    }
+    font.tables.gvar = { version: 1, axisCount: 1, sharedTuples: [], glyphVariations: [[], [], []] }
+  })
+
+  it('normalizes user coordinates', function () {
+    assert.deepEqual(font.variation.normalizeCoordinates({ wght: 650 }), [0.5])
+    assert.deepEqual(font.variation.normalizeCoordinates({ wght: 250 }), [-0.5])
+    assert.deepEqual(font.variation.normalizeCoordinates({ wght: 1000 }), [1])
+    assert.deepEqual(font.variation.normalizeCoordinates({ wdth: 50 }), [0])
+  })
+
+  it('maps the normalized coordinates with the avar table', function () {
+    font.tables.avar = {
+      version: 1,
+      axisSegmentMaps: [[
+        { fromCoordinate: -1, toCoordinate: -1 },
+        { fromCoordinate: 0, toCoordinate: 0 },
+        { fromCoordinate: 0.5, toCoordinate: 0.25 },
+        { fromCoordinate: 1, toCoordinate: 1 }
+      ]]
+    }
+    assert.deepEqual(font.normalizeCoordinates({ wght: 650 }), [0.25])
+    assert.deepEqual(font.normalizeCoordinates({ wght: 525 }), [0.125])
+    assert.deepEqual(font.normalizeCoordinates({ wght: 775 }), [0.625])
+    assert.deepEqual(font.normalizeCoordinates({ wght: 250 }), [-0.5])
+
+    setVariations(1, [{ peakTuple: [1], xDeltas: [0, 0, 0, 0, 0, 0, 100, 0, 0], yDeltas: [0, 0, 0, 0, 0, 0, 0, 0, 0] }])
+    assert.equal(font.getAdvanceWidth('A', 1000, { variation: { wght: 650 } }), 325)
+
+    // The deltas of version 2 are added to the mapped coordinates.
+    font.tables.avar.version = 2
+    font.tables.avar.itemVariationStore = {
+      format: 1,
+      variationRegions: [[{ startCoord: 0, peakCoord: 1, endCoord: 1 }]],
+      itemVariationData: [{ regionIndexes: [0], deltaSets: [[-4096]] }]
+    }
+    assert.deepEqual(font.normalizeCoordinates({ wght: 900 }), [0.75])
+    assert.deepEqual(font.normalizeCoordinates({ wght: 650 }), [0.1875])
+  })
+
+  it('applies the deltas to the points and phantom points', function () {
+    setVariations(1, [{ peakTuple: [1], xDeltas: [10, 10, 10, 20, 20, 0, 40, 0, 0], yDeltas: [0, 10, 10, 10, 0, 0, 0, 0, 0] }])
+    assert.deepEqual(getPoints(1, 650).slice(0, 6), [[5, 0], [5, 205], [55, 205], [110, 205], [110, 0], [0, 0]])
+    assert.deepEqual(getPoints(1, 400).slice(0, 5), [[0, 0], [0, 200], [50, 200], [100, 200], [100, 0]])
+    assert.deepEqual(getPoints(1, 100).slice(0, 5), [[0, 0], [0, 200], [50, 200], [100, 200], [100, 0]])
+
+    assert.equal(font.variation.getAdvanceWidth(font.glyphs.get(1), { wght: 900 }), 340)
+    assert.equal(font.getAdvanceWidth('AA', 1000, { variation: { wght: 650 } }), 640)
+    assert.equal(font.getAdvanceWidth('AA', 1000), 600)
+    const path = font.getPath('A', 0, 0, 1000, { variation: { wght: 900 } })
+    assert.deepEqual(path.commands[0], { type: 'M', x: 120, y: 0 })
+  })
+
+  it('interpolates the deltas of the points that are not referenced', function () {
+    setVariations(1, [{ peakTuple: [1], points: [0, 3], xDeltas: [0, 20], yDeltas: [0, 20] }])
+    assert.deepEqual(getPoints(1, 900), [[0, 0], [0, 220], [60, 220], [120, 220], [120, 0], [0, 0], [300, 0], [0, 800], [0, -200]])
+  })
+
+  it('applies tuple variations in their intermediate region', function () {
+    setVariations(1, [{
+      peakTuple: [0.5],
+      intermediateStartTuple: [0],
+      intermediateEndTuple: [1],
+      points: [6],
+      xDeltas: [100],
+      yDeltas: [0]
+    }])
+    const glyph = font.glyphs.get(1)
+    assert.equal(font.variation.getAdvanceWidth(glyph, { wght: 525 }), 350)
+    assert.equal(font.variation.getAdvanceWidth(glyph, { wght: 650 }), 400)
+    assert.equal(font.variation.getAdvanceWidth(glyph, { wght: 900 }), 300)
+    assert.equal(font.variation.getAdvanceWidth(glyph, { wght: 250 }), 300)
+  })
+
+  it('applies the HVAR deltas to the advance widths and side bearings', function () {
+    const itemVariationStore = {
+      format: 1,
+      variationRegions: [[{ startCoord: 0, peakCoord: 1, endCoord: 1 }]],
+      itemVariationData: [{ regionIndexes: [0], deltaSets: [[0], [100], [20]] }]
+    }
+    font.tables.hvar = { version: 1, itemVariationStore }
+    setVariations(1, [{ peakTuple: [1], xDeltas: [10, 10, 10, 10, 10, 0, 0, 0, 0], yDeltas: [0, 0, 0, 0, 0, 0, 0, 0, 0] }])
+    const glyph = font.glyphs.get(1)
+    assert.equal(font.getAdvanceWidth('AB', 1000, { variation: { wght: 650 } }), 660)
+    assert.equal(font.variation.getLeftSideBearing(glyph, { wght: 650 }), 5)
+    assert.deepEqual(glyph.getMetrics({ variation: { wght: 900 } }, font), {
+      xMin: 10,
+      yMin: 0,
+      xMax: 110,
+      yMax: 200,
+      leftSideBearing: 10,
+      rightSideBearing: 290
+    })
+
+    font.tables.hvar.lsbMapping = [{ outerIndex: 0, innerIndex: 2 }]
+    assert.equal(font.variation.getLeftSideBearing(glyph, { wght: 900 }), 20)
+  })
+
+  it('applies the MVAR deltas to the font metrics', function () {
+    font.tables.mvar = {
+      version: 1,
+      valueRecords: [
+        { valueTag: 'xhgt', deltaSetOuterIndex: 0, deltaSetInnerIndex: 0 },
+        { valueTag: 'hasc', deltaSetOuterIndex: 0, deltaSetInnerIndex: 1 }
+      ],
+      itemVariationStore: {
+        format: 1,
+        variationRegions: [[{ startCoord: 0, peakCoord: 1, endCoord: 1 }]],
+        itemVariationData: [{ regionIndexes: [0], deltaSets: [[50], [-20]] }]
+      }
+    }
+    const metrics = font.getMetrics()
+    const variedMetrics = font.getMetrics({ variation: { wght: 900 } })
+    assert.equal(variedMetrics.xHeight, metrics.xHeight + 50)
+    assert.equal(variedMetrics.ascender, 780)
+    assert.equal(variedMetrics.typoAscender, metrics.typoAscender - 20)
+    assert.equal(variedMetrics.descender, -200)
+    assert.equal(font.variation.getMetricDelta('xhgt', { wght: 650 }), 25)
+  })
+
+  it('moves the components of composite glyphs', function () {
+    const glyph = font.glyphs.get(2)
+    glyph.getPath()
+    glyph.isComposite = true
+    glyph.points = []
+    glyph.components = [{ glyphIndex: 1, xScale: 1, scale01: 0, scale10: 0, yScale: 1, dx: 0, dy: 0 }]
+    setVariations(1, [{ peakTuple: [1], points: [0, 3], xDeltas: [0, 20], yDeltas: [0, 20] }])
+    setVariations(2, [{ peakTuple: [1], points: [0], xDeltas: [50], yDeltas: [10] }])
+    assert.deepEqual(getPoints(2, 900).slice(0, 5), [[50, 10], [50, 230], [110, 230], [170, 230], [170, 10]])
+  })
+  it('resolves the style attributes of a location with the STAT table', function () {
+    font.tables.stat = {
+      axes: [
+        { tag: 'wght', name: { en: 'Weight' }, ordering: 1 },
+        { tag: 'wdth', name: { en: 'Width' }, ordering: 0 },
+        { tag: 'ital', name: { en: 'Italic' }, ordering: 2 }
+      ],
+      values: [
+        { format: 1, axisIndex: 0, flags: 2, name: { en: 'Regular', de: 'Normal' }, value: 400 },
+        { format: 2, axisIndex: 0, flags: 0, name: { en: 'Bold', de: 'Fett' }, nominalValue: 700, rangeMinValue: 600, rangeMaxValue: 900 },
+        { format: 1, axisIndex: 1, flags: 2, name: { en: 'Normal' }, value: 100 },
+        { format: 1, axisIndex: 1, flags: 0, name: { en: 'Condensed', de: 'Schmal' }, value: 75 },
+        { format: 3, axisIndex: 2, flags: 2, name: { en: 'Upright' }, value: 0, linkedValue: 1 },
+        { format: 1, axisIndex: 2, flags: 0, name: { en: 'Italic', de: 'Kursiv' }, value: 1 },
+        { format: 4, flags: 0, name: { en: 'Black Italic' }, axisValues: [{ axisIndex: 0, value: 900 }, { axisIndex: 2, value: 1 }] }
+      ],
+      elidedFallbackName: { en: 'Regular' }
+    }
+
+    // The axes that are left out are at their default value, or at their first value if they are not in fvar.
+    const regular = font.getStyleAttributes()
+    assert.deepEqual(regular.styleName, { en: 'Regular' })
+    assert.deepEqual(regular.attributes.map(attribute => [attribute.axes, attribute.name.en, attribute.elidable]), [
+      [['wdth'], 'Normal', true],
+      [['wght'], 'Regular', true],
+      [['ital'], 'Upright', true]
+    ])
+
+    // The attributes are ordered by axis, and the names are translated where they can be.
+    assert.deepEqual(font.getStyleAttributes({ wght: 650, wdth: 75, ital: 1 }).styleName, {
+      en: 'Condensed Bold Italic',
+      de: 'Schmal Fett Kursiv'
+    })
+
+    // Format 4 values win over the values of single axes.
+    const blackItalic = font.getStyleAttributes({ wght: 900, ital: 1 })
+    assert.deepEqual(blackItalic.styleName, { en: 'Black Italic' })
+    assert.deepEqual(blackItalic.attributes.map(attribute => attribute.axes), [['wdth'], ['wght', 'ital']])
+
+    const instance = font.instantiate({ wght: 700, wdth: 75 })
+    assert.equal(instance.getEnglishName('preferredSubfamily'), 'Condensed Bold')
+    assert.equal(instance.getEnglishName('postScriptName'), 'MyFont-CondensedBold')
+    assert.equal(instance.tables.stat, undefined)
+
+    delete font.tables.stat
+    assert.equal(font.getStyleAttributes(), undefined)
+  })
+
+  it('applies the feature variations of the GSUB and GPOS tables', function () {
+    const layoutTable = (feature, lookups) => ({
+      version: 1.1,
+      scripts: [{
+        tag: 'DFLT',
+        script: { defaultLangSys: { reserved: 0, reqFeatureIndex: 0xffff, featureIndexes: [0] }, langSysRecords: [] }
+      }],
+      features: [{ tag: feature, feature: { featureParams: 0, lookupListIndexes: [] } }],
+      lookups,
+      // From wght 650 (0.5 in normalized coordinates), the feature gets the lookup.
+      variations: [{
+        conditions: [{ format: 1, axisIndex: 0, filterRangeMinValue: 0.5, filterRangeMaxValue: 1 }],
+        substitutions: [{ featureIndex: 0, feature: { featureParams: 0, lookupListIndexes: [0] } }]
+      }]
+    })
+    font.tables.gsub = layoutTable('rvrn', [{
+      lookupType: 1,
+      lookupFlag: 0,
+      subtables: [{ substFormat: 2, coverage: { format: 1, glyphs: [1] }, substitute: [2] }]
+    }])
+    font.tables.gpos = layoutTable('kern', [{
+      lookupType: 1,
+      lookupFlag: 0,
+      subtables: [{ posFormat: 1, coverage: { format: 1, glyphs: [1] }, value: { xAdvance: 50 } }]
+    }])
+
+    const getGlyphIndexes = variation => {
+      const indexes = []
+      font.forEachGlyph('AB', 0, 0, 72, { variation }, glyph => indexes.push(glyph.index))
+      return indexes
+    }
+    assert.deepEqual(getGlyphIndexes(), [1, 2])
+    assert.deepEqual(getGlyphIndexes({ wght: 600 }), [1, 2])
+    assert.deepEqual(getGlyphIndexes({ wght: 700 }), [2, 2])
+
+    assert.equal(font.position.getPositions([1], {})[0].xAdvance, 300)
+    assert.equal(font.position.getPositions([1], { variation: { wght: 900 } })[0].xAdvance, 350)
+
+    // Static instances get the alternate feature tables of their location.
+    const instance = font.instantiate({ wght: 700 })
+    assert.deepEqual(instance.tables.gsub.features[0].feature.lookupListIndexes, [0])
+    assert.equal(instance.tables.gsub.variations, undefined)
+    assert.deepEqual(font.instantiate({ wght: 400 }).tables.gpos.features[0].feature.lookupListIndexes, [])
+
+    // Conditions of unknown formats never match.
+    font.tables.gsub.variations[0].conditions.push({ format: 2 })
+    assert.deepEqual(getGlyphIndexes({ wght: 700 }), [1, 2])
+  })
+
+  describe('instantiate', function () {
+    it('makes a static font at a location of the design space', function () {
+      setVariations(1, [{ peakTuple: [1], xDeltas: [0, 0, 0, 20, 20, 0, 40, 0, 0], yDeltas: [0, 50, 50, 50, 0, 0, 0, 0, 0] }])
+      font.tables.STAT = new Uint8Array([0, 1, 0, 2])
+      const instance = font.instantiate({ wght: 650 })
+      assert.equal(instance.tables.fvar, undefined)
+      assert.equal(instance.tables.gvar, undefined)
+      assert.equal(instance.tables.STAT, undefined)
+      assert.equal(instance.tables.os2.usWeightClass, 650)
+      assert.equal(instance.getEnglishName('fontSubfamily'), 'Medium')
+
+      const written = parse(instance.toArrayBuffer())
+      assert.equal(written.tables.fvar, undefined)
+      assert.equal(written.tables.STAT, undefined)
+      const glyph = written.glyphs.get(1)
+      glyph.getPath()
+      assert.equal(glyph.advanceWidth, 320)
+      assert.deepEqual(glyph.points.map(pt => [pt.x, pt.y]), [[0, 0], [0, 225], [50, 225], [110, 225], [110, 0]])
+      assert.deepEqual(written.glyphs.get(2).path.commands, font.glyphs.get(2).path.commands)
+    })
+
+    it('keeps the components of composite glyphs', function () {
+      const glyph = font.glyphs.get(2)
+      glyph.getPath()
+      glyph.isComposite = true
+      glyph.points = []
+      glyph.components = [{ glyphIndex: 1, xScale: 1, scale01: 0, scale10: 0, yScale: 1, dx: 0, dy: 0 }]
+      setVariations(1, [{ peakTuple: [1], points: [0, 3], xDeltas: [0, 20], yDeltas: [0, 20] }])
+      setVariations(2, [{ peakTuple: [1], points: [0], xDeltas: [50], yDeltas: [10] }])
+      const instanceGlyph = font.instantiate({ wght: 900 }).glyphs.get(2)
+      assert.equal(instanceGlyph.isComposite, true)
+      assert.deepEqual(instanceGlyph.components.map(component => [component.dx, component.dy]), [[50, 10]])
+      assert.deepEqual(instanceGlyph.getBoundingBox(), font.variation.getGlyphPath(glyph, { wght: 900 }).getBoundingBox())
+    })
+
+    it('applies the deltas of the GPOS variation index tables', function () {
+      font.tables.gdef = {
+        version: 1.3,
+        itemVarStore: {
+          format: 1,
+          variationRegions: [[{ startCoord: 0, peakCoord: 1, endCoord: 1 }]],
+          itemVariationData: [{ regionIndexes: [0], deltaSets: [[-40], [30]] }]
+        }
+      }
+      const variationIndex = innerIndex => ({ deltaFormat: 0x8000, deltaSetOuterIndex: 0, deltaSetInnerIndex: innerIndex })
+      font.tables.gpos = {
+        version: 1,
+        scripts: [],
+        features: [],
+        lookups: [{
+          lookupType: 2,
+          lookupFlag: 0,
+          subtables: [{
+            posFormat: 1,
+            coverage: { format: 1, glyphs: [1] },
+            valueFormat1: 0x44,
+            valueFormat2: 0,
+            pairSets: [[{ secondGlyph: 2, value1: { xAdvance: -20, xAdvDevice: variationIndex(0) }, value2: undefined }]]
+          }]
+        }, {
+          lookupType: 3,
+          lookupFlag: 0,
+          subtables: [{
+            posFormat: 1,
+            coverage: { format: 1, glyphs: [1] },
+            entryExitRecords: [{
+              entryAnchor: { anchorFormat: 3, xCoordinate: 0, yCoordinate: 100, xDevice: undefined, yDevice: variationIndex(1) },
+              exitAnchor: undefined
+            }]
+          }]
+        }]
+      }
+
+      const gpos = font.instantiate({ wght: 650 }).tables.gpos
+      assert.deepEqual(gpos.lookups[0].subtables[0].pairSets[0][0].value1, { xAdvance: -40 })
+      assert.deepEqual(gpos.lookups[1].subtables[0].entryExitRecords[0].entryAnchor, { anchorFormat: 1, xCoordinate: 0, yCoordinate: 115 })
+      assert.equal(font.tables.gpos.lookups[0].subtables[0].pairSets[0][0].value1.xAdvance, -20)
+    })
+
+    it('selects the named instances by name', function () {
+      font.tables.fvar.instances = [
+        { name: { en: 'Light' }, coordinates: { wght: 300 } },
+        { name: { en: 'Bold Italic' }, coordinates: { wght: 700 } }
+      ]
+      const instance = font.instantiate('Light')
+      assert.equal(instance.tables.os2.usWeightClass, 300)
+      assert.equal(instance.getEnglishName('fontFamily'), 'MyFont Light')
+      assert.equal(instance.getEnglishName('fontSubfamily'), 'Regular')
+      assert.equal(instance.getEnglishName('preferredSubfamily'), 'Light')
+      assert.equal(instance.getEnglishName('postScriptName'), 'MyFont-Light')
+
+      // A location with a named instance gets its names too.
+      const written = parse(font.instantiate({ wght: 700 }, { format: 'sfnt' }))
+      assert.equal(written.getEnglishName('fontFamily'), 'MyFont')
+      assert.equal(written.getEnglishName('fontSubfamily'), 'Bold Italic')
+      assert.equal(written.getEnglishName('fullName'), 'MyFont Bold Italic')
+      assert.equal(written.tables.os2.fsSelection & (font.fsSelectionValues.BOLD | font.fsSelectionValues.ITALIC), 0x21)
+
+      assert.equal(font.instantiate({ wght: 500 }, { styleName: 'Medium Italic' }).getEnglishName('fontFamily'), 'MyFont Medium')
+      assert.throws(() => font.instantiate('Black'), /no named instance Black/)
+    })
+  })
+})
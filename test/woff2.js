@@ -0,0 +1,69 @@
+import assert from 'assert'
+import brotliCompress from 'brotli/compress.js'
+import fs from 'fs'
+import { parse } from '../src/opentype.js'
+import parser from '../src/parse.js'
+import table from '../src/table.js'
+import sfnt from '../src/tables/sfnt.js'
+import woff2 from '../src/woff2.js'
+
+// Wrap the raw tables of a font file in a SFNT data structure, so they are written unchanged.
+function readSfntTable (path) {
+  const buffer = fs.readFileSync(path)
+  const data = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+  const tables = []
+  for (let i = 0; i < parser.getUShort(data, 4); i += 1) {
+    const tag = parser.getTag(data, 12 + i * 16)
+    const offset = parser.getULong(data, 12 + i * 16 + 8)
+    const length = parser.getULong(data, 12 + i * 16 + 12)
+    const bytes = Array.from(buffer.subarray(offset, offset + length))
+    tables.push(new table.Table(tag, [{ name: 'data', type: 'LITERAL', value: bytes }]))
+  }
+
+  const sfntTable = sfnt.make(tables)
+  sfntTable.version = parser.getTag(data, 0)
+  return { sfntTable, buffer: buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength) }
+}
+
+describe('woff2.js', function () {
+  it('transforms the glyf, loca and hmtx tables', function () {
+    const { sfntTable, buffer } = readSfntTable('./fonts/TestTracking3.ttf')
+    const bytes = woff2.make(sfntTable, { compress: brotliCompress })
+    const data = new DataView(Uint8Array.from(bytes).buffer)
+    // Parse the table directory one entry at a time, to read the flags byte of each entry.
+    const p = new parser.Parser(data, 48)
+    const entries = []
+    for (let i = 0; i < parser.getUShort(data, 12); i += 1) {
+      const flags = parser.getByte(data, p.offset + p.relativeOffset)
+      entries.push(Object.assign(woff2.parseTableDirectory(p, 1)[0], { flags }))
+    }
+
+    const entry = tag => entries.find(entry => entry.tag === tag)
+    const tableLength = tag => sfntTable.tables.find(table => table.tableName === tag).encode().length
+
+    // The transformed glyf table is followed by an empty transformed loca table.
+    assert.equal(entries.indexOf(entry('loca')), entries.indexOf(entry('glyf')) + 1)
+    assert.equal(entry('glyf').flags, 10) // glyf, transform 0
+    assert.equal(entry('loca').flags, 11) // loca, transform 0
+    assert.equal(entry('glyf').transformed, true)
+    assert.equal(entry('glyf').origLength, tableLength('glyf'))
+    assert.notEqual(entry('glyf').length, entry('glyf').origLength)
+    assert.equal(entry('loca').transformed, true)
+    assert.equal(entry('loca').origLength, tableLength('loca'))
+    assert.equal(entry('loca').length, 0)
+    assert.equal(entry('hmtx').flags, (1 << 6) | 3) // hmtx, transform 1
+    assert.equal(entry('hmtx').transformed, true)
+
+    const expected = parse(buffer)
+    const actual = parse(Uint8Array.from(bytes).buffer)
+    assert.equal(actual.outlinesFormat, 'truetype')
+    assert.equal(actual.glyphs.length, expected.glyphs.length)
+    for (let i = 0; i < expected.glyphs.length; i += 1) {
+      const expectedGlyph = expected.glyphs.get(i)
+      const actualGlyph = actual.glyphs.get(i)
+      assert.deepEqual(actualGlyph.path.commands, expectedGlyph.path.commands)
+      assert.equal(actualGlyph.advanceWidth, expectedGlyph.advanceWidth)
+      assert.equal(actualGlyph.leftSideBearing, expectedGlyph.leftSideBearing)
+    }
+  })
+})